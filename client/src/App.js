@@ -7,6 +7,11 @@ import Login from './pages/Login';
 import AdminDashboard from './pages/admin/Dashboard';
 import AdminInventory from './pages/admin/Inventory';
 import AdminOrders from './pages/admin/Orders';
+import AdminQuotes from './pages/admin/Quotes';
+import AdminPurchaseOrders from './pages/admin/PurchaseOrders';
+import AdminStocktakes from './pages/admin/Stocktakes';
+import AdminTransfers from './pages/admin/Transfers';
+import AdminDevices from './pages/admin/Devices';
 import AdminServices from './pages/admin/Services';
 import AdminUsers from './pages/admin/Users';
 import AdminSettings from './pages/admin/Settings';
@@ -91,6 +96,56 @@ const App = () => {
             </PrivateRoute>
           }
         />
+        <Route
+          path="/admin/quotes"
+          element={
+            <PrivateRoute requireAdmin>
+              <Layout>
+                <AdminQuotes />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/admin/purchase-orders"
+          element={
+            <PrivateRoute requireAdmin>
+              <Layout>
+                <AdminPurchaseOrders />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/admin/stocktakes"
+          element={
+            <PrivateRoute requireAdmin>
+              <Layout>
+                <AdminStocktakes />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/admin/transfers"
+          element={
+            <PrivateRoute requireAdmin>
+              <Layout>
+                <AdminTransfers />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
+        <Route
+          path="/admin/devices"
+          element={
+            <PrivateRoute requireAdmin>
+              <Layout>
+                <AdminDevices />
+              </Layout>
+            </PrivateRoute>
+          }
+        />
         <Route
           path="/admin/services"
           element={
@@ -0,0 +1,103 @@
+import React, { useEffect, useRef } from 'react';
+import toast from 'react-hot-toast';
+import Quagga from 'quagga';
+
+// Camera barcode scanner. `onDetected(code)` is called once per read; return true to close the
+// scanner, anything else to keep scanning after `resumeAfter` ms (so one label is not read twice).
+const BarcodeScannerModal = ({ onDetected, onClose, title = 'Scan Barcode', resumeAfter = 800 }) => {
+  const scannerRef = useRef(null);
+  const scanHandledRef = useRef(false);
+  // Quagga keeps the first handler it is given, so it reads the latest callback through a ref
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  useEffect(() => {
+    const handleDetected = async (result) => {
+      if (!result || !result.codeResult || !result.codeResult.code) return;
+      if (scanHandledRef.current) return;
+      scanHandledRef.current = true;
+
+      const code = (result.codeResult.code || '').trim();
+      if (!code) {
+        scanHandledRef.current = false;
+        return;
+      }
+
+      if (await onDetectedRef.current(code) === true) {
+        onClose();
+        return;
+      }
+      setTimeout(() => {
+        scanHandledRef.current = false;
+      }, resumeAfter);
+    };
+
+    const stopQuagga = () => {
+      try {
+        Quagga.offDetected(handleDetected);
+      } catch (e) { }
+      try {
+        if (Quagga.stop) Quagga.stop();
+      } catch (e) { }
+    };
+
+    const target = scannerRef.current;
+    if (!target) return undefined;
+
+    Quagga.init({
+      inputStream: {
+        name: 'Live',
+        type: 'LiveStream',
+        target,
+        constraints: {
+          facingMode: 'environment'
+        }
+      },
+      decoder: {
+        readers: [
+          'code_128_reader',
+          'ean_reader',
+          'ean_8_reader',
+          'code_39_reader'
+        ]
+      },
+      locate: true
+    }, (err) => {
+      if (err) {
+        console.error('Quagga init error:', err);
+        toast.error('Failed to start camera');
+        onClose();
+        return;
+      }
+      Quagga.start();
+      Quagga.onDetected(handleDetected);
+    });
+
+    const handleEscKey = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscKey);
+
+    return () => {
+      document.removeEventListener('keydown', handleEscKey);
+      stopQuagga();
+    };
+  }, []);
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+      <div className="relative top-10 mx-auto p-4 border w-full max-w-2xl shadow-lg rounded-md bg-white mb-14">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+          <button onClick={onClose} className="btn-secondary text-sm">Close</button>
+        </div>
+        <div className="aspect-video bg-black rounded overflow-hidden">
+          <div ref={scannerRef} className="w-full h-full" />
+        </div>
+        <p className="mt-2 text-xs text-gray-500">Point your camera at the barcode. Supported: Code 128, EAN, EAN-8, Code 39.</p>
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeScannerModal;
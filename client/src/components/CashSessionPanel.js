@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Printer } from 'lucide-react';
+
+const CURRENCIES = ['EUR', 'MKD'];
+const emptyAmounts = () => ({ EUR: '', MKD: '' });
+const toAmounts = (values) => ({ EUR: parseFloat(values.EUR) || 0, MKD: parseFloat(values.MKD) || 0 });
+
+// Opens the 80mm PDF of a session's Z-report (X-report while it is open) in a new tab
+export const openSessionReport = async (sessionId) => {
+  try {
+    const response = await axios.get(`/api/cash-sessions/${sessionId}/report?format=pdf`, { responseType: 'blob' });
+    const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+    window.open(url, '_blank');
+    setTimeout(() => {
+      window.URL.revokeObjectURL(url);
+    }, 1000);
+  } catch (error) {
+    console.error('Error opening cash session report:', error);
+    toast.error('Failed to open report');
+  }
+};
+
+// The signed-in cashier's till: open with a float, record payouts and pay-ins, close with a count
+const CashSessionPanel = ({ onChange }) => {
+  const [current, setCurrent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [openingFloat, setOpeningFloat] = useState(emptyAmounts());
+  const [registerName, setRegisterName] = useState('');
+  const [movement, setMovement] = useState({ type: 'payout', currency: 'MKD', amount: '', reason: '' });
+  const [counted, setCounted] = useState(emptyAmounts());
+  const [closedReport, setClosedReport] = useState(null);
+
+  useEffect(() => {
+    fetchCurrent();
+  }, []);
+
+  const fetchCurrent = async () => {
+    try {
+      const response = await axios.get('/api/cash-sessions/current');
+      setCurrent(response.data.session);
+    } catch (error) {
+      console.error('Error fetching cash session:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const refresh = () => {
+    fetchCurrent();
+    if (onChange) onChange();
+  };
+
+  const openSession = async () => {
+    try {
+      await axios.post('/api/cash-sessions', {
+        openingFloat: toAmounts(openingFloat),
+        registerName: registerName || null
+      });
+      toast.success('Cash session opened');
+      setOpeningFloat(emptyAmounts());
+      setClosedReport(null);
+      refresh();
+    } catch (error) {
+      console.error('Error opening cash session:', error);
+      toast.error(error.response?.data?.message || 'Failed to open cash session');
+    }
+  };
+
+  const recordMovement = async () => {
+    if (!(parseFloat(movement.amount) > 0) || !movement.reason.trim()) {
+      toast.error('Enter an amount and a reason');
+      return;
+    }
+    try {
+      await axios.post(`/api/cash-sessions/${current.session.id}/movements`, {
+        ...movement,
+        amount: parseFloat(movement.amount)
+      });
+      toast.success(movement.type === 'payout' ? 'Payout recorded' : 'Pay-in recorded');
+      setMovement({ ...movement, amount: '', reason: '' });
+      refresh();
+    } catch (error) {
+      console.error('Error recording cash movement:', error);
+      toast.error(error.response?.data?.message || 'Failed to record cash movement');
+    }
+  };
+
+  const closeSession = async () => {
+    if (CURRENCIES.some(currency => counted[currency] === '')) {
+      toast.error('Count the cash in both currencies before closing');
+      return;
+    }
+    if (!window.confirm('Close this cash session? Sales will no longer be counted in it.')) {
+      return;
+    }
+    try {
+      const response = await axios.post(`/api/cash-sessions/${current.session.id}/close`, { counted: toAmounts(counted) });
+      setClosedReport(response.data.report);
+      setCounted(emptyAmounts());
+      toast.success('Cash session closed');
+      refresh();
+    } catch (error) {
+      console.error('Error closing cash session:', error);
+      toast.error(error.response?.data?.message || 'Failed to close cash session');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading...</p>;
+  }
+
+  if (!current) {
+    return (
+      <div className="space-y-3">
+        {closedReport && (
+          <div className="rounded-md bg-gray-50 p-3 text-sm">
+            <div className="font-medium text-gray-900">Session #{closedReport.session.id} closed</div>
+            {CURRENCIES.map(currency => (
+              <div key={currency} className={closedReport.overShort[currency] < 0 ? 'text-red-600' : 'text-gray-700'}>
+                {currency}: expected {closedReport.expected[currency].toFixed(2)}, counted {closedReport.counted[currency].toFixed(2)}
+                {' '}({closedReport.overShort[currency] < 0 ? 'short' : 'over'} {Math.abs(closedReport.overShort[currency]).toFixed(2)})
+              </div>
+            ))}
+            <button type="button" className="btn-secondary mt-2" onClick={() => openSessionReport(closedReport.session.id)}>
+              <Printer className="h-4 w-4 mr-2" />
+              Print Z-Report
+            </button>
+          </div>
+        )}
+        <p className="text-sm text-gray-500">No open till. Count the float into the drawer to start a shift.</p>
+        <div className="flex flex-wrap gap-2 items-center">
+          {CURRENCIES.map(currency => (
+            <input
+              key={currency}
+              type="number"
+              min="0"
+              step="0.01"
+              value={openingFloat[currency]}
+              onChange={(e) => setOpeningFloat({ ...openingFloat, [currency]: e.target.value })}
+              className="input w-32"
+              placeholder={`Float ${currency}`}
+            />
+          ))}
+          <input
+            type="text"
+            value={registerName}
+            onChange={(e) => setRegisterName(e.target.value)}
+            className="input w-36"
+            placeholder="Register (optional)"
+          />
+          <button type="button" className="btn-primary" onClick={openSession}>
+            Open Till
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { session, cash, expected } = current;
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between text-sm">
+        <div>
+          <span className="font-medium text-gray-900">Session #{session.id}</span>
+          {session.register_name && <span className="text-gray-500"> · {session.register_name}</span>}
+          <span className="text-gray-500"> · opened {new Date(session.opened_at).toLocaleString('en-GB')}</span>
+        </div>
+        <button type="button" className="btn-secondary" onClick={() => openSessionReport(session.id)}>
+          <Printer className="h-4 w-4 mr-2" />
+          X-Report
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 text-sm">
+        {CURRENCIES.map(currency => (
+          <div key={currency} className="rounded-md bg-gray-50 p-3">
+            <div className="font-medium text-gray-900">{currency} in drawer: {expected[currency].toFixed(2)}</div>
+            <div className="text-gray-500">
+              Float {cash[currency].float.toFixed(2)} · sales +{cash[currency].sales.toFixed(2)} · refunds -{cash[currency].refunds.toFixed(2)}
+            </div>
+            <div className="text-gray-500">
+              Pay-ins +{cash[currency].payIns.toFixed(2)} · payouts -{cash[currency].payouts.toFixed(2)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center">
+        <select value={movement.type} onChange={(e) => setMovement({ ...movement, type: e.target.value })} className="input w-28">
+          <option value="payout">Payout</option>
+          <option value="pay_in">Pay-in</option>
+        </select>
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={movement.amount}
+          onChange={(e) => setMovement({ ...movement, amount: e.target.value })}
+          className="input w-28"
+          placeholder="Amount"
+        />
+        <select value={movement.currency} onChange={(e) => setMovement({ ...movement, currency: e.target.value })} className="input w-24">
+          {CURRENCIES.map(currency => <option key={currency} value={currency}>{currency}</option>)}
+        </select>
+        <input
+          type="text"
+          value={movement.reason}
+          onChange={(e) => setMovement({ ...movement, reason: e.target.value })}
+          className="input flex-1 min-w-[10rem]"
+          placeholder="Reason, e.g. courier fee"
+        />
+        <button type="button" className="btn-secondary" onClick={recordMovement}>
+          Record
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 items-center border-t pt-4">
+        <span className="text-sm text-gray-700">Counted cash:</span>
+        {CURRENCIES.map(currency => (
+          <input
+            key={currency}
+            type="number"
+            min="0"
+            step="0.01"
+            value={counted[currency]}
+            onChange={(e) => setCounted({ ...counted, [currency]: e.target.value })}
+            className="input w-32"
+            placeholder={currency}
+          />
+        ))}
+        <button type="button" className="btn-primary" onClick={closeSession}>
+          Close Till
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CashSessionPanel;
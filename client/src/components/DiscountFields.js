@@ -0,0 +1,121 @@
+import React from 'react';
+
+export const DISCOUNT_REASON_LABELS = {
+  negotiated: 'Negotiated price',
+  loyalty: 'Loyal customer',
+  promotion: 'Promotion',
+  price_match: 'Price match',
+  damaged_packaging: 'Damaged packaging',
+  staff: 'Staff purchase',
+  other: 'Other'
+};
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+const currencyOf = (item) => item.currency;
+
+const unitDiscount = (price, type, value) => {
+  const amount = parseFloat(value) || 0;
+  if (!type || amount <= 0) return 0;
+  const discount = type === 'percent' ? price * Math.min(amount, 100) / 100 : amount;
+  return round2(Math.min(discount, price));
+};
+
+export const hasDiscounts = (items, orderDiscount) =>
+  (parseFloat(orderDiscount?.value) || 0) > 0 ||
+  items.some(item => item.discountType && (parseFloat(item.discountValue) || 0) > 0);
+
+// Mirrors the server's pricing: line discounts first, then the order discount spread over the lines
+export const applyCartDiscounts = (items, orderDiscount) => {
+  const priced = items.map(item => {
+    const listPrice = round2(item.price);
+    return { ...item, listPrice, netPrice: round2(listPrice - unitDiscount(listPrice, item.discountType, item.discountValue)) };
+  });
+
+  const orderValue = parseFloat(orderDiscount?.value) || 0;
+  const subtotals = { EUR: 0, MKD: 0 };
+  priced.forEach(item => { subtotals[currencyOf(item)] += item.netPrice * item.quantity; });
+
+  const lines = priced.map(item => {
+    const currency = currencyOf(item);
+    let orderShare = 0;
+    if (orderDiscount?.type === 'percent' && orderValue > 0) {
+      orderShare = item.netPrice * Math.min(orderValue, 100) / 100;
+    } else if (orderDiscount?.type === 'fixed' && orderValue > 0 && orderDiscount.currency === currency && subtotals[currency] > 0) {
+      orderShare = Math.min(orderValue, subtotals[currency]) * item.netPrice / subtotals[currency];
+    }
+    return { ...item, unitPrice: Math.max(0, round2(item.netPrice - orderShare)) };
+  });
+
+  const totals = {};
+  ['EUR', 'MKD'].forEach(currency => {
+    const currencyLines = lines.filter(line => currencyOf(line) === currency);
+    const list = round2(currencyLines.reduce((sum, line) => sum + line.listPrice * line.quantity, 0));
+    const net = round2(currencyLines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0));
+    totals[currency] = { list, discount: round2(list - net), net };
+  });
+
+  return { lines, totals };
+};
+
+// Compact percent/fixed discount input for a single cart line
+export const LineDiscountInput = ({ type, value, currency, onChange }) => (
+  <div className="flex items-center">
+    <input
+      type="number"
+      min="0"
+      value={value ?? ''}
+      onChange={(e) => onChange({ discountType: type || 'percent', discountValue: e.target.value })}
+      className="w-16 input text-center h-8 py-1 rounded-r-none"
+      placeholder="Disc."
+      title="Line discount"
+    />
+    <select
+      value={type || 'percent'}
+      onChange={(e) => onChange({ discountType: e.target.value, discountValue: value })}
+      className="input h-8 py-1 px-1 w-14 rounded-l-none border-l-0 text-xs"
+    >
+      <option value="percent">%</option>
+      <option value="fixed">{currency}</option>
+    </select>
+  </div>
+);
+
+// Order-level discount and the reason code shared by every discount on the order
+const DiscountFields = ({ discount, onDiscountChange, reason, onReasonChange, reasonRequired }) => (
+  <div className="space-y-2">
+    <label className="block text-sm font-medium text-gray-700">Order Discount</label>
+    <div className="flex space-x-2">
+      <input
+        type="number"
+        min="0"
+        value={discount.value}
+        onChange={(e) => onDiscountChange({ ...discount, value: e.target.value })}
+        className="input flex-1"
+        placeholder="0"
+      />
+      <select
+        value={discount.type === 'percent' ? 'percent' : discount.currency}
+        onChange={(e) => onDiscountChange(e.target.value === 'percent'
+          ? { ...discount, type: 'percent' }
+          : { ...discount, type: 'fixed', currency: e.target.value })}
+        className="input w-24"
+      >
+        <option value="percent">%</option>
+        <option value="EUR">EUR</option>
+        <option value="MKD">MKD</option>
+      </select>
+    </div>
+    <select
+      value={reason}
+      onChange={(e) => onReasonChange(e.target.value)}
+      className={`input w-full ${reasonRequired && !reason ? 'border-red-300' : ''}`}
+    >
+      <option value="">{reasonRequired ? 'Select a discount reason' : 'No discount'}</option>
+      {Object.entries(DISCOUNT_REASON_LABELS).map(([value, label]) => (
+        <option key={value} value={value}>{label}</option>
+      ))}
+    </select>
+  </div>
+);
+
+export default DiscountFields;
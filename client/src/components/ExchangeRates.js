@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Exchange rates by effective date. Each sale is converted at the latest rate on or before its date,
+// so a new rate only affects sales from its effective date onwards.
+const ExchangeRates = () => {
+  const [rates, setRates] = useState([]);
+  const [form, setForm] = useState({ fromCurrency: 'EUR', toCurrency: 'MKD', rate: '', effectiveDate: today() });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchRates();
+  }, []);
+
+  const fetchRates = async () => {
+    try {
+      const response = await axios.get('/api/exchange-rates');
+      setRates(response.data.rates || []);
+    } catch (error) {
+      console.error('Error fetching exchange rates:', error);
+      toast.error('Failed to fetch exchange rates');
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!(parseFloat(form.rate) > 0)) {
+      toast.error('Enter a rate greater than zero');
+      return;
+    }
+    setSaving(true);
+    try {
+      await axios.post('/api/exchange-rates', { ...form, rate: parseFloat(form.rate) });
+      toast.success('Exchange rate saved');
+      setForm(prev => ({ ...prev, rate: '' }));
+      fetchRates();
+    } catch (error) {
+      console.error('Error saving exchange rate:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save exchange rate');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this exchange rate? Reports for its dates will use the previous rate.')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/exchange-rates/${id}`);
+      toast.success('Exchange rate deleted');
+      fetchRates();
+    } catch (error) {
+      console.error('Error deleting exchange rate:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete exchange rate');
+    }
+  };
+
+  const setPair = (fromCurrency) => {
+    setForm({ ...form, fromCurrency, toCurrency: fromCurrency === 'EUR' ? 'MKD' : 'EUR' });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2 items-center">
+        <span className="text-sm text-gray-700">1</span>
+        <select value={form.fromCurrency} onChange={(e) => setPair(e.target.value)} className="input w-24">
+          <option value="EUR">EUR</option>
+          <option value="MKD">MKD</option>
+        </select>
+        <span className="text-sm text-gray-700">=</span>
+        <input
+          type="number"
+          min="0"
+          step="0.000001"
+          value={form.rate}
+          onChange={(e) => setForm({ ...form, rate: e.target.value })}
+          className="input w-28"
+          placeholder="61.5"
+        />
+        <span className="text-sm text-gray-700">{form.toCurrency} from</span>
+        <input
+          type="date"
+          value={form.effectiveDate}
+          onChange={(e) => setForm({ ...form, effectiveDate: e.target.value })}
+          className="input w-40"
+        />
+        <button type="button" className="btn-secondary" disabled={saving} onClick={handleAdd}>
+          Add Rate
+        </button>
+      </div>
+
+      {rates.length === 0 ? (
+        <p className="text-sm text-gray-500">No exchange rates yet</p>
+      ) : (
+        <div className="border rounded-md divide-y max-h-64 overflow-y-auto">
+          {rates.map(rate => (
+            <div key={rate.id} className="flex items-center justify-between px-3 py-2 text-sm">
+              <div>
+                <span className="font-medium">1 {rate.from_currency} = {parseFloat(rate.rate)} {rate.to_currency}</span>
+                <span className="text-gray-500 ml-2">
+                  from {new Date(rate.effective_date).toLocaleDateString('en-GB')}
+                  {rate.created_by_name ? ` · ${rate.created_by_name}` : ''}
+                </span>
+              </div>
+              <button type="button" className="text-red-600 hover:text-red-800 text-xs" onClick={() => handleDelete(rate.id)}>
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExchangeRates;
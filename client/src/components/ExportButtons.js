@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { FileSpreadsheet } from 'lucide-react';
+
+const FORMATS = [
+  { value: 'csv', label: 'CSV', type: 'text/csv' },
+  { value: 'xlsx', label: 'Excel', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+];
+
+// CSV and Excel downloads of /api/exports/<entity>; `filters` are the list page's current filters
+// (empty values are left out). The server streams every matching row, however many there are.
+const ExportButtons = ({ entity, filters = {} }) => {
+  const [exporting, setExporting] = useState(null);
+
+  const download = async (format) => {
+    const params = {};
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== '' && value !== null && value !== undefined) params[key] = value;
+    });
+
+    setExporting(format.value);
+    try {
+      const response = await axios.get(`/api/exports/${entity}`, {
+        params: { ...params, format: format.value },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: format.type }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${entity}-${params.from || 'start'}-to-${params.to || new Date().toISOString().slice(0, 10)}.${format.value}`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error(`Error exporting ${entity}:`, error);
+      // Error bodies arrive as a blob because of the responseType
+      let message = null;
+      try {
+        message = JSON.parse(await error.response.data.text()).message;
+      } catch (parseError) {
+        // Not a JSON error body
+      }
+      toast.error(message || `Failed to export ${entity}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <>
+      {FORMATS.map(format => (
+        <button
+          key={format.value}
+          onClick={() => download(format)}
+          disabled={exporting !== null}
+          className="btn-secondary w-full sm:w-auto"
+          title={`Download all matching ${entity} as ${format.label}`}
+        >
+          <FileSpreadsheet className="h-4 w-4 mr-2" />
+          {exporting === format.value ? 'Exporting...' : format.label}
+        </button>
+      ))}
+    </>
+  );
+};
+
+export default ExportButtons;
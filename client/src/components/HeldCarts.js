@@ -0,0 +1,123 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Clock, Play, Trash2, AlertCircle } from 'lucide-react';
+
+const formatTotals = (totals = {}) => Object.entries(totals)
+  .filter(([, amount]) => amount > 0)
+  .map(([currency, amount]) => `${currency === 'EUR' ? amount.toFixed(2) : amount.toFixed(0)} ${currency}`)
+  .join(' + ') || '-';
+
+const formatTime = (value) => new Date(value).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+
+// Sales parked on any terminal. Resuming takes the cart off the list and hands it to onResume.
+const HeldCarts = ({ onResume, onClose }) => {
+  const [heldCarts, setHeldCarts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchHeldCarts();
+  }, []);
+
+  const fetchHeldCarts = async () => {
+    try {
+      const response = await axios.get('/api/orders/held');
+      setHeldCarts(response.data.heldCarts || []);
+    } catch (error) {
+      console.error('Error fetching held sales:', error);
+      toast.error('Failed to fetch held sales');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResume = async (id) => {
+    try {
+      const response = await axios.post(`/api/orders/held/${id}/resume`);
+      onResume(response.data);
+    } catch (error) {
+      console.error('Error resuming held sale:', error);
+      toast.error(error.response?.data?.message || 'Failed to resume held sale');
+      fetchHeldCarts();
+    }
+  };
+
+  const handleDiscard = async (id) => {
+    if (!window.confirm('Discard this held sale?')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/orders/held/${id}`);
+      toast.success('Held sale discarded');
+      fetchHeldCarts();
+    } catch (error) {
+      console.error('Error discarding held sale:', error);
+      toast.error(error.response?.data?.message || 'Failed to discard held sale');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0">
+      <div className="relative top-20 mx-auto p-6 border w-11/12 max-w-2xl shadow-lg rounded-md bg-white">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Held Sales</h3>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : heldCarts.length === 0 ? (
+          <p className="text-sm text-gray-500">No held sales</p>
+        ) : (
+          <div className="border rounded-md divide-y max-h-96 overflow-y-auto">
+            {heldCarts.map(cart => (
+              <div key={cart.id} className="flex items-start justify-between px-4 py-3">
+                <div className="text-sm">
+                  <div className="font-medium text-gray-900">
+                    {cart.client_name || cart.guest_name || 'Walk-in customer'}
+                    {cart.notes && <span className="ml-2 text-gray-500 font-normal">{cart.notes}</span>}
+                  </div>
+                  <div className="text-gray-600">
+                    {cart.items.reduce((sum, item) => sum + item.quantity, 0)} items · {formatTotals(cart.totals)}
+                  </div>
+                  <div className="flex items-center text-xs text-gray-500 mt-1">
+                    <Clock className="h-3 w-3 mr-1" />
+                    Held {formatTime(cart.created_at)}{cart.created_by_name ? ` by ${cart.created_by_name}` : ''} · expires {formatTime(cart.expires_at)}
+                  </div>
+                  {cart.items.some(item => item.unavailable) && (
+                    <div className="flex items-center text-xs text-yellow-700 mt-1">
+                      <AlertCircle className="h-3 w-3 mr-1" />
+                      Some items are no longer in stock
+                    </div>
+                  )}
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleResume(cart.id)}
+                    className="text-blue-600 hover:text-blue-900 p-1"
+                    title="Resume Sale"
+                  >
+                    <Play className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDiscard(cart.id)}
+                    className="text-red-600 hover:text-red-900 p-1"
+                    title="Discard"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HeldCarts;
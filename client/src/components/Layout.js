@@ -13,7 +13,12 @@ import {
   BarChart3,
   Settings,
   Wrench,
-  Smartphone
+  Smartphone,
+  FileText,
+  Truck,
+  ClipboardCheck,
+  ArrowLeftRight,
+  Search
 } from 'lucide-react';
 
 const Layout = ({ children }) => {
@@ -30,8 +35,13 @@ const Layout = ({ children }) => {
   const adminNavItems = [
     { name: 'Dashboard', path: '/dashboard', icon: Home },
     { name: 'Inventory', path: '/admin/inventory', icon: Package },
+    { name: 'Stocktake', path: '/admin/stocktakes', icon: ClipboardCheck },
+    { name: 'Transfers', path: '/admin/transfers', icon: ArrowLeftRight },
+    { name: 'Devices', path: '/admin/devices', icon: Search },
     { name: 'Products', path: '/admin/products', icon: Smartphone },
     { name: 'Orders', path: '/admin/orders', icon: ShoppingCart },
+    { name: 'Quotes', path: '/admin/quotes', icon: FileText },
+    { name: 'Purchasing', path: '/admin/purchase-orders', icon: Truck },
     { name: 'Services', path: '/admin/services', icon: Wrench },
     { name: 'Users', path: '/admin/users', icon: Users },
     { name: 'Settings', path: '/admin/settings', icon: Settings },
@@ -0,0 +1,30 @@
+import React from 'react';
+
+export const ORDER_STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  shipped: 'Shipped',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+// Only offers the current status and the transitions the server allows from it
+const OrderStatusSelect = ({ status, allowedTransitions = [], onChange, className = '', ...props }) => {
+  const options = [status, ...allowedTransitions.filter(s => s !== status)];
+
+  return (
+    <select
+      value={status}
+      onChange={(e) => onChange(e.target.value)}
+      className={className}
+      disabled={options.length === 1}
+      {...props}
+    >
+      {options.map(value => (
+        <option key={value} value={value}>{ORDER_STATUS_LABELS[value] || value}</option>
+      ))}
+    </select>
+  );
+};
+
+export default OrderStatusSelect;
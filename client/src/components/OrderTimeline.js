@@ -0,0 +1,102 @@
+import React from 'react';
+import { ORDER_STATUS_LABELS } from './OrderStatusSelect';
+import { PAYMENT_METHOD_LABELS } from './TenderEditor';
+
+const statusLabel = (status) => ORDER_STATUS_LABELS[status] || status;
+
+const formatLine = (line) => `${line.quantity} × ${line.name || `Product #${line.productId}`}`;
+
+const formatAmounts = (entries = []) => entries
+  .map(entry => `${entry.amount} ${entry.currency}${entry.method ? ` (${PAYMENT_METHOD_LABELS[entry.method] || entry.method})` : ''}`)
+  .join(' + ');
+
+// Title and detail lines for one order_events row
+const describeEvent = (event) => {
+  const details = event.details || {};
+
+  switch (event.event_type) {
+    case 'created':
+      return {
+        title: `Order created as ${statusLabel(details.status)}${details.fulfillment ? ` (${details.fulfillment})` : ''}${details.quoteId ? ` from quote Q-${details.quoteId}` : ''}`,
+        lines: [
+          ...(details.items || []).map(formatLine),
+          ...(details.priceChanges || []).map(change =>
+            `${change.name}: quoted ${change.quoted.price} ${change.quoted.currency}, sold at ${change.current.price} ${change.current.currency}`
+          )
+        ]
+      };
+    case 'items_changed':
+      return {
+        title: 'Items changed',
+        lines: [
+          ...(details.added || []).map(line => `Added ${formatLine(line)}`),
+          ...(details.removed || []).map(line => `Removed ${formatLine(line)}`),
+          ...(details.changed || []).map(line =>
+            `${line.name || `Product #${line.productId}`}: ${line.before.quantity} @ ${line.before.price} → ${line.after.quantity} @ ${line.after.price}`
+          )
+        ]
+      };
+    case 'status_changed': {
+      const trigger = details.trigger === 'payment'
+        ? ' after full payment'
+        : details.trigger === 'return' ? ' after a return' : '';
+      return {
+        title: `Status changed from ${statusLabel(details.from)} to ${statusLabel(details.to)}${trigger}`,
+        lines: details.credits && details.credits.length > 0
+          ? [`Client account credited ${formatAmounts(details.credits)}`]
+          : []
+      };
+    }
+    case 'payment':
+      return {
+        title: 'Payment recorded',
+        lines: details.payments && details.payments.length > 0 ? [formatAmounts(details.payments)] : []
+      };
+    case 'return':
+      return {
+        title: `Return #${details.returnId} recorded`,
+        lines: [
+          ...(details.exchangeItems || []).map(line => `Exchanged for ${formatLine(line)}`),
+          ...(details.refunds && details.refunds.length > 0 ? [`Refunded ${formatAmounts(details.refunds)}`] : [])
+        ]
+      };
+    case 'invoice_downloaded':
+      return { title: 'Invoice downloaded', lines: [] };
+    case 'receipt_printed':
+      return { title: `Receipt printed (${details.format === 'pdf' ? 'PDF' : 'ESC/POS'}, ${details.width}mm)`, lines: [] };
+    default:
+      return { title: event.event_type, lines: [] };
+  }
+};
+
+const OrderTimeline = ({ events = [] }) => {
+  if (events.length === 0) {
+    return <div className="p-3 text-center text-sm text-gray-500">No history recorded for this order</div>;
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-2 space-y-4">
+      {events.map(event => {
+        const { title, lines } = describeEvent(event);
+        return (
+          <li key={event.id} className="ml-4">
+            <div className="absolute w-2 h-2 bg-gray-300 rounded-full -left-1 mt-2" />
+            <div className="text-sm font-medium text-gray-900">{title}</div>
+            <div className="text-xs text-gray-500">
+              {new Date(event.created_at).toLocaleString('en-GB')}
+              {event.user_name ? ` · ${event.user_name}` : ''}
+            </div>
+            {lines.map((line, index) => (
+              <div key={index} className="text-xs text-gray-700">{line}</div>
+            ))}
+            {event.reason && (
+              <div className="text-xs text-gray-600 italic">Reason: {event.reason}</div>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderTimeline;
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Upload } from 'lucide-react';
+
+const FIELD_LABELS = {
+  name: 'Name',
+  category: 'Category',
+  subcategory: 'Subcategory',
+  model: 'Model',
+  storage_gb: 'Storage',
+  color: 'Color',
+  imei: 'IMEI',
+  imei2: 'IMEI 2',
+  barcode: 'Barcode',
+  price: 'Price',
+  cost_price: 'Cost',
+  stock_quantity: 'Quantity',
+  currency: 'Currency',
+  description: 'Description'
+};
+
+// Products from a CSV or Excel file via /api/products/import: the file is checked first (a dry run that
+// saves nothing), and once the report has no errors or duplicates every row is imported together
+const ProductImportModal = ({ locations = [], onClose, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [locationId, setLocationId] = useState('');
+  const [report, setReport] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const send = (dryRun) => {
+    const data = new FormData();
+    data.append('file', file);
+    data.append('dryRun', dryRun ? 'true' : 'false');
+    if (locationId) data.append('locationId', locationId);
+    return axios.post('/api/products/import', data);
+  };
+
+  const checkFile = async () => {
+    if (!file) {
+      toast.error('Choose a file to import');
+      return;
+    }
+    setWorking(true);
+    try {
+      const response = await send(true);
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error checking import file:', error);
+      toast.error(error.response?.data?.message || 'Failed to check the file');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const importFile = async () => {
+    setWorking(true);
+    try {
+      const response = await send(false);
+      toast.success(response.data.message);
+      onImported();
+    } catch (error) {
+      console.error('Error importing products:', error);
+      if (error.response?.data?.errors) {
+        setReport(error.response.data);
+      }
+      toast.error(error.response?.data?.message || 'Failed to import products');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const problems = report ? [
+    ...report.errors.map(error => ({ row: error.row, field: error.field, text: error.message })),
+    ...report.duplicates.map(duplicate => ({
+      row: duplicate.row,
+      field: duplicate.field,
+      text: duplicate.existingProductId
+        ? `${duplicate.value} is already used by product #${duplicate.existingProductId}`
+        : `${duplicate.value} is also on row ${duplicate.firstRow}`
+    }))
+  ].sort((a, b) => a.row - b.row) : [];
+  const canImport = report && report.totalRows > 0 && problems.length === 0;
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+      <div className="relative top-10 mx-auto p-6 border w-full max-w-4xl shadow-lg rounded-md bg-white mb-14">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Import Products</h3>
+            <p className="text-sm text-gray-500">
+              CSV or Excel with a header row: name, model, storage, color, IMEI, barcode, price, cost, quantity
+            </p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">File</label>
+            <input
+              type="file"
+              accept=".csv,.xlsx"
+              onChange={(e) => { setFile(e.target.files[0] || null); setReport(null); }}
+              className="input"
+            />
+          </div>
+          {locations.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Stock Location</label>
+              <select value={locationId} onChange={(e) => setLocationId(e.target.value)} className="input">
+                <option value="">Default location</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+        </div>
+
+        {report && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-700">
+              {report.validRows} of {report.totalRows} rows ready to import
+              {Object.keys(report.columns).length > 0 && (
+                <span className="text-gray-500">
+                  {' '}• Columns: {Object.entries(report.columns).map(([field, header]) => `${header} → ${FIELD_LABELS[field]}`).join(', ')}
+                </span>
+              )}
+              {report.unmappedHeaders.length > 0 && (
+                <span className="text-gray-500"> • Ignored: {report.unmappedHeaders.join(', ')}</span>
+              )}
+            </div>
+
+            {problems.length > 0 && (
+              <div className="overflow-x-auto max-h-64 border border-red-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-red-50">
+                    <tr>
+                      {['Row', 'Field', 'Problem'].map(heading => (
+                        <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-red-700 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {problems.map((problem, index) => (
+                      <tr key={index}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{problem.row}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{FIELD_LABELS[problem.field] || problem.field}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900">{problem.text}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {report.warnings?.length > 0 && (
+              <ul className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-3 space-y-1 max-h-40 overflow-y-auto">
+                {report.warnings.map((warning, index) => (
+                  <li key={index}>Row {warning.row}: {warning.message}</li>
+                ))}
+              </ul>
+            )}
+
+            {report.preview.length > 0 && (
+              <div className="overflow-x-auto max-h-80">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Row', 'Name', 'IMEI', 'Barcode', 'Price', 'Cost', 'Qty'].map(heading => (
+                        <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {report.preview.map(product => (
+                      <tr key={product.row}>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{product.row}</td>
+                        <td className="px-4 py-2 text-sm text-gray-900">{product.name}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{product.imei || '-'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{product.barcode || 'Generated'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{product.price ?? '-'} {product.currency}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{product.cost_price ?? '-'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{product.stock_quantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {report.totalRows > report.preview.length && (
+                  <p className="text-xs text-gray-500 mt-2">Showing the first {report.preview.length} of {report.totalRows} rows</p>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-3 mt-6">
+          <button type="button" onClick={onClose} className="btn-secondary">
+            Cancel
+          </button>
+          <button type="button" onClick={checkFile} disabled={working || !file} className="btn-secondary">
+            {working && !report ? 'Checking...' : 'Check File'}
+          </button>
+          <button type="button" onClick={importFile} disabled={working || !canImport} className="btn-primary">
+            <Upload className="h-4 w-4 mr-2" />
+            {canImport ? `Import ${report.totalRows} products` : 'Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProductImportModal;
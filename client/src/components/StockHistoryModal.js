@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+
+const TYPE_STYLES = {
+  sale: 'bg-blue-100 text-blue-800',
+  return: 'bg-green-100 text-green-800',
+  receipt: 'bg-indigo-100 text-indigo-800',
+  adjustment: 'bg-yellow-100 text-yellow-800',
+  transfer: 'bg-purple-100 text-purple-800',
+  stocktake: 'bg-gray-100 text-gray-800'
+};
+
+// Every change to a product's stock, newest first, from /api/products/:id/movements
+const StockHistoryModal = ({ product, onClose }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  useEffect(() => {
+    const fetchMovements = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/api/products/${product.id}/movements?page=${page}&limit=20`);
+        setMovements(response.data.movements);
+        setTotalPages(response.data.pagination.totalPages);
+      } catch (error) {
+        console.error('Error fetching stock movements:', error);
+        toast.error('Failed to fetch stock history');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchMovements();
+  }, [product.id, page]);
+
+  const describeSource = (movement) => [
+    movement.order_id ? `Order #${movement.order_id}` : null,
+    movement.return_id ? `Return #${movement.return_id}` : null,
+    movement.purchase_order_id ? `PO-${movement.purchase_order_id}` : null,
+    movement.stocktake_id ? `Stocktake #${movement.stocktake_id}` : null,
+    movement.transfer_id ? `Transfer #${movement.transfer_id}` : null,
+    movement.notes
+  ].filter(Boolean).filter((text, index, all) => all.indexOf(text) === index).join(' • ');
+
+  return (
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+      <div className="relative top-10 mx-auto p-6 border w-full max-w-3xl shadow-lg rounded-md bg-white mb-14">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Stock History</h3>
+            <p className="text-sm text-gray-500">{product.name} • {product.stock_quantity} in stock</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                {['Date', 'Type', 'Change', 'Balance', 'Location', 'Source', 'By'].map(heading => (
+                  <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {movements.map(movement => (
+                <tr key={movement.id}>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                    {new Date(movement.created_at).toLocaleString('en-GB')}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap">
+                    <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${TYPE_STYLES[movement.movement_type]}`}>
+                      {movement.movement_type}
+                    </span>
+                  </td>
+                  <td className={`px-4 py-2 whitespace-nowrap text-sm font-medium ${movement.quantity > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                    {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                  </td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-900">{movement.balance_after}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{movement.location_name || (movement.movement_type === 'transfer' ? 'In transit' : '-')}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{describeSource(movement) || '-'}</td>
+                  <td className="px-4 py-2 whitespace-nowrap text-sm text-gray-500">{movement.created_by_name || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {movements.length === 0 && !loading && (
+            <p className="text-center text-sm text-gray-500 py-6">No stock changes recorded</p>
+          )}
+        </div>
+
+        {totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4">
+            <button onClick={() => setPage(page - 1)} disabled={page === 1} className="btn-secondary disabled:opacity-50">
+              Newer
+            </button>
+            <span className="text-sm text-gray-500">Page {page} of {totalPages}</span>
+            <button onClick={() => setPage(page + 1)} disabled={page === totalPages} className="btn-secondary disabled:opacity-50">
+              Older
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockHistoryModal;
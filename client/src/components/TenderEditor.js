@@ -0,0 +1,155 @@
+import React from 'react';
+import { Plus, Trash2 } from 'lucide-react';
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank Transfer',
+  store_credit: 'Store Credit'
+};
+
+export const emptyTender = (currency = 'MKD') => ({ method: 'cash', currency, amount: '', reference: '' });
+
+// Mirrors the server allocation: tenders settle what is owed per currency, cash over the balance is change
+export const summarizeTenders = (due, tenders) => {
+  const tendered = { EUR: 0, MKD: 0 };
+  const cash = { EUR: 0, MKD: 0 };
+  tenders.forEach(t => {
+    const amount = parseFloat(t.amount) || 0;
+    tendered[t.currency] += amount;
+    if (t.method === 'cash') cash[t.currency] += amount;
+  });
+
+  const summary = {};
+  ['EUR', 'MKD'].forEach(currency => {
+    const owed = due[currency] || 0;
+    const over = Math.max(0, tendered[currency] - owed);
+    summary[currency] = {
+      due: owed,
+      tendered: tendered[currency],
+      remaining: Math.max(0, owed - tendered[currency]),
+      change: Math.min(over, cash[currency]),
+      // Non-cash tenders may not exceed the amount owed
+      invalid: over > cash[currency] + 0.001
+    };
+  });
+  summary.fullyPaid = summary.EUR.remaining === 0 && summary.MKD.remaining === 0;
+  summary.invalid = summary.EUR.invalid || summary.MKD.invalid;
+  return summary;
+};
+
+const TenderEditor = ({ due, tenders, onChange, allowStoreCredit = true }) => {
+  const summary = summarizeTenders(due, tenders);
+  const currencies = ['EUR', 'MKD'].filter(c => (due[c] || 0) > 0);
+
+  const updateTender = (index, field, value) => {
+    onChange(tenders.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const addTender = () => {
+    // Default new tenders to whichever currency still has a balance
+    const currency = currencies.find(c => summary[c].remaining > 0) || currencies[0] || 'MKD';
+    onChange([...tenders, { ...emptyTender(currency), amount: summary[currency]?.remaining || '' }]);
+  };
+
+  const removeTender = (index) => {
+    onChange(tenders.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-2">
+        {tenders.map((tender, index) => (
+          <div key={index} className="flex flex-wrap items-center gap-2 p-2 border rounded-md bg-gray-50">
+            <select
+              value={tender.method}
+              onChange={(e) => updateTender(index, 'method', e.target.value)}
+              className="input w-36"
+            >
+              {Object.entries(PAYMENT_METHOD_LABELS)
+                .filter(([value]) => allowStoreCredit || value !== 'store_credit')
+                .map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+            </select>
+            <select
+              value={tender.currency}
+              onChange={(e) => updateTender(index, 'currency', e.target.value)}
+              className="input w-24"
+            >
+              {currencies.map(c => (
+                <option key={c} value={c}>{c}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={tender.amount}
+              onChange={(e) => updateTender(index, 'amount', e.target.value)}
+              className="input w-28"
+              placeholder="Amount"
+            />
+            {tender.method !== 'cash' && (
+              <input
+                type="text"
+                value={tender.reference}
+                onChange={(e) => updateTender(index, 'reference', e.target.value)}
+                className="input flex-1 min-w-[8rem]"
+                placeholder="Reference (optional)"
+              />
+            )}
+            <button
+              onClick={() => removeTender(index)}
+              className="text-red-600 hover:text-red-900 p-1"
+              title="Remove tender"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        {tenders.length === 0 && (
+          <div className="p-3 text-center text-sm text-gray-500 border rounded-md">
+            No tenders added
+          </div>
+        )}
+      </div>
+
+      <button onClick={addTender} className="btn-secondary text-sm">
+        <Plus className="h-4 w-4 mr-1" />
+        Add Tender
+      </button>
+
+      <div className="p-3 bg-gray-50 rounded border space-y-2">
+        {currencies.map(currency => (
+          <div key={currency} className="text-sm">
+            <div className={`font-medium ${currency === 'EUR' ? 'text-green-700' : 'text-blue-700'}`}>
+              {currency}: {summary[currency].due.toFixed(0)} due
+            </div>
+            <div className="flex justify-between text-gray-600">
+              <span>Tendered</span>
+              <span>{summary[currency].tendered.toFixed(2)} {currency}</span>
+            </div>
+            <div className="flex justify-between text-gray-600">
+              <span>Remaining</span>
+              <span className={summary[currency].remaining > 0 ? 'text-red-700 font-medium' : ''}>
+                {summary[currency].remaining.toFixed(2)} {currency}
+              </span>
+            </div>
+            {summary[currency].change > 0 && (
+              <div className="flex justify-between font-medium text-gray-900">
+                <span>Change Due</span>
+                <span>{summary[currency].change.toFixed(2)} {currency}</span>
+              </div>
+            )}
+            {summary[currency].invalid && (
+              <div className="text-xs text-red-600">Only cash can exceed the amount owed</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default TenderEditor;
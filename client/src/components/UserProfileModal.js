@@ -11,9 +11,11 @@ import {
   Clock, 
   ChevronDown,
   ChevronUp,
-  FileText
+  FileText,
+  Truck
 } from 'lucide-react';
 import LoadingSpinner from './LoadingSpinner';
+import OrderStatusSelect from './OrderStatusSelect';
 import toast from 'react-hot-toast';
 
 const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
@@ -81,7 +83,8 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
     switch (status) {
       case 'completed': return 'badge bg-green-100 text-green-800';
       case 'pending': return 'badge bg-red-100 text-red-800';
-      case 'shipped': return 'badge bg-blue-100 text-blue-800';
+      case 'approved': return 'badge bg-blue-100 text-blue-800';
+      case 'shipped': return 'badge bg-yellow-100 text-yellow-800';
       default: return 'badge bg-gray-100 text-gray-800';
     }
   };
@@ -115,29 +118,15 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
 
   const updateOrderStatus = async (orderId, newStatus) => {
     try {
-      await axios.put(`/api/orders/${orderId}`, { status: newStatus });
+      await axios.put(`/api/orders/${orderId}/status`, { status: newStatus });
       
-      // Update the local state
-      setProfile(prev => ({
-        ...prev,
-        orders: prev.orders.map(order => 
-          order.id === orderId 
-            ? { ...order, status: newStatus }
-            : order
-        ),
-        financialSummary: {
-          ...prev.financialSummary,
-          // Update counts based on new status
-          pendingOrders: prev.orders.filter(o => o.id !== orderId && o.status === 'pending').length + (newStatus === 'pending' ? 1 : 0),
-          shippedOrders: prev.orders.filter(o => o.id !== orderId && o.status === 'shipped').length + (newStatus === 'shipped' ? 1 : 0),
-          completedOrders: prev.orders.filter(o => o.id !== orderId && o.status === 'completed').length + (newStatus === 'completed' ? 1 : 0),
-        }
-      }));
+      // Reload the profile: a transition can change debt, counts and the next allowed statuses
+      fetchUserProfile();
       
       toast.success('Order status updated successfully');
     } catch (error) {
       console.error('Error updating order status:', error);
-      toast.error('Failed to update order status');
+      toast.error(error.response?.data?.message || 'Failed to update order status');
     }
   };
 
@@ -519,6 +508,16 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
                           </span>
                         </div>
 
+                        <div className="flex items-center justify-between p-3 bg-blue-50 rounded-lg">
+                          <div className="flex items-center space-x-3">
+                            <Truck className="h-5 w-5 text-blue-600" />
+                            <span className="text-sm font-medium text-gray-900">Approved / Shipped</span>
+                          </div>
+                          <span className="text-lg font-semibold text-blue-600">
+                            {(profile.financialSummary.approvedOrders || 0) + (profile.financialSummary.shippedOrders || 0)}
+                          </span>
+                        </div>
+
                         <div className="flex items-center justify-between p-3 bg-green-50 rounded-lg">
                           <div className="flex items-center space-x-3">
                             <CheckCircle className="h-5 w-5 text-green-600" />
@@ -552,15 +551,13 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
                               <div className="flex items-center justify-between py-2 px-2">
                                 <div className="flex items-center space-x-3 sm:space-x-6">
                                   <div className="flex items-center space-x-2">
-                                    <select
-                                      value={order.status}
-                                      onChange={(e) => updateOrderStatus(order.id, e.target.value)}
+                                    <OrderStatusSelect
+                                      status={order.status}
+                                      allowedTransitions={order.allowed_transitions}
+                                      onChange={(newStatus) => updateOrderStatus(order.id, newStatus)}
                                       className={`${getStatusBadgeClass(order.status)} border-0 cursor-pointer focus:ring-2 focus:ring-primary-500 focus:outline-none`}
                                       onClick={(e) => e.stopPropagation()}
-                                    >
-                                      <option value="pending" className="bg-yellow-100 text-yellow-800">Pending</option>
-                                      <option value="completed" className="bg-green-100 text-green-800">Completed</option>
-                                    </select>
+                                    />
                                   </div>
                                   <div className="text-sm text-gray-500 whitespace-nowrap flex flex-col leading-tight">
                                     <span>{formatDate(order.created_at)}</span>
@@ -573,9 +570,9 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
                                   <div className="flex flex-col sm:flex-row items-end space-y-1 sm:space-y-0 sm:space-x-2">
                                     {(() => {
                                       const eurTotal = order.items?.reduce((sum, item) => 
-                                        item.category === 'smartphones' ? sum + (item.quantity * item.price) : sum, 0) || 0;
+                                        item.currency === 'EUR' ? sum + (item.quantity * item.price) : sum, 0) || 0;
                                       const mkdTotal = order.items?.reduce((sum, item) => 
-                                        item.category !== 'smartphones' ? sum + (item.quantity * item.price) : sum, 0) || 0;
+                                        item.currency === 'MKD' ? sum + (item.quantity * item.price) : sum, 0) || 0;
                                       
                                       return (
                                         <>
@@ -635,10 +632,10 @@ const UserProfileModal = ({ isOpen, onClose, userId, onDeleteUser }) => {
                                         </div>
                                         <div className="text-right flex-shrink-0">
                                           <span className="text-sm font-medium text-gray-900">
-                                            {Math.round(item.price)} {item.category === 'smartphones' ? 'EUR' : 'MKD'}
+                                            {Math.round(item.price)} {item.currency}
                                           </span>
                                           <p className="text-xs text-gray-500">
-                                            Total: {Math.round(item.price * item.quantity)} {item.category === 'smartphones' ? 'EUR' : 'MKD'}
+                                            Total: {Math.round(item.price * item.quantity)} {item.currency}
                                           </p>
                                         </div>
                                       </div>
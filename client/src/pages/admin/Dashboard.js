@@ -8,8 +8,10 @@ import {
   DollarSign, 
   TrendingUp,
   TrendingDown,
+  Wallet,
 } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import CashSessionPanel, { openSessionReport } from '../../components/CashSessionPanel';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({
@@ -21,12 +23,23 @@ const Dashboard = () => {
     recentOrders: [],
     lowStockProducts: []
   });
+  const [openSessions, setOpenSessions] = useState([]);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchDashboardData();
+    fetchOpenSessions();
   }, []);
 
+  const fetchOpenSessions = async () => {
+    try {
+      const response = await axios.get('/api/cash-sessions?status=open');
+      setOpenSessions(response.data.sessions || []);
+    } catch (error) {
+      console.error('Error fetching cash sessions:', error);
+    }
+  };
+
   const fetchDashboardData = async () => {
     try {
       const [ordersRes, modelsRes, usersRes, revenueRes] = await Promise.all([
@@ -162,6 +175,60 @@ const Dashboard = () => {
 
 
 
+      {/* Tills */}
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">My Till</h3>
+          </div>
+          <div className="card-body">
+            <CashSessionPanel onChange={fetchOpenSessions} />
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">
+            <h3 className="text-lg font-medium text-gray-900">Open Cash Sessions</h3>
+          </div>
+          <div className="card-body">
+            <div className="flow-root">
+              <ul className="-my-5 divide-y divide-gray-200">
+                {openSessions.map((session) => (
+                  <li key={session.id} className="py-4">
+                    <div className="flex items-center space-x-4">
+                      <div className="flex-shrink-0">
+                        <div className="h-8 w-8 rounded-full bg-green-100 flex items-center justify-center">
+                          <Wallet className="h-4 w-4 text-green-600" />
+                        </div>
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-sm font-medium text-gray-900 truncate">
+                          {session.opened_by_name}{session.register_name ? ` • ${session.register_name}` : ''}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          Since {new Date(session.opened_at).toLocaleString('en-GB')} • {session.order_count} orders
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => openSessionReport(session.id)}
+                        className="text-sm font-medium text-primary-600 hover:text-primary-500"
+                      >
+                        X-Report
+                      </button>
+                    </div>
+                  </li>
+                ))}
+                {openSessions.length === 0 && (
+                  <li className="py-4 text-center text-sm text-gray-500">
+                    No tills are open
+                  </li>
+                )}
+              </ul>
+            </div>
+          </div>
+        </div>
+      </div>
+
       {/* Recent Activity */}
       <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
         {/* Recent Orders */}
@@ -209,11 +276,11 @@ const Dashboard = () => {
           </div>
         </div>
 
-        {/* Low Stock Models */}
+        {/* Low Stock */}
         <div className="card">
           <div className="card-header">
             <div className="flex items-center justify-between">
-              <h3 className="text-lg font-medium text-gray-900">Low Stock Models</h3>
+              <h3 className="text-lg font-medium text-gray-900">Low Stock</h3>
               <Link
                 to="/admin/inventory"
                 className="text-sm font-medium text-primary-600 hover:text-primary-500"
@@ -225,8 +292,8 @@ const Dashboard = () => {
           <div className="card-body">
             <div className="flow-root">
               <ul className="-my-5 divide-y divide-gray-200">
-                {stats.lowStockModels.map((model) => (
-                  <li key={model.model} className="py-4">
+                {stats.lowStockModels.map((item) => (
+                  <li key={item.productId ? `product-${item.productId}` : `model-${item.name}`} className="py-4">
                     <div className="flex items-center space-x-4">
                       <div className="flex-shrink-0">
                         <div className="h-8 w-8 rounded-full bg-red-100 flex items-center justify-center">
@@ -235,21 +302,20 @@ const Dashboard = () => {
                       </div>
                       <div className="flex-1 min-w-0">
                         <p className="text-sm font-medium text-gray-900 truncate">
-                          {model.subcategory || 'N/A'} • {model.model}
+                          {item.subcategory || 'N/A'} • {item.name}
                         </p>
                         <p className="text-sm text-gray-500">
-                          {model.category} • {model.totalStock} total variations
+                          {item.category} • {item.onHand} in stock, min {item.minStock}
+                          {item.maxStock !== null && `, max ${item.maxStock}`}
                         </p>
                         <p className="text-xs text-gray-400 mt-1">
-                          {model.outOfStockCount} out of stock • {model.lowStockCount} low stock
+                          {item.soldUnits} sold in 30 days
+                          {item.incoming > 0 && ` • ${item.incoming} incoming`}
+                          {item.suggestedQuantity > 0 && ` • order ${item.suggestedQuantity}`}
                         </p>
                       </div>
                       <div className="flex-shrink-0">
-                        {model.hasOutOfStock && model.hasLowStock ? (
-                          <span className="badge bg-red-100 text-red-800">
-                            Out of Stock + Low Stock
-                          </span>
-                        ) : model.hasOutOfStock ? (
+                        {item.status === 'out_of_stock' ? (
                           <span className="badge bg-red-100 text-red-800">
                             Out of Stock
                           </span>
@@ -264,7 +330,7 @@ const Dashboard = () => {
                 ))}
                 {stats.lowStockModels.length === 0 && (
                   <li className="py-4 text-center text-sm text-gray-500">
-                    All models have sufficient stock
+                    Everything with a min stock level is above it
                   </li>
                 )}
               </ul>
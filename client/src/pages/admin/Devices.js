@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import { Search, Scan } from 'lucide-react';
+import LoadingSpinner from '../../components/LoadingSpinner';
+import BarcodeScannerModal from '../../components/BarcodeScannerModal';
+
+const EVENT_STYLES = {
+  stocked: 'bg-gray-100 text-gray-800',
+  purchase: 'bg-indigo-100 text-indigo-800',
+  sale: 'bg-blue-100 text-blue-800',
+  return: 'bg-green-100 text-green-800',
+  repair: 'bg-yellow-100 text-yellow-800'
+};
+
+const EVENT_LABELS = {
+  stocked: 'Added to stock',
+  purchase: 'Purchased',
+  sale: 'Sold',
+  return: 'Returned',
+  repair: 'Repair'
+};
+
+const formatAmount = (amount, currency) => (amount === null || amount === undefined
+  ? null
+  : `${parseFloat(amount).toFixed(2)}${currency ? ` ${currency}` : ''}`);
+
+// What happened, in one line, for the history list
+const describeEvent = (event) => {
+  switch (event.type) {
+    case 'stocked':
+      return `${event.productName} (#${event.productId})`;
+    case 'purchase':
+      return [`From ${event.supplierName} on PO-${event.purchaseOrderId}`, formatAmount(event.unitCost, event.currency)].filter(Boolean).join(' • ');
+    case 'sale':
+      return [
+        `Order #${event.orderId}${event.invoiceNumber ? ` (${event.invoiceNumber})` : ''}`,
+        event.customerName,
+        formatAmount(event.price, event.currency),
+        event.status === 'cancelled' ? 'cancelled' : null
+      ].filter(Boolean).join(' • ');
+    case 'return':
+      return [`Return #${event.returnId} of order #${event.orderId}`, event.creditNoteNumber, event.reason].filter(Boolean).join(' • ');
+    case 'repair':
+      return [
+        `Ticket #${event.serviceId}`,
+        event.customerName,
+        event.description,
+        event.status === 'in_service' ? 'in service' : 'completed'
+      ].filter(Boolean).join(' • ');
+    default:
+      return '';
+  }
+};
+
+// Look up a handset by IMEI: the products it has been stocked as and everything that happened to it
+const Devices = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [imeiInput, setImeiInput] = useState(searchParams.get('imei') || '');
+  const [device, setDevice] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
+  const imei = searchParams.get('imei') || '';
+
+  useEffect(() => {
+    if (!imei) {
+      setDevice(null);
+      return;
+    }
+    const fetchDevice = async () => {
+      try {
+        setLoading(true);
+        const response = await axios.get(`/api/devices/${encodeURIComponent(imei)}`);
+        setDevice(response.data);
+      } catch (error) {
+        console.error('Error fetching device:', error);
+        toast.error(error.response?.data?.message || 'Failed to look up device');
+        setDevice(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDevice();
+  }, [imei]);
+
+  const lookUp = (value) => {
+    const code = String(value).trim();
+    if (!code) return;
+    setImeiInput(code);
+    setSearchParams({ imei: code });
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Device Lookup</h1>
+        <p className="text-gray-600">
+          Find a handset by IMEI to see where it came from, who bought it and its repairs.
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <form
+            onSubmit={(e) => { e.preventDefault(); lookUp(imeiInput); }}
+            className="flex flex-col sm:flex-row gap-2"
+          >
+            <div className="relative flex-1">
+              <input
+                type="text"
+                value={imeiInput}
+                onChange={(e) => setImeiInput(e.target.value)}
+                className="input w-full pr-10"
+                placeholder="IMEI"
+                autoFocus
+              />
+              <button
+                type="button"
+                onClick={() => setShowScanner(true)}
+                className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 hover:text-gray-700"
+                title="Scan IMEI"
+              >
+                <Scan className="h-4 w-4" />
+              </button>
+            </div>
+            <button type="submit" className="btn-primary w-full sm:w-auto">
+              <Search className="h-4 w-4 mr-2" />
+              Look Up
+            </button>
+          </form>
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : device && (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="font-mono text-lg text-gray-900 mr-2">{device.imei}</span>
+            {device.checkDigitValid === false && (
+              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">Check digit wrong</span>
+            )}
+            {device.checkDigitValid === true && (
+              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">Valid IMEI</span>
+            )}
+            <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${device.inStock ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}`}>
+              {device.inStock ? 'In stock' : 'Not in stock'}
+            </span>
+            {device.inRepair && (
+              <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">In repair</span>
+            )}
+          </div>
+
+          {device.products.length === 0 && device.history.length === 0 ? (
+            <div className="card">
+              <div className="card-body text-center text-gray-500">
+                This IMEI has never been in stock or in for repair.
+              </div>
+            </div>
+          ) : (
+            <>
+              {device.products.length > 0 && (
+                <div className="card">
+                  <div className="card-body p-0">
+                    <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                          <tr>
+                            {['Product', 'IMEIs', 'Stock', 'Location', 'Price', 'Added'].map(heading => (
+                              <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                {heading}
+                              </th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                          {device.products.map(product => (
+                            <tr key={product.id}>
+                              <td className="px-6 py-4 text-sm text-gray-900">
+                                {product.name}
+                                <div className="text-xs text-gray-500">#{product.id}</div>
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-mono text-gray-500">
+                                {product.imei || '-'}
+                                {product.imei2 && <div>{product.imei2}</div>}
+                              </td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{product.stock_quantity > 0 ? 'In stock' : 'Sold / out'}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{product.location_name || '-'}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatAmount(product.price, product.currency)}</td>
+                              <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{new Date(product.created_at).toLocaleDateString('en-GB')}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              <div className="card">
+                <div className="card-body">
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">History</h3>
+                  <ul className="space-y-3">
+                    {device.history.map((event, index) => (
+                      <li key={index} className="flex flex-col sm:flex-row sm:items-center gap-1 sm:gap-3">
+                        <span className="text-sm text-gray-500 sm:w-40 shrink-0">{new Date(event.date).toLocaleString('en-GB')}</span>
+                        <span className={`inline-flex w-fit px-2 py-1 text-xs font-semibold rounded-full ${EVENT_STYLES[event.type]}`}>
+                          {EVENT_LABELS[event.type]}
+                        </span>
+                        <span className="text-sm text-gray-900">{describeEvent(event)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+
+      {showScanner && (
+        <BarcodeScannerModal
+          title="Scan IMEI"
+          onDetected={(code) => { lookUp(code); return true; }}
+          onClose={() => setShowScanner(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default Devices;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import axios from 'axios';
 import { 
   Plus, 
@@ -6,13 +7,17 @@ import {
   Trash2, 
   Scan,
   Download,
-  Calendar
+  Calendar,
+  History,
+  Upload
 } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import StockHistoryModal from '../../components/StockHistoryModal';
+import BarcodeScannerModal from '../../components/BarcodeScannerModal';
+import ProductImportModal from '../../components/ProductImportModal';
 import toast from 'react-hot-toast';
 import JsBarcode from 'jsbarcode';
 import { jsPDF } from 'jspdf';
-import Quagga from 'quagga';
 
 const Inventory = () => {
   const [products, setProducts] = useState([]);
@@ -28,6 +33,9 @@ const Inventory = () => {
   const [conditionSearch, setConditionSearch] = useState('');
   const [stockSearch, setStockSearch] = useState('');
   const [createdDateSearch, setCreatedDateSearch] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [stockLocationId, setStockLocationId] = useState('');
   const [activeTab, setActiveTab] = useState('smartphones');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
@@ -37,11 +45,11 @@ const Inventory = () => {
   const [dateTo, setDateTo] = useState('');
   const [showModal, setShowModal] = useState(false);
   const [editingProduct, setEditingProduct] = useState(null);
+  const [historyProduct, setHistoryProduct] = useState(null);
+  const [showImportModal, setShowImportModal] = useState(false);
   const [lockFields, setLockFields] = useState(false);
   const [autoCreate, setAutoCreate] = useState(false);
   const [showScannerModal, setShowScannerModal] = useState(false);
-  const scannerRef = useRef(null);
-  const scanHandledRef = useRef(false);
   const modelDropdownRef = useRef(null);
   const [modelDropdownOpen, setModelDropdownOpen] = useState(false);
   const [modelSearch, setModelSearch] = useState('');
@@ -90,20 +98,37 @@ const Inventory = () => {
   const [formData, setFormData] = useState({
     name: '',
     imei: '',
+    imei2: '',
     description: '',
     price: '',
+    cost_price: '',
     stock_status: 'enabled',
     stock_quantity: '',
     barcode: '', // Will be set in useEffect
     category: 'smartphones',
+    currency: 'EUR',
     subcategory: '',
     color: '',
-    storage_gb: ''
+    storage_gb: '',
+    min_stock: '',
+    max_stock: ''
   });
 
   useEffect(() => {
     fetchProducts();
-  }, [currentPage, searchTerm, barcodeSearch, descriptionSearch, imeiSearch, activeTab, subcategoryFilter, colorSearch, storageSearch, priceSearch, stockSearch, conditionSearch, createdDateSearch, dateFrom, dateTo]);
+  }, [currentPage, searchTerm, barcodeSearch, descriptionSearch, imeiSearch, activeTab, subcategoryFilter, colorSearch, storageSearch, priceSearch, stockSearch, conditionSearch, createdDateSearch, dateFrom, dateTo, locationFilter]);
+
+  useEffect(() => {
+    const fetchLocations = async () => {
+      try {
+        const res = await axios.get('/api/locations');
+        setLocations(res.data.locations || []);
+      } catch (e) {
+        // ignore; stock is shown without a location breakdown
+      }
+    };
+    fetchLocations();
+  }, []);
 
   // Fetch subcategories from settings
   useEffect(() => {
@@ -130,9 +155,6 @@ const Inventory = () => {
         if (showModal) {
           setShowModal(false);
         }
-        if (showScannerModal) {
-          setShowScannerModal(false);
-        }
       }
     };
 
@@ -140,7 +162,7 @@ const Inventory = () => {
     return () => {
       document.removeEventListener('keydown', handleEscKey);
     };
-  }, [showModal, showScannerModal]);
+  }, [showModal]);
 
   // Set initial barcode when component mounts
   useEffect(() => {
@@ -150,13 +172,13 @@ const Inventory = () => {
     }));
   }, []); // Empty dependency array to run only once
 
-  // Enforce stock quantity = 1 for smartphones in UI
+  // Enforce stock quantity = 1 for new smartphones in UI; an edited phone shows the stock it has
   useEffect(() => {
     setFormData(prev => ({
       ...prev,
-      stock_quantity: prev.category === 'smartphones' ? '1' : prev.stock_quantity
+      stock_quantity: prev.category === 'smartphones' && !editingProduct ? '1' : prev.stock_quantity
     }));
-  }, [/* category watcher */ formData.category]);
+  }, [/* category watcher */ formData.category, editingProduct]);
 
   // When model changes, reset storage and color only for new items (keep values when editing)
   useEffect(() => {
@@ -233,6 +255,10 @@ const Inventory = () => {
         params.append('stockQuantity', stockSearch);
       }
 
+      if (locationFilter) {
+        params.append('location', locationFilter);
+      }
+
       // Client-side condition filtering after fetch (model metadata not in products API)
 
       const response = await axios.get(`/api/products?${params}`);
@@ -292,6 +318,11 @@ const Inventory = () => {
     }
   };
 
+  // An IMEI sold before or in an open repair ticket is saved anyway, but staff should know
+  const showImeiWarnings = (warnings = []) => {
+    warnings.forEach(warning => toast(warning.message, { icon: '⚠️', duration: 6000 }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -312,22 +343,30 @@ const Inventory = () => {
       ...formData,
       name: computedName,
       price: parseInt(formData.price) || 0,
+      cost_price: formData.cost_price === '' ? '' : parseFloat(formData.cost_price),
       stock_quantity: formData.category === 'smartphones' ? 1 : (parseInt(formData.stock_quantity) || 0),
-      subcategory: formData.subcategory || '' // Keep empty string, don't convert to null
+      subcategory: formData.subcategory || '', // Keep empty string, don't convert to null
+      ...(stockLocationId && { location_id: parseInt(stockLocationId) })
     };
+    // A phone's stock moves with sales, returns and stocktakes, so editing one leaves it as it is
+    if (editingProduct && formData.category === 'smartphones') {
+      delete submitData.stock_quantity;
+    }
 
     console.log('Submitting data:', submitData);
 
     try {
       if (editingProduct) {
-        await axios.put(`/api/products/${editingProduct.id}`, submitData);
+        const response = await axios.put(`/api/products/${editingProduct.id}`, submitData);
         toast.success('Product updated successfully');
+        showImeiWarnings(response.data.warnings);
         setShowModal(false);
         setEditingProduct(null);
         resetForm();
       } else {
-        await axios.post('/api/products', submitData);
+        const response = await axios.post('/api/products', submitData);
         toast.success('Product created successfully');
+        showImeiWarnings(response.data.warnings);
         // Track created IMEIs when locking fields for smartphones
         if (lockFields && formData.category === 'smartphones' && (formData.imei || '').trim()) {
           setCreatedImeis(prev => [String(formData.imei).trim(), ...prev]);
@@ -338,7 +377,8 @@ const Inventory = () => {
           setFormData(prev => ({
             ...prev,
             barcode: generateUniqueBarcode(),
-            imei: ''
+            imei: '',
+            imei2: ''
           }));
         } else {
           setShowModal(false);
@@ -367,16 +407,21 @@ const Inventory = () => {
     setFormData({
       name: product.name,
       imei: product.imei || '',
+      imei2: product.imei2 || '',
       description: product.description || '',
       price: product.price,
+      cost_price: product.cost_price ?? '',
       stock_status: product.stock_status,
       stock_quantity: product.stock_quantity,
       barcode: product.barcode || generateUniqueBarcode(), // Preserve existing barcode or generate new one if missing
       category: product.category || 'smartphones',
+      currency: product.currency || 'EUR',
       model: product.model || '',
       subcategory: product.subcategory || '',
       color: product.color || '',
-      storage_gb: product.storage_gb || ''
+      storage_gb: product.storage_gb || '',
+      min_stock: product.min_stock ?? '',
+      max_stock: product.max_stock ?? ''
     });
     setShowModal(true);
   };
@@ -400,16 +445,21 @@ const Inventory = () => {
     setFormData({
       name: '',
       imei: '',
+      imei2: '',
       description: '',
       price: '',
+      cost_price: '',
       stock_status: 'enabled',
       stock_quantity: '1',
       barcode: generateUniqueBarcode(), // Generate new barcode instead of empty string
       category: 'smartphones',
+      currency: 'EUR',
       model: '',
       subcategory: '',
       color: '',
-      storage_gb: ''
+      storage_gb: '',
+      min_stock: '',
+      max_stock: ''
     });
     setEditingProduct(null);
     setEditingImei(null);
@@ -535,33 +585,14 @@ const Inventory = () => {
     setShowScannerModal(false);
   };
 
-  const stopQuagga = () => {
-    try {
-      Quagga.offDetected(handleDetected);
-    } catch (e) { }
-    try {
-      if (Quagga.stop) Quagga.stop();
-    } catch (e) { }
-  };
-
-  const handleDetected = async (result) => {
-    if (!result || !result.codeResult || !result.codeResult.code) return;
-    if (scanHandledRef.current) return;
-    scanHandledRef.current = true;
-
-    const code = (result.codeResult.code || '').trim();
-    if (!code) {
-      scanHandledRef.current = false;
-      return;
-    }
-
+  // Open the scanned product; returning true closes the scanner
+  const handleDetected = async (code) => {
     try {
       const response = await axios.get(`/api/products/barcode/${encodeURIComponent(code)}`);
       const product = response.data;
       toast.success('Barcode found');
-      stopQuagga();
-      setShowScannerModal(false);
       handleEdit(product);
+      return true;
     } catch (error) {
       if (error.response && error.response.status === 404) {
         toast.error('Barcode does not exist');
@@ -569,10 +600,7 @@ const Inventory = () => {
         toast.error('Failed searching barcode');
         console.error('Barcode search failed:', error);
       }
-      // Allow scanning again after a brief delay
-      setTimeout(() => {
-        scanHandledRef.current = false;
-      }, 800);
+      return false;
     }
   };
 
@@ -651,50 +679,6 @@ const Inventory = () => {
     }
   };
 
-  useEffect(() => {
-    if (!showScannerModal) {
-      stopQuagga();
-      return;
-    }
-
-    scanHandledRef.current = false;
-    const target = scannerRef.current;
-    if (!target) return;
-
-    Quagga.init({
-      inputStream: {
-        name: 'Live',
-        type: 'LiveStream',
-        target,
-        constraints: {
-          facingMode: 'environment'
-        }
-      },
-      decoder: {
-        readers: [
-          'code_128_reader',
-          'ean_reader',
-          'ean_8_reader',
-          'code_39_reader'
-        ]
-      },
-      locate: true
-    }, (err) => {
-      if (err) {
-        console.error('Quagga init error:', err);
-        toast.error('Failed to start camera');
-        setShowScannerModal(false);
-        return;
-      }
-      Quagga.start();
-      Quagga.onDetected(handleDetected);
-    });
-
-    return () => {
-      stopQuagga();
-    };
-  }, [showScannerModal]);
-
   const handleTabChange = (tab) => {
     setActiveTab(tab);
     setCurrentPage(1); // Reset to first page when changing tabs
@@ -818,7 +802,7 @@ const Inventory = () => {
         const colorText = p.color || '-';
         const storageText = p.storage_gb ? String(p.storage_gb) : '-';
         const n = parseFloat(p.price);
-        const currency = p.category === 'smartphones' ? 'EUR' : 'MKD';
+        const currency = p.currency;
         const priceText = Number.isFinite(n) ? `${n.toFixed(0)} ${currency}` : '-';
         const stockText = (p.stock_quantity ?? '').toString();
 
@@ -1006,6 +990,14 @@ const Inventory = () => {
             Add Inventory
           </button>
 
+          <button
+            onClick={() => setShowImportModal(true)}
+            className="btn-secondary flex-1 sm:flex-none text-sm py-2"
+          >
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </button>
+
         </div>
       </div>
 
@@ -1220,6 +1212,19 @@ const Inventory = () => {
                       onChange={(e) => setStockSearch(e.target.value)}
                       className="w-20 px-2 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
                     />
+                    {locations.length > 1 && (
+                      <select
+                        value={locationFilter}
+                        onChange={(e) => setLocationFilter(e.target.value)}
+                        className="mt-1 w-24 px-1 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                        title="Only products in stock at this location"
+                      >
+                        <option value="">All</option>
+                        {locations.map(location => (
+                          <option key={location.id} value={location.id}>{location.name}</option>
+                        ))}
+                      </select>
+                    )}
                   </td>
                   {activeTab === 'smartphones' && (
                     <td className="px-3 py-3">
@@ -1242,6 +1247,7 @@ const Inventory = () => {
                         setStorageSearch('');
                         setPriceSearch('');
                         setStockSearch('');
+                        setLocationFilter('');
                         setConditionSearch('');
                         setCreatedDateSearch('');
                       }}
@@ -1287,7 +1293,12 @@ const Inventory = () => {
                       </td>
                     )}
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                      {product.imei || '-'}
+                      {product.imei ? (
+                        <Link to={`/admin/devices?imei=${encodeURIComponent(product.imei)}`} className="text-primary-600 hover:text-primary-900" title="Device history">
+                          {product.imei}
+                        </Link>
+                      ) : '-'}
+                      {product.imei2 && <div className="text-xs text-gray-500">{product.imei2}</div>}
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex flex-wrap gap-1">
@@ -1305,11 +1316,14 @@ const Inventory = () => {
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       <div className="text-sm font-medium text-gray-900">
-                        {parseInt(product.price)} {product.category === 'smartphones' ? 'EUR' : 'MKD'}
+                        {parseInt(product.price)} {product.currency}
                       </div>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                       {product.stock_quantity}
+                      {locations.length > 1 && (product.locations || []).map(l => (
+                        <div key={l.location_id} className="text-xs text-gray-500">{l.name}: {l.quantity}</div>
+                      ))}
                     </td>
                     {activeTab === 'smartphones' && (
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -1330,6 +1344,13 @@ const Inventory = () => {
                         >
                           PDF
                         </button>
+                        <button
+                          onClick={() => setHistoryProduct(product)}
+                          className="btn-secondary p-2 text-xs"
+                          title="Stock history"
+                        >
+                          <History className="h-4 w-4" />
+                        </button>
                         <button
                           onClick={() => handleEdit(product)}
                           className="btn-secondary p-2 text-xs"
@@ -1401,6 +1422,18 @@ const Inventory = () => {
       )}
 
       {/* Modal */}
+      {historyProduct && (
+        <StockHistoryModal product={historyProduct} onClose={() => setHistoryProduct(null)} />
+      )}
+
+      {showImportModal && (
+        <ProductImportModal
+          locations={locations}
+          onClose={() => setShowImportModal(false)}
+          onImported={() => { setShowImportModal(false); fetchProducts(); }}
+        />
+      )}
+
       {showModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
           <div className="relative top-4 mx-auto p-6 border w-full max-w-4xl shadow-lg rounded-md bg-white mb-14 md:my-10">
@@ -1488,7 +1521,12 @@ const Inventory = () => {
                       </label>
                       <select
                         value={formData.category}
-                        onChange={(e) => setFormData({ ...formData, category: e.target.value, subcategory: '' })}
+                        onChange={(e) => setFormData({
+                          ...formData,
+                          category: e.target.value,
+                          subcategory: '',
+                          currency: e.target.value === 'smartphones' ? 'EUR' : 'MKD'
+                        })}
                         className="input"
                         required
                       >
@@ -1657,7 +1695,7 @@ const Inventory = () => {
 
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Price {formData.category === 'smartphones' ? '(EUR)' : '(MKD)'}
+                        Price ({formData.currency})
                       </label>
                       <input
                         type="number"
@@ -1674,6 +1712,39 @@ const Inventory = () => {
                       )}
                     </div>
 
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Cost Price ({formData.currency})
+                      </label>
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={formData.cost_price}
+                        onChange={(e) => setFormData({ ...formData, cost_price: e.target.value })}
+                        className="input"
+                        placeholder="Purchase cost per unit"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">
+                        Currency
+                      </label>
+                      <select
+                        value={formData.currency}
+                        onChange={(e) => setFormData({ ...formData, currency: e.target.value })}
+                        className="input"
+                        required
+                      >
+                        <option value="EUR">EUR</option>
+                        <option value="MKD">MKD</option>
+                      </select>
+                      {editingProduct && editingProduct.currency !== formData.currency && (
+                        <p className="text-xs text-gray-500 mt-1">Existing orders keep the currency they were sold in.</p>
+                      )}
+                    </div>
+
                     <div>
                       <label className="block text-sm font-medium text-gray-700 mb-1">
                         Stock Quantity
@@ -1681,17 +1752,67 @@ const Inventory = () => {
                       <input
                         type="number"
                         required
-                        value={formData.category === 'smartphones' ? '1' : formData.stock_quantity}
+                        value={formData.category === 'smartphones' && !editingProduct ? '1' : formData.stock_quantity}
                         onChange={(e) => setFormData({ ...formData, stock_quantity: e.target.value })}
                         className="input"
                         placeholder="0"
                         disabled={formData.category === 'smartphones'}
                       />
                       {formData.category === 'smartphones' && (
-                        <p className="text-xs text-gray-500 mt-1">Stock for smartphones is fixed to 1.</p>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {editingProduct ? 'A phone\'s stock changes with sales, returns and stocktakes.' : 'Stock for smartphones is fixed to 1.'}
+                        </p>
                       )}
                     </div>
 
+                    {formData.category === 'accessories' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Min / Max Stock
+                        </label>
+                        <div className="flex gap-2">
+                          <input
+                            type="number"
+                            min="0"
+                            value={formData.min_stock}
+                            onChange={(e) => setFormData({ ...formData, min_stock: e.target.value })}
+                            className="input"
+                            placeholder="Min"
+                          />
+                          <input
+                            type="number"
+                            min="0"
+                            value={formData.max_stock}
+                            onChange={(e) => setFormData({ ...formData, max_stock: e.target.value })}
+                            className="input"
+                            placeholder="Max"
+                          />
+                        </div>
+                        <p className="text-xs text-gray-500 mt-1">Flagged on the dashboard at or below min; reorder up to max.</p>
+                      </div>
+                    )}
+
+                    {locations.length > 1 && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          Stock Location
+                        </label>
+                        <select
+                          value={stockLocationId}
+                          onChange={(e) => setStockLocationId(e.target.value)}
+                          className="input"
+                        >
+                          <option value="">Default location</option>
+                          {locations.map(location => (
+                            <option key={location.id} value={location.id}>{location.name}</option>
+                          ))}
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">
+                          {editingProduct ? 'Where a stock correction is counted. Use Transfers to move stock.' : 'Where the new stock is held.'}
+                        </p>
+                      </div>
+                    )}
+
                     
 
                     <div>
@@ -1706,6 +1827,21 @@ const Inventory = () => {
                         placeholder="Product IMEI (optional)"
                       />
                     </div>
+
+                    {formData.category === 'smartphones' && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                          IMEI 2
+                        </label>
+                        <input
+                          type="text"
+                          value={formData.imei2}
+                          onChange={(e) => setFormData({ ...formData, imei2: e.target.value })}
+                          className="input"
+                          placeholder="Second IMEI of a dual-SIM phone (optional)"
+                        />
+                      </div>
+                    )}
                   </div>
 
                 </div>
@@ -1815,18 +1951,7 @@ const Inventory = () => {
 
       {/* Camera Modal */}
       {showScannerModal && (
-        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
-          <div className="relative top-10 mx-auto p-4 border w-full max-w-2xl shadow-lg rounded-md bg-white mb-14">
-            <div className="flex items-center justify-between mb-2">
-              <h3 className="text-lg font-medium text-gray-900">Scan Barcode</h3>
-              <button onClick={closeScanner} className="btn-secondary text-sm">Close</button>
-            </div>
-            <div className="aspect-video bg-black rounded overflow-hidden">
-              <div ref={scannerRef} className="w-full h-full" />
-            </div>
-            <p className="mt-2 text-xs text-gray-500">Point your camera at the barcode. Supported: Code 128, EAN, EAN-8, Code 39.</p>
-          </div>
-        </div>
+        <BarcodeScannerModal onDetected={handleDetected} onClose={closeScanner} />
       )}
 
       {/* Barcode Scanner Modal */}
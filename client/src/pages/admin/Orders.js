@@ -13,25 +13,48 @@ import {
   Download,
   Calendar,
   Share2,
-  Edit
+  Edit,
+  CreditCard,
+  RotateCcw,
+  XCircle,
+  ThumbsUp,
+  Truck,
+  Pause,
+  Printer
 } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import TenderEditor, { summarizeTenders, PAYMENT_METHOD_LABELS } from '../../components/TenderEditor';
+import OrderStatusSelect, { ORDER_STATUS_LABELS } from '../../components/OrderStatusSelect';
+import OrderTimeline from '../../components/OrderTimeline';
+import HeldCarts from '../../components/HeldCarts';
+import ExportButtons from '../../components/ExportButtons';
+import DiscountFields, { LineDiscountInput, applyCartDiscounts, hasDiscounts } from '../../components/DiscountFields';
 import toast from 'react-hot-toast';
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const [showHeldCarts, setShowHeldCarts] = useState(false);
   const [clients, setClients] = useState([]);
   const [products, setProducts] = useState([]);
   const [selectedClient, setSelectedClient] = useState('');
   const [guestInfo, setGuestInfo] = useState({ name: '', email: '', phone: '' });
   const [orderType, setOrderType] = useState('client'); // 'client' or 'guest'
+  const [fulfillment, setFulfillment] = useState('pickup'); // 'pickup' or 'delivery'
+  const [locations, setLocations] = useState([]);
+  // The till's location is remembered per browser, so each shop's device sells from its own stock
+  const [saleLocationId, setSaleLocationId] = useState(() => localStorage.getItem('saleLocationId') || '');
+  const [invoiceCurrency, setInvoiceCurrency] = useState(''); // '' keeps each line in its own currency
   const [selectedItems, setSelectedItems] = useState([]);
-  const [orderStatus, setOrderStatus] = useState('pending'); // 'completed' or 'pending'
+  const [checkoutStep, setCheckoutStep] = useState('cart'); // 'cart' or 'checkout'
+  const [tenders, setTenders] = useState([]);
+  const [orderDiscount, setOrderDiscount] = useState({ type: 'percent', value: '', currency: 'EUR' });
+  const [discountReason, setDiscountReason] = useState('');
   const [productSearch, setProductSearch] = useState('');
   const [clientSearch, setClientSearch] = useState('');
   const [showScannerModal, setShowScannerModal] = useState(false);
@@ -42,11 +65,24 @@ const Orders = () => {
   const [editingOrder, setEditingOrder] = useState(null);
   const [editSelectedItems, setEditSelectedItems] = useState([]);
   const [editOrderStatus, setEditOrderStatus] = useState('pending');
+  const [editReason, setEditReason] = useState('');
+  const [editHistory, setEditHistory] = useState([]);
+  const [editMargin, setEditMargin] = useState([]);
+  const [paymentOrder, setPaymentOrder] = useState(null);
+  const [paymentSummary, setPaymentSummary] = useState(null);
+  const [paymentTenders, setPaymentTenders] = useState([]);
+  const [returnOrder, setReturnOrder] = useState(null);
+  const [returnQuantities, setReturnQuantities] = useState({});
+  const [returnImei, setReturnImei] = useState('');
+  const [returnReason, setReturnReason] = useState('');
+  const [exchangeItems, setExchangeItems] = useState([]);
+  const [refundMethods, setRefundMethods] = useState({ EUR: 'cash', MKD: 'cash' });
+  const [returnTenders, setReturnTenders] = useState([]);
 
   useEffect(() => {
     setCurrentPage(1); // Reset to first page when searching
     fetchOrders();
-  }, [searchTerm]);
+  }, [searchTerm, statusFilter]);
 
   useEffect(() => {
     fetchOrders();
@@ -64,13 +100,19 @@ const Orders = () => {
       if (event.key === 'Escape' && showScannerModal) {
         closeScanner();
       }
+      if (event.key === 'Escape' && paymentOrder) {
+        closePaymentModal();
+      }
+      if (event.key === 'Escape' && returnOrder) {
+        closeReturnModal();
+      }
     };
 
     document.addEventListener('keydown', handleEscKey);
     return () => {
       document.removeEventListener('keydown', handleEscKey);
     };
-  }, [showCreateModal, showEditModal, showScannerModal]);
+  }, [showCreateModal, showEditModal, showScannerModal, paymentOrder, returnOrder]);
 
   // Barcode scanner effect
   useEffect(() => {
@@ -208,6 +250,24 @@ const Orders = () => {
     }
   };
 
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/api/locations');
+      setLocations(response.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
+  const changeSaleLocation = (locationId) => {
+    setSaleLocationId(locationId);
+    if (locationId) {
+      localStorage.setItem('saleLocationId', locationId);
+    } else {
+      localStorage.removeItem('saleLocationId');
+    }
+  };
+
   const fetchProducts = async (search = '') => {
     try {
       const params = new URLSearchParams({ 
@@ -228,12 +288,17 @@ const Orders = () => {
   const openCreateModal = () => {
     setShowCreateModal(true);
     fetchClients();
+    fetchLocations();
     setProductSearch('');
     setClientSearch('');
     setSelectedClient('');
     setSelectedItems([]);
-    setOrderStatus('pending');
+    setCheckoutStep('cart');
+    setTenders([]);
     setGuestInfo({ name: '', email: '', phone: '' });
+    setFulfillment('pickup');
+    setOrderDiscount({ type: 'percent', value: '', currency: 'EUR' });
+    setDiscountReason('');
     fetchProducts('');
   };
 
@@ -243,8 +308,12 @@ const Orders = () => {
     setClientSearch('');
     setSelectedClient('');
     setSelectedItems([]);
-    setOrderStatus('pending');
+    setCheckoutStep('cart');
+    setTenders([]);
     setGuestInfo({ name: '', email: '', phone: '' });
+    setFulfillment('pickup');
+    setOrderDiscount({ type: 'percent', value: '', currency: 'EUR' });
+    setDiscountReason('');
     if (showScannerModal) {
       closeScanner();
     }
@@ -267,6 +336,15 @@ const Orders = () => {
     return () => clearTimeout(handle);
   }, [productSearch, showEditModal]);
 
+  // Search effect for exchange products in the return modal
+  useEffect(() => {
+    if (!returnOrder) return;
+    const handle = setTimeout(() => {
+      fetchProducts(productSearch);
+    }, 300);
+    return () => clearTimeout(handle);
+  }, [productSearch, returnOrder]);
+
   const addItemToOrder = (product) => {
     const existingItem = selectedItems.find(item => item.productId === product.id);
     
@@ -294,7 +372,8 @@ const Orders = () => {
         quantity: 1,
         price: product.price,
         name: product.name,
-        category: product.category
+        category: product.category,
+        currency: product.currency
       }]);
     }
   };
@@ -326,7 +405,8 @@ const Orders = () => {
         quantity: 1,
         price: product.price,
         name: product.name,
-        category: product.category
+        category: product.category,
+        currency: product.currency
       }]);
     }
   };
@@ -354,40 +434,143 @@ const Orders = () => {
     }
   };
 
+  const updateItemDiscount = (productId, discount) => {
+    setSelectedItems(selectedItems.map(item =>
+      item.productId === productId
+        ? { ...item, ...discount }
+        : item
+    ));
+  };
+
+  // Amount due per currency after line and order discounts
+  const getCartDue = (items) => {
+    const { totals } = applyCartDiscounts(items, orderDiscount);
+    return { EUR: totals.EUR.net, MKD: totals.MKD.net };
+  };
+
+  // Discounts over the configured limit come back with approvalRequired: ask for the manager PIN and retry
+  const sendWithApproval = async (method, url, data) => {
+    try {
+      return await axios[method](url, data);
+    } catch (error) {
+      if (!error.response?.data?.approvalRequired) throw error;
+      const managerPin = window.prompt(`${error.response.data.message}. Enter the manager PIN to approve:`);
+      if (!managerPin) throw error;
+      return axios[method](url, { ...data, managerPin });
+    }
+  };
+
+  const toPaymentPayload = (list) => list
+    .filter(t => parseFloat(t.amount) > 0)
+    .map(t => ({
+      method: t.method,
+      currency: t.currency,
+      amount: parseFloat(t.amount),
+      ...(t.reference ? { reference: t.reference } : {})
+    }));
+
+  const goToCheckout = () => {
+    if (selectedItems.length === 0) {
+      toast.error('Please add at least one item to the order');
+      return;
+    }
+    if (orderType === 'client' && !selectedClient) {
+      toast.error('Please select a client');
+      return;
+    }
+    if (orderType === 'guest' && !guestInfo.name) {
+      toast.error('Please enter guest name');
+      return;
+    }
+    setTenders([]);
+    setCheckoutStep('checkout');
+  };
+
+  const toItemPayload = (list) => list.map(item => ({
+    productId: item.productId,
+    quantity: item.quantity,
+    ...(item.discountType && parseFloat(item.discountValue) > 0
+      ? { discountType: item.discountType, discountValue: parseFloat(item.discountValue) }
+      : {})
+  }));
+
+  // Items, discounts and customer shared by a sale and a quote; null (after a toast) when incomplete
+  const buildCartPayload = () => {
+    if (selectedItems.length === 0) {
+      toast.error('Please add at least one item to the order');
+      return null;
+    }
+    const discounted = hasDiscounts(selectedItems, orderDiscount);
+    if (discounted && !discountReason) {
+      toast.error('Please select a discount reason');
+      return null;
+    }
+
+    const orderData = {
+      items: toItemPayload(selectedItems),
+      ...(invoiceCurrency ? { invoiceCurrency } : {})
+    };
+    if (discounted) {
+      if (parseFloat(orderDiscount.value) > 0) {
+        orderData.discount = {
+          type: orderDiscount.type,
+          value: parseFloat(orderDiscount.value),
+          ...(orderDiscount.type === 'fixed' ? { currency: orderDiscount.currency } : {})
+        };
+      }
+      orderData.discountReason = discountReason;
+    }
+
+    if (orderType === 'client') {
+      if (!selectedClient) {
+        toast.error('Please select a client');
+        return null;
+      }
+      orderData.clientId = parseInt(selectedClient);
+    } else {
+      if (!guestInfo.name) {
+        toast.error('Please enter guest name');
+        return null;
+      }
+      orderData.guestName = guestInfo.name;
+      if (guestInfo.email) {
+        orderData.guestEmail = guestInfo.email;
+      }
+      if (guestInfo.phone) {
+        orderData.guestPhone = guestInfo.phone;
+      }
+    }
+    return orderData;
+  };
+
   const createOrder = async () => {
     try {
-      if (selectedItems.length === 0) {
-        toast.error('Please add at least one item to the order');
+      const tenderSummary = summarizeTenders(getCartDue(selectedItems), tenders);
+      if (tenderSummary.invalid) {
+        toast.error('Only cash can exceed the amount owed');
+        return;
+      }
+      if (orderType === 'guest' && !tenderSummary.fullyPaid) {
+        toast.error('Guest orders must be paid in full');
         return;
       }
 
+      const cart = buildCartPayload();
+      if (!cart) return;
       const orderData = {
-        items: selectedItems,
-        status: orderType === 'guest' ? 'completed' : orderStatus
+        ...cart,
+        payments: toPaymentPayload(tenders),
+        fulfillment,
+        ...(saleLocationId && locations.some(l => String(l.id) === saleLocationId) ? { locationId: parseInt(saleLocationId) } : {})
       };
 
-      if (orderType === 'client') {
-        if (!selectedClient) {
-          toast.error('Please select a client');
-          return;
-        }
-        orderData.clientId = parseInt(selectedClient);
-      } else {
-        if (!guestInfo.name) {
-          toast.error('Please enter guest name');
-          return;
-        }
-        orderData.guestName = guestInfo.name;
-        if (guestInfo.email) {
-        orderData.guestEmail = guestInfo.email;
-        }
-        if (guestInfo.phone) {
-        orderData.guestPhone = guestInfo.phone;
-        }
-      }
-
-      await axios.post('/api/orders', orderData);
-      toast.success('Order created successfully');
+      const response = await sendWithApproval('post', '/api/orders', orderData);
+      const { status, changeDue = {} } = response.data;
+      const changeText = ['EUR', 'MKD']
+        .filter(c => changeDue[c] > 0)
+        .map(c => `${changeDue[c]} ${c}`)
+        .join(' + ');
+      toast.success(changeText ? `Order created. Change due: ${changeText}` : 'Order created successfully');
       setShowCreateModal(false);
       resetCreateForm();
       fetchOrders();
@@ -396,13 +579,13 @@ const Orders = () => {
       if (orderType === 'client' && selectedClient) {
         // Dispatch a custom event to notify other components
         window.dispatchEvent(new CustomEvent('orderCreated', { 
-          detail: { clientId: parseInt(selectedClient), status: orderData.status } 
+          detail: { clientId: parseInt(selectedClient), status } 
         }));
         
         // Also store in localStorage to trigger refresh when Users page is loaded
         localStorage.setItem('lastOrderCreated', JSON.stringify({
           clientId: parseInt(selectedClient),
-          status: orderData.status,
+          status,
           timestamp: Date.now()
         }));
       }
@@ -412,12 +595,107 @@ const Orders = () => {
     }
   };
 
+  // Price the cart as a quote instead: no stock is taken and nothing is booked to the client
+  const saveAsQuote = async () => {
+    try {
+      const cart = buildCartPayload();
+      if (!cart) return;
+      const response = await sendWithApproval('post', '/api/quotes', cart);
+      toast.success(`Quote Q-${response.data.quoteId} saved, valid until ${new Date(response.data.validUntil).toLocaleDateString('en-GB')}`);
+      setShowCreateModal(false);
+      resetCreateForm();
+    } catch (error) {
+      console.error('Error saving quote:', error);
+      toast.error(error.response?.data?.message || 'Failed to save quote');
+    }
+  };
+
+  // Park the cart as it is, even half finished, so the next customer can be served
+  const holdCart = async () => {
+    if (selectedItems.length === 0) {
+      toast.error('Please add at least one item to the order');
+      return;
+    }
+    const notes = window.prompt('Note to recognise this sale later (optional):', '');
+    if (notes === null) return;
+
+    try {
+      await axios.post('/api/orders/held', {
+        items: toItemPayload(selectedItems),
+        discount: parseFloat(orderDiscount.value) > 0
+          ? {
+              type: orderDiscount.type,
+              value: parseFloat(orderDiscount.value),
+              ...(orderDiscount.type === 'fixed' ? { currency: orderDiscount.currency } : {})
+            }
+          : null,
+        discountReason: discountReason || null,
+        invoiceCurrency: invoiceCurrency || null,
+        fulfillment,
+        ...(orderType === 'client'
+          ? { clientId: selectedClient ? parseInt(selectedClient) : null }
+          : { guestName: guestInfo.name, guestEmail: guestInfo.email, guestPhone: guestInfo.phone }),
+        notes: notes.trim() || null
+      });
+      toast.success('Sale held');
+      closeCreateModal();
+      resetCreateForm();
+    } catch (error) {
+      console.error('Error holding sale:', error);
+      toast.error(error.response?.data?.message || 'Failed to hold sale');
+    }
+  };
+
+  // Load a held sale back into the create modal, at today's prices
+  const resumeHeldCart = (cart) => {
+    const items = cart.items.filter(item => item.name);
+    if (items.length < cart.items.length) {
+      toast.error('Some held items no longer exist and were removed');
+    }
+    const shortItems = items.filter(item => item.unavailable);
+    if (shortItems.length > 0) {
+      toast.error(`Not enough stock for: ${shortItems.map(item => item.name).join(', ')}`);
+    }
+
+    setShowHeldCarts(false);
+    fetchClients();
+    setProductSearch('');
+    setClientSearch('');
+    fetchProducts('');
+    setOrderType(cart.client_id || !cart.guest_name ? 'client' : 'guest');
+    setSelectedClient(cart.client_id ? String(cart.client_id) : '');
+    setGuestInfo({ name: cart.guest_name || '', email: cart.guest_email || '', phone: cart.guest_phone || '' });
+    setSelectedItems(items.map(item => ({
+      productId: item.productId,
+      quantity: item.quantity,
+      price: item.price,
+      name: item.name,
+      category: item.category,
+      currency: item.currency,
+      ...(item.discountType ? { discountType: item.discountType, discountValue: item.discountValue } : {})
+    })));
+    setOrderDiscount(cart.discount
+      ? { type: cart.discount.type, value: cart.discount.value, currency: cart.discount.currency || 'EUR' }
+      : { type: 'percent', value: '', currency: 'EUR' });
+    setDiscountReason(cart.discount_reason || '');
+    setInvoiceCurrency(cart.invoice_currency || '');
+    setFulfillment(cart.fulfillment || 'pickup');
+    setCheckoutStep('cart');
+    setTenders([]);
+    setShowCreateModal(true);
+  };
+
   const resetCreateForm = () => {
     setSelectedClient('');
     setGuestInfo({ name: '', email: '', phone: '' });
     setOrderType('client');
+    setFulfillment('pickup');
+    setInvoiceCurrency('');
     setSelectedItems([]);
-    setOrderStatus('pending');
+    setCheckoutStep('cart');
+    setTenders([]);
+    setOrderDiscount({ type: 'percent', value: '', currency: 'EUR' });
+    setDiscountReason('');
   };
 
   const updateEditOrder = async () => {
@@ -428,20 +706,22 @@ const Orders = () => {
       }
 
       const orderData = {
-        items: editSelectedItems,
-        status: editOrderStatus
+        // An invoiced order's items are final; the server refuses to rewrite them
+        items: editingOrder.invoice_number ? undefined : editSelectedItems,
+        status: editOrderStatus,
+        reason: editReason || null
       };
 
       console.log('Sending order update data:', orderData);
       console.log('Edit selected items:', editSelectedItems);
 
-      await axios.put(`/api/orders/${editingOrder.id}`, orderData);
+      await sendWithApproval('put', `/api/orders/${editingOrder.id}`, orderData);
       toast.success('Order updated successfully');
       closeEditModal();
       fetchOrders();
     } catch (error) {
       console.error('Error updating order:', error);
-      toast.error('Failed to update order');
+      toast.error(error.response?.data?.message || 'Failed to update order');
     }
   };
 
@@ -450,6 +730,8 @@ const Orders = () => {
     setEditingOrder(null);
     setEditSelectedItems([]);
     setEditOrderStatus('pending');
+    setEditReason('');
+    setEditHistory([]);
   };
 
   const fetchOrders = async () => {
@@ -463,6 +745,10 @@ const Orders = () => {
         params.append('search', searchTerm);
       }
 
+      if (statusFilter) {
+        params.append('status', statusFilter);
+      }
+
       const response = await axios.get(`/api/orders?${params}`);
       setOrders(response.data.orders);
       setTotalPages(response.data.pagination.totalPages);
@@ -475,13 +761,18 @@ const Orders = () => {
   };
 
   const updateOrderStatus = async (orderId, newStatus) => {
+    // Cancelling asks for a reason and reports the ledger credit
+    if (newStatus === 'cancelled') {
+      cancelOrder(orderId);
+      return;
+    }
     try {
       await axios.put(`/api/orders/${orderId}/status`, { status: newStatus });
       toast.success('Order status updated successfully');
       fetchOrders();
     } catch (error) {
       console.error('Error updating order status:', error);
-      toast.error('Failed to update order status');
+      toast.error(error.response?.data?.message || 'Failed to update order status');
     }
   };
 
@@ -509,6 +800,53 @@ const Orders = () => {
     }
   };
 
+  // 80mm receipt as PDF; thermal printers can also take ESC/POS from /receipt?format=escpos
+  const openReceipt = async (orderId) => {
+    try {
+      const response = await axios.get(`/api/orders/${orderId}/receipt?format=pdf`, {
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/pdf' }));
+      window.open(url, '_blank');
+      setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+      }, 1000);
+    } catch (error) {
+      console.error('Error opening receipt:', error);
+      toast.error('Failed to open receipt');
+    }
+  };
+
+  // Zip of UBL e-invoices for the accountant; completed orders not invoiced yet are numbered by the export
+  const exportEInvoices = async () => {
+    if (!dateFrom || !dateTo) {
+      toast.error('Select a date range to export');
+      return;
+    }
+    try {
+      const response = await axios.get('/api/orders/invoices/export', {
+        params: { from: dateFrom, to: dateTo },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoices-${dateFrom}-to-${dateTo}.zip`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting e-invoices:', error);
+      // Error bodies arrive as a blob because of the responseType
+      let message = null;
+      try {
+        message = JSON.parse(await error.response.data.text()).message;
+      } catch (parseError) {
+        // Not a JSON error body
+      }
+      toast.error(message || 'Failed to export e-invoices');
+    }
+  };
+
   const shareInvoiceWhatsApp = async (orderId) => {
     try {
       // First download the file so user can attach it
@@ -566,22 +904,270 @@ const Orders = () => {
       fetchOrders();
     } catch (error) {
       console.error('Error deleting order:', error);
-      toast.error('Failed to delete order');
+      toast.error(error.response?.data?.message || 'Failed to delete order');
     }
   };
 
-  const handleEditOrder = async (order) => {
+  const cancelOrder = async (orderId) => {
+    const reason = window.prompt('Reason for cancelling this order (optional):');
+    if (reason === null) return;
+    try {
+      const response = await axios.post(`/api/orders/${orderId}/cancel`, { reason: reason || null });
+      const credited = (response.data.ledgerAdjustments || [])
+        .map(a => `${a.amount} ${a.currency}`)
+        .join(' + ');
+      toast.success(credited ? `Order cancelled. Client account credited ${credited}` : 'Order cancelled successfully');
+      fetchOrders();
+    } catch (error) {
+      console.error('Error cancelling order:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel order');
+    }
+  };
+
+  const openPaymentModal = async (order) => {
+    try {
+      const response = await axios.get(`/api/orders/${order.id}/payments`);
+      setPaymentOrder(order);
+      setPaymentSummary(response.data.summary);
+      setPaymentTenders([]);
+    } catch (error) {
+      console.error('Error fetching order payments:', error);
+      toast.error('Failed to load order payments');
+    }
+  };
+
+  const closePaymentModal = () => {
+    setPaymentOrder(null);
+    setPaymentSummary(null);
+    setPaymentTenders([]);
+  };
+
+  const recordPayment = async () => {
+    try {
+      const payments = toPaymentPayload(paymentTenders);
+      if (payments.length === 0) {
+        toast.error('Please add at least one tender');
+        return;
+      }
+      if (summarizeTenders(paymentSummary.remaining, paymentTenders).invalid) {
+        toast.error('Only cash can exceed the amount owed');
+        return;
+      }
+
+      const response = await axios.post(`/api/orders/${paymentOrder.id}/payments`, { payments });
+      const { status, changeDue = {} } = response.data;
+      const changeText = ['EUR', 'MKD']
+        .filter(c => changeDue[c] > 0)
+        .map(c => `${changeDue[c]} ${c}`)
+        .join(' + ');
+      toast.success(changeText ? `Payment recorded. Change due: ${changeText}` : 'Payment recorded successfully');
+      if (status === 'completed') {
+        toast.success(`Order #${paymentOrder.id} is fully paid`);
+      }
+      closePaymentModal();
+      fetchOrders();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      toast.error(error.response?.data?.message || 'Failed to record payment');
+    }
+  };
+
+  const openReturnModal = async (order) => {
     try {
-      // Fetch order details to get current items
       const response = await axios.get(`/api/orders/${order.id}`);
+      setReturnOrder({ ...order, ...response.data });
+      setReturnQuantities({});
+      setReturnImei('');
+      setReturnReason('');
+      setExchangeItems([]);
+      setRefundMethods({ EUR: 'cash', MKD: 'cash' });
+      setReturnTenders([]);
+      setProductSearch('');
+      fetchProducts('');
+    } catch (error) {
+      console.error('Error fetching order details:', error);
+      toast.error('Failed to load order details');
+    }
+  };
+
+  const closeReturnModal = () => {
+    setReturnOrder(null);
+    setReturnQuantities({});
+    setReturnImei('');
+    setReturnReason('');
+    setExchangeItems([]);
+    setReturnTenders([]);
+    setProductSearch('');
+  };
+
+  const setReturnQuantity = (item, value) => {
+    const returnable = item.quantity - item.returned_quantity;
+    const quantity = Math.max(0, Math.min(returnable, parseInt(value) || 0));
+    setReturnQuantities(prev => ({ ...prev, [item.order_item_id]: quantity }));
+  };
+
+  // Scanning a serialized device (either IMEI of a dual-SIM phone) selects its order line.
+  // Spaces and dashes in a typed IMEI are ignored, as on the server.
+  const selectReturnImei = () => {
+    const imei = returnImei.trim();
+    if (!imei) return;
+    const digits = imei.replace(/[\s-]/g, '');
+    const code = /^\d+$/.test(digits) ? digits : imei;
+    const item = returnOrder.items.find(i => i.imei === code || i.imei2 === code);
+    if (!item) {
+      toast.error(`IMEI ${imei} is not part of order #${returnOrder.id}`);
+      return;
+    }
+    if (item.quantity - item.returned_quantity <= 0) {
+      toast.error(`${item.product_name} has already been returned`);
+      return;
+    }
+    setReturnQuantity(item, item.quantity - item.returned_quantity);
+    setReturnImei('');
+  };
+
+  const addExchangeItem = (product) => {
+    const existing = exchangeItems.find(item => item.productId === product.id);
+    if (existing) {
+      setExchangeItems(exchangeItems.map(item =>
+        item.productId === product.id ? { ...item, quantity: item.quantity + 1 } : item
+      ));
+    } else {
+      setExchangeItems([...exchangeItems, {
+        productId: product.id,
+        name: product.name,
+        price: parseFloat(product.price),
+        category: product.category,
+        currency: product.currency,
+        quantity: 1
+      }]);
+    }
+  };
+
+  const removeExchangeItem = (productId) => {
+    setExchangeItems(exchangeItems.filter(item => item.productId !== productId));
+  };
+
+  // Mirrors the server: completed sales refund the returned value outright,
+  // open orders only refund what was paid beyond the new amount due
+  const getReturnTotals = () => {
+    const returned = { EUR: 0, MKD: 0 };
+    const exchanged = { EUR: 0, MKD: 0 };
+    (returnOrder?.items || []).forEach(item => {
+      const quantity = returnQuantities[item.order_item_id] || 0;
+      const currency = item.currency;
+      returned[currency] += quantity * parseFloat(item.price);
+    });
+    exchangeItems.forEach(item => {
+      const currency = item.currency;
+      exchanged[currency] += item.quantity * item.price;
+    });
+
+    const settled = returnOrder?.status === 'completed';
+    const { due = { EUR: 0, MKD: 0 }, paid = { EUR: 0, MKD: 0 } } = returnOrder?.paymentSummary || {};
+    const refundable = { EUR: 0, MKD: 0 };
+    const owed = { EUR: 0, MKD: 0 };
+    ['EUR', 'MKD'].forEach(currency => {
+      const round = (n) => Math.round(n * 100) / 100;
+      if (settled) {
+        refundable[currency] = Math.max(0, round(returned[currency] - exchanged[currency]));
+        owed[currency] = Math.max(0, round(exchanged[currency] - returned[currency]));
+      } else {
+        refundable[currency] = Math.max(0, round(paid[currency] - (due[currency] - returned[currency] + exchanged[currency])));
+      }
+    });
+    return { returned, exchanged, refundable, owed };
+  };
+
+  const openCreditNote = async (orderId, returnId) => {
+    try {
+      const response = await axios.get(`/api/orders/${orderId}/returns/${returnId}/credit-note`, {
+        responseType: 'blob'
+      });
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => {
+        window.URL.revokeObjectURL(url);
+      }, 1000);
+    } catch (error) {
+      console.error('Error opening credit note:', error);
+      toast.error('Failed to open credit note');
+    }
+  };
+
+  const submitReturn = async () => {
+    try {
+      const items = Object.entries(returnQuantities)
+        .filter(([, quantity]) => quantity > 0)
+        .map(([orderItemId, quantity]) => ({ orderItemId: parseInt(orderItemId), quantity }));
+      if (items.length === 0) {
+        toast.error('Please select at least one item to return');
+        return;
+      }
+
+      const { refundable, owed } = getReturnTotals();
+      const payments = toPaymentPayload(returnTenders);
+      if (owed.EUR > 0 || owed.MKD > 0) {
+        const summary = summarizeTenders(owed, returnTenders);
+        if (summary.invalid) {
+          toast.error('Only cash can exceed the amount owed');
+          return;
+        }
+        if (!summary.fullyPaid) {
+          toast.error('The exchange difference must be paid in full');
+          return;
+        }
+      }
+
+      const refunds = ['EUR', 'MKD']
+        .filter(currency => refundable[currency] > 0)
+        .map(currency => ({ method: refundMethods[currency], currency, amount: refundable[currency] }));
+
+      const response = await axios.post(`/api/orders/${returnOrder.id}/returns`, {
+        items,
+        exchangeItems: exchangeItems.map(item => ({ productId: item.productId, quantity: item.quantity })),
+        refunds,
+        payments,
+        reason: returnReason || null
+      });
+
+      const { returnId, changeDue = {} } = response.data;
+      const changeText = ['EUR', 'MKD']
+        .filter(c => changeDue[c] > 0)
+        .map(c => `${changeDue[c]} ${c}`)
+        .join(' + ');
+      toast.success(changeText ? `Return recorded. Change due: ${changeText}` : 'Return recorded successfully');
+      const orderId = returnOrder.id;
+      closeReturnModal();
+      fetchOrders();
+      openCreditNote(orderId, returnId);
+    } catch (error) {
+      console.error('Error recording return:', error);
+      toast.error(error.response?.data?.message || 'Failed to record return');
+    }
+  };
+
+  const handleEditOrder = async (order) => {
+    try {
+      // Fetch order details to get current items, plus the order's audit trail
+      const [response, historyResponse] = await Promise.all([
+        axios.get(`/api/orders/${order.id}`),
+        axios.get(`/api/orders/${order.id}/history`)
+      ]);
       const orderDetails = response.data;
+      setEditHistory(historyResponse.data.events || []);
+      setEditMargin(orderDetails.marginSummary || []);
       
-      setEditingOrder(order);
-      // Map the items to include category for proper currency display and fix field names
+      setEditingOrder({ ...order, allowed_transitions: orderDetails.allowedTransitions });
+      // Map the items to the cart shape used by the order form and fix field names
       const itemsWithCategory = (orderDetails.items || []).map(item => ({
         ...item,
         productId: item.product_id, // Map product_id to productId for frontend compatibility
         name: item.product_name, // Map product_name to name for frontend compatibility
+        discountType: item.discount_type,
+        discountValue: item.discount_value,
         category: item.category || 'accessories' // fallback to accessories if category is missing
       }));
       setEditSelectedItems(itemsWithCategory);
@@ -606,9 +1192,14 @@ const Orders = () => {
     switch (status) {
       case 'pending':
         return <Clock className="h-4 w-4 text-red-600" />;
-
+      case 'approved':
+        return <ThumbsUp className="h-4 w-4 text-blue-600" />;
+      case 'shipped':
+        return <Truck className="h-4 w-4 text-yellow-600" />;
       case 'completed':
         return <CheckCircle className="h-4 w-4 text-green-600" />;
+      case 'cancelled':
+        return <XCircle className="h-4 w-4 text-gray-500" />;
       default:
         return <AlertCircle className="h-4 w-4 text-gray-600" />;
     }
@@ -618,6 +1209,8 @@ const Orders = () => {
     switch (status) {
       case 'completed': return 'badge bg-green-100 text-green-800';
       case 'pending': return 'badge bg-red-100 text-red-800';
+      case 'approved': return 'badge bg-blue-100 text-blue-800';
+      case 'shipped': return 'badge bg-yellow-100 text-yellow-800';
 
       default: return 'badge bg-gray-100 text-gray-800';
     }
@@ -897,6 +1490,10 @@ const Orders = () => {
     }
   };
 
+  const returnTotals = returnOrder ? getReturnTotals() : null;
+  const cartPricing = applyCartDiscounts(selectedItems, orderDiscount);
+  const cartUnitPrice = (item) => cartPricing.lines.find(line => line.productId === item.productId)?.unitPrice ?? item.price;
+
   if (loading) {
     return <LoadingSpinner size="lg" className="mt-8" />;
   }
@@ -922,6 +1519,24 @@ const Orders = () => {
               className="input"
             />
           </div>
+          {/* Status Filter */}
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="input w-full sm:w-40"
+          >
+            <option value="">All statuses</option>
+            {Object.entries(ORDER_STATUS_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowHeldCarts(true)}
+            className="btn-secondary w-full sm:w-auto"
+          >
+            <Pause className="h-4 w-4 mr-2" />
+            Held Sales
+          </button>
           <button
             onClick={openCreateModal}
             className="btn-primary w-full sm:w-auto"
@@ -971,6 +1586,20 @@ const Orders = () => {
                 <Download className="h-4 w-4" />
                 Generate Report
               </button>
+
+              <button
+                onClick={exportEInvoices}
+                className="btn-secondary w-full sm:w-auto"
+                title="Download UBL 2.1 invoices for the selected date range as a zip"
+              >
+                <FileText className="h-4 w-4 mr-2" />
+                Export e-Invoices
+              </button>
+
+              <ExportButtons
+                entity="orders"
+                filters={{ search: searchTerm, status: statusFilter, from: dateFrom, to: dateTo }}
+              />
             </div>
           </div>
         </div>
@@ -1014,6 +1643,9 @@ const Orders = () => {
                             <div className="text-sm font-medium text-gray-900 truncate">
                               Order #{order.id}
                             </div>
+                            {order.invoice_number && (
+                              <div className="text-xs text-gray-500 truncate">{order.invoice_number}</div>
+                            )}
                           </div>
                         </div>
                       </td>
@@ -1072,13 +1704,24 @@ const Orders = () => {
                       <td className="px-2 sm:px-4 lg:px-6 py-4 text-sm font-medium min-w-[120px]">
                         <div className="flex flex-col sm:flex-row sm:items-center sm:space-x-2">
                           <div className="flex items-center space-x-2">
-                            <button
-                              onClick={() => handleEditOrder(order)}
-                              className="text-blue-600 hover:text-blue-900 p-1"
-                              title="Edit Order"
-                            >
-                              <Edit className="h-4 w-4" />
-                            </button>
+                            {order.status !== 'cancelled' && (
+                              <button
+                                onClick={() => handleEditOrder(order)}
+                                className="text-blue-600 hover:text-blue-900 p-1"
+                                title="Edit Order"
+                              >
+                                <Edit className="h-4 w-4" />
+                              </button>
+                            )}
+                            {order.status !== 'cancelled' && (
+                              <button
+                                onClick={() => cancelOrder(order.id)}
+                                className="text-gray-600 hover:text-gray-900 p-1"
+                                title="Cancel Order"
+                              >
+                                <XCircle className="h-4 w-4" />
+                              </button>
+                            )}
                             <button
                               onClick={() => handleDeleteOrder(order.id)}
                               className="text-red-600 hover:text-red-900 p-1"
@@ -1086,6 +1729,24 @@ const Orders = () => {
                             >
                               <Trash2 className="h-4 w-4" />
                             </button>
+                            {order.status !== 'completed' && order.status !== 'cancelled' && (
+                              <button
+                                onClick={() => openPaymentModal(order)}
+                                className="text-emerald-600 hover:text-emerald-900 p-1"
+                                title="Record Payment"
+                              >
+                                <CreditCard className="h-4 w-4" />
+                              </button>
+                            )}
+                            {order.status !== 'cancelled' && (
+                              <button
+                                onClick={() => openReturnModal(order)}
+                                className="text-orange-600 hover:text-orange-900 p-1"
+                                title="Return Items"
+                              >
+                                <RotateCcw className="h-4 w-4" />
+                              </button>
+                            )}
                             <button
                               onClick={() => downloadInvoice(order.id)}
                               className="text-primary-600 hover:text-primary-900 p-1"
@@ -1093,6 +1754,13 @@ const Orders = () => {
                             >
                               <FileText className="h-4 w-4" />
                             </button>
+                            <button
+                              onClick={() => openReceipt(order.id)}
+                              className="text-gray-600 hover:text-gray-900 p-1"
+                              title="Print Receipt"
+                            >
+                              <Printer className="h-4 w-4" />
+                            </button>
                             <button
                               onClick={() => shareInvoiceWhatsApp(order.id)}
                               className="text-green-600 hover:text-green-900 p-1"
@@ -1101,14 +1769,16 @@ const Orders = () => {
                               <Share2 className="h-4 w-4" />
                             </button>
                           </div>
-                          <select
-                            value={order.status}
-                            onChange={(e) => updateOrderStatus(order.id, e.target.value)}
-                            className="mt-1 sm:mt-0 text-xs sm:text-sm border border-gray-300 rounded px-1 sm:px-2 py-1"
-                          >
-                            <option value="pending">Pending</option>
-                            <option value="completed">Completed</option>
-                          </select>
+                          {order.status === 'cancelled' ? (
+                            <span className="mt-1 sm:mt-0 text-xs sm:text-sm text-gray-500">Cancelled</span>
+                          ) : (
+                            <OrderStatusSelect
+                              status={order.status}
+                              allowedTransitions={order.allowed_transitions}
+                              onChange={(newStatus) => updateOrderStatus(order.id, newStatus)}
+                              className="mt-1 sm:mt-0 text-xs sm:text-sm border border-gray-300 rounded px-1 sm:px-2 py-1"
+                            />
+                          )}
                         </div>
                       </td>
                     </tr>
@@ -1208,6 +1878,10 @@ const Orders = () => {
         </div>
       )}
 
+      {showHeldCarts && (
+        <HeldCarts onResume={resumeHeldCart} onClose={() => setShowHeldCarts(false)} />
+      )}
+
       {/* Create Order Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0">
@@ -1225,6 +1899,7 @@ const Orders = () => {
                 </button>
               </div>
 
+              {checkoutStep === 'cart' ? (
               <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
                 {/* Left Column - Customer & Order */}
                 <div className="space-y-4">
@@ -1307,31 +1982,12 @@ const Orders = () => {
                         </div>
                       )}
 
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Order Status</label>
-                        <div className="flex space-x-4">
-                          <label className="flex items-center">
-                            <input
-                              type="radio"
-                              value="completed"
-                              checked={orderStatus === 'completed'}
-                              onChange={(e) => setOrderStatus(e.target.value)}
-                              className="mr-2"
-                            />
-                            <span className="px-2 py-1 text-xs font-medium bg-green-100 text-green-800 rounded">Completed</span>
-                          </label>
-                          <label className="flex items-center">
-                            <input
-                              type="radio"
-                              value="pending"
-                              checked={orderStatus === 'pending'}
-                              onChange={(e) => setOrderStatus(e.target.value)}
-                              className="mr-2"
-                            />
-                            <span className="px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded">Pending</span>
-                          </label>
-              </div>
-            </div>
+                      <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                        <div className="flex items-center">
+                          <Clock className="h-4 w-4 text-yellow-600 mr-2" />
+                          <span className="text-sm text-yellow-800">Anything not paid at checkout stays pending on the client's account</span>
+                        </div>
+                      </div>
           </div>
                   ) : (
                     <div className="space-y-3">
@@ -1368,7 +2024,7 @@ const Orders = () => {
                       <div className="p-3 bg-green-50 border border-green-200 rounded-md">
             <div className="flex items-center">
                           <CheckCircle className="h-4 w-4 text-green-600 mr-2" />
-                          <span className="text-sm text-green-800">Guest orders are automatically marked as completed</span>
+                          <span className="text-sm text-green-800">Guest orders must be paid in full at checkout</span>
               </div>
             </div>
           </div>
@@ -1380,24 +2036,33 @@ const Orders = () => {
                       <div className="border-t my-3" />
                       <label className="block text-sm font-medium text-gray-700 mb-2">Order Items</label>
                       <div className="max-h-64 overflow-y-auto space-y-4 pr-1">
-                        {/* EUR Products (Smartphones) */}
-                        {selectedItems.filter(item => item.category === 'smartphones').length > 0 && (
+                        {/* EUR Products */}
+                        {selectedItems.filter(item => item.currency === 'EUR').length > 0 && (
                           <div>
                             <div className="text-sm font-medium text-green-700 mb-2 border-b border-green-200 pb-1">
-                              EUR Products (Smartphones)
+                              EUR Products
                           </div>
                             <div className="space-y-2">
                               {selectedItems
-                                .filter(item => item.category === 'smartphones')
+                                .filter(item => item.currency === 'EUR')
                                 .map(item => (
                                   <div key={item.productId} className="flex items-center justify-between p-2 bg-green-50 rounded h-16 border border-green-200">
                                     <div>
                                       <div className="font-medium text-sm">{item.name}</div>
                                       <div className="text-xs text-green-600">
-                                        {parseInt(item.price)} EUR each
+                                        {cartUnitPrice(item) < parseFloat(item.price) && (
+                                          <span className="line-through text-gray-400 mr-1">{parseInt(item.price)}</span>
+                                        )}
+                                        {parseInt(cartUnitPrice(item))} EUR each
                                       </div>
                                     </div>
                                     <div className="flex items-center space-x-2">
+                                      <LineDiscountInput
+                                        type={item.discountType}
+                                        value={item.discountValue}
+                                        currency="EUR"
+                                        onChange={(discount) => updateItemDiscount(item.productId, discount)}
+                                      />
                                       <input
                                         type="number"
                                         min="1"
@@ -1419,24 +2084,33 @@ const Orders = () => {
         </div>
                         )}
 
-                        {/* MKD Products (Accessories) */}
-                        {selectedItems.filter(item => item.category !== 'smartphones').length > 0 && (
+                        {/* MKD Products */}
+                        {selectedItems.filter(item => item.currency === 'MKD').length > 0 && (
                     <div>
                             <div className="text-sm font-medium text-blue-700 mb-2 border-b border-blue-200 pb-1">
-                              MKD Products (Accessories)
+                              MKD Products
                             </div>
                       <div className="space-y-2">
                               {selectedItems
-                                .filter(item => item.category !== 'smartphones')
+                                .filter(item => item.currency === 'MKD')
                                 .map(item => (
                                   <div key={item.productId} className="flex items-center justify-between p-2 bg-blue-50 rounded h-16 border border-blue-200">
                             <div>
                                       <div className="font-medium text-sm">{item.name}</div>
                                       <div className="text-xs text-blue-600">
-                                        {parseInt(item.price)} MKD each
+                                        {cartUnitPrice(item) < parseFloat(item.price) && (
+                                          <span className="line-through text-gray-400 mr-1">{parseInt(item.price)}</span>
+                                        )}
+                                        {parseInt(cartUnitPrice(item))} MKD each
                                       </div>
                             </div>
                             <div className="flex items-center space-x-2">
+                              <LineDiscountInput
+                                type={item.discountType}
+                                value={item.discountValue}
+                                currency="MKD"
+                                onChange={(discount) => updateItemDiscount(item.productId, discount)}
+                              />
                               <input
                                 type="number"
                                 min="1"
@@ -1460,15 +2134,17 @@ const Orders = () => {
               </div>
                       <div className="mt-3 p-3 bg-blue-50 rounded">
                         {(() => {
-                          const mkdTotal = selectedItems
-                            .filter(item => item.category !== 'smartphones')
-                            .reduce((sum, item) => sum + (item.price * item.quantity), 0);
-                          const eurTotal = selectedItems
-                            .filter(item => item.category === 'smartphones')
-                            .reduce((sum, item) => sum + (item.price * item.quantity), 0);
+                          const { totals } = cartPricing;
+                          const mkdTotal = totals.MKD.net;
+                          const eurTotal = totals.EUR.net;
                           
                           return (
                             <div className="space-y-1">
+                              {['MKD', 'EUR'].filter(c => totals[c].discount > 0).map(c => (
+                                <div key={c} className="text-sm text-gray-600">
+                                  Discount {c}: -{totals[c].discount.toFixed(0)} {c} (list {totals[c].list.toFixed(0)} {c})
+                                </div>
+                              ))}
                               {mkdTotal > 0 && (
                                 <div className="text-lg font-bold text-blue-800">Total MKD: {mkdTotal.toFixed(0)} MKD</div>
                               )}
@@ -1520,7 +2196,7 @@ const Orders = () => {
                               <div className="font-medium text-sm truncate" title={product.name}>{product.name}</div>
                               <div className="text-xs text-gray-500 truncate" title={product.barcode || ''}>{product.barcode || '—'}</div>
                               <div className="text-xs text-gray-600">
-                                {parseInt(product.price)} {product.category === 'smartphones' ? 'EUR' : 'MKD'}
+                                {parseInt(product.price)} {product.currency}
                               </div>
                             </div>
                           </div>
@@ -1536,15 +2212,140 @@ const Orders = () => {
                   </div>
                 </div>
               </div>
+              ) : (
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-8">
+                  {/* Left Column - Order Summary */}
+                  <div className="space-y-3">
+                    <label className="block text-sm font-medium text-gray-700">Order Summary</label>
+                    <div className="p-3 bg-gray-50 rounded border text-sm text-gray-700">
+                      {orderType === 'client'
+                        ? `Client: ${clients.find(c => c.id === selectedClient)?.name || ''}`
+                        : `Guest: ${guestInfo.name}`}
+                    </div>
+                    <div className="flex space-x-4 text-sm">
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          value="pickup"
+                          checked={fulfillment === 'pickup'}
+                          onChange={(e) => setFulfillment(e.target.value)}
+                          className="mr-2"
+                        />
+                        Pickup now
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="radio"
+                          value="delivery"
+                          checked={fulfillment === 'delivery'}
+                          onChange={(e) => setFulfillment(e.target.value)}
+                          className="mr-2"
+                        />
+                        Delivery
+                      </label>
+                    </div>
+                    {locations.length > 1 && (
+                      <div className="flex items-center space-x-2 text-sm">
+                        <label className="text-gray-700">Sell from</label>
+                        <select
+                          value={saleLocationId}
+                          onChange={(e) => changeSaleLocation(e.target.value)}
+                          className="input h-8 py-1 w-40"
+                        >
+                          <option value="">Default location</option>
+                          {locations.map(location => (
+                            <option key={location.id} value={location.id}>{location.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    <div className="flex items-center space-x-2 text-sm">
+                      <label className="text-gray-700">Invoice in</label>
+                      <select
+                        value={invoiceCurrency}
+                        onChange={(e) => setInvoiceCurrency(e.target.value)}
+                        className="input h-8 py-1 w-40"
+                      >
+                        <option value="">Each item's currency</option>
+                        <option value="EUR">EUR only</option>
+                        <option value="MKD">MKD only</option>
+                      </select>
+                    </div>
+                    <DiscountFields
+                      discount={orderDiscount}
+                      onDiscountChange={setOrderDiscount}
+                      reason={discountReason}
+                      onReasonChange={setDiscountReason}
+                      reasonRequired={hasDiscounts(selectedItems, orderDiscount)}
+                    />
+                    <div className="max-h-64 overflow-y-auto border rounded-md">
+                      {selectedItems.map(item => (
+                        <div key={item.productId} className="flex items-center justify-between p-2 border-b last:border-b-0 text-sm">
+                          <span className="truncate">{item.quantity} × {item.name}</span>
+                          <span className={item.currency === 'EUR' ? 'text-green-700' : 'text-blue-700'}>
+                            {(cartUnitPrice(item) * item.quantity).toFixed(0)} {item.currency}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+
+                  {/* Right Column - Tenders */}
+                  <div className="space-y-3">
+                    <label className="block text-sm font-medium text-gray-700">Payment</label>
+                    <TenderEditor
+                      due={getCartDue(selectedItems)}
+                      tenders={tenders}
+                      onChange={setTenders}
+                      allowStoreCredit={orderType === 'client'}
+                    />
+                  </div>
+                </div>
+              )}
 
               <div className="flex space-x-3 pt-6">
-                <button
-                  onClick={createOrder}
-                  className="btn-primary flex-1"
-                  disabled={selectedItems.length === 0}
-                >
-                  Create Order
-                </button>
+                {checkoutStep === 'cart' ? (
+                  <>
+                    <button
+                      onClick={holdCart}
+                      className="btn-secondary flex-1"
+                      disabled={selectedItems.length === 0}
+                    >
+                      <Pause className="h-4 w-4 mr-2" />
+                      Hold Sale
+                    </button>
+                    <button
+                      onClick={goToCheckout}
+                      className="btn-primary flex-1"
+                      disabled={selectedItems.length === 0}
+                    >
+                      <CreditCard className="h-4 w-4 mr-2" />
+                      Checkout
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => setCheckoutStep('cart')}
+                      className="btn-secondary flex-1"
+                    >
+                      Back to Cart
+                    </button>
+                    <button
+                      onClick={saveAsQuote}
+                      className="btn-secondary flex-1"
+                    >
+                      <FileText className="h-4 w-4 mr-2" />
+                      Save as Quote
+                    </button>
+                    <button
+                      onClick={createOrder}
+                      className="btn-primary flex-1"
+                    >
+                      Complete Sale
+                    </button>
+                  </>
+                )}
                 <button
                   onClick={closeCreateModal}
                   className="btn-secondary flex-1"
@@ -1579,25 +2380,41 @@ const Orders = () => {
                 <div className="space-y-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">Order Status</label>
-                    <select
-                      value={editOrderStatus}
-                      onChange={(e) => setEditOrderStatus(e.target.value)}
+                    <OrderStatusSelect
+                      status={editOrderStatus}
+                      allowedTransitions={editOrderStatus === editingOrder?.status
+                        ? editingOrder?.allowed_transitions
+                        : [editingOrder?.status]}
+                      onChange={setEditOrderStatus}
                       className="input w-full"
-                    >
-                      <option value="pending">Pending</option>
-                      <option value="completed">Completed</option>
-                    </select>
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Reason for Change</label>
+                    <input
+                      type="text"
+                      value={editReason}
+                      onChange={(e) => setEditReason(e.target.value)}
+                      placeholder="Optional - saved in the order history"
+                      className="input w-full"
+                    />
                   </div>
 
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">Current Items</label>
+                    {editingOrder?.invoice_number && (
+                      <p className="text-xs text-yellow-700 mb-2">
+                        Invoice {editingOrder.invoice_number} has been issued, so item changes are not saved. Record a return to issue a credit note instead.
+                      </p>
+                    )}
                     <div className="max-h-64 overflow-y-auto border rounded-md">
                       {editSelectedItems.map((item, index) => (
                         <div key={index} className="flex items-center justify-between p-3 border-b last:border-b-0">
                           <div className="flex-1">
                             <div className="font-medium text-sm">{item.name}</div>
                             <div className="text-xs text-gray-500">
-                              {item.price} {item.category === 'smartphones' ? 'EUR' : 'MKD'}
+                              {item.price} {item.currency}
                             </div>
                           </div>
                           <div className="flex items-center space-x-2">
@@ -1646,10 +2463,10 @@ const Orders = () => {
                         <div className="space-y-2">
                           {(() => {
                             const eurTotal = editSelectedItems
-                              .filter(item => item.category === 'smartphones')
+                              .filter(item => item.currency === 'EUR')
                               .reduce((sum, item) => sum + (item.price * item.quantity), 0);
                             const mkdTotal = editSelectedItems
-                              .filter(item => item.category !== 'smartphones')
+                              .filter(item => item.currency === 'MKD')
                               .reduce((sum, item) => sum + (item.price * item.quantity), 0);
                             
                             return (
@@ -1728,7 +2545,7 @@ const Orders = () => {
                               <div className="font-medium text-sm truncate" title={product.name}>{product.name}</div>
                               <div className="text-xs text-gray-500 truncate" title={product.barcode || ''}>{product.barcode || '—'}</div>
                               <div className="text-xs text-gray-600">
-                                {parseInt(product.price)} {product.category === 'smartphones' ? 'EUR' : 'MKD'}
+                                {parseInt(product.price)} {product.currency}
                               </div>
                             </div>
                           </div>
@@ -1754,6 +2571,35 @@ const Orders = () => {
                 </div>
               </div>
 
+              {/* Gross margin of the saved order, from the cost recorded on each line when it was sold */}
+              {editMargin.length > 0 && (
+                <div className="mt-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Gross Margin</label>
+                  <div className="border rounded-md p-3 space-y-1 text-sm">
+                    {editMargin.map(group => (
+                      <div key={group.currency} className="flex justify-between">
+                        <span className="text-gray-600">
+                          {group.currency}
+                          {group.uncostedQuantity > 0 && ` (${group.uncostedQuantity} unit${group.uncostedQuantity === 1 ? '' : 's'} without cost)`}
+                        </span>
+                        <span className={group.profit < 0 ? 'text-red-600 font-medium' : 'text-gray-900 font-medium'}>
+                          {group.profit.toFixed(2)} {group.currency}
+                          {group.marginPercent !== null && ` · ${group.marginPercent}%`}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Order History */}
+              <div className="mt-6">
+                <label className="block text-sm font-medium text-gray-700 mb-2">History</label>
+                <div className="max-h-64 overflow-y-auto border rounded-md p-3">
+                  <OrderTimeline events={editHistory} />
+                </div>
+              </div>
+
               <div className="flex space-x-3 pt-6">
                 <button
                   onClick={updateEditOrder}
@@ -1774,6 +2620,236 @@ const Orders = () => {
         </div>
       )}
 
+      {/* Record Payment Modal */}
+      {paymentOrder && paymentSummary && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white mb-14">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Record Payment for Order #{paymentOrder.id}</h3>
+              <button
+                onClick={closePaymentModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="mb-4 grid grid-cols-2 gap-3 text-sm">
+              {['EUR', 'MKD'].filter(c => paymentSummary.due[c] > 0).map(currency => (
+                <div key={currency} className="p-3 bg-gray-50 rounded border">
+                  <div className="font-medium text-gray-700">{currency}</div>
+                  <div className="text-gray-600">Total: {paymentSummary.due[currency].toFixed(2)}</div>
+                  <div className="text-gray-600">Paid: {paymentSummary.paid[currency].toFixed(2)}</div>
+                  <div className="font-medium text-red-700">Owed: {paymentSummary.remaining[currency].toFixed(2)}</div>
+                </div>
+              ))}
+            </div>
+
+            <TenderEditor
+              due={paymentSummary.remaining}
+              tenders={paymentTenders}
+              onChange={setPaymentTenders}
+              allowStoreCredit={!!paymentOrder.client_name}
+            />
+
+            <div className="flex space-x-3 pt-6">
+              <button
+                onClick={recordPayment}
+                className="btn-primary flex-1"
+                disabled={paymentTenders.length === 0}
+              >
+                Record Payment
+              </button>
+              <button
+                onClick={closePaymentModal}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Return Items Modal */}
+      {returnOrder && returnTotals && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-3xl shadow-lg rounded-md bg-white mb-14">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Return Items from Order #{returnOrder.id}</h3>
+              <button
+                onClick={closeReturnModal}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="flex gap-2 mb-3">
+              <input
+                type="text"
+                value={returnImei}
+                onChange={(e) => setReturnImei(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && selectReturnImei()}
+                className="input flex-1"
+                placeholder="Scan or type IMEI to select a device"
+              />
+              <button onClick={selectReturnImei} className="btn-secondary text-sm">
+                <Scan className="h-4 w-4 mr-1" />
+                Select
+              </button>
+            </div>
+
+            <div className="border rounded-md divide-y mb-4">
+              {(returnOrder.items || []).map(item => {
+                const returnable = item.quantity - item.returned_quantity;
+                const currency = item.currency;
+                return (
+                  <div key={item.order_item_id} className="flex items-center justify-between gap-3 p-2 text-sm">
+                    <div className="min-w-0">
+                      <div className="font-medium text-gray-900 truncate">{item.product_name}</div>
+                      <div className="text-xs text-gray-500">
+                        {parseFloat(item.price).toFixed(0)} {currency} · Sold {item.quantity}
+                        {item.returned_quantity > 0 && ` · Returned ${item.returned_quantity}`}
+                        {item.imei && ` · IMEI ${item.imei}`}
+                      </div>
+                    </div>
+                    {returnable > 0 ? (
+                      <input
+                        type="number"
+                        min="0"
+                        max={returnable}
+                        value={returnQuantities[item.order_item_id] || 0}
+                        onChange={(e) => setReturnQuantity(item, e.target.value)}
+                        className="input w-20"
+                      />
+                    ) : (
+                      <span className="text-xs text-gray-500">Fully returned</span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="mb-4">
+              <h4 className="text-sm font-medium text-gray-700 mb-2">Exchange For (optional)</h4>
+              <input
+                type="text"
+                value={productSearch}
+                onChange={(e) => setProductSearch(e.target.value)}
+                className="input mb-2"
+                placeholder="Search products..."
+              />
+              <div className="max-h-32 overflow-y-auto border rounded-md divide-y mb-2">
+                {products.map(product => (
+                  <button
+                    key={product.id}
+                    onClick={() => addExchangeItem(product)}
+                    className="w-full flex justify-between p-2 text-sm text-left hover:bg-gray-50"
+                  >
+                    <span className="truncate">{product.name}</span>
+                    <span className="text-gray-500">
+                      {parseFloat(product.price).toFixed(0)} {product.currency}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              {exchangeItems.map(item => (
+                <div key={item.productId} className="flex items-center justify-between p-2 text-sm bg-gray-50 rounded mb-1">
+                  <span>{item.name} × {item.quantity}</span>
+                  <button
+                    onClick={() => removeExchangeItem(item.productId)}
+                    className="text-red-600 hover:text-red-900 p-1"
+                    title="Remove exchange item"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+
+            <div className="mb-4">
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+              <input
+                type="text"
+                value={returnReason}
+                onChange={(e) => setReturnReason(e.target.value)}
+                className="input"
+                placeholder="e.g. Faulty device"
+              />
+            </div>
+
+            {['EUR', 'MKD'].some(c => returnTotals.returned[c] > 0 || returnTotals.exchanged[c] > 0) && (
+              <div className="p-3 bg-gray-50 rounded border space-y-3 mb-4">
+                {['EUR', 'MKD'].filter(c => returnTotals.returned[c] > 0 || returnTotals.exchanged[c] > 0).map(currency => (
+                  <div key={currency} className="text-sm space-y-1">
+                    <div className={`font-medium ${currency === 'EUR' ? 'text-green-700' : 'text-blue-700'}`}>{currency}</div>
+                    <div className="flex justify-between text-gray-600">
+                      <span>Returned</span>
+                      <span>{returnTotals.returned[currency].toFixed(2)} {currency}</span>
+                    </div>
+                    {returnTotals.exchanged[currency] > 0 && (
+                      <div className="flex justify-between text-gray-600">
+                        <span>Exchange</span>
+                        <span>{returnTotals.exchanged[currency].toFixed(2)} {currency}</span>
+                      </div>
+                    )}
+                    {returnTotals.refundable[currency] > 0 && (
+                      <div className="flex items-center justify-between gap-2 font-medium text-gray-900">
+                        <span>Refund {returnTotals.refundable[currency].toFixed(2)} {currency} as</span>
+                        <select
+                          value={refundMethods[currency]}
+                          onChange={(e) => setRefundMethods({ ...refundMethods, [currency]: e.target.value })}
+                          className="input w-40"
+                        >
+                          {Object.entries(PAYMENT_METHOD_LABELS)
+                            .filter(([value]) => returnOrder.client_name || value !== 'store_credit')
+                            .map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {(returnTotals.owed.EUR > 0 || returnTotals.owed.MKD > 0) && (
+              <div className="mb-4">
+                <h4 className="text-sm font-medium text-gray-700 mb-2">Exchange Difference</h4>
+                <TenderEditor
+                  due={returnTotals.owed}
+                  tenders={returnTenders}
+                  onChange={setReturnTenders}
+                  allowStoreCredit={!!returnOrder.client_name}
+                />
+              </div>
+            )}
+
+            <div className="flex space-x-3 pt-2">
+              <button
+                onClick={submitReturn}
+                className="btn-primary flex-1"
+                disabled={Object.values(returnQuantities).every(q => !q)}
+              >
+                Record Return
+              </button>
+              <button
+                onClick={closeReturnModal}
+                className="btn-secondary flex-1"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Barcode Scanner Modal */}
       {showScannerModal && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import { Plus, Trash2, Download } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import ExportButtons from '../../components/ExportButtons';
 import toast from 'react-hot-toast';
 import { jsPDF } from 'jspdf';
 
@@ -13,7 +14,7 @@ const AdminProducts = () => {
   const [showAddModelModal, setShowAddModelModal] = useState(false);
   const [editingModel, setEditingModel] = useState(null);
   const [modelCounts, setModelCounts] = useState({});
-  const [newModel, setNewModel] = useState({ name: '', price: undefined, storages: [], colors: [], condition: '', subcategory: '', storage_prices: {} });
+  const [newModel, setNewModel] = useState({ name: '', price: undefined, storages: [], colors: [], condition: '', subcategory: '', storage_prices: {}, min_stock: undefined, max_stock: undefined, stock_levels: [] });
   const [showStockModal, setShowStockModal] = useState(false);
   const [stockDetails, setStockDetails] = useState({ model: '', items: [] });
   const [modelSearch, setModelSearch] = useState('');
@@ -231,6 +232,29 @@ const AdminProducts = () => {
     }
   };
 
+  // Reorder levels saved with the model; variant rows without a min level are dropped
+  const stockLevelFields = () => ({
+    min_stock: newModel.min_stock,
+    max_stock: newModel.min_stock === undefined ? undefined : newModel.max_stock,
+    stock_levels: (newModel.stock_levels || [])
+      .filter(level => level.min_stock !== undefined && (level.storage || level.color))
+      .map(level => ({
+        ...(level.storage ? { storage: level.storage } : {}),
+        ...(level.color ? { color: level.color } : {}),
+        min_stock: level.min_stock,
+        ...(level.max_stock !== undefined ? { max_stock: level.max_stock } : {})
+      }))
+  });
+
+  const updateStockLevel = (index, changes) => {
+    setNewModel(prev => ({
+      ...prev,
+      stock_levels: (prev.stock_levels || []).map((level, i) => (i === index ? { ...level, ...changes } : level))
+    }));
+  };
+
+  const toLevel = (value) => (value === '' ? undefined : Math.max(0, parseInt(value) || 0));
+
   const handleAddModel = async () => {
     if (!newModel.subcategory || !newModel.subcategory.trim()) {
       toast.error('Subcategory is required');
@@ -266,7 +290,8 @@ const AdminProducts = () => {
                   colors: (newModel.colors || []).filter(c => c && c.trim() !== ''),
                   condition: (newModel.condition || '').trim() || undefined,
                   subcategory: (newModel.subcategory || '').trim() || undefined,
-                  storage_prices: newModel.storage_prices || undefined
+                  storage_prices: newModel.storage_prices || undefined,
+                  ...stockLevelFields()
                 }
               : m
           )
@@ -288,7 +313,8 @@ const AdminProducts = () => {
               colors: (newModel.colors || []).filter(c => c && c.trim() !== ''),
               condition: (newModel.condition || '').trim() || undefined,
               subcategory: (newModel.subcategory || '').trim() || undefined,
-              storage_prices: newModel.storage_prices || undefined
+              storage_prices: newModel.storage_prices || undefined,
+              ...stockLevelFields()
             }
           ]
         };
@@ -296,7 +322,7 @@ const AdminProducts = () => {
       await axios.put('/api/settings', updated);
       toast.success(editingModel ? 'Model updated' : 'Model added');
       setShowAddModelModal(false);
-      setNewModel({ name: '', price: undefined, storages: [], colors: [], condition: '' });
+      setNewModel({ name: '', price: undefined, storages: [], colors: [], condition: '', stock_levels: [] });
       setEditingModel(null);
       fetchSettings();
     } catch (e) {
@@ -347,6 +373,7 @@ const AdminProducts = () => {
             <Download className="h-4 w-4" />
             Generate Report
           </button>
+          <ExportButtons entity="products" />
           <button className="btn-primary w-full sm:w-auto" onClick={() => { setEditingModel(null); setShowAddModelModal(true); }}>
             <Plus className="h-4 w-4 mr-2" />
             Add Product
@@ -453,7 +480,10 @@ const AdminProducts = () => {
                               colors: [...(m.colors || [])],
                               condition: m.condition || '',
                               subcategory: m.subcategory || '',
-                              storage_prices: m.storage_prices || {}
+                              storage_prices: m.storage_prices || {},
+                              min_stock: m.min_stock ?? undefined,
+                              max_stock: m.max_stock ?? undefined,
+                              stock_levels: (m.stock_levels || []).map(level => ({ ...level }))
                             });
                             setShowAddModelModal(true);
                           }}
@@ -617,6 +647,90 @@ const AdminProducts = () => {
                   </button>
                 </div>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Stock Levels</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  The dashboard flags the model at or below its min level; reorder suggestions order up to the max.
+                </p>
+                <div className="flex items-center gap-2 mb-2">
+                  <input
+                    type="number"
+                    min="0"
+                    className="input w-24"
+                    value={newModel.min_stock ?? ''}
+                    onChange={(e) => setNewModel({ ...newModel, min_stock: toLevel(e.target.value) })}
+                    placeholder="Min"
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    className="input w-24"
+                    value={newModel.max_stock ?? ''}
+                    onChange={(e) => setNewModel({ ...newModel, max_stock: toLevel(e.target.value) })}
+                    placeholder="Max"
+                    disabled={newModel.min_stock === undefined}
+                  />
+                  <span className="text-xs text-gray-500">whole model</span>
+                </div>
+                <div className="flex flex-col gap-2">
+                  {(newModel.stock_levels || []).map((level, i) => (
+                    <div key={`nm-l-${i}`} className="flex flex-wrap items-center gap-2">
+                      <select
+                        className="input w-28"
+                        value={level.storage ?? ''}
+                        onChange={(e) => updateStockLevel(i, { storage: e.target.value || undefined })}
+                      >
+                        <option value="">Any storage</option>
+                        {(newModel.storages || []).filter(Boolean).map(storage => (
+                          <option key={storage} value={storage}>{storage}</option>
+                        ))}
+                      </select>
+                      <select
+                        className="input w-28"
+                        value={level.color ?? ''}
+                        onChange={(e) => updateStockLevel(i, { color: e.target.value || undefined })}
+                      >
+                        <option value="">Any color</option>
+                        {(newModel.colors || []).filter(Boolean).map(color => (
+                          <option key={color} value={color}>{color}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="number"
+                        min="0"
+                        className="input w-20"
+                        value={level.min_stock ?? ''}
+                        onChange={(e) => updateStockLevel(i, { min_stock: toLevel(e.target.value) })}
+                        placeholder="Min"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        className="input w-20"
+                        value={level.max_stock ?? ''}
+                        onChange={(e) => updateStockLevel(i, { max_stock: toLevel(e.target.value) })}
+                        placeholder="Max"
+                      />
+                      <button
+                        type="button"
+                        className="btn-danger p-2"
+                        title="Remove level"
+                        aria-label="Remove level"
+                        onClick={() => setNewModel({ ...newModel, stock_levels: newModel.stock_levels.filter((_, index) => index !== i) })}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    className="btn-secondary max-w-fit"
+                    onClick={() => setNewModel({ ...newModel, stock_levels: [...(newModel.stock_levels || []), {}] })}
+                  >
+                    Add Variant Level
+                  </button>
+                </div>
+              </div>
               <div className="pt-2 space-y-2">
                 <div className="flex items-center gap-2">
                   <button type="button" className="btn-primary flex-1" onClick={handleAddModel} disabled={saving}>
@@ -0,0 +1,1098 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  Plus,
+  RotateCcw,
+  Truck,
+  Download,
+  Send,
+  PackageCheck,
+  XCircle,
+  Trash2,
+  Edit,
+  Building2,
+  TrendingDown
+} from 'lucide-react';
+
+const emptySupplier = { name: '', contactName: '', email: '', phone: '', address: '', notes: '' };
+const emptyLine = { category: 'smartphones', model: '', storage: '', color: '', productId: '', quantity: 1, unitCost: '', salePrice: '' };
+const emptyPurchaseOrder = { supplierId: '', currency: 'EUR', expectedDate: '', notes: '', items: [{ ...emptyLine }] };
+
+const PurchaseOrders = () => {
+  const [activeTab, setActiveTab] = useState('orders');
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [smartphoneModels, setSmartphoneModels] = useState([]);
+  const [accessories, setAccessories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [showSupplierModal, setShowSupplierModal] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+  const [supplierForm, setSupplierForm] = useState(emptySupplier);
+
+  const [showOrderModal, setShowOrderModal] = useState(false);
+  const [orderForm, setOrderForm] = useState(emptyPurchaseOrder);
+
+  const [receiving, setReceiving] = useState(null);
+  const [receiveForm, setReceiveForm] = useState({});
+  const [receiveNotes, setReceiveNotes] = useState('');
+  const [receiveLocationId, setReceiveLocationId] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const [suggestions, setSuggestions] = useState([]);
+  const [salesDays, setSalesDays] = useState(30);
+  const [leadDays, setLeadDays] = useState(7);
+
+  useEffect(() => {
+    fetchSuppliers();
+    fetchCatalog();
+  }, []);
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [currentPage, statusFilter, supplierFilter]);
+
+  useEffect(() => {
+    if (activeTab === 'reorder') fetchSuggestions();
+  }, [activeTab, salesDays, leadDays]);
+
+  const fetchPurchaseOrders = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        page: currentPage,
+        limit: 10,
+        ...(statusFilter && { status: statusFilter }),
+        ...(supplierFilter && { supplierId: supplierFilter })
+      });
+
+      const response = await axios.get(`/api/purchase-orders?${params}`);
+      setPurchaseOrders(response.data.purchaseOrders);
+      setTotalPages(response.data.pagination.totalPages);
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      toast.error('Failed to fetch purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSuppliers = async () => {
+    try {
+      const response = await axios.get('/api/suppliers?limit=1000');
+      setSuppliers(response.data.suppliers);
+    } catch (error) {
+      console.error('Error fetching suppliers:', error);
+      toast.error('Failed to fetch suppliers');
+    }
+  };
+
+  // Models come from Settings, accessories from the product list
+  const fetchCatalog = async () => {
+    try {
+      const [settingsRes, accessoriesRes] = await Promise.all([
+        axios.get('/api/settings'),
+        axios.get('/api/products?category=accessories&limit=1000')
+      ]);
+      setSmartphoneModels(Array.isArray(settingsRes.data?.smartphone_models) ? settingsRes.data.smartphone_models : []);
+      setAccessories(accessoriesRes.data.products || []);
+    } catch (error) {
+      console.error('Error fetching catalog:', error);
+    }
+  };
+
+  const clearFilters = () => {
+    setStatusFilter('');
+    setSupplierFilter('');
+    setCurrentPage(1);
+  };
+
+  // Suppliers
+
+  const openSupplierModal = (supplier = null) => {
+    setEditingSupplier(supplier);
+    setSupplierForm(supplier ? {
+      name: supplier.name || '',
+      contactName: supplier.contact_name || '',
+      email: supplier.email || '',
+      phone: supplier.phone || '',
+      address: supplier.address || '',
+      notes: supplier.notes || ''
+    } : emptySupplier);
+    setShowSupplierModal(true);
+  };
+
+  const saveSupplier = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingSupplier) {
+        await axios.put(`/api/suppliers/${editingSupplier.id}`, supplierForm);
+        toast.success('Supplier updated successfully');
+      } else {
+        await axios.post('/api/suppliers', supplierForm);
+        toast.success('Supplier created successfully');
+      }
+      setShowSupplierModal(false);
+      fetchSuppliers();
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      toast.error(error.response?.data?.message || 'Failed to save supplier');
+    }
+  };
+
+  const deleteSupplier = async (supplierId) => {
+    if (!window.confirm('Are you sure you want to delete this supplier?')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/suppliers/${supplierId}`);
+      toast.success('Supplier deleted successfully');
+      fetchSuppliers();
+    } catch (error) {
+      console.error('Error deleting supplier:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete supplier');
+    }
+  };
+
+  // Reorder suggestions
+
+  const fetchSuggestions = async () => {
+    try {
+      const params = new URLSearchParams({ days: salesDays || 30, leadDays: leadDays || 0 });
+      const response = await axios.get(`/api/products/stats/reorder-suggestions?${params}`);
+      setSuggestions(response.data.suggestions);
+    } catch (error) {
+      console.error('Error fetching reorder suggestions:', error);
+      toast.error(error.response?.data?.message || 'Failed to fetch reorder suggestions');
+    }
+  };
+
+  // Start a purchase order from the suggestions; costs and any missing storage or color are filled in by hand
+  const draftFromSuggestions = () => {
+    setOrderForm({
+      ...emptyPurchaseOrder,
+      supplierId: supplierFilter,
+      items: suggestions.map(suggestion => (suggestion.category === 'accessories'
+        ? { ...emptyLine, category: 'accessories', productId: String(suggestion.productId), quantity: suggestion.suggestedQuantity }
+        : {
+          ...emptyLine,
+          model: suggestion.model,
+          storage: suggestion.storage || '',
+          color: suggestion.color || '',
+          quantity: suggestion.suggestedQuantity
+        }))
+    });
+    setShowOrderModal(true);
+  };
+
+  // Purchase orders
+
+  const updateLine = (index, changes) => {
+    setOrderForm(prev => ({
+      ...prev,
+      items: prev.items.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    }));
+  };
+
+  const createPurchaseOrder = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/purchase-orders', {
+        ...orderForm,
+        items: orderForm.items.map(line => (line.category === 'accessories'
+          ? { category: line.category, productId: line.productId, quantity: line.quantity, unitCost: line.unitCost }
+          : {
+            category: line.category,
+            model: line.model,
+            storage: line.storage,
+            color: line.color,
+            quantity: line.quantity,
+            unitCost: line.unitCost,
+            salePrice: line.salePrice
+          }))
+      });
+      toast.success(`Purchase order PO-${response.data.purchaseOrderId} created`);
+      setShowOrderModal(false);
+      setOrderForm(emptyPurchaseOrder);
+      fetchPurchaseOrders();
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create purchase order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const downloadPdf = async (purchaseOrderId) => {
+    try {
+      const response = await axios.get(`/api/purchase-orders/${purchaseOrderId}/pdf`, {
+        responseType: 'blob'
+      });
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `purchase-order-${purchaseOrderId}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading purchase order:', error);
+      toast.error('Failed to download purchase order');
+    }
+  };
+
+  const runAction = async (purchaseOrderId, action, confirmation, success) => {
+    if (confirmation && !window.confirm(confirmation)) {
+      return;
+    }
+    try {
+      if (action === 'delete') {
+        await axios.delete(`/api/purchase-orders/${purchaseOrderId}`);
+      } else {
+        await axios.post(`/api/purchase-orders/${purchaseOrderId}/${action}`);
+      }
+      toast.success(success);
+      fetchPurchaseOrders();
+      fetchSuppliers();
+    } catch (error) {
+      console.error(`Error running ${action} on purchase order:`, error);
+      toast.error(error.response?.data?.message || 'Failed to update purchase order');
+    }
+  };
+
+  const openReceiveModal = async (purchaseOrderId) => {
+    try {
+      const response = await axios.get(`/api/purchase-orders/${purchaseOrderId}`);
+      setReceiving(response.data);
+      setReceiveForm({});
+      setReceiveNotes('');
+      setReceiveLocationId('');
+      const locationsResponse = await axios.get('/api/locations');
+      setLocations(locationsResponse.data.locations);
+    } catch (error) {
+      console.error('Error fetching purchase order:', error);
+      toast.error('Failed to fetch purchase order');
+    }
+  };
+
+  // Phones are received by IMEI, one per line of the text box; accessories by quantity
+  const receiveDelivery = async (e) => {
+    e.preventDefault();
+    const items = receiving.items
+      .map(line => {
+        const value = receiveForm[line.id] || '';
+        if (line.category === 'smartphones') {
+          const imeis = value.split(/\s+/).map(imei => imei.trim()).filter(Boolean);
+          return imeis.length > 0 ? { itemId: line.id, imeis } : null;
+        }
+        return parseInt(value) > 0 ? { itemId: line.id, quantity: parseInt(value) } : null;
+      })
+      .filter(Boolean);
+    if (items.length === 0) {
+      toast.error('Enter what arrived');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await axios.post(`/api/purchase-orders/${receiving.id}/receive`, {
+        items,
+        notes: receiveNotes,
+        ...(receiveLocationId ? { locationId: parseInt(receiveLocationId) } : {})
+      });
+      toast.success(response.data.message);
+      // Phones sold before or in an open repair ticket are received anyway
+      (response.data.warnings || []).forEach(warning => toast(warning.message, { icon: '⚠️', duration: 6000 }));
+      setReceiving(null);
+      fetchPurchaseOrders();
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to receive purchase order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      draft: 'bg-gray-100 text-gray-800',
+      sent: 'bg-blue-100 text-blue-800',
+      partially_received: 'bg-yellow-100 text-yellow-800',
+      received: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800'
+    };
+    return (
+      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${styles[status]}`}>
+        {status.replace('_', ' ')}
+      </span>
+    );
+  };
+
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString('en-GB') : '-');
+
+  const closeIcon = (
+    <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+    </svg>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Purchasing</h1>
+          <p className="text-gray-600">
+            Suppliers and the stock ordered from them. Receiving a delivery adds it to the inventory.
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <button onClick={() => openSupplierModal()} className="btn-secondary w-full sm:w-auto">
+            <Building2 className="h-4 w-4 mr-2" />
+            Add Supplier
+          </button>
+          <button
+            onClick={() => {
+              setOrderForm({ ...emptyPurchaseOrder, supplierId: supplierFilter });
+              setShowOrderModal(true);
+            }}
+            disabled={suppliers.length === 0}
+            className="btn-primary w-full sm:w-auto"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Purchase Order
+          </button>
+        </div>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="flex space-x-8">
+          {[['orders', 'Purchase Orders'], ['suppliers', 'Suppliers'], ['reorder', 'Reorder']].map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${activeTab === tab
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'orders' ? (
+        <>
+          {/* Filters */}
+          <div className="card">
+            <div className="card-body">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Supplier
+                  </label>
+                  <select
+                    value={supplierFilter}
+                    onChange={(e) => {
+                      setSupplierFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="input w-full"
+                  >
+                    <option value="">All Suppliers</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="input w-full"
+                  >
+                    <option value="">All Statuses</option>
+                    <option value="draft">Draft</option>
+                    <option value="sent">Sent</option>
+                    <option value="partially_received">Partially Received</option>
+                    <option value="received">Received</option>
+                    <option value="cancelled">Cancelled</option>
+                  </select>
+                </div>
+
+                <div className="flex items-end">
+                  <button
+                    onClick={clearFilters}
+                    className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 flex items-center justify-center h-10 w-full sm:w-auto"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Reset
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Purchase Orders Table */}
+          <div className="card">
+            <div className="card-body p-0">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['PO', 'Supplier', 'Total', 'Received', 'Expected', 'Status', 'Actions'].map(heading => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {purchaseOrders.map((purchaseOrder) => (
+                      <tr key={purchaseOrder.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">PO-{purchaseOrder.id}</div>
+                          <div className="text-xs text-gray-500">{formatDate(purchaseOrder.created_at)}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {purchaseOrder.supplier_name}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {parseFloat(purchaseOrder.total).toFixed(2)} {purchaseOrder.currency}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {purchaseOrder.received_quantity} / {purchaseOrder.quantity}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {formatDate(purchaseOrder.expected_date)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {getStatusBadge(purchaseOrder.status)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => downloadPdf(purchaseOrder.id)}
+                              className="text-green-600 hover:text-green-900 p-1"
+                              title="Download PDF"
+                            >
+                              <Download className="h-4 w-4" />
+                            </button>
+                            {purchaseOrder.status === 'draft' && (
+                              <button
+                                onClick={() => runAction(purchaseOrder.id, 'send', null, 'Purchase order marked as sent')}
+                                className="text-blue-600 hover:text-blue-900 p-1"
+                                title="Mark as Sent"
+                              >
+                                <Send className="h-4 w-4" />
+                              </button>
+                            )}
+                            {['draft', 'sent', 'partially_received'].includes(purchaseOrder.status) && (
+                              <>
+                                <button
+                                  onClick={() => openReceiveModal(purchaseOrder.id)}
+                                  className="text-indigo-600 hover:text-indigo-900 p-1"
+                                  title="Receive Delivery"
+                                >
+                                  <PackageCheck className="h-4 w-4" />
+                                </button>
+                                <button
+                                  onClick={() => runAction(purchaseOrder.id, 'cancel', 'Cancel what has not arrived on this purchase order?', 'Purchase order cancelled')}
+                                  className="text-yellow-600 hover:text-yellow-900 p-1"
+                                  title="Cancel"
+                                >
+                                  <XCircle className="h-4 w-4" />
+                                </button>
+                              </>
+                            )}
+                            {purchaseOrder.status === 'draft' && (
+                              <button
+                                onClick={() => runAction(purchaseOrder.id, 'delete', 'Are you sure you want to delete this purchase order?', 'Purchase order deleted successfully')}
+                                className="text-red-600 hover:text-red-900 p-1"
+                                title="Delete Purchase Order"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {purchaseOrders.length === 0 && !loading && (
+                <div className="text-center py-12">
+                  <Truck className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">No purchase orders found</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    {suppliers.length === 0 ? 'Add a supplier first.' : 'Create one with "New Purchase Order".'}
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex justify-center">
+              <nav className="flex space-x-2">
+                <button
+                  onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                  disabled={currentPage === 1}
+                  className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+
+                {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
+                  <button
+                    key={page}
+                    onClick={() => setCurrentPage(page)}
+                    className={`px-3 py-2 text-sm font-medium rounded-md ${
+                      currentPage === page
+                        ? 'bg-blue-600 text-white'
+                        : 'text-gray-500 bg-white border border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {page}
+                  </button>
+                ))}
+
+                <button
+                  onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                  disabled={currentPage === totalPages}
+                  className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </nav>
+            </div>
+          )}
+        </>
+      ) : activeTab === 'suppliers' ? (
+        /* Suppliers Table */
+        <div className="card">
+          <div className="card-body p-0">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Supplier', 'Contact', 'Open Orders', 'Actions'].map(heading => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {suppliers.map((supplier) => (
+                    <tr key={supplier.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">{supplier.name}</div>
+                        <div className="text-xs text-gray-500">{supplier.address}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm text-gray-900">{supplier.contact_name || '-'}</div>
+                        <div className="text-xs text-gray-500">{[supplier.email, supplier.phone].filter(Boolean).join(' • ')}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {supplier.open_orders}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => openSupplierModal(supplier)}
+                            className="text-blue-600 hover:text-blue-900 p-1"
+                            title="Edit Supplier"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          <button
+                            onClick={() => deleteSupplier(supplier.id)}
+                            className="text-red-600 hover:text-red-900 p-1"
+                            title="Delete Supplier"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {suppliers.length === 0 && (
+              <div className="text-center py-12">
+                <Building2 className="mx-auto h-12 w-12 text-gray-400" />
+                <h3 className="mt-2 text-sm font-medium text-gray-900">No suppliers yet</h3>
+              </div>
+            )}
+          </div>
+        </div>
+      ) : (
+        /* Reorder Suggestions */
+        <>
+          <div className="card">
+            <div className="card-body">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Sales Over (days)
+                  </label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    value={salesDays}
+                    onChange={(e) => setSalesDays(e.target.value)}
+                    className="input w-full"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Delivery Time (days)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="180"
+                    value={leadDays}
+                    onChange={(e) => setLeadDays(e.target.value)}
+                    className="input w-full"
+                  />
+                </div>
+                <div className="flex items-end">
+                  <button
+                    onClick={draftFromSuggestions}
+                    disabled={suggestions.length === 0 || suppliers.length === 0}
+                    className="btn-primary w-full sm:w-auto"
+                  >
+                    <Plus className="h-4 w-4 mr-2" />
+                    Draft Purchase Order
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-body p-0">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Product', 'In Stock', 'Incoming', 'Min / Max', 'Sold per Day', 'Order'].map(heading => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {suggestions.map((suggestion) => (
+                      <tr key={suggestion.productId ? `product-${suggestion.productId}` : `model-${suggestion.name}`} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{suggestion.name}</div>
+                          <div className="text-xs text-gray-500 capitalize">{suggestion.category}{suggestion.subcategory && ` • ${suggestion.subcategory}`}</div>
+                        </td>
+                        <td className={`px-6 py-4 whitespace-nowrap text-sm ${suggestion.status === 'ok' ? 'text-gray-900' : 'text-red-600 font-medium'}`}>
+                          {suggestion.onHand}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{suggestion.incoming}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {suggestion.minStock} / {suggestion.maxStock ?? '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{suggestion.dailySales}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{suggestion.suggestedQuantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {suggestions.length === 0 && (
+                <div className="text-center py-12">
+                  <TrendingDown className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">Nothing to reorder</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    Set min and max stock on smartphone models (Products) and accessories (Inventory).
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {/* Supplier Modal */}
+      {showSupplierModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-md shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{editingSupplier ? 'Edit Supplier' : 'Add Supplier'}</h3>
+              <button onClick={() => setShowSupplierModal(false)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <form onSubmit={saveSupplier} className="space-y-4">
+              {[
+                ['name', 'Name', 'text', true],
+                ['contactName', 'Contact Person', 'text', false],
+                ['email', 'Email', 'email', false],
+                ['phone', 'Phone', 'text', false],
+                ['address', 'Address', 'text', false]
+              ].map(([field, label, type, required]) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+                  <input
+                    type={type}
+                    required={required}
+                    value={supplierForm[field]}
+                    onChange={(e) => setSupplierForm({ ...supplierForm, [field]: e.target.value })}
+                    className="input w-full"
+                  />
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={3}
+                  value={supplierForm.notes}
+                  onChange={(e) => setSupplierForm({ ...supplierForm, notes: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowSupplierModal(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingSupplier ? 'Update Supplier' : 'Add Supplier'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* New Purchase Order Modal */}
+      {showOrderModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-4 mx-auto p-6 border w-full max-w-4xl shadow-lg rounded-md bg-white mb-14 md:my-10">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">New Purchase Order</h3>
+              <button onClick={() => setShowOrderModal(false)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <form onSubmit={createPurchaseOrder} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                  <select
+                    required
+                    value={orderForm.supplierId}
+                    onChange={(e) => setOrderForm({ ...orderForm, supplierId: e.target.value })}
+                    className="input w-full"
+                  >
+                    <option value="">Select supplier</option>
+                    {suppliers.map(supplier => (
+                      <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Currency</label>
+                  <select
+                    value={orderForm.currency}
+                    onChange={(e) => setOrderForm({ ...orderForm, currency: e.target.value })}
+                    className="input w-full"
+                  >
+                    <option value="EUR">EUR</option>
+                    <option value="MKD">MKD</option>
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Expected Delivery</label>
+                  <input
+                    type="date"
+                    value={orderForm.expectedDate}
+                    onChange={(e) => setOrderForm({ ...orderForm, expectedDate: e.target.value })}
+                    className="input w-full"
+                  />
+                </div>
+              </div>
+
+              <div className="space-y-3">
+                {orderForm.items.map((line, index) => {
+                  const model = smartphoneModels.find(m => m.name === line.model);
+                  return (
+                    <div key={index} className="grid grid-cols-2 md:grid-cols-8 gap-2 items-end border border-gray-200 rounded-md p-3">
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Category</label>
+                        <select
+                          value={line.category}
+                          onChange={(e) => updateLine(index, { ...emptyLine, category: e.target.value, quantity: line.quantity, unitCost: line.unitCost })}
+                          className="input w-full"
+                        >
+                          <option value="smartphones">Smart Phone</option>
+                          <option value="accessories">Accessory</option>
+                        </select>
+                      </div>
+                      {line.category === 'smartphones' ? (
+                        <>
+                          <div className="md:col-span-2">
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Model</label>
+                            <select
+                              required
+                              value={line.model}
+                              onChange={(e) => updateLine(index, { model: e.target.value, storage: '', color: '' })}
+                              className="input w-full"
+                            >
+                              <option value="">Select model</option>
+                              {smartphoneModels.map(m => (
+                                <option key={m.name} value={m.name}>{m.name}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Storage</label>
+                            <select
+                              value={line.storage}
+                              onChange={(e) => updateLine(index, { storage: e.target.value })}
+                              className="input w-full"
+                            >
+                              <option value="">-</option>
+                              {(model?.storages || []).map(storage => (
+                                <option key={storage} value={storage}>{storage}</option>
+                              ))}
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Color</label>
+                            <select
+                              value={line.color}
+                              onChange={(e) => updateLine(index, { color: e.target.value })}
+                              className="input w-full"
+                            >
+                              <option value="">-</option>
+                              {(model?.colors || []).map(color => (
+                                <option key={color} value={color}>{color}</option>
+                              ))}
+                            </select>
+                          </div>
+                        </>
+                      ) : (
+                        <div className="md:col-span-4">
+                          <label className="block text-xs font-medium text-gray-700 mb-1">Product</label>
+                          <select
+                            required
+                            value={line.productId}
+                            onChange={(e) => updateLine(index, { productId: e.target.value })}
+                            className="input w-full"
+                          >
+                            <option value="">Select accessory</option>
+                            {accessories.map(product => (
+                              <option key={product.id} value={product.id}>{product.name}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Qty</label>
+                        <input
+                          type="number"
+                          min="1"
+                          required
+                          value={line.quantity}
+                          onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                          className="input w-full"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-xs font-medium text-gray-700 mb-1">Unit Cost</label>
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          required
+                          value={line.unitCost}
+                          onChange={(e) => updateLine(index, { unitCost: e.target.value })}
+                          className="input w-full"
+                        />
+                      </div>
+                      <div className="flex items-end gap-2">
+                        {line.category === 'smartphones' && (
+                          <div className="flex-1">
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Sale Price</label>
+                            <input
+                              type="number"
+                              min="0"
+                              step="0.01"
+                              value={line.salePrice}
+                              onChange={(e) => updateLine(index, { salePrice: e.target.value })}
+                              placeholder="Model price"
+                              className="input w-full"
+                            />
+                          </div>
+                        )}
+                        {orderForm.items.length > 1 && (
+                          <button
+                            type="button"
+                            onClick={() => setOrderForm({ ...orderForm, items: orderForm.items.filter((_, i) => i !== index) })}
+                            className="text-red-600 hover:text-red-900 p-2"
+                            title="Remove Line"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+                <button
+                  type="button"
+                  onClick={() => setOrderForm({ ...orderForm, items: [...orderForm.items, { ...emptyLine }] })}
+                  className="btn-secondary"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Line
+                </button>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={2}
+                  value={orderForm.notes}
+                  onChange={(e) => setOrderForm({ ...orderForm, notes: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowOrderModal(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={submitting} className="btn-primary">
+                  {submitting ? 'Saving...' : 'Create Draft'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Receive Delivery Modal */}
+      {receiving && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-4 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white mb-14 md:my-10">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">
+                Receive PO-{receiving.id} from {receiving.supplier_name}
+              </h3>
+              <button onClick={() => setReceiving(null)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <form onSubmit={receiveDelivery} className="space-y-4">
+              {receiving.items.filter(line => line.outstanding_quantity > 0).map(line => (
+                <div key={line.id} className="border border-gray-200 rounded-md p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-medium text-gray-900">{line.description}</span>
+                    <span className="text-xs text-gray-500">
+                      {line.received_quantity} of {line.quantity} received • {parseFloat(line.unit_cost).toFixed(2)} {receiving.currency} each
+                    </span>
+                  </div>
+                  {line.category === 'smartphones' ? (
+                    <textarea
+                      rows={Math.min(line.outstanding_quantity, 4)}
+                      value={receiveForm[line.id] || ''}
+                      onChange={(e) => setReceiveForm({ ...receiveForm, [line.id]: e.target.value })}
+                      placeholder={`IMEIs, one per line (up to ${line.outstanding_quantity})`}
+                      className="input w-full font-mono"
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      min="0"
+                      max={line.outstanding_quantity}
+                      value={receiveForm[line.id] || ''}
+                      onChange={(e) => setReceiveForm({ ...receiveForm, [line.id]: e.target.value })}
+                      placeholder={`Quantity (up to ${line.outstanding_quantity})`}
+                      className="input w-full"
+                    />
+                  )}
+                </div>
+              ))}
+
+              {locations.length > 1 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Receive Into</label>
+                  <select
+                    value={receiveLocationId}
+                    onChange={(e) => setReceiveLocationId(e.target.value)}
+                    className="input w-full"
+                  >
+                    <option value="">Default location</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={receiveNotes}
+                  onChange={(e) => setReceiveNotes(e.target.value)}
+                  placeholder="Delivery note number, damages..."
+                  className="input w-full"
+                />
+              </div>
+
+              {receiving.receipts.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  Earlier deliveries: {receiving.receipts.map(receipt => formatDate(receipt.created_at)).join(', ')}
+                </p>
+              )}
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setReceiving(null)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={submitting} className="btn-primary">
+                  {submitting ? 'Receiving...' : 'Receive'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrders;
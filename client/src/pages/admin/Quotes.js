@@ -0,0 +1,396 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  Search,
+  RotateCcw,
+  FileText,
+  Download,
+  ShoppingCart,
+  XCircle,
+  Trash2,
+  User,
+  Calendar
+} from 'lucide-react';
+
+const Quotes = () => {
+  const [quotes, setQuotes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    fetchQuotes();
+  }, [currentPage, searchTerm, statusFilter]);
+
+  const fetchQuotes = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        page: currentPage,
+        limit: 10,
+        ...(searchTerm && { search: searchTerm }),
+        ...(statusFilter && { status: statusFilter })
+      });
+
+      const response = await axios.get(`/api/quotes?${params}`);
+      setQuotes(response.data.quotes);
+      setTotalPages(response.data.pagination.totalPages);
+    } catch (error) {
+      console.error('Error fetching quotes:', error);
+      toast.error('Failed to fetch quotes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setStatusFilter('');
+    setCurrentPage(1);
+  };
+
+  const downloadPdf = async (quoteId) => {
+    try {
+      const response = await axios.get(`/api/quotes/${quoteId}/pdf`, {
+        responseType: 'blob'
+      });
+
+      const blob = new Blob([response.data], { type: 'application/pdf' });
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `quote-${quoteId}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading quote:', error);
+      toast.error('Failed to download quote');
+    }
+  };
+
+  const describePriceChanges = (priceChanges) => priceChanges
+    .map(change => `${change.name}: ${change.quoted.price} ${change.quoted.currency} → ${change.current.price} ${change.current.currency}`)
+    .join('\n');
+
+  // Converting re-checks stock and prices; when prices moved the server lists the changes
+  // and the sale only goes ahead at today's prices once that is confirmed.
+  const convertQuote = async (quote) => {
+    const fulfillment = window.confirm('Is the customer taking the items now?\n\nOK = pickup, Cancel = delivery')
+      ? 'pickup'
+      : 'delivery';
+    const post = async (data) => {
+      try {
+        return await axios.post(`/api/quotes/${quote.id}/convert`, data);
+      } catch (error) {
+        if (!error.response?.data?.approvalRequired) throw error;
+        const managerPin = window.prompt(`${error.response.data.message}. Enter the manager PIN to approve:`);
+        if (!managerPin) throw error;
+        return axios.post(`/api/quotes/${quote.id}/convert`, { ...data, managerPin });
+      }
+    };
+
+    setBusyId(quote.id);
+    try {
+      let response;
+      try {
+        response = await post({ fulfillment });
+      } catch (error) {
+        const priceChanges = error.response?.status === 409 && error.response.data.priceChanges;
+        if (!priceChanges) throw error;
+        if (!window.confirm(`Prices have changed since this quote was made:\n\n${describePriceChanges(priceChanges)}\n\nConvert at current prices?`)) {
+          return;
+        }
+        response = await post({ fulfillment, acceptCurrentPrices: true });
+      }
+      toast.success(`Quote converted into order #${response.data.orderId}`);
+      fetchQuotes();
+    } catch (error) {
+      console.error('Error converting quote:', error);
+      toast.error(error.response?.data?.message || 'Failed to convert quote');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const declineQuote = async (quoteId) => {
+    if (!window.confirm('Mark this quote as declined?')) {
+      return;
+    }
+    try {
+      await axios.post(`/api/quotes/${quoteId}/decline`);
+      toast.success('Quote declined');
+      fetchQuotes();
+    } catch (error) {
+      console.error('Error declining quote:', error);
+      toast.error(error.response?.data?.message || 'Failed to decline quote');
+    }
+  };
+
+  const deleteQuote = async (quoteId) => {
+    if (!window.confirm('Are you sure you want to delete this quote?')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/quotes/${quoteId}`);
+      toast.success('Quote deleted successfully');
+      fetchQuotes();
+    } catch (error) {
+      console.error('Error deleting quote:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete quote');
+    }
+  };
+
+  const getStatusBadge = (quote) => {
+    const status = quote.expired ? 'expired' : quote.status;
+    const styles = {
+      open: 'bg-blue-100 text-blue-800',
+      expired: 'bg-yellow-100 text-yellow-800',
+      declined: 'bg-gray-100 text-gray-800',
+      converted: 'bg-green-100 text-green-800'
+    };
+    return (
+      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${styles[status]}`}>
+        {status}
+      </span>
+    );
+  };
+
+  const formatTotals = (quote) => [
+    parseFloat(quote.eur_total) > 0 ? `${parseFloat(quote.eur_total).toFixed(2)} EUR` : null,
+    parseFloat(quote.mkd_total) > 0 ? `${parseFloat(quote.mkd_total).toFixed(0)} MKD` : null
+  ].filter(Boolean).join(' + ') || '-';
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-GB');
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Quotes</h1>
+          <p className="text-gray-600">
+            Priced offers for customers. Create them from the order checkout with "Save as Quote".
+          </p>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="card-body">
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+            <div className="sm:col-span-2 lg:col-span-1">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Search
+              </label>
+              <div className="relative">
+                <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={searchTerm}
+                  onChange={(e) => {
+                    setSearchTerm(e.target.value);
+                    setCurrentPage(1);
+                  }}
+                  placeholder="Customer or quote number..."
+                  className="input pl-10 w-full"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Status
+              </label>
+              <select
+                value={statusFilter}
+                onChange={(e) => {
+                  setStatusFilter(e.target.value);
+                  setCurrentPage(1);
+                }}
+                className="input w-full"
+              >
+                <option value="">All Statuses</option>
+                <option value="open">Open</option>
+                <option value="expired">Expired</option>
+                <option value="declined">Declined</option>
+                <option value="converted">Converted</option>
+              </select>
+            </div>
+
+            <div className="flex items-end">
+              <button
+                onClick={clearFilters}
+                className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 flex items-center justify-center h-10 w-full sm:w-auto"
+              >
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Reset
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Quotes Table */}
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Quote
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Total
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Valid Until
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {quotes.map((quote) => (
+                  <tr key={quote.id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">Q-{quote.id}</div>
+                      <div className="text-xs text-gray-500">{formatDate(quote.created_at)}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <User className="h-5 w-5 text-gray-400 mr-2" />
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">
+                            {quote.client_name || quote.guest_name}
+                            {!quote.client_name && <span className="ml-1 text-xs text-gray-500">(guest)</span>}
+                          </div>
+                          <div className="text-xs text-gray-500">{quote.client_email || quote.guest_email || quote.guest_phone}</div>
+                        </div>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {formatTotals(quote)}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <Calendar className="h-4 w-4 text-gray-400 mr-2" />
+                        <span className="text-sm text-gray-900">{formatDate(quote.valid_until)}</span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(quote)}
+                      {quote.order_id && (
+                        <div className="text-xs text-gray-500 mt-1">Order #{quote.order_id}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => downloadPdf(quote.id)}
+                          className="text-green-600 hover:text-green-900 p-1"
+                          title="Download PDF"
+                        >
+                          <Download className="h-4 w-4" />
+                        </button>
+                        {quote.status === 'open' && !quote.expired && (
+                          <button
+                            onClick={() => convertQuote(quote)}
+                            disabled={busyId === quote.id}
+                            className="text-blue-600 hover:text-blue-900 p-1 disabled:opacity-50"
+                            title="Convert to Order"
+                          >
+                            <ShoppingCart className="h-4 w-4" />
+                          </button>
+                        )}
+                        {quote.status === 'open' && (
+                          <button
+                            onClick={() => declineQuote(quote.id)}
+                            className="text-yellow-600 hover:text-yellow-900 p-1"
+                            title="Mark as Declined"
+                          >
+                            <XCircle className="h-4 w-4" />
+                          </button>
+                        )}
+                        {quote.status !== 'converted' && (
+                          <button
+                            onClick={() => deleteQuote(quote.id)}
+                            className="text-red-600 hover:text-red-900 p-1"
+                            title="Delete Quote"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {quotes.length === 0 && !loading && (
+            <div className="text-center py-12">
+              <FileText className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No quotes found</h3>
+              <p className="mt-1 text-sm text-gray-500">
+                Build a cart in Orders and choose "Save as Quote".
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Pagination */}
+      {totalPages > 1 && (
+        <div className="flex justify-center">
+          <nav className="flex space-x-2">
+            <button
+              onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+              disabled={currentPage === 1}
+              className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Previous
+            </button>
+
+            {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
+              <button
+                key={page}
+                onClick={() => setCurrentPage(page)}
+                className={`px-3 py-2 text-sm font-medium rounded-md ${
+                  currentPage === page
+                    ? 'bg-blue-600 text-white'
+                    : 'text-gray-500 bg-white border border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {page}
+              </button>
+            ))}
+
+            <button
+              onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+              disabled={currentPage === totalPages}
+              className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+            </button>
+          </nav>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Quotes;
@@ -17,6 +17,7 @@ import {
   FileText,
   Download
 } from 'lucide-react';
+import ExportButtons from '../../components/ExportButtons';
 
 const Services = () => {
   const [services, setServices] = useState([]);
@@ -405,7 +406,7 @@ const Services = () => {
       fetchServices();
     } catch (error) {
       console.error('Error deleting service:', error);
-      toast.error('Failed to delete service');
+      toast.error(error.response?.data?.error || 'Failed to delete service');
     }
   };
 
@@ -485,6 +486,11 @@ const Services = () => {
             <span className="hidden sm:inline">Generate Report</span>
             <span className="sm:hidden">Generate</span>
           </button>
+
+          <ExportButtons
+            entity="services"
+            filters={{ search: searchTerm, status: statusFilter, from: dateFrom, to: dateTo }}
+          />
           
           {/* Add Service Button */}
           <button
@@ -6,11 +6,29 @@ import {
   Building2,
   MapPin,
   Phone,
-  Mail
+  Mail,
+  Percent,
+  Key,
+  Clock,
+  Hash
 } from 'lucide-react';
 import LoadingSpinner from '../../components/LoadingSpinner';
+import ExchangeRates from '../../components/ExchangeRates';
 import toast from 'react-hot-toast';
 
+// Shown until tax rates are saved; matches the server defaults
+const DEFAULT_TAX_RATES = [
+  { code: 'standard', name: 'Standard', rate: 18, default: true },
+  { code: 'reduced', name: 'Reduced', rate: 5, subcategories: [] }
+];
+
+// Document types with their own number sequence; placeholders match the server defaults
+const DOCUMENT_NUMBER_TYPES = [
+  { type: 'invoice', label: 'Invoices', placeholder: 'INV-{YYYY}-{seq:5}' },
+  { type: 'credit_note', label: 'Credit Notes', placeholder: 'CN-{YYYY}-{seq:5}' },
+  { type: 'service_invoice', label: 'Service Invoices', placeholder: 'SRV-{YYYY}-{seq:5}' }
+];
+
 const Settings = () => {
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -22,8 +40,12 @@ const Settings = () => {
     company_email: '',
     smartphone_subcategories: [],
     accessory_subcategories: [],
-    smartphone_models: []
+    smartphone_models: [],
+    max_discount_percent: '',
+    base_currency: 'MKD',
+    held_cart_minutes: 240
   });
+  const [discountPin, setDiscountPin] = useState('');
 
   useEffect(() => {
     fetchSettings();
@@ -41,12 +63,33 @@ const Settings = () => {
     }
   };
 
+  // Blank patterns fall back to the defaults
+  const cleanNumberPatterns = (patterns) => {
+    const entries = Object.entries(patterns || {}).filter(([, pattern]) => pattern && pattern.trim() !== '');
+    return entries.length > 0 ? Object.fromEntries(entries.map(([type, pattern]) => [type, pattern.trim()])) : null;
+  };
+
+  const handlePatternChange = (type, value) => {
+    setSettings(prev => ({
+      ...prev,
+      document_number_patterns: { ...(prev.document_number_patterns || {}), [type]: value }
+    }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
 
     try {
-      await axios.put('/api/settings', settings);
+      const response = await axios.put('/api/settings', {
+        ...settings,
+        max_discount_percent: settings.max_discount_percent === '' ? null : settings.max_discount_percent,
+        held_cart_minutes: settings.held_cart_minutes === '' ? null : settings.held_cart_minutes,
+        document_number_patterns: cleanNumberPatterns(settings.document_number_patterns),
+        discount_approval_pin: discountPin || undefined
+      });
+      setSettings(response.data.settings);
+      setDiscountPin('');
       toast.success('Settings updated successfully');
     } catch (error) {
       console.error('Error updating settings:', error);
@@ -69,6 +112,26 @@ const Settings = () => {
     }));
   };
 
+  const taxRates = settings.tax_rates || DEFAULT_TAX_RATES;
+  const allSubcategories = [...(settings.smartphone_subcategories || []), ...(settings.accessory_subcategories || [])];
+
+  const updateTaxRate = (idx, changes) => {
+    handleChange('tax_rates', taxRates.map((rate, i) => {
+      if (i === idx) return { ...rate, ...changes };
+      // Only one rate can be the default
+      return changes.default ? { ...rate, default: false } : rate;
+    }));
+  };
+
+  const toggleTaxSubcategory = (idx, subcategory) => {
+    const current = taxRates[idx].subcategories || [];
+    updateTaxRate(idx, {
+      subcategories: current.includes(subcategory)
+        ? current.filter(s => s !== subcategory)
+        : [...current, subcategory]
+    });
+  };
+
   if (loading) {
     return <LoadingSpinner size="lg" className="mt-8" />;
   }
@@ -182,6 +245,86 @@ const Settings = () => {
                     />
                   </div>
                 </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Maximum Discount Without Approval (%)
+                  </label>
+                  <div className="flex items-center">
+                    <Percent className="h-4 w-4 text-gray-400 mr-2" />
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      value={settings.max_discount_percent ?? ''}
+                      onChange={(e) => handleChange('max_discount_percent', e.target.value)}
+                      className="input"
+                      placeholder="e.g., 10"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Manager PIN for Larger Discounts
+                  </label>
+                  <div className="flex items-center">
+                    <Key className="h-4 w-4 text-gray-400 mr-2" />
+                    <input
+                      type="password"
+                      inputMode="numeric"
+                      value={discountPin}
+                      onChange={(e) => setDiscountPin(e.target.value.replace(/\D/g, ''))}
+                      className="input"
+                      placeholder={settings.has_discount_approval_pin ? 'PIN is set - enter a new one to change it' : '4 to 12 digits'}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Held Sales Expire After (minutes)
+                  </label>
+                  <div className="flex items-center">
+                    <Clock className="h-4 w-4 text-gray-400 mr-2" />
+                    <input
+                      type="number"
+                      min="1"
+                      max="10080"
+                      step="1"
+                      value={settings.held_cart_minutes ?? ''}
+                      onChange={(e) => handleChange('held_cart_minutes', e.target.value)}
+                      className="input"
+                      placeholder="e.g., 240"
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Document Numbers
+                  </label>
+                  <p className="text-xs text-gray-500 mb-2">
+                    Use {'{YYYY}'}, {'{YY}'}, {'{MM}'} and {'{seq:5}'} (sequence padded to 5 digits). Patterns with the year restart every year.
+                  </p>
+                  <div className="space-y-2">
+                    {DOCUMENT_NUMBER_TYPES.map(({ type, label, placeholder }) => (
+                      <div key={type} className="flex items-center">
+                        <Hash className="h-4 w-4 text-gray-400 mr-2" />
+                        <span className="w-36 text-sm text-gray-600">{label}</span>
+                        <input
+                          type="text"
+                          maxLength={40}
+                          value={settings.document_number_patterns?.[type] ?? ''}
+                          onChange={(e) => handlePatternChange(type, e.target.value)}
+                          className="input"
+                          placeholder={placeholder}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
               </div>
 
               <div className="pt-4">
@@ -287,6 +430,99 @@ const Settings = () => {
               </div>
             </div>
 
+            {/* Tax Rates */}
+            <div className="mt-8">
+              <h2 className="text-lg font-medium text-gray-900 mb-1">Tax Rates (VAT)</h2>
+              <p className="text-xs text-gray-500 mb-4">
+                Prices include VAT. Products in a ticked subcategory use that rate, everything else uses the default rate.
+                Saved orders keep the rate they were sold at.
+              </p>
+              <div className="space-y-4">
+                {taxRates.map((rate, idx) => (
+                  <div key={`tax-${idx}`} className="border rounded-md p-3 space-y-2">
+                    <div className="flex gap-2 items-center">
+                      <input
+                        type="text"
+                        value={rate.name || ''}
+                        onChange={(e) => updateTaxRate(idx, { name: e.target.value, code: rate.code || e.target.value.toLowerCase().replace(/\s+/g, '_') })}
+                        className="input flex-1"
+                        placeholder="Name"
+                      />
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={rate.rate}
+                        onChange={(e) => updateTaxRate(idx, { rate: parseFloat(e.target.value) || 0 })}
+                        className="input w-24"
+                      />
+                      <span className="text-sm text-gray-500">%</span>
+                      <label className="flex items-center text-sm whitespace-nowrap">
+                        <input
+                          type="radio"
+                          checked={!!rate.default}
+                          onChange={() => updateTaxRate(idx, { default: true })}
+                          className="mr-1"
+                        />
+                        Default
+                      </label>
+                      <button
+                        type="button"
+                        className="btn-danger"
+                        disabled={taxRates.length === 1}
+                        onClick={() => handleChange('tax_rates', taxRates.filter((_, i) => i !== idx))}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {!rate.default && allSubcategories.length > 0 && (
+                      <div className="flex flex-wrap gap-3">
+                        {allSubcategories.map(subcategory => (
+                          <label key={subcategory} className="flex items-center text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={(rate.subcategories || []).includes(subcategory)}
+                              onChange={() => toggleTaxSubcategory(idx, subcategory)}
+                              className="mr-1"
+                            />
+                            {subcategory}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => handleChange('tax_rates', [...taxRates, { code: `rate_${Date.now()}`, name: '', rate: 0, subcategories: [] }])}
+                >
+                  Add Tax Rate
+                </button>
+              </div>
+            </div>
+
+            {/* Currencies */}
+            <div className="mt-8">
+              <h2 className="text-lg font-medium text-gray-900 mb-1">Currencies</h2>
+              <p className="text-xs text-gray-500 mb-4">
+                Each product is sold in its own currency. Reports convert sales to the base currency at the rate in effect on the day of the sale.
+              </p>
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Base Currency</label>
+                <select
+                  value={settings.base_currency || 'MKD'}
+                  onChange={(e) => handleChange('base_currency', e.target.value)}
+                  className="input w-32"
+                >
+                  <option value="MKD">MKD</option>
+                  <option value="EUR">EUR</option>
+                </select>
+              </div>
+              <ExchangeRates />
+            </div>
+
           </div>
         </div>
 
@@ -0,0 +1,458 @@
+import React, { useState, useEffect, useRef } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  Plus,
+  Scan,
+  ClipboardCheck,
+  CheckCircle,
+  XCircle,
+  ArrowLeft
+} from 'lucide-react';
+import BarcodeScannerModal from '../../components/BarcodeScannerModal';
+
+const STATE_STYLES = {
+  missing: 'bg-red-50',
+  unexpected: 'bg-yellow-50',
+  unknown: 'bg-gray-100',
+  matched: ''
+};
+
+const STATUS_STYLES = {
+  open: 'bg-blue-100 text-blue-800',
+  posted: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const Stocktakes = () => {
+  const [stocktakes, setStocktakes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [subcategories, setSubcategories] = useState({ smartphones: [], accessories: [] });
+  const [scope, setScope] = useState({ locationId: '', category: '', subcategory: '', notes: '' });
+  const [locations, setLocations] = useState([]);
+
+  const [stocktake, setStocktake] = useState(null);
+  const [stateFilter, setStateFilter] = useState('');
+  const [code, setCode] = useState('');
+  const [quantity, setQuantity] = useState(1);
+  const [showScanner, setShowScanner] = useState(false);
+  const [posting, setPosting] = useState(false);
+  const codeInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchStocktakes();
+    fetchSubcategories();
+    fetchLocations();
+  }, []);
+
+  const fetchStocktakes = async () => {
+    try {
+      setLoading(true);
+      const response = await axios.get('/api/stocktakes?limit=50');
+      setStocktakes(response.data.stocktakes);
+    } catch (error) {
+      console.error('Error fetching stocktakes:', error);
+      toast.error('Failed to fetch stocktakes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchSubcategories = async () => {
+    try {
+      const res = await axios.get('/api/settings');
+      setSubcategories({
+        smartphones: Array.isArray(res.data?.smartphone_subcategories) ? res.data.smartphone_subcategories : [],
+        accessories: Array.isArray(res.data?.accessory_subcategories) ? res.data.accessory_subcategories : []
+      });
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/api/locations');
+      setLocations(response.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+    }
+  };
+
+  const openStocktake = async (stocktakeId) => {
+    try {
+      const response = await axios.get(`/api/stocktakes/${stocktakeId}`);
+      setStocktake(response.data);
+      setTimeout(() => codeInputRef.current && codeInputRef.current.focus(), 0);
+    } catch (error) {
+      console.error('Error fetching stocktake:', error);
+      toast.error('Failed to fetch stocktake');
+    }
+  };
+
+  const startStocktake = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await axios.post('/api/stocktakes', {
+        ...scope,
+        locationId: scope.locationId ? parseInt(scope.locationId) : null
+      });
+      toast.success(`Stocktake opened with ${response.data.expectedProducts} products expected`);
+      setScope({ ...scope, category: '', subcategory: '', notes: '' });
+      fetchStocktakes();
+      openStocktake(response.data.stocktakeId);
+    } catch (error) {
+      console.error('Error opening stocktake:', error);
+      toast.error(error.response?.data?.message || 'Failed to open stocktake');
+    }
+  };
+
+  // Used by the camera and by USB scanners, which type the code and press Enter
+  const recordScan = async (scannedCode) => {
+    const trimmed = (scannedCode || '').trim();
+    if (!trimmed) return false;
+    try {
+      const response = await axios.post(`/api/stocktakes/${stocktake.id}/scan`, { code: trimmed, quantity });
+      const { item, message } = response.data;
+      if (item.state === 'matched' || item.state === 'missing') {
+        toast.success(message);
+      } else {
+        toast.error(message);
+      }
+      openStocktake(stocktake.id);
+    } catch (error) {
+      console.error('Error recording scan:', error);
+      toast.error(error.response?.data?.message || 'Failed to record scan');
+    }
+    setQuantity(1);
+    return false;
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    const scanned = code;
+    setCode('');
+    await recordScan(scanned);
+  };
+
+  const setCount = async (item, value) => {
+    if (value === '' || parseInt(value) < 0) return;
+    try {
+      await axios.put(`/api/stocktakes/${stocktake.id}/items/${item.id}`, { countedQuantity: parseInt(value) });
+      openStocktake(stocktake.id);
+    } catch (error) {
+      console.error('Error updating count:', error);
+      toast.error(error.response?.data?.message || 'Failed to update count');
+    }
+  };
+
+  const postStocktake = async () => {
+    const { missing, unexpected } = stocktake.summary;
+    if (!window.confirm(`Post this stocktake? ${missing} product(s) short and ${unexpected} over will be adjusted to the counted quantities.`)) {
+      return;
+    }
+    setPosting(true);
+    try {
+      const response = await axios.post(`/api/stocktakes/${stocktake.id}/post`);
+      toast.success(response.data.message);
+      openStocktake(stocktake.id);
+      fetchStocktakes();
+    } catch (error) {
+      console.error('Error posting stocktake:', error);
+      toast.error(error.response?.data?.message || 'Failed to post stocktake');
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  const cancelStocktake = async () => {
+    if (!window.confirm('Cancel this stocktake? Nothing will be adjusted.')) {
+      return;
+    }
+    try {
+      await axios.post(`/api/stocktakes/${stocktake.id}/cancel`);
+      toast.success('Stocktake cancelled');
+      setStocktake(null);
+      fetchStocktakes();
+    } catch (error) {
+      console.error('Error cancelling stocktake:', error);
+      toast.error(error.response?.data?.message || 'Failed to cancel stocktake');
+    }
+  };
+
+  const describeScope = (row) => [row.category || 'All products', row.subcategory].filter(Boolean).join(' / ')
+    + (row.location_name ? ` at ${row.location_name}` : '');
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleString('en-GB') : '-');
+
+  if (stocktake) {
+    const isOpen = stocktake.status === 'open';
+    const items = stateFilter ? stocktake.items.filter(item => item.state === stateFilter) : stocktake.items;
+
+    return (
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <button onClick={() => { setStocktake(null); fetchStocktakes(); }} className="text-sm text-gray-500 hover:text-gray-700 flex items-center mb-1">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              All stocktakes
+            </button>
+            <h1 className="text-2xl font-bold text-gray-900">Stocktake #{stocktake.id}</h1>
+            <p className="text-gray-600">
+              {describeScope(stocktake)} • opened {formatDate(stocktake.created_at)}
+              {stocktake.posted_at && ` • posted ${formatDate(stocktake.posted_at)} by ${stocktake.posted_by_name || '-'}`}
+            </p>
+          </div>
+          {isOpen && (
+            <div className="flex flex-col sm:flex-row gap-2">
+              <button onClick={cancelStocktake} className="btn-secondary w-full sm:w-auto">
+                <XCircle className="h-4 w-4 mr-2" />
+                Cancel Count
+              </button>
+              <button onClick={postStocktake} disabled={posting} className="btn-primary w-full sm:w-auto">
+                <CheckCircle className="h-4 w-4 mr-2" />
+                {posting ? 'Posting...' : 'Approve & Post'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        {isOpen && (
+          <div className="card">
+            <div className="card-body">
+              <form onSubmit={handleCodeSubmit} className="flex flex-col sm:flex-row gap-2">
+                <input
+                  ref={codeInputRef}
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  placeholder="Scan or type a barcode or IMEI, then Enter"
+                  className="input flex-1 font-mono"
+                  autoFocus
+                />
+                <input
+                  type="number"
+                  min="1"
+                  value={quantity}
+                  onChange={(e) => setQuantity(parseInt(e.target.value) || 1)}
+                  className="input w-full sm:w-24"
+                  title="Units per scan (accessories)"
+                />
+                <button type="submit" className="btn-primary">
+                  Count
+                </button>
+                <button type="button" onClick={() => setShowScanner(true)} className="btn-secondary">
+                  <Scan className="h-4 w-4 mr-2" />
+                  Camera
+                </button>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          {[
+            ['', 'Expected units', stocktake.summary.expectedUnits],
+            ['', 'Counted units', stocktake.summary.countedUnits],
+            ['missing', 'Missing', stocktake.summary.missing],
+            ['unexpected', 'Unexpected', stocktake.summary.unexpected],
+            ['unknown', 'Unknown codes', stocktake.summary.unknown]
+          ].map(([state, label, value]) => (
+            <button
+              key={label}
+              onClick={() => setStateFilter(stateFilter === state ? '' : state)}
+              className={`card text-left ${state && stateFilter === state ? 'ring-2 ring-primary-500' : ''}`}
+            >
+              <div className="card-body">
+                <p className="text-sm text-gray-500">{label}</p>
+                <p className="text-2xl font-bold text-gray-900">{value}</p>
+              </div>
+            </button>
+          ))}
+        </div>
+
+        <div className="card">
+          <div className="card-body p-0">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Product', 'Barcode / IMEI', 'Expected', 'Counted', 'Variance'].map(heading => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {items.map(item => (
+                    <tr key={item.id} className={STATE_STYLES[item.state]}>
+                      <td className="px-6 py-3">
+                        <div className="text-sm font-medium text-gray-900">{item.name || 'Unknown code'}</div>
+                        <div className="text-xs text-gray-500">
+                          {[item.category, item.subcategory].filter(Boolean).join(' • ')}
+                          {item.product_id && !item.in_scope && ' • outside this count'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm font-mono text-gray-700">
+                        {item.imei || item.barcode || item.code}
+                      </td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">{item.expected_quantity}</td>
+                      <td className="px-6 py-3 whitespace-nowrap text-sm text-gray-900">
+                        {isOpen && item.product_id ? (
+                          <input
+                            type="number"
+                            min="0"
+                            max={item.category === 'smartphones' ? 1 : undefined}
+                            defaultValue={item.counted_quantity}
+                            key={`${item.id}-${item.counted_quantity}`}
+                            onBlur={(e) => {
+                              if (parseInt(e.target.value) !== item.counted_quantity) setCount(item, e.target.value);
+                            }}
+                            className="input w-20"
+                          />
+                        ) : item.counted_quantity}
+                      </td>
+                      <td className={`px-6 py-3 whitespace-nowrap text-sm font-medium ${item.variance < 0 ? 'text-red-700' : item.variance > 0 ? 'text-yellow-700' : 'text-gray-500'}`}>
+                        {item.product_id ? (item.variance > 0 ? `+${item.variance}` : item.variance) : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {items.length === 0 && (
+              <p className="text-center text-sm text-gray-500 py-8">Nothing here</p>
+            )}
+          </div>
+        </div>
+
+        {showScanner && (
+          <BarcodeScannerModal
+            title="Scan to Count"
+            onDetected={recordScan}
+            onClose={() => setShowScanner(false)}
+            resumeAfter={1500}
+          />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Stocktake</h1>
+        <p className="text-gray-600">
+          Count the shop by scanning barcodes and IMEIs, then post the differences as stock adjustments.
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          <form onSubmit={startStocktake} className={`grid grid-cols-1 sm:grid-cols-2 ${locations.length > 1 ? 'lg:grid-cols-5' : 'lg:grid-cols-4'} gap-4 items-end`}>
+            {locations.length > 1 && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
+                <select
+                  value={scope.locationId}
+                  onChange={(e) => setScope({ ...scope, locationId: e.target.value })}
+                  className="input w-full"
+                >
+                  <option value="">Default location</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>{location.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+              <select
+                value={scope.category}
+                onChange={(e) => setScope({ ...scope, category: e.target.value, subcategory: '' })}
+                className="input w-full"
+              >
+                <option value="">All products</option>
+                <option value="smartphones">Smart Phones</option>
+                <option value="accessories">Accessories</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Subcategory</label>
+              <select
+                value={scope.subcategory}
+                onChange={(e) => setScope({ ...scope, subcategory: e.target.value })}
+                disabled={!scope.category}
+                className="input w-full"
+              >
+                <option value="">All</option>
+                {(subcategories[scope.category] || []).map(subcategory => (
+                  <option key={subcategory} value={subcategory}>{subcategory}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+              <input
+                type="text"
+                value={scope.notes}
+                onChange={(e) => setScope({ ...scope, notes: e.target.value })}
+                className="input w-full"
+              />
+            </div>
+            <button type="submit" className="btn-primary h-10">
+              <Plus className="h-4 w-4 mr-2" />
+              Start Count
+            </button>
+          </form>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body p-0">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Stocktake', 'Scope', 'Expected', 'Counted', 'Differences', 'Status'].map(heading => (
+                    <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {stocktakes.map(row => (
+                  <tr key={row.id} onClick={() => openStocktake(row.id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="text-sm font-medium text-gray-900">#{row.id}</div>
+                      <div className="text-xs text-gray-500">{formatDate(row.created_at)} • {row.created_by_name || '-'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{describeScope(row)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.expected_units}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.counted_units}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.variances}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_STYLES[row.status]}`}>
+                        {row.status}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {stocktakes.length === 0 && !loading && (
+            <div className="text-center py-12">
+              <ClipboardCheck className="mx-auto h-12 w-12 text-gray-400" />
+              <h3 className="mt-2 text-sm font-medium text-gray-900">No stocktakes yet</h3>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Stocktakes;
@@ -0,0 +1,844 @@
+import React, { useState, useEffect } from 'react';
+import axios from 'axios';
+import { toast } from 'react-hot-toast';
+import {
+  Plus,
+  RotateCcw,
+  ArrowLeftRight,
+  Send,
+  PackageCheck,
+  XCircle,
+  Trash2,
+  Edit,
+  Eye,
+  MapPin,
+  Scan
+} from 'lucide-react';
+
+const emptyLocation = { name: '', address: '', isDefault: false, active: true };
+const emptyTransfer = { fromLocationId: '', toLocationId: '', notes: '', items: [] };
+
+const Transfers = () => {
+  const [activeTab, setActiveTab] = useState('transfers');
+  const [transfers, setTransfers] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [locationFilter, setLocationFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [showLocationModal, setShowLocationModal] = useState(false);
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [locationForm, setLocationForm] = useState(emptyLocation);
+
+  const [showTransferModal, setShowTransferModal] = useState(false);
+  const [transferForm, setTransferForm] = useState(emptyTransfer);
+  const [sourceProducts, setSourceProducts] = useState([]);
+  const [scanCode, setScanCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [viewing, setViewing] = useState(null);
+
+  useEffect(() => {
+    fetchLocations();
+  }, []);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, [currentPage, statusFilter, locationFilter]);
+
+  // Only what the sending location holds can go on a transfer
+  useEffect(() => {
+    if (!transferForm.fromLocationId) {
+      setSourceProducts([]);
+      return;
+    }
+    const fetchSourceProducts = async () => {
+      try {
+        const response = await axios.get(`/api/products?location=${transferForm.fromLocationId}&limit=1000&sortBy=name&sortOrder=asc`);
+        setSourceProducts(response.data.products || []);
+      } catch (error) {
+        console.error('Error fetching products at location:', error);
+      }
+    };
+    fetchSourceProducts();
+  }, [transferForm.fromLocationId]);
+
+  const fetchTransfers = async () => {
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        page: currentPage,
+        limit: 10,
+        ...(statusFilter && { status: statusFilter }),
+        ...(locationFilter && { locationId: locationFilter })
+      });
+
+      const response = await axios.get(`/api/transfers?${params}`);
+      setTransfers(response.data.transfers);
+      setTotalPages(response.data.pagination.totalPages);
+    } catch (error) {
+      console.error('Error fetching transfers:', error);
+      toast.error('Failed to fetch transfers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchLocations = async () => {
+    try {
+      const response = await axios.get('/api/locations?all=true');
+      setLocations(response.data.locations);
+    } catch (error) {
+      console.error('Error fetching locations:', error);
+      toast.error('Failed to fetch locations');
+    }
+  };
+
+  const activeLocations = locations.filter(location => location.active);
+
+  const clearFilters = () => {
+    setStatusFilter('');
+    setLocationFilter('');
+    setCurrentPage(1);
+  };
+
+  // Locations
+
+  const openLocationModal = (location = null) => {
+    setEditingLocation(location);
+    setLocationForm(location ? {
+      name: location.name || '',
+      address: location.address || '',
+      isDefault: location.is_default,
+      active: location.active
+    } : emptyLocation);
+    setShowLocationModal(true);
+  };
+
+  const saveLocation = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingLocation) {
+        await axios.put(`/api/locations/${editingLocation.id}`, locationForm);
+        toast.success('Location updated successfully');
+      } else {
+        await axios.post('/api/locations', locationForm);
+        toast.success('Location created successfully');
+      }
+      setShowLocationModal(false);
+      fetchLocations();
+    } catch (error) {
+      console.error('Error saving location:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to save location');
+    }
+  };
+
+  const deleteLocation = async (locationId) => {
+    if (!window.confirm('Are you sure you want to delete this location?')) {
+      return;
+    }
+    try {
+      await axios.delete(`/api/locations/${locationId}`);
+      toast.success('Location deleted successfully');
+      fetchLocations();
+    } catch (error) {
+      console.error('Error deleting location:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete location');
+    }
+  };
+
+  // Transfers
+
+  const openTransferModal = () => {
+    const defaultLocation = activeLocations.find(location => location.is_default) || activeLocations[0];
+    setTransferForm({ ...emptyTransfer, fromLocationId: defaultLocation ? String(defaultLocation.id) : '' });
+    setScanCode('');
+    setShowTransferModal(true);
+  };
+
+  const addLine = (product) => {
+    setTransferForm(prev => {
+      const existing = prev.items.find(line => line.productId === product.id);
+      if (existing) {
+        if (product.category === 'smartphones') {
+          toast.error(`${product.name} is already on the transfer`);
+          return prev;
+        }
+        return {
+          ...prev,
+          items: prev.items.map(line => (line.productId === product.id ? { ...line, quantity: line.quantity + 1 } : line))
+        };
+      }
+      return { ...prev, items: [...prev.items, { productId: product.id, name: product.name, imei: product.imei, category: product.category, quantity: 1 }] };
+    });
+  };
+
+  // A scanned IMEI or barcode adds the product, if the sending location holds it
+  const handleScan = (e) => {
+    e.preventDefault();
+    const code = scanCode.trim();
+    if (!code) return;
+    const product = sourceProducts.find(p => p.imei === code) || sourceProducts.find(p => p.barcode === code);
+    if (product) {
+      addLine(product);
+    } else {
+      toast.error(`Nothing matching ${code} is held at this location`);
+    }
+    setScanCode('');
+  };
+
+  const createTransfer = async (e) => {
+    e.preventDefault();
+    if (transferForm.items.length === 0) {
+      toast.error('Add at least one product');
+      return;
+    }
+    setSubmitting(true);
+    try {
+      const response = await axios.post('/api/transfers', {
+        fromLocationId: transferForm.fromLocationId,
+        toLocationId: transferForm.toLocationId,
+        notes: transferForm.notes,
+        items: transferForm.items.map(line => ({ productId: line.productId, quantity: parseInt(line.quantity) || 1 }))
+      });
+      toast.success(`Transfer #${response.data.transferId} created`);
+      setShowTransferModal(false);
+      fetchTransfers();
+    } catch (error) {
+      console.error('Error creating transfer:', error);
+      toast.error(error.response?.data?.errors?.[0]?.msg || error.response?.data?.message || 'Failed to create transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const runAction = async (transferId, action, confirmation, success) => {
+    if (confirmation && !window.confirm(confirmation)) {
+      return;
+    }
+    try {
+      if (action === 'delete') {
+        await axios.delete(`/api/transfers/${transferId}`);
+      } else {
+        await axios.post(`/api/transfers/${transferId}/${action}`);
+      }
+      toast.success(success);
+      setViewing(null);
+      fetchTransfers();
+      fetchLocations();
+    } catch (error) {
+      console.error(`Error running ${action} on transfer:`, error);
+      toast.error(error.response?.data?.message || 'Failed to update transfer');
+    }
+  };
+
+  const viewTransfer = async (transferId) => {
+    try {
+      const response = await axios.get(`/api/transfers/${transferId}`);
+      setViewing(response.data);
+    } catch (error) {
+      console.error('Error fetching transfer:', error);
+      toast.error('Failed to fetch transfer');
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const styles = {
+      draft: 'bg-gray-100 text-gray-800',
+      sent: 'bg-blue-100 text-blue-800',
+      received: 'bg-green-100 text-green-800',
+      cancelled: 'bg-red-100 text-red-800'
+    };
+    return (
+      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${styles[status]}`}>
+        {status === 'sent' ? 'in transit' : status}
+      </span>
+    );
+  };
+
+  const formatDate = (dateString) => (dateString ? new Date(dateString).toLocaleDateString('en-GB') : '-');
+
+  const closeIcon = (
+    <svg className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+    </svg>
+  );
+
+  // Actions a transfer allows in its status, shared by the table and the detail view
+  const transferActions = (transfer) => (
+    <>
+      {transfer.status === 'draft' && (
+        <button
+          onClick={() => runAction(transfer.id, 'send', `Send transfer #${transfer.id}? Its stock leaves ${transfer.from_location_name} now.`, 'Transfer sent')}
+          className="text-blue-600 hover:text-blue-900 p-1"
+          title="Send"
+        >
+          <Send className="h-4 w-4" />
+        </button>
+      )}
+      {transfer.status === 'sent' && (
+        <button
+          onClick={() => runAction(transfer.id, 'receive', null, 'Transfer received')}
+          className="text-indigo-600 hover:text-indigo-900 p-1"
+          title="Receive"
+        >
+          <PackageCheck className="h-4 w-4" />
+        </button>
+      )}
+      {['draft', 'sent'].includes(transfer.status) && (
+        <button
+          onClick={() => runAction(
+            transfer.id,
+            'cancel',
+            transfer.status === 'sent' ? `Cancel transfer #${transfer.id}? Its stock goes back to ${transfer.from_location_name}.` : `Cancel transfer #${transfer.id}?`,
+            'Transfer cancelled'
+          )}
+          className="text-yellow-600 hover:text-yellow-900 p-1"
+          title="Cancel"
+        >
+          <XCircle className="h-4 w-4" />
+        </button>
+      )}
+      {transfer.status === 'draft' && (
+        <button
+          onClick={() => runAction(transfer.id, 'delete', 'Are you sure you want to delete this transfer?', 'Transfer deleted successfully')}
+          className="text-red-600 hover:text-red-900 p-1"
+          title="Delete Transfer"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      )}
+    </>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Transfers</h1>
+          <p className="text-gray-600">
+            Move stock between locations. Sent stock is in transit until the other location receives it.
+          </p>
+        </div>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <button onClick={() => openLocationModal()} className="btn-secondary w-full sm:w-auto">
+            <MapPin className="h-4 w-4 mr-2" />
+            Add Location
+          </button>
+          <button
+            onClick={openTransferModal}
+            disabled={activeLocations.length < 2}
+            className="btn-primary w-full sm:w-auto"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Transfer
+          </button>
+        </div>
+      </div>
+
+      <div className="border-b border-gray-200">
+        <nav className="flex space-x-8">
+          {[['transfers', 'Transfers'], ['locations', 'Locations']].map(([tab, label]) => (
+            <button
+              key={tab}
+              onClick={() => setActiveTab(tab)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${activeTab === tab
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+            >
+              {label}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {activeTab === 'transfers' ? (
+        <>
+          {/* Filters */}
+          <div className="card">
+            <div className="card-body">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Location
+                  </label>
+                  <select
+                    value={locationFilter}
+                    onChange={(e) => {
+                      setLocationFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="input w-full"
+                  >
+                    <option value="">All Locations</option>
+                    {locations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Status
+                  </label>
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => {
+                      setStatusFilter(e.target.value);
+                      setCurrentPage(1);
+                    }}
+                    className="input w-full"
+                  >
+                    <option value="">All Statuses</option>
+                    <option value="draft">Draft</option>
+                    <option value="sent">In Transit</option>
+                    <option value="received">Received</option>
+                    <option value="cancelled">Cancelled</option>
+                  </select>
+                </div>
+
+                <div className="flex items-end">
+                  <button
+                    onClick={clearFilters}
+                    className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors duration-200 flex items-center justify-center h-10 w-full sm:w-auto"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-2" />
+                    Reset
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Transfers Table */}
+          <div className="card">
+            <div className="card-body p-0">
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {['Transfer', 'From', 'To', 'Units', 'Sent', 'Received', 'Status', 'Actions'].map(heading => (
+                        <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                          {heading}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {transfers.map((transfer) => (
+                      <tr key={transfer.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">#{transfer.id}</div>
+                          <div className="text-xs text-gray-500">{formatDate(transfer.created_at)}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transfer.from_location_name}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{transfer.to_location_name}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {transfer.units} <span className="text-xs text-gray-500">({transfer.lines} products)</span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(transfer.sent_at)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(transfer.received_at)}</td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          {getStatusBadge(transfer.status)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => viewTransfer(transfer.id)}
+                              className="text-gray-600 hover:text-gray-900 p-1"
+                              title="View Transfer"
+                            >
+                              <Eye className="h-4 w-4" />
+                            </button>
+                            {transferActions(transfer)}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {transfers.length === 0 && !loading && (
+                <div className="text-center py-12">
+                  <ArrowLeftRight className="mx-auto h-12 w-12 text-gray-400" />
+                  <h3 className="mt-2 text-sm font-medium text-gray-900">No transfers found</h3>
+                  <p className="mt-1 text-sm text-gray-500">
+                    {activeLocations.length < 2 ? 'Add a second location first.' : 'Create one with "New Transfer".'}
+                  </p>
+                </div>
+              )}
+            </div>
+          </div>
+
+          {/* Pagination */}
+          {totalPages > 1 && (
+            <div className="flex justify-center">
+              <nav className="flex space-x-2">
+                <button
+                  onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+                  disabled={currentPage === 1}
+                  className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Previous
+                </button>
+
+                {Array.from({ length: totalPages }, (_, i) => i + 1).map((page) => (
+                  <button
+                    key={page}
+                    onClick={() => setCurrentPage(page)}
+                    className={`px-3 py-2 text-sm font-medium rounded-md ${
+                      currentPage === page
+                        ? 'bg-blue-600 text-white'
+                        : 'text-gray-500 bg-white border border-gray-300 hover:bg-gray-50'
+                    }`}
+                  >
+                    {page}
+                  </button>
+                ))}
+
+                <button
+                  onClick={() => setCurrentPage(Math.min(totalPages, currentPage + 1))}
+                  disabled={currentPage === totalPages}
+                  className="px-3 py-2 text-sm font-medium text-gray-500 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Next
+                </button>
+              </nav>
+            </div>
+          )}
+        </>
+      ) : (
+        /* Locations Table */
+        <div className="card">
+          <div className="card-body p-0">
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Location', 'Stock', 'Status', 'Actions'].map(heading => (
+                      <th key={heading} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {locations.map((location) => (
+                    <tr key={location.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">
+                          {location.name}
+                          {location.is_default && (
+                            <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-semibold rounded-full bg-primary-100 text-primary-800">Default</span>
+                          )}
+                        </div>
+                        <div className="text-xs text-gray-500">{location.address}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {location.stock_units} units <span className="text-xs text-gray-500">({location.products_in_stock} products)</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${location.active ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'}`}>
+                          {location.active ? 'Active' : 'Inactive'}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <div className="flex space-x-2">
+                          <button
+                            onClick={() => openLocationModal(location)}
+                            className="text-blue-600 hover:text-blue-900 p-1"
+                            title="Edit Location"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </button>
+                          {!location.is_default && (
+                            <button
+                              onClick={() => deleteLocation(location.id)}
+                              className="text-red-600 hover:text-red-900 p-1"
+                              title="Delete Location"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Location Modal */}
+      {showLocationModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-md shadow-lg rounded-md bg-white">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{editingLocation ? 'Edit Location' : 'Add Location'}</h3>
+              <button onClick={() => setShowLocationModal(false)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <form onSubmit={saveLocation} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                <input
+                  type="text"
+                  required
+                  value={locationForm.name}
+                  onChange={(e) => setLocationForm({ ...locationForm, name: e.target.value })}
+                  placeholder="Main Shop, Kiosk..."
+                  className="input w-full"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+                <input
+                  type="text"
+                  value={locationForm.address}
+                  onChange={(e) => setLocationForm({ ...locationForm, address: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={locationForm.isDefault}
+                  disabled={editingLocation?.is_default}
+                  onChange={(e) => setLocationForm({ ...locationForm, isDefault: e.target.checked })}
+                />
+                <span>Default location (online orders and deliveries without a location)</span>
+              </label>
+              {editingLocation && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={locationForm.active}
+                    disabled={editingLocation.is_default}
+                    onChange={(e) => setLocationForm({ ...locationForm, active: e.target.checked })}
+                  />
+                  <span>Active</span>
+                </label>
+              )}
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowLocationModal(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary">
+                  {editingLocation ? 'Update Location' : 'Add Location'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* New Transfer Modal */}
+      {showTransferModal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-4 mx-auto p-6 border w-full max-w-3xl shadow-lg rounded-md bg-white mb-14 md:my-10">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">New Transfer</h3>
+              <button onClick={() => setShowTransferModal(false)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <form onSubmit={createTransfer} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">From</label>
+                  <select
+                    required
+                    value={transferForm.fromLocationId}
+                    onChange={(e) => setTransferForm({ ...transferForm, fromLocationId: e.target.value, items: [] })}
+                    className="input w-full"
+                  >
+                    <option value="">Select location</option>
+                    {activeLocations.map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">To</label>
+                  <select
+                    required
+                    value={transferForm.toLocationId}
+                    onChange={(e) => setTransferForm({ ...transferForm, toLocationId: e.target.value })}
+                    className="input w-full"
+                  >
+                    <option value="">Select location</option>
+                    {activeLocations.filter(location => String(location.id) !== transferForm.fromLocationId).map(location => (
+                      <option key={location.id} value={location.id}>{location.name}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+
+              {transferForm.fromLocationId && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Scan IMEI or Barcode</label>
+                    <div className="relative">
+                      <Scan className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
+                      <input
+                        type="text"
+                        value={scanCode}
+                        onChange={(e) => setScanCode(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleScan(e);
+                        }}
+                        placeholder="Scan and press Enter"
+                        className="input w-full pl-10 font-mono"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Or Pick a Product</label>
+                    <select
+                      value=""
+                      onChange={(e) => {
+                        const product = sourceProducts.find(p => String(p.id) === e.target.value);
+                        if (product) addLine(product);
+                      }}
+                      className="input w-full"
+                    >
+                      <option value="">Select product</option>
+                      {sourceProducts.map(product => (
+                        <option key={product.id} value={product.id}>
+                          {product.name}{product.imei ? ` (${product.imei})` : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {transferForm.items.length > 0 && (
+                <div className="border border-gray-200 rounded-md divide-y divide-gray-200">
+                  {transferForm.items.map((line, index) => {
+                    const held = sourceProducts.find(p => p.id === line.productId);
+                    const available = (held?.locations || []).find(l => String(l.location_id) === transferForm.fromLocationId)?.quantity || 0;
+                    return (
+                      <div key={line.productId} className="flex items-center justify-between gap-2 p-3">
+                        <div>
+                          <div className="text-sm font-medium text-gray-900">{line.name}</div>
+                          <div className="text-xs text-gray-500">{line.imei || `${available} at this location`}</div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          {line.category !== 'smartphones' && (
+                            <input
+                              type="number"
+                              min="1"
+                              max={available || undefined}
+                              value={line.quantity}
+                              onChange={(e) => setTransferForm({
+                                ...transferForm,
+                                items: transferForm.items.map((l, i) => (i === index ? { ...l, quantity: e.target.value } : l))
+                              })}
+                              className="input w-20"
+                            />
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => setTransferForm({ ...transferForm, items: transferForm.items.filter((_, i) => i !== index) })}
+                            className="text-red-600 hover:text-red-900 p-2"
+                            title="Remove Line"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={2}
+                  value={transferForm.notes}
+                  onChange={(e) => setTransferForm({ ...transferForm, notes: e.target.value })}
+                  className="input w-full"
+                />
+              </div>
+
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setShowTransferModal(false)} className="btn-secondary">
+                  Cancel
+                </button>
+                <button type="submit" disabled={submitting} className="btn-primary">
+                  {submitting ? 'Saving...' : 'Create Draft'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Transfer Detail Modal */}
+      {viewing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50 !mt-0 px-4">
+          <div className="relative top-10 mx-auto p-6 border w-full max-w-2xl shadow-lg rounded-md bg-white mb-14">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">
+                  Transfer #{viewing.id}: {viewing.from_location_name} → {viewing.to_location_name}
+                </h3>
+                <p className="text-sm text-gray-500">
+                  Created {formatDate(viewing.created_at)} by {viewing.created_by_name || '-'}
+                  {viewing.sent_at && ` • Sent ${formatDate(viewing.sent_at)} by ${viewing.sent_by_name || '-'}`}
+                  {viewing.received_at && ` • Received ${formatDate(viewing.received_at)} by ${viewing.received_by_name || '-'}`}
+                </p>
+              </div>
+              <button onClick={() => setViewing(null)} className="text-gray-400 hover:text-gray-600">
+                {closeIcon}
+              </button>
+            </div>
+            <div className="mb-3">{getStatusBadge(viewing.status)}</div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['Product', 'Quantity', viewing.status === 'draft' ? `At ${viewing.from_location_name}` : null].filter(Boolean).map(heading => (
+                    <th key={heading} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {viewing.items.map(item => (
+                  <tr key={item.id}>
+                    <td className="px-4 py-2 text-sm text-gray-900">
+                      {item.name}
+                      {item.imei && <div className="text-xs text-gray-500 font-mono">{item.imei}</div>}
+                    </td>
+                    <td className="px-4 py-2 text-sm text-gray-900">{item.quantity}</td>
+                    {viewing.status === 'draft' && (
+                      <td className={`px-4 py-2 text-sm ${item.available_quantity < item.quantity ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                        {item.available_quantity}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {viewing.notes && <p className="mt-3 text-sm text-gray-600">{viewing.notes}</p>}
+            <div className="flex justify-end space-x-2 mt-4">
+              {transferActions(viewing)}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Transfers;
@@ -9,6 +9,7 @@ import {
 import { jsPDF } from 'jspdf';
 import LoadingSpinner from '../../components/LoadingSpinner';
 import UserProfileModal from '../../components/UserProfileModal';
+import ExportButtons from '../../components/ExportButtons';
 import toast from 'react-hot-toast';
 
 const UsersList = () => {
@@ -399,14 +400,17 @@ const UsersList = () => {
          <div className="card-header">
            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
            <h3 className="text-lg font-medium text-gray-900">All Users</h3>
-             <button
-               onClick={generateUsersReport}
-               className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md text-sm font-medium flex items-center justify-center gap-2 transition-colors w-full sm:w-auto"
-               title="Generate full users report"
-             >
-               <Download className="h-4 w-4" />
-               Generate Report
-             </button>
+             <div className="flex flex-col sm:flex-row gap-2">
+               <button
+                 onClick={generateUsersReport}
+                 className="bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-md text-sm font-medium flex items-center justify-center gap-2 transition-colors w-full sm:w-auto"
+                 title="Generate full users report"
+               >
+                 <Download className="h-4 w-4" />
+                 Generate Report
+               </button>
+               <ExportButtons entity="users" filters={{ search: searchTerm }} />
+             </div>
            </div>
          </div>
          <div className="card-body p-0">
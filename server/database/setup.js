@@ -45,7 +45,7 @@ async function setupDatabase() {
         imei VARCHAR(255),
         description TEXT,
         price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
-        stock_quantity INTEGER NOT NULL DEFAULT 0,
+        stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
         stock_status VARCHAR(50) NOT NULL DEFAULT 'enabled' CHECK (stock_status IN ('enabled', 'disabled')),
         category VARCHAR(50) NOT NULL DEFAULT 'accessories' CHECK (category IN ('accessories', 'smartphones')),
         subcategory VARCHAR(50),
@@ -104,6 +104,42 @@ async function setupDatabase() {
       ADD COLUMN IF NOT EXISTS imei VARCHAR(255)
     `);
 
+    // Stock can never go negative; concurrent sales of the last unit fail instead of overselling.
+    // NOT VALID keeps startup working on databases that already hold negative rows.
+    try {
+      await run(`
+        ALTER TABLE products
+        ADD CONSTRAINT products_stock_quantity_check CHECK (stock_quantity >= 0) NOT VALID
+      `);
+    } catch (e) {
+      // Constraint probably already exists; ignore
+    }
+
+    // Units held for approved orders that have not shipped yet
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0)
+    `);
+
+    // Sale currency; existing rows keep the old rule (smartphones in EUR, everything else in MKD)
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(10) CHECK (currency IN ('EUR', 'MKD'))
+    `);
+    await run(`
+      UPDATE products
+      SET currency = CASE WHEN category = 'smartphones' THEN 'EUR' ELSE 'MKD' END
+      WHERE currency IS NULL
+    `);
+    await run(`
+      ALTER TABLE products
+      ALTER COLUMN currency SET DEFAULT 'MKD'
+    `);
+    await run(`
+      ALTER TABLE products
+      ALTER COLUMN currency SET NOT NULL
+    `);
+
     // Remove image column if it exists (this will fail if column doesn't exist, but that's okay)
     try {
       await run(`
@@ -132,6 +168,78 @@ async function setupDatabase() {
       )
     `);
 
+    // Lifecycle timestamps and where the order's stock currently sits
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS stock_state VARCHAR(20) NOT NULL DEFAULT 'deducted' CHECK (stock_state IN ('none', 'reserved', 'deducted'))
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP
+    `);
+    await run(`
+      UPDATE orders SET completed_at = created_at
+      WHERE status = 'completed' AND completed_at IS NULL
+    `);
+
+    // Cancellation keeps the order for auditing
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cancelled_by INTEGER REFERENCES users (id) ON DELETE SET NULL
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cancel_reason TEXT
+    `);
+
+    // Order-level discount as entered, plus the total discount given per currency
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed'))
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS discount_value DECIMAL(10,2)
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS discount_currency VARCHAR(10) CHECK (discount_currency IN ('EUR', 'MKD'))
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS discount_reason VARCHAR(50)
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS eur_discount DECIMAL(10,2) NOT NULL DEFAULT 0
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS mkd_discount DECIMAL(10,2) NOT NULL DEFAULT 0
+    `);
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS discount_approved BOOLEAN NOT NULL DEFAULT FALSE
+    `);
+
+    // Currency the whole invoice is issued in (NULL keeps each line in its own currency)
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD'))
+    `);
+
     // Create order_items table
     await run(`
       CREATE TABLE IF NOT EXISTS order_items (
@@ -145,6 +253,49 @@ async function setupDatabase() {
       )
     `);
 
+    // price is the net unit price charged; list_price and discount_amount (per unit) explain it
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2)
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed'))
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS discount_value DECIMAL(10,2)
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+    `);
+    await run(`
+      UPDATE order_items SET list_price = price WHERE list_price IS NULL
+    `);
+
+    // VAT rate applied at the time of sale and the VAT contained in the (tax-inclusive) line total
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2)
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2)
+    `);
+
+    // Currency the line was sold in, copied from the product so later product changes keep history intact
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS currency VARCHAR(10) CHECK (currency IN ('EUR', 'MKD'))
+    `);
+    await run(`
+      UPDATE order_items oi
+      SET currency = p.currency
+      FROM products p
+      WHERE oi.product_id = p.id AND oi.currency IS NULL
+    `);
+
     // Create settings table
     await run(`
       CREATE TABLE IF NOT EXISTS settings (
@@ -175,6 +326,46 @@ async function setupDatabase() {
       ADD COLUMN IF NOT EXISTS smartphone_models JSONB
     `);
 
+    // Order status transitions (NULL means the built-in defaults)
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS order_transitions JSONB
+    `);
+
+    // Deepest discount staff may give without the manager PIN (NULL means no limit)
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS max_discount_percent DECIMAL(5,2) DEFAULT 10
+    `);
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS discount_approval_pin_hash VARCHAR(255)
+    `);
+
+    // VAT rates (NULL means the built-in standard 18% / reduced 5%)
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS tax_rates JSONB
+    `);
+
+    // Currency reports are converted to
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS base_currency VARCHAR(10) NOT NULL DEFAULT 'MKD' CHECK (base_currency IN ('EUR', 'MKD'))
+    `);
+
+    // Minutes a held (parked) cart is kept before it expires
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS held_cart_minutes INTEGER NOT NULL DEFAULT 240 CHECK (held_cart_minutes > 0)
+    `);
+
+    // Number patterns per document type (NULL means INV-/CN-/SRV-{YYYY}-{seq:5})
+    await run(`
+      ALTER TABLE settings
+      ADD COLUMN IF NOT EXISTS document_number_patterns JSONB
+    `);
+
     // Backfill defaults for existing settings rows where new columns are NULL
     await run(`
       UPDATE settings
@@ -240,6 +431,536 @@ async function setupDatabase() {
       )
     `);
 
+    // Create order_payments table (tenders captured against an order)
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_payments (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL,
+        method VARCHAR(50) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'store_credit')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        tendered_amount DECIMAL(10,2) NOT NULL,
+        change_due DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        reference VARCHAR(255),
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create order_returns table (one row per return/credit note against an order)
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_returns (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL,
+        reason TEXT,
+        eur_total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        mkd_total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        eur_exchange DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        mkd_exchange DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Create order_return_items table (returned quantities per original order line)
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_return_items (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL,
+        order_item_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        price DECIMAL(10,2) NOT NULL,
+        FOREIGN KEY (return_id) REFERENCES order_returns (id) ON DELETE CASCADE,
+        FOREIGN KEY (order_item_id) REFERENCES order_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create order_refunds table (money handed back for a return, by tender)
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_refunds (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL,
+        method VARCHAR(50) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'store_credit')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        reference VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (return_id) REFERENCES order_returns (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Lines added to an order as the replacement in an exchange
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS exchange_return_id INTEGER REFERENCES order_returns (id) ON DELETE SET NULL
+    `);
+
+    // Audit trail of everything that happened to an order
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_events (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL,
+        event_type VARCHAR(50) NOT NULL,
+        details JSONB,
+        reason TEXT,
+        user_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Quotes: priced proposals that hold no stock and book no debt until converted into an order
+    await run(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER,
+        guest_name VARCHAR(255),
+        guest_email VARCHAR(255),
+        guest_phone VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'declined', 'converted')),
+        valid_until DATE NOT NULL,
+        notes TEXT,
+        discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed')),
+        discount_value DECIMAL(10,2),
+        discount_currency VARCHAR(10) CHECK (discount_currency IN ('EUR', 'MKD')),
+        discount_reason VARCHAR(50),
+        eur_discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        mkd_discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        discount_approved BOOLEAN NOT NULL DEFAULT FALSE,
+        invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD')),
+        order_id INTEGER,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        converted_at TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+        CHECK (client_id IS NOT NULL OR (guest_name IS NOT NULL))
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS quote_items (
+        id SERIAL PRIMARY KEY,
+        quote_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        price DECIMAL(10,2) NOT NULL,
+        list_price DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed')),
+        discount_value DECIMAL(10,2),
+        discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        FOREIGN KEY (quote_id) REFERENCES quotes (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE
+      )
+    `);
+
+    // Held carts: a POS sale parked while the customer steps away. The cart is only a draft,
+    // so no stock is reserved; stock and prices are checked again when it becomes an order.
+    await run(`
+      CREATE TABLE IF NOT EXISTS held_carts (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER,
+        guest_name VARCHAR(255),
+        guest_email VARCHAR(255),
+        guest_phone VARCHAR(50),
+        items JSONB NOT NULL,
+        discount JSONB,
+        discount_reason VARCHAR(50),
+        invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD')),
+        fulfillment VARCHAR(20) NOT NULL DEFAULT 'pickup' CHECK (fulfillment IN ('pickup', 'delivery')),
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        FOREIGN KEY (client_id) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Exchange rates by effective date; the latest rate on or before a sale's date applies to it
+    await run(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        from_currency VARCHAR(10) NOT NULL CHECK (from_currency IN ('EUR', 'MKD')),
+        to_currency VARCHAR(10) NOT NULL CHECK (to_currency IN ('EUR', 'MKD')),
+        rate DECIMAL(14,6) NOT NULL CHECK (rate > 0),
+        effective_date DATE NOT NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (from_currency, to_currency, effective_date),
+        CHECK (from_currency <> to_currency),
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Till sessions: a cashier's shift from opening float to counted close
+    await run(`
+      CREATE TABLE IF NOT EXISTS cash_sessions (
+        id SERIAL PRIMARY KEY,
+        register_name VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        opened_by INTEGER,
+        opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        opening_float_eur DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (opening_float_eur >= 0),
+        opening_float_mkd DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (opening_float_mkd >= 0),
+        closed_by INTEGER,
+        closed_at TIMESTAMP,
+        expected_eur DECIMAL(10,2),
+        expected_mkd DECIMAL(10,2),
+        counted_eur DECIMAL(10,2),
+        counted_mkd DECIMAL(10,2),
+        notes TEXT,
+        FOREIGN KEY (opened_by) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (closed_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Cash taken out of (payout) or put into (pay_in) the drawer outside of sales
+    await run(`
+      CREATE TABLE IF NOT EXISTS cash_session_movements (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('payout', 'pay_in')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        reason VARCHAR(255) NOT NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES cash_sessions (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Sales, tenders and refunds taken while a till session was open
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL
+    `);
+    await run(`
+      ALTER TABLE order_payments
+      ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL
+    `);
+    await run(`
+      ALTER TABLE order_refunds
+      ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL
+    `);
+
+    // Last number handed out per document type and year (year 0 for patterns without a year)
+    await run(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        doc_type VARCHAR(30) NOT NULL CHECK (doc_type IN ('invoice', 'credit_note', 'service_invoice')),
+        year INTEGER NOT NULL,
+        last_value INTEGER NOT NULL CHECK (last_value > 0),
+        PRIMARY KEY (doc_type, year)
+      )
+    `);
+
+    // Fiscal numbers, set when the document is first issued
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50) UNIQUE
+    `);
+    await run(`
+      ALTER TABLE order_returns
+      ADD COLUMN IF NOT EXISTS credit_note_number VARCHAR(50) UNIQUE
+    `);
+    await run(`
+      ALTER TABLE services
+      ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50) UNIQUE
+    `);
+
+    // Purchase cost per unit in the product's currency (each phone is its own product, so its own cost),
+    // copied onto order lines at the time of sale for margin reporting
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS cost_price DECIMAL(10,2) CHECK (cost_price >= 0)
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS cost_price DECIMAL(10,2)
+    `);
+
+    // Suppliers that stock is bought from
+    await run(`
+      CREATE TABLE IF NOT EXISTS suppliers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        contact_name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        address TEXT,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Purchase orders: drafted, sent to the supplier, then received in one or more deliveries
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id SERIAL PRIMARY KEY,
+        supplier_id INTEGER NOT NULL,
+        status VARCHAR(30) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        expected_date DATE,
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        received_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        FOREIGN KEY (supplier_id) REFERENCES suppliers (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Expected lines: a smartphone model/storage/color, or an existing accessory to restock.
+    // unit_cost is in the order's currency; sale_price is what received phones are put on sale for.
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_items (
+        id SERIAL PRIMARY KEY,
+        purchase_order_id INTEGER NOT NULL,
+        category VARCHAR(50) NOT NULL CHECK (category IN ('accessories', 'smartphones')),
+        product_id INTEGER,
+        subcategory VARCHAR(50),
+        model VARCHAR(255),
+        storage_gb VARCHAR(50),
+        color VARCHAR(50),
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        received_quantity INTEGER NOT NULL DEFAULT 0 CHECK (received_quantity >= 0 AND received_quantity <= quantity),
+        unit_cost DECIMAL(10,2) NOT NULL CHECK (unit_cost >= 0),
+        sale_price DECIMAL(10,2) CHECK (sale_price >= 0),
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Each delivery against a purchase order, with the products it created or restocked
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_receipts (
+        id SERIAL PRIMARY KEY,
+        purchase_order_id INTEGER NOT NULL,
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (purchase_order_id) REFERENCES purchase_orders (id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_receipt_items (
+        id SERIAL PRIMARY KEY,
+        receipt_id INTEGER NOT NULL,
+        purchase_order_item_id INTEGER NOT NULL,
+        product_id INTEGER,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        unit_cost DECIMAL(10,2) NOT NULL,
+        FOREIGN KEY (receipt_id) REFERENCES purchase_order_receipts (id) ON DELETE CASCADE,
+        FOREIGN KEY (purchase_order_item_id) REFERENCES purchase_order_items (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Stock ledger: one row per change to products.stock_quantity, never updated or deleted.
+    // quantity is signed; balance_after is the product's stock once the change was made.
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL,
+        movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('sale', 'return', 'receipt', 'adjustment', 'transfer', 'stocktake')),
+        quantity INTEGER NOT NULL CHECK (quantity <> 0),
+        balance_after INTEGER NOT NULL,
+        order_id INTEGER,
+        return_id INTEGER,
+        receipt_id INTEGER,
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+        FOREIGN KEY (order_id) REFERENCES orders (id) ON DELETE SET NULL,
+        FOREIGN KEY (return_id) REFERENCES order_returns (id) ON DELETE SET NULL,
+        FOREIGN KEY (receipt_id) REFERENCES purchase_order_receipts (id) ON DELETE SET NULL,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // Stocktakes: a count of one category (and optionally subcategory), or the whole shop.
+    // Posting turns the differences into stock adjustments in one go.
+    await run(`
+      CREATE TABLE IF NOT EXISTS stocktakes (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(50) CHECK (category IN ('accessories', 'smartphones')),
+        subcategory VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        posted_by INTEGER,
+        posted_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (posted_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    // What a stocktake expects and what was counted. expected_quantity is the stock when the count
+    // was opened; products scanned outside the scope, or with no stock expected, join with 0 expected
+    // and in_scope false. Codes that match no product are kept with product_id NULL.
+    await run(`
+      CREATE TABLE IF NOT EXISTS stocktake_items (
+        id SERIAL PRIMARY KEY,
+        stocktake_id INTEGER NOT NULL,
+        product_id INTEGER,
+        code VARCHAR(255),
+        expected_quantity INTEGER NOT NULL DEFAULT 0,
+        counted_quantity INTEGER NOT NULL DEFAULT 0 CHECK (counted_quantity >= 0),
+        in_scope BOOLEAN NOT NULL DEFAULT true,
+        counted_at TIMESTAMP,
+        FOREIGN KEY (stocktake_id) REFERENCES stocktakes (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+        UNIQUE (stocktake_id, product_id)
+      )
+    `);
+
+    // Stock movements posted by a stocktake
+    await run(`
+      ALTER TABLE stock_movements
+      ADD COLUMN IF NOT EXISTS stocktake_id INTEGER REFERENCES stocktakes (id) ON DELETE SET NULL
+    `);
+
+    // Store locations (the main shop, a kiosk, ...). Stock without a location belongs to the default one.
+    await run(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        address TEXT,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await run(`
+      INSERT INTO locations (name, is_default)
+      SELECT 'Main Shop', true
+      WHERE NOT EXISTS (SELECT 1 FROM locations)
+    `);
+
+    // Stock held at each location. products.stock_quantity is the sum over locations; stock on its
+    // way between locations is in neither. A smartphone is held (quantity 1) at one location at most.
+    await run(`
+      CREATE TABLE IF NOT EXISTS location_stock (
+        product_id INTEGER NOT NULL,
+        location_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 0 CONSTRAINT location_stock_quantity_check CHECK (quantity >= 0),
+        PRIMARY KEY (product_id, location_id),
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE CASCADE,
+        FOREIGN KEY (location_id) REFERENCES locations (id) ON DELETE RESTRICT
+      )
+    `);
+
+    // The location an order is sold from, where its stock is taken
+    await run(`
+      ALTER TABLE orders
+      ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL
+    `);
+
+    // The location a stocktake counts
+    await run(`
+      ALTER TABLE stocktakes
+      ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL
+    `);
+
+    // Transfers: stock leaves the sending location when sent and joins the other one when received
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_transfers (
+        id SERIAL PRIMARY KEY,
+        from_location_id INTEGER NOT NULL,
+        to_location_id INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'received', 'cancelled')),
+        notes TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_by INTEGER,
+        sent_at TIMESTAMP,
+        received_by INTEGER,
+        received_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        CHECK (from_location_id <> to_location_id),
+        FOREIGN KEY (from_location_id) REFERENCES locations (id) ON DELETE RESTRICT,
+        FOREIGN KEY (to_location_id) REFERENCES locations (id) ON DELETE RESTRICT,
+        FOREIGN KEY (created_by) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (sent_by) REFERENCES users (id) ON DELETE SET NULL,
+        FOREIGN KEY (received_by) REFERENCES users (id) ON DELETE SET NULL
+      )
+    `);
+
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_transfer_items (
+        id SERIAL PRIMARY KEY,
+        transfer_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        FOREIGN KEY (transfer_id) REFERENCES stock_transfers (id) ON DELETE CASCADE,
+        FOREIGN KEY (product_id) REFERENCES products (id) ON DELETE RESTRICT,
+        UNIQUE (transfer_id, product_id)
+      )
+    `);
+
+    // Where each stock movement happened, and the transfer behind it
+    await run(`
+      ALTER TABLE stock_movements
+      ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL
+    `);
+
+    await run(`
+      ALTER TABLE stock_movements
+      ADD COLUMN IF NOT EXISTS transfer_id INTEGER REFERENCES stock_transfers (id) ON DELETE SET NULL
+    `);
+
+    // Reorder points for accessories; smartphone models keep theirs in settings.smartphone_models
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS min_stock INTEGER CHECK (min_stock >= 0)
+    `);
+
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS max_stock INTEGER CHECK (max_stock >= 0)
+    `);
+
+    try {
+      await run(`
+        ALTER TABLE products
+        ADD CONSTRAINT products_stock_levels_check CHECK (max_stock >= min_stock)
+      `);
+    } catch (e) {
+      // Constraint probably already exists; ignore
+    }
+
+    // Second IMEI of dual-SIM phones
+    await run(`
+      ALTER TABLE products
+      ADD COLUMN IF NOT EXISTS imei2 VARCHAR(255)
+    `);
+
+    // A handset is in stock only once. A sold phone keeps its IMEI, so one bought back can be added again,
+    // but two products in stock cannot share one. Not enforced while existing stock still has such duplicates.
+    try {
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_products_imei_in_stock ON products(imei) WHERE imei IS NOT NULL AND stock_quantity > 0`);
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_products_imei2_in_stock ON products(imei2) WHERE imei2 IS NOT NULL AND stock_quantity > 0`);
+    } catch (e) {
+      console.log('ℹ️  Skipped IMEI uniqueness (an IMEI is in stock twice):', e.message);
+    }
+
     // ------------------------
     // Performance indexes
     // ------------------------
@@ -253,6 +974,40 @@ async function setupDatabase() {
       await run(`CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id)`);
 
+      // Order payments
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_payments_cash_session_id ON order_payments(cash_session_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_orders_cash_session_id ON orders(cash_session_id)`);
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_sessions_open_user ON cash_sessions(opened_by) WHERE status = 'open'`);
+
+      // Purchase orders
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_order_items_purchase_order_id ON purchase_order_items(purchase_order_id)`);
+
+      // Stock ledger
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id, created_at)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stocktake_items_stocktake_id ON stocktake_items(stocktake_id)`);
+
+      // Locations and transfers
+      await run(`CREATE INDEX IF NOT EXISTS idx_location_stock_location_id ON location_stock(location_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_orders_location_id ON orders(location_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_transfers_status ON stock_transfers(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer_id ON stock_transfer_items(transfer_id)`);
+
+      // Quotes
+      await run(`CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_quote_items_quote_id ON quote_items(quote_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_held_carts_expires_at ON held_carts(expires_at)`);
+
+      // Returns
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_returns_order_id ON order_returns(order_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_return_items_order_item_id ON order_return_items(order_item_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_refunds_return_id ON order_refunds(return_id)`);
+
+      // Order events
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id, created_at)`);
+
       // Products
       await run(`CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_products_subcategory ON products(subcategory)`);
@@ -488,6 +1243,37 @@ async function setupDatabase() {
       console.log('ℹ️  Skipped smartphone name backfill:', e.message);
     }
 
+    // Backfill: stock held before the ledger existed becomes each product's opening balance
+    try {
+      await run(`
+        INSERT INTO stock_movements (product_id, movement_type, quantity, balance_after, notes)
+        SELECT p.id, 'adjustment', p.stock_quantity, p.stock_quantity, 'Opening balance'
+        FROM products p
+        WHERE p.stock_quantity <> 0
+          AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)
+      `);
+    } catch (e) {
+      console.log('ℹ️  Skipped stock ledger backfill:', e.message);
+    }
+
+    // Backfill: stock, orders, ledger entries and stocktakes from before locations belong to the default location
+    try {
+      await run(`
+        INSERT INTO location_stock (product_id, location_id, quantity)
+        SELECT p.id, l.id, p.stock_quantity
+        FROM products p
+        CROSS JOIN (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) l
+        WHERE p.stock_quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM location_stock ls WHERE ls.product_id = p.id)
+      `);
+      await run(`UPDATE orders SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL`);
+      // Transfer movements without a location are stock in transit, not stock from before locations
+      await run(`UPDATE stock_movements SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL AND movement_type <> 'transfer'`);
+      await run(`UPDATE stocktakes SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL`);
+    } catch (e) {
+      console.log('ℹ️  Skipped location backfill:', e.message);
+    }
+
     console.log('🎉 Database setup completed successfully!');
     console.log('\n📋 Default Admin Account:');
     console.log('   Email: admin@poscrm.com');
@@ -58,7 +58,7 @@ async function setupSupabaseDatabase() {
         imei VARCHAR(255),
         description TEXT,
         price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
-        stock_quantity INTEGER NOT NULL DEFAULT 0,
+        stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
         stock_status VARCHAR(50) NOT NULL DEFAULT 'enabled' CHECK (stock_status IN ('enabled', 'disabled')),
         category VARCHAR(50) NOT NULL DEFAULT 'accessories' CHECK (category IN ('accessories', 'smartphones')),
         subcategory VARCHAR(50),
@@ -70,6 +70,24 @@ async function setupSupabaseDatabase() {
       )
     `);
 
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS reserved_quantity INTEGER NOT NULL DEFAULT 0 CHECK (reserved_quantity >= 0)`);
+
+    // Sale currency; existing rows keep the old rule (smartphones in EUR, everything else in MKD)
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS currency VARCHAR(10) CHECK (currency IN ('EUR', 'MKD'))`);
+    await run(`UPDATE products SET currency = CASE WHEN category = 'smartphones' THEN 'EUR' ELSE 'MKD' END WHERE currency IS NULL`);
+    await run(`ALTER TABLE products ALTER COLUMN currency SET DEFAULT 'MKD'`);
+    await run(`ALTER TABLE products ALTER COLUMN currency SET NOT NULL`);
+
+    // Existing databases predate the non-negative stock check
+    try {
+      await run(`
+        ALTER TABLE products
+        ADD CONSTRAINT products_stock_quantity_check CHECK (stock_quantity >= 0) NOT VALID
+      `);
+    } catch (e) {
+      // Constraint already exists
+    }
+
     // Create orders table
     console.log('📋 Creating orders table...');
     await run(`
@@ -86,6 +104,23 @@ async function setupSupabaseDatabase() {
       )
     `);
 
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_state VARCHAR(20) NOT NULL DEFAULT 'deducted' CHECK (stock_state IN ('none', 'reserved', 'deducted'))`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS shipped_at TIMESTAMP`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP`);
+    await run(`UPDATE orders SET completed_at = created_at WHERE status = 'completed' AND completed_at IS NULL`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_by INTEGER`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancel_reason TEXT`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed'))`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_value DECIMAL(10,2)`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_currency VARCHAR(10) CHECK (discount_currency IN ('EUR', 'MKD'))`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_reason VARCHAR(50)`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS eur_discount DECIMAL(10,2) NOT NULL DEFAULT 0`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS mkd_discount DECIMAL(10,2) NOT NULL DEFAULT 0`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS discount_approved BOOLEAN NOT NULL DEFAULT FALSE`);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD'))`);
+
     // Create order_items table
     await run(`
       CREATE TABLE IF NOT EXISTS order_items (
@@ -96,6 +131,15 @@ async function setupSupabaseDatabase() {
         price DECIMAL(10,2) NOT NULL
       )
     `);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS list_price DECIMAL(10,2)`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed'))`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_value DECIMAL(10,2)`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0`);
+    await run(`UPDATE order_items SET list_price = price WHERE list_price IS NULL`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2)`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2)`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS currency VARCHAR(10) CHECK (currency IN ('EUR', 'MKD'))`);
+    await run(`UPDATE order_items oi SET currency = p.currency FROM products p WHERE oi.product_id = p.id AND oi.currency IS NULL`);
 
     // Create settings table
     console.log('⚙️ Creating settings table...');
@@ -113,6 +157,13 @@ async function setupSupabaseDatabase() {
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS order_transitions JSONB`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS max_discount_percent DECIMAL(5,2) DEFAULT 10`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS discount_approval_pin_hash VARCHAR(255)`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS tax_rates JSONB`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS base_currency VARCHAR(10) NOT NULL DEFAULT 'MKD' CHECK (base_currency IN ('EUR', 'MKD'))`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS held_cart_minutes INTEGER NOT NULL DEFAULT 240 CHECK (held_cart_minutes > 0)`);
+    await run(`ALTER TABLE settings ADD COLUMN IF NOT EXISTS document_number_patterns JSONB`);
 
     // Create user_debt_adjustments table
     await run(`
@@ -146,6 +197,381 @@ async function setupSupabaseDatabase() {
       )
     `);
 
+    // Create order_payments table
+    console.log('💳 Creating order payments table...');
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_payments (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+        method VARCHAR(50) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'store_credit')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        tendered_amount DECIMAL(10,2) NOT NULL,
+        change_due DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        reference VARCHAR(255),
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create returns tables
+    console.log('↩️ Creating returns tables...');
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_returns (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+        reason TEXT,
+        eur_total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        mkd_total DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        eur_exchange DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        mkd_exchange DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_return_items (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL REFERENCES order_returns (id) ON DELETE CASCADE,
+        order_item_id INTEGER NOT NULL REFERENCES order_items (id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        price DECIMAL(10,2) NOT NULL
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_refunds (
+        id SERIAL PRIMARY KEY,
+        return_id INTEGER NOT NULL REFERENCES order_returns (id) ON DELETE CASCADE,
+        method VARCHAR(50) NOT NULL CHECK (method IN ('cash', 'card', 'bank_transfer', 'store_credit')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        reference VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      ALTER TABLE order_items
+      ADD COLUMN IF NOT EXISTS exchange_return_id INTEGER REFERENCES order_returns (id) ON DELETE SET NULL
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS order_events (
+        id SERIAL PRIMARY KEY,
+        order_id INTEGER NOT NULL REFERENCES orders (id) ON DELETE CASCADE,
+        event_type VARCHAR(50) NOT NULL,
+        details JSONB,
+        reason TEXT,
+        user_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Quotes hold no stock and book no debt until converted into an order
+    await run(`
+      CREATE TABLE IF NOT EXISTS quotes (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        guest_name VARCHAR(255),
+        guest_email VARCHAR(255),
+        guest_phone VARCHAR(50),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'declined', 'converted')),
+        valid_until DATE NOT NULL,
+        notes TEXT,
+        discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed')),
+        discount_value DECIMAL(10,2),
+        discount_currency VARCHAR(10) CHECK (discount_currency IN ('EUR', 'MKD')),
+        discount_reason VARCHAR(50),
+        eur_discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        mkd_discount DECIMAL(10,2) NOT NULL DEFAULT 0,
+        discount_approved BOOLEAN NOT NULL DEFAULT FALSE,
+        invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD')),
+        order_id INTEGER REFERENCES orders (id) ON DELETE SET NULL,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        converted_at TIMESTAMP,
+        CHECK (client_id IS NOT NULL OR (guest_name IS NOT NULL))
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS quote_items (
+        id SERIAL PRIMARY KEY,
+        quote_id INTEGER NOT NULL REFERENCES quotes (id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products (id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        price DECIMAL(10,2) NOT NULL,
+        list_price DECIMAL(10,2) NOT NULL,
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        discount_type VARCHAR(20) CHECK (discount_type IN ('percent', 'fixed')),
+        discount_value DECIMAL(10,2),
+        discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Held (parked) POS carts; they reserve no stock and expire after settings.held_cart_minutes
+    await run(`
+      CREATE TABLE IF NOT EXISTS held_carts (
+        id SERIAL PRIMARY KEY,
+        client_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        guest_name VARCHAR(255),
+        guest_email VARCHAR(255),
+        guest_phone VARCHAR(50),
+        items JSONB NOT NULL,
+        discount JSONB,
+        discount_reason VARCHAR(50),
+        invoice_currency VARCHAR(10) CHECK (invoice_currency IN ('EUR', 'MKD')),
+        fulfillment VARCHAR(20) NOT NULL DEFAULT 'pickup' CHECK (fulfillment IN ('pickup', 'delivery')),
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    // Exchange rates by effective date
+    await run(`
+      CREATE TABLE IF NOT EXISTS exchange_rates (
+        id SERIAL PRIMARY KEY,
+        from_currency VARCHAR(10) NOT NULL CHECK (from_currency IN ('EUR', 'MKD')),
+        to_currency VARCHAR(10) NOT NULL CHECK (to_currency IN ('EUR', 'MKD')),
+        rate DECIMAL(14,6) NOT NULL CHECK (rate > 0),
+        effective_date DATE NOT NULL,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (from_currency, to_currency, effective_date),
+        CHECK (from_currency <> to_currency)
+      )
+    `);
+
+    // Till sessions, their payouts / pay-ins and what was taken during them
+    await run(`
+      CREATE TABLE IF NOT EXISTS cash_sessions (
+        id SERIAL PRIMARY KEY,
+        register_name VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+        opened_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        opening_float_eur DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (opening_float_eur >= 0),
+        opening_float_mkd DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (opening_float_mkd >= 0),
+        closed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        closed_at TIMESTAMP,
+        expected_eur DECIMAL(10,2),
+        expected_mkd DECIMAL(10,2),
+        counted_eur DECIMAL(10,2),
+        counted_mkd DECIMAL(10,2),
+        notes TEXT
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS cash_session_movements (
+        id SERIAL PRIMARY KEY,
+        session_id INTEGER NOT NULL REFERENCES cash_sessions (id) ON DELETE CASCADE,
+        type VARCHAR(20) NOT NULL CHECK (type IN ('payout', 'pay_in')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+        reason VARCHAR(255) NOT NULL,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL`);
+    await run(`ALTER TABLE order_payments ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL`);
+    await run(`ALTER TABLE order_refunds ADD COLUMN IF NOT EXISTS cash_session_id INTEGER REFERENCES cash_sessions (id) ON DELETE SET NULL`);
+
+    // Fiscal document numbering: one sequence per document type and year
+    await run(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        doc_type VARCHAR(30) NOT NULL CHECK (doc_type IN ('invoice', 'credit_note', 'service_invoice')),
+        year INTEGER NOT NULL,
+        last_value INTEGER NOT NULL CHECK (last_value > 0),
+        PRIMARY KEY (doc_type, year)
+      )
+    `);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50) UNIQUE`);
+    await run(`ALTER TABLE order_returns ADD COLUMN IF NOT EXISTS credit_note_number VARCHAR(50) UNIQUE`);
+    await run(`ALTER TABLE services ADD COLUMN IF NOT EXISTS invoice_number VARCHAR(50) UNIQUE`);
+
+    // Purchase cost per unit, and the cost of each order line at the time of sale
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS cost_price DECIMAL(10,2) CHECK (cost_price >= 0)`);
+    await run(`ALTER TABLE order_items ADD COLUMN IF NOT EXISTS cost_price DECIMAL(10,2)`);
+
+    // Suppliers, purchase orders and the deliveries received against them
+    await run(`
+      CREATE TABLE IF NOT EXISTS suppliers (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        contact_name VARCHAR(255),
+        email VARCHAR(255),
+        phone VARCHAR(50),
+        address TEXT,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_orders (
+        id SERIAL PRIMARY KEY,
+        supplier_id INTEGER NOT NULL REFERENCES suppliers (id) ON DELETE RESTRICT,
+        status VARCHAR(30) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+        currency VARCHAR(10) NOT NULL CHECK (currency IN ('EUR', 'MKD')),
+        expected_date DATE,
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        received_at TIMESTAMP,
+        cancelled_at TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_items (
+        id SERIAL PRIMARY KEY,
+        purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders (id) ON DELETE CASCADE,
+        category VARCHAR(50) NOT NULL CHECK (category IN ('accessories', 'smartphones')),
+        product_id INTEGER REFERENCES products (id) ON DELETE SET NULL,
+        subcategory VARCHAR(50),
+        model VARCHAR(255),
+        storage_gb VARCHAR(50),
+        color VARCHAR(50),
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        received_quantity INTEGER NOT NULL DEFAULT 0 CHECK (received_quantity >= 0 AND received_quantity <= quantity),
+        unit_cost DECIMAL(10,2) NOT NULL CHECK (unit_cost >= 0),
+        sale_price DECIMAL(10,2) CHECK (sale_price >= 0)
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_receipts (
+        id SERIAL PRIMARY KEY,
+        purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders (id) ON DELETE CASCADE,
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS purchase_order_receipt_items (
+        id SERIAL PRIMARY KEY,
+        receipt_id INTEGER NOT NULL REFERENCES purchase_order_receipts (id) ON DELETE CASCADE,
+        purchase_order_item_id INTEGER NOT NULL REFERENCES purchase_order_items (id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products (id) ON DELETE SET NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        unit_cost DECIMAL(10,2) NOT NULL
+      )
+    `);
+
+    // Stock ledger: one row per change to products.stock_quantity, never updated or deleted
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_movements (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products (id) ON DELETE CASCADE,
+        movement_type VARCHAR(20) NOT NULL CHECK (movement_type IN ('sale', 'return', 'receipt', 'adjustment', 'transfer', 'stocktake')),
+        quantity INTEGER NOT NULL CHECK (quantity <> 0),
+        balance_after INTEGER NOT NULL,
+        order_id INTEGER REFERENCES orders (id) ON DELETE SET NULL,
+        return_id INTEGER REFERENCES order_returns (id) ON DELETE SET NULL,
+        receipt_id INTEGER REFERENCES purchase_order_receipts (id) ON DELETE SET NULL,
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Stocktakes and what each one expected and counted
+    await run(`
+      CREATE TABLE IF NOT EXISTS stocktakes (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(50) CHECK (category IN ('accessories', 'smartphones')),
+        subcategory VARCHAR(100),
+        status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'posted', 'cancelled')),
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        posted_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        posted_at TIMESTAMP,
+        cancelled_at TIMESTAMP
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS stocktake_items (
+        id SERIAL PRIMARY KEY,
+        stocktake_id INTEGER NOT NULL REFERENCES stocktakes (id) ON DELETE CASCADE,
+        product_id INTEGER REFERENCES products (id) ON DELETE CASCADE,
+        code VARCHAR(255),
+        expected_quantity INTEGER NOT NULL DEFAULT 0,
+        counted_quantity INTEGER NOT NULL DEFAULT 0 CHECK (counted_quantity >= 0),
+        in_scope BOOLEAN NOT NULL DEFAULT true,
+        counted_at TIMESTAMP,
+        UNIQUE (stocktake_id, product_id)
+      )
+    `);
+    await run(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS stocktake_id INTEGER REFERENCES stocktakes (id) ON DELETE SET NULL`);
+
+    // Store locations, the stock each one holds, and transfers between them
+    await run(`
+      CREATE TABLE IF NOT EXISTS locations (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        address TEXT,
+        is_default BOOLEAN NOT NULL DEFAULT false,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await run(`INSERT INTO locations (name, is_default) SELECT 'Main Shop', true WHERE NOT EXISTS (SELECT 1 FROM locations)`);
+    await run(`
+      CREATE TABLE IF NOT EXISTS location_stock (
+        product_id INTEGER NOT NULL REFERENCES products (id) ON DELETE CASCADE,
+        location_id INTEGER NOT NULL REFERENCES locations (id) ON DELETE RESTRICT,
+        quantity INTEGER NOT NULL DEFAULT 0 CONSTRAINT location_stock_quantity_check CHECK (quantity >= 0),
+        PRIMARY KEY (product_id, location_id)
+      )
+    `);
+    await run(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL`);
+    await run(`ALTER TABLE stocktakes ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL`);
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_transfers (
+        id SERIAL PRIMARY KEY,
+        from_location_id INTEGER NOT NULL REFERENCES locations (id) ON DELETE RESTRICT,
+        to_location_id INTEGER NOT NULL REFERENCES locations (id) ON DELETE RESTRICT,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'received', 'cancelled')),
+        notes TEXT,
+        created_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        sent_at TIMESTAMP,
+        received_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+        received_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        CHECK (from_location_id <> to_location_id)
+      )
+    `);
+    await run(`
+      CREATE TABLE IF NOT EXISTS stock_transfer_items (
+        id SERIAL PRIMARY KEY,
+        transfer_id INTEGER NOT NULL REFERENCES stock_transfers (id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products (id) ON DELETE RESTRICT,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        UNIQUE (transfer_id, product_id)
+      )
+    `);
+    await run(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS location_id INTEGER REFERENCES locations (id) ON DELETE SET NULL`);
+    await run(`ALTER TABLE stock_movements ADD COLUMN IF NOT EXISTS transfer_id INTEGER REFERENCES stock_transfers (id) ON DELETE SET NULL`);
+
+    // Reorder points for accessories; smartphone models keep theirs in settings.smartphone_models
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS min_stock INTEGER CHECK (min_stock >= 0)`);
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS max_stock INTEGER CHECK (max_stock >= 0)`);
+    try {
+      await run(`ALTER TABLE products ADD CONSTRAINT products_stock_levels_check CHECK (max_stock >= min_stock)`);
+    } catch (e) {
+      // Constraint already exists
+    }
+    await run(`ALTER TABLE products ADD COLUMN IF NOT EXISTS imei2 VARCHAR(255)`);
+    try {
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_products_imei_in_stock ON products(imei) WHERE imei IS NOT NULL AND stock_quantity > 0`);
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_products_imei2_in_stock ON products(imei2) WHERE imei2 IS NOT NULL AND stock_quantity > 0`);
+    } catch (e) {
+      console.log('ℹ️  Skipped IMEI uniqueness (an IMEI is in stock twice):', e.message);
+    }
+
     // Create indexes for performance
     console.log('📈 Creating performance indexes...');
     try {
@@ -154,6 +580,25 @@ async function setupSupabaseDatabase() {
       await run(`CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_order_items_product_id ON order_items(product_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_payments_order_id ON order_payments(order_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_payments_cash_session_id ON order_payments(cash_session_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_orders_cash_session_id ON orders(cash_session_id)`);
+      await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_cash_sessions_open_user ON cash_sessions(opened_by) WHERE status = 'open'`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_purchase_order_items_purchase_order_id ON purchase_order_items(purchase_order_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_movements_product_id ON stock_movements(product_id, created_at)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stocktake_items_stocktake_id ON stocktake_items(stocktake_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_location_stock_location_id ON location_stock(location_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_orders_location_id ON orders(location_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_transfers_status ON stock_transfers(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stock_transfer_items_transfer_id ON stock_transfer_items(transfer_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_quote_items_quote_id ON quote_items(quote_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_held_carts_expires_at ON held_carts(expires_at)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_returns_order_id ON order_returns(order_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_return_items_order_item_id ON order_return_items(order_item_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_order_events_order_id ON order_events(order_id, created_at)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_products_category ON products(category)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_products_barcode ON products(barcode)`);
       await run(`CREATE INDEX IF NOT EXISTS idx_user_debt_adjustments_user_currency ON user_debt_adjustments(user_id, currency)`);
@@ -226,6 +671,37 @@ async function setupSupabaseDatabase() {
       console.log('✅ Sample products created');
     }
 
+    // Backfill: stock held before the ledger existed becomes each product's opening balance
+    try {
+      await run(`
+        INSERT INTO stock_movements (product_id, movement_type, quantity, balance_after, notes)
+        SELECT p.id, 'adjustment', p.stock_quantity, p.stock_quantity, 'Opening balance'
+        FROM products p
+        WHERE p.stock_quantity <> 0
+          AND NOT EXISTS (SELECT 1 FROM stock_movements m WHERE m.product_id = p.id)
+      `);
+    } catch (e) {
+      console.log('ℹ️  Skipped stock ledger backfill:', e.message);
+    }
+
+    // Backfill: stock, orders, ledger entries and stocktakes from before locations belong to the default location
+    try {
+      await run(`
+        INSERT INTO location_stock (product_id, location_id, quantity)
+        SELECT p.id, l.id, p.stock_quantity
+        FROM products p
+        CROSS JOIN (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) l
+        WHERE p.stock_quantity > 0
+          AND NOT EXISTS (SELECT 1 FROM location_stock ls WHERE ls.product_id = p.id)
+      `);
+      await run(`UPDATE orders SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL`);
+      // Transfer movements without a location are stock in transit, not stock from before locations
+      await run(`UPDATE stock_movements SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL AND movement_type <> 'transfer'`);
+      await run(`UPDATE stocktakes SET location_id = (SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1) WHERE location_id IS NULL`);
+    } catch (e) {
+      console.log('ℹ️  Skipped location backfill:', e.message);
+    }
+
     console.log('🎉 Supabase database setup completed successfully!');
     console.log('\n📋 Default Admin Account:');
     console.log('   Email: admin@poscrm.com');
@@ -9,9 +9,23 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
+const returnRoutes = require('./routes/returns');
 const settingsRoutes = require('./routes/settings');
 const serviceRoutes = require('./routes/services');
-const { run, testConnection } = require('./database/connection');
+const exchangeRateRoutes = require('./routes/exchangeRates');
+const quoteRoutes = require('./routes/quotes');
+const heldCartRoutes = require('./routes/heldCarts');
+const cashSessionRoutes = require('./routes/cashSessions');
+const exportRoutes = require('./routes/exports');
+const reportRoutes = require('./routes/reports');
+const supplierRoutes = require('./routes/suppliers');
+const purchaseOrderRoutes = require('./routes/purchaseOrders');
+const stocktakeRoutes = require('./routes/stocktakes');
+const locationRoutes = require('./routes/locations');
+const transferRoutes = require('./routes/transfers');
+const deviceRoutes = require('./routes/devices');
+const { run, pool, testConnection } = require('./database/connection');
+const { scheduleStockCheck } = require('./utils/stock');
 const { setupDatabase } = require('./database/setup');
 const { setupSupabaseDatabase } = require('./database/supabase-setup');
 
@@ -76,9 +90,22 @@ app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/orders/held', heldCartRoutes);
+app.use('/api/orders/:id/returns', returnRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/quotes', quoteRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/services', serviceRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/cash-sessions', cashSessionRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/stocktakes', stocktakeRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/devices', deviceRoutes);
 
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
@@ -143,6 +170,9 @@ app.listen(PORT, async () => {
       await setupDatabase();
       console.log('✅ Original database setup completed');
     }
+
+    // Nightly check that stock still matches the stock ledger
+    scheduleStockCheck(pool);
   } catch (error) {
     console.error('❌ Database setup failed:', error.message);
   }
@@ -0,0 +1,257 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { PAYMENT_CURRENCIES, round2, getOpenCashSessionId } = require('../utils/payments');
+const { MOVEMENT_TYPES, buildZReport, buildZReportLines } = require('../utils/cashSessions');
+const { RECEIPT_COLUMNS, renderEscPos, renderReceiptPdf } = require('../utils/receipt');
+
+const router = express.Router();
+
+const REPORT_FORMATS = ['json', 'pdf', 'escpos'];
+
+// List sessions, newest first; `status=open` gives the tills currently running (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const whereClause = ['open', 'closed'].includes(status) ? 'WHERE cs.status = $1' : '';
+    const queryParams = whereClause ? [status] : [];
+
+    const countResult = await query(`SELECT COUNT(*) FROM cash_sessions cs ${whereClause}`, queryParams);
+    const totalSessions = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalSessions / parseInt(limit));
+
+    const result = await query(`
+      SELECT cs.*, ob.name as opened_by_name, cb.name as closed_by_name,
+             (SELECT COUNT(*) FROM orders o WHERE o.cash_session_id = cs.id AND o.status != 'cancelled') as order_count
+      FROM cash_sessions cs
+      LEFT JOIN users ob ON cs.opened_by = ob.id
+      LEFT JOIN users cb ON cs.closed_by = cb.id
+      ${whereClause}
+      ORDER BY cs.opened_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      sessions: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalSessions,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get cash sessions error:', error);
+    res.status(500).json({ message: 'Failed to get cash sessions' });
+  }
+});
+
+// The signed-in cashier's open session with its running totals, or null
+router.get('/current', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const sessionId = await getOpenCashSessionId(pool, req.user.id);
+    res.json({ session: sessionId ? await buildZReport(pool, sessionId) : null });
+  } catch (error) {
+    console.error('Get current cash session error:', error);
+    res.status(500).json({ message: 'Failed to get current cash session' });
+  }
+});
+
+// Open a session with the float counted into the drawer. A cashier can only have one open session.
+router.post('/', authenticateToken, requireAdmin, [
+  body('openingFloat').optional().isObject(),
+  body('openingFloat.EUR').optional().isFloat({ min: 0 }).withMessage('Opening float must be zero or more'),
+  body('openingFloat.MKD').optional().isFloat({ min: 0 }).withMessage('Opening float must be zero or more'),
+  body('registerName').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+  body('notes').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (await getOpenCashSessionId(pool, req.user.id)) {
+      return res.status(409).json({ message: 'You already have an open cash session. Close it before opening a new one.' });
+    }
+
+    const openingFloat = req.body.openingFloat || {};
+    const result = await query(`
+      INSERT INTO cash_sessions (register_name, opened_by, opening_float_eur, opening_float_mkd, notes)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `, [
+      req.body.registerName || null,
+      req.user.id,
+      round2(openingFloat.EUR || 0),
+      round2(openingFloat.MKD || 0),
+      req.body.notes || null
+    ]);
+
+    res.status(201).json({
+      message: 'Cash session opened',
+      session: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'You already have an open cash session. Close it before opening a new one.' });
+    }
+    console.error('Open cash session error:', error);
+    res.status(500).json({ message: 'Failed to open cash session' });
+  }
+});
+
+// Record cash taken out of or put into the drawer outside of a sale
+router.post('/:id/movements', authenticateToken, requireAdmin, [
+  body('type').isIn(MOVEMENT_TYPES).withMessage(`Type must be one of ${MOVEMENT_TYPES.join(', ')}`),
+  body('currency').isIn(PAYMENT_CURRENCIES).withMessage('Currency must be EUR or MKD'),
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be a positive number'),
+  body('reason').isString().trim().isLength({ min: 1, max: 255 }).withMessage('A reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sessionId = parseInt(req.params.id);
+    const { type, currency, amount, reason } = req.body;
+    const result = await query(`
+      INSERT INTO cash_session_movements (session_id, type, currency, amount, reason, created_by)
+      SELECT id, $2, $3, $4, $5, $6 FROM cash_sessions WHERE id = $1 AND status = 'open'
+      RETURNING *
+    `, [sessionId, type, currency, round2(amount), reason, req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Cash session not found or already closed' });
+    }
+
+    res.status(201).json({
+      message: type === 'payout' ? 'Payout recorded' : 'Pay-in recorded',
+      movement: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Record cash movement error:', error);
+    res.status(500).json({ message: 'Failed to record cash movement' });
+  }
+});
+
+// Close a session with the cash counted in the drawer; the difference to what was expected is the over/short
+router.post('/:id/close', authenticateToken, requireAdmin, [
+  body('counted').isObject().withMessage('Counted cash is required'),
+  body('counted.EUR').isFloat({ min: 0 }).withMessage('Counted EUR must be zero or more'),
+  body('counted.MKD').isFloat({ min: 0 }).withMessage('Counted MKD must be zero or more'),
+  body('notes').optional({ nullable: true }).isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const sessionId = parseInt(req.params.id);
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query('SELECT status FROM cash_sessions WHERE id = $1 FOR UPDATE', [sessionId]);
+      if (locked.rows.length === 0 || locked.rows[0].status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Cash session not found or already closed' });
+      }
+
+      const running = await buildZReport(client, sessionId);
+      const { counted } = req.body;
+      await client.query(`
+        UPDATE cash_sessions
+        SET status = 'closed', closed_by = $1, closed_at = CURRENT_TIMESTAMP,
+            expected_eur = $2, expected_mkd = $3, counted_eur = $4, counted_mkd = $5,
+            notes = COALESCE($6, notes)
+        WHERE id = $7
+      `, [
+        req.user.id,
+        running.expected.EUR,
+        running.expected.MKD,
+        round2(counted.EUR),
+        round2(counted.MKD),
+        req.body.notes || null,
+        sessionId
+      ]);
+
+      const report = await buildZReport(client, sessionId);
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Cash session closed',
+        report
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Close cash session error:', error);
+    res.status(500).json({ message: 'Failed to close cash session' });
+  }
+});
+
+// Z-report for a closed session (an X-report while it is still open): JSON, 80mm PDF or ESC/POS
+router.get('/:id/report', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const paperWidth = parseInt(req.query.width) || 80;
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of ${REPORT_FORMATS.join(', ')}` });
+    }
+    if (!RECEIPT_COLUMNS[paperWidth]) {
+      return res.status(400).json({ message: `Width must be one of ${Object.keys(RECEIPT_COLUMNS).join(', ')}` });
+    }
+
+    const report = await buildZReport(pool, parseInt(req.params.id));
+    if (!report) {
+      return res.status(404).json({ message: 'Cash session not found' });
+    }
+    if (format === 'json') {
+      return res.json(report);
+    }
+
+    const settingsResult = await query('SELECT company_name FROM settings ORDER BY id LIMIT 1');
+    const columns = RECEIPT_COLUMNS[paperWidth];
+    const lines = buildZReportLines(report, settingsResult.rows[0]?.company_name || 'POS CRM System', columns);
+    const filename = `z-report-${report.session.id}`;
+
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}.bin`);
+      return res.send(renderEscPos(lines));
+    }
+
+    const doc = renderReceiptPdf(lines, {
+      paperWidth,
+      columns,
+      createdAt: report.session.closed_at || report.session.opened_at
+    });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Cash session report error:', error);
+    res.status(500).json({ message: 'Failed to generate cash session report' });
+  }
+});
+
+module.exports = router;
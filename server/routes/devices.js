@@ -0,0 +1,132 @@
+const express = require('express');
+const { query } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { cleanImei, checkDigitValid } = require('../utils/imei');
+
+const router = express.Router();
+
+// Everything known about a handset by its IMEI (first or second): each product it has been stocked as,
+// with purchases from suppliers, sales, returns and repair tickets as one history, newest first (admin only)
+router.get('/:imei', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const imei = cleanImei(req.params.imei);
+    if (!imei || imei.length > 255) {
+      return res.status(400).json({ message: 'IMEI is required' });
+    }
+
+    const productsResult = await query(`
+      SELECT p.id, p.name, p.imei, p.imei2, p.category, p.model, p.storage_gb, p.color, p.stock_quantity,
+             p.price, p.cost_price, p.currency, p.created_at,
+             (
+               SELECT l.name FROM location_stock ls
+               JOIN locations l ON ls.location_id = l.id
+               WHERE ls.product_id = p.id AND ls.quantity > 0
+               ORDER BY l.id LIMIT 1
+             ) as location_name
+      FROM products p
+      WHERE p.imei = $1 OR p.imei2 = $1
+      ORDER BY p.created_at, p.id
+    `, [imei]);
+    const products = productsResult.rows;
+    const productIds = products.map(product => product.id);
+
+    const [purchasesResult, salesResult, returnsResult, repairsResult] = await Promise.all([
+      query(`
+        SELECT ri.product_id, r.id as receipt_id, r.purchase_order_id, r.created_at, ri.unit_cost, po.currency,
+               s.id as supplier_id, s.name as supplier_name
+        FROM purchase_order_receipt_items ri
+        JOIN purchase_order_receipts r ON ri.receipt_id = r.id
+        JOIN purchase_orders po ON r.purchase_order_id = po.id
+        JOIN suppliers s ON po.supplier_id = s.id
+        WHERE ri.product_id = ANY($1::int[])
+      `, [productIds]),
+      query(`
+        SELECT oi.product_id, o.id as order_id, o.status, o.invoice_number, o.created_at, oi.price, oi.currency,
+               COALESCE(u.name, o.guest_name) as customer_name
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        LEFT JOIN users u ON o.client_id = u.id
+        WHERE oi.product_id = ANY($1::int[])
+      `, [productIds]),
+      query(`
+        SELECT ri.product_id, r.id as return_id, r.order_id, r.reason, r.credit_note_number, r.created_at
+        FROM order_return_items ri
+        JOIN order_returns r ON ri.return_id = r.id
+        WHERE ri.product_id = ANY($1::int[])
+      `, [productIds]),
+      // Repair tickets hold the IMEI as typed, so spaces and dashes are ignored
+      query(`
+        SELECT id, full_name, phone_model, description, status, price, invoice_number, created_at, updated_at
+        FROM services
+        WHERE regexp_replace(imei, '[[:space:]-]', '', 'g') = $1
+      `, [imei])
+    ]);
+
+    const purchasedIds = new Set(purchasesResult.rows.map(row => row.product_id));
+    const history = [
+      // Phones entered in Inventory or imported rather than received on a purchase order
+      ...products.filter(product => !purchasedIds.has(product.id)).map(product => ({
+        type: 'stocked',
+        date: product.created_at,
+        productId: product.id,
+        productName: product.name
+      })),
+      ...purchasesResult.rows.map(row => ({
+        type: 'purchase',
+        date: row.created_at,
+        productId: row.product_id,
+        purchaseOrderId: row.purchase_order_id,
+        receiptId: row.receipt_id,
+        supplierId: row.supplier_id,
+        supplierName: row.supplier_name,
+        unitCost: row.unit_cost,
+        currency: row.currency
+      })),
+      ...salesResult.rows.map(row => ({
+        type: 'sale',
+        date: row.created_at,
+        productId: row.product_id,
+        orderId: row.order_id,
+        status: row.status,
+        invoiceNumber: row.invoice_number,
+        customerName: row.customer_name,
+        price: row.price,
+        currency: row.currency
+      })),
+      ...returnsResult.rows.map(row => ({
+        type: 'return',
+        date: row.created_at,
+        productId: row.product_id,
+        returnId: row.return_id,
+        orderId: row.order_id,
+        creditNoteNumber: row.credit_note_number,
+        reason: row.reason
+      })),
+      ...repairsResult.rows.map(row => ({
+        type: 'repair',
+        date: row.created_at,
+        serviceId: row.id,
+        status: row.status,
+        invoiceNumber: row.invoice_number,
+        customerName: row.full_name,
+        phoneModel: row.phone_model,
+        description: row.description,
+        price: row.price
+      }))
+    ].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json({
+      imei,
+      checkDigitValid: checkDigitValid(imei),
+      inStock: products.some(product => product.stock_quantity > 0),
+      inRepair: repairsResult.rows.some(row => row.status === 'in_service'),
+      products,
+      history
+    });
+  } catch (error) {
+    console.error('Get device error:', error);
+    res.status(500).json({ message: 'Failed to get device history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { CURRENCIES, getBaseCurrency, loadExchangeRates, findExchangeRate } = require('../utils/currency');
+
+const router = express.Router();
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// List exchange rates, newest first
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT er.id, er.from_currency, er.to_currency, er.rate, er.effective_date, er.created_at,
+             u.name as created_by_name
+      FROM exchange_rates er
+      LEFT JOIN users u ON er.created_by = u.id
+      ORDER BY er.effective_date DESC, er.from_currency, er.to_currency
+    `);
+
+    res.json({
+      baseCurrency: await getBaseCurrency(pool),
+      currencies: CURRENCIES,
+      rates: result.rows
+    });
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({ message: 'Failed to get exchange rates' });
+  }
+});
+
+// Rate that applies to a pair on a given day (today by default)
+router.get('/lookup', authenticateToken, async (req, res) => {
+  try {
+    const { from, to, date } = req.query;
+    if (!CURRENCIES.includes(from) || !CURRENCIES.includes(to)) {
+      return res.status(400).json({ message: `from and to must be one of ${CURRENCIES.join(', ')}` });
+    }
+    if (date && !isDate(date)) {
+      return res.status(400).json({ message: 'date must be in YYYY-MM-DD format' });
+    }
+
+    const rates = await loadExchangeRates(pool);
+    const rate = findExchangeRate(rates, from, to, date || new Date());
+    if (rate === null) {
+      return res.status(404).json({ message: `No ${from} to ${to} exchange rate for that date` });
+    }
+
+    res.json({ from, to, date: date || null, rate });
+  } catch (error) {
+    console.error('Lookup exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to look up exchange rate' });
+  }
+});
+
+// Add a rate; entering the same pair and date again replaces the rate
+router.post('/', authenticateToken, requireAdmin, [
+  body('fromCurrency').isIn(CURRENCIES).withMessage(`From currency must be one of ${CURRENCIES.join(', ')}`),
+  body('toCurrency').isIn(CURRENCIES).withMessage(`To currency must be one of ${CURRENCIES.join(', ')}`),
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  body('effectiveDate').custom(isDate).withMessage('Effective date must be in YYYY-MM-DD format')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { fromCurrency, toCurrency, rate, effectiveDate } = req.body;
+    if (fromCurrency === toCurrency) {
+      return res.status(400).json({ message: 'From and to currencies must differ' });
+    }
+
+    const result = await query(`
+      INSERT INTO exchange_rates (from_currency, to_currency, rate, effective_date, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (from_currency, to_currency, effective_date)
+      DO UPDATE SET rate = EXCLUDED.rate, created_by = EXCLUDED.created_by, created_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [fromCurrency, toCurrency, parseFloat(rate), effectiveDate, req.user.id]);
+
+    res.status(201).json({
+      message: 'Exchange rate saved',
+      rate: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Create exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to save exchange rate' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query('DELETE FROM exchange_rates WHERE id = $1 RETURNING id', [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Exchange rate not found' });
+    }
+
+    res.json({ message: 'Exchange rate deleted' });
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json({ message: 'Failed to delete exchange rate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { EXPORT_FORMATS, streamExport } = require('../utils/exports');
+const {
+  isIsoDate,
+  orderFilters,
+  productFilters,
+  serviceFilters,
+  userFilters,
+  whereClause
+} = require('../utils/listFilters');
+
+const router = express.Router();
+
+// Every export takes the filters of its list route plus from/to (YYYY-MM-DD) and format=csv|xlsx.
+// `build` returns the query and columns for the request.
+const exportRoute = (name, build) => async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    }
+    const { from, to } = req.query;
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    await streamExport(res, {
+      format,
+      filename: `${name}-${from || 'start'}-to-${to || today}`,
+      sheetName: name.charAt(0).toUpperCase() + name.slice(1),
+      ...build(req)
+    });
+  } catch (error) {
+    console.error(`Export ${name} error:`, error);
+    // Once rows have been sent the download can only be cut short
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({ message: `Failed to export ${name}` });
+  }
+};
+
+router.get('/orders', authenticateToken, requireAdmin, exportRoute('orders', (req) => {
+  const { conditions, params } = orderFilters(req.query);
+  return {
+    sql: `
+      SELECT o.id, o.invoice_number, o.created_at, o.status,
+             COALESCE(u.name, o.guest_name) as customer_name,
+             COALESCE(u.email, o.guest_email) as customer_email,
+             COALESCE(u.phone, o.guest_phone) as customer_phone,
+             COALESCE(t.eur_total, 0) as eur_total, COALESCE(t.mkd_total, 0) as mkd_total,
+             o.eur_discount, o.mkd_discount, o.discount_reason
+      FROM orders o
+      LEFT JOIN users u ON o.client_id = u.id
+      LEFT JOIN (
+        SELECT order_id,
+               SUM(quantity * price) FILTER (WHERE currency = 'EUR') as eur_total,
+               SUM(quantity * price) FILTER (WHERE currency = 'MKD') as mkd_total
+        FROM order_items
+        GROUP BY order_id
+      ) t ON t.order_id = o.id
+      ${whereClause(conditions)}
+      ORDER BY o.created_at DESC, o.id DESC
+    `,
+    params,
+    columns: [
+      { header: 'Order #', value: row => row.id, type: 'integer' },
+      { header: 'Invoice #', value: row => row.invoice_number },
+      { header: 'Date', value: row => row.created_at, type: 'datetime' },
+      { header: 'Status', value: row => row.status },
+      { header: 'Customer', value: row => row.customer_name },
+      { header: 'Email', value: row => row.customer_email },
+      { header: 'Phone', value: row => row.customer_phone },
+      { header: 'Total EUR', value: row => row.eur_total, type: 'money', currency: 'EUR' },
+      { header: 'Total MKD', value: row => row.mkd_total, type: 'money', currency: 'MKD' },
+      { header: 'Discount EUR', value: row => row.eur_discount, type: 'money', currency: 'EUR' },
+      { header: 'Discount MKD', value: row => row.mkd_discount, type: 'money', currency: 'MKD' },
+      { header: 'Discount Reason', value: row => row.discount_reason }
+    ]
+  };
+}));
+
+router.get('/products', authenticateToken, requireAdmin, exportRoute('products', (req) => {
+  const { conditions, params } = productFilters(req.query);
+  return {
+    sql: `
+      SELECT id, name, barcode, imei, imei2, category, subcategory, model, storage_gb, color,
+             price, cost_price, currency, stock_quantity, stock_status, created_at
+      FROM products
+      ${whereClause(conditions)}
+      ORDER BY created_at DESC, id DESC
+    `,
+    params,
+    columns: [
+      { header: 'ID', value: row => row.id, type: 'integer' },
+      { header: 'Name', value: row => row.name },
+      { header: 'Barcode', value: row => row.barcode },
+      { header: 'IMEI', value: row => row.imei },
+      { header: 'IMEI 2', value: row => row.imei2 },
+      { header: 'Category', value: row => row.category },
+      { header: 'Subcategory', value: row => row.subcategory },
+      { header: 'Model', value: row => row.model },
+      { header: 'Storage', value: row => row.storage_gb },
+      { header: 'Color', value: row => row.color },
+      { header: 'Price', value: row => row.price, type: 'money', currency: row => row.currency },
+      { header: 'Cost', value: row => row.cost_price, type: 'money', currency: row => row.currency },
+      { header: 'Currency', value: row => row.currency },
+      { header: 'Stock', value: row => row.stock_quantity, type: 'integer' },
+      { header: 'Status', value: row => row.stock_status },
+      { header: 'Created', value: row => row.created_at, type: 'datetime' }
+    ]
+  };
+}));
+
+// Service prices are in MKD
+router.get('/services', authenticateToken, requireAdmin, exportRoute('services', (req) => {
+  const { conditions, params } = serviceFilters(req.query);
+  return {
+    sql: `
+      SELECT id, invoice_number, created_at, full_name, contact, phone_model, imei, description, status, price, profit
+      FROM services
+      ${whereClause(conditions)}
+      ORDER BY created_at DESC, id DESC
+    `,
+    params,
+    columns: [
+      { header: 'ID', value: row => row.id, type: 'integer' },
+      { header: 'Invoice #', value: row => row.invoice_number },
+      { header: 'Date', value: row => row.created_at, type: 'datetime' },
+      { header: 'Customer', value: row => row.full_name },
+      { header: 'Contact', value: row => row.contact },
+      { header: 'Phone Model', value: row => row.phone_model },
+      { header: 'IMEI', value: row => row.imei },
+      { header: 'Description', value: row => row.description },
+      { header: 'Status', value: row => row.status },
+      { header: 'Price', value: row => row.price, type: 'money', currency: 'MKD' },
+      { header: 'Profit', value: row => row.profit, type: 'money', currency: 'MKD' }
+    ]
+  };
+}));
+
+router.get('/users', authenticateToken, requireAdmin, exportRoute('users', (req) => {
+  const { conditions, params } = userFilters(req.query);
+  return {
+    sql: `
+      SELECT id, name, email, phone, role, created_at
+      FROM users
+      ${whereClause(conditions)}
+      ORDER BY created_at DESC, id DESC
+    `,
+    params,
+    columns: [
+      { header: 'ID', value: row => row.id, type: 'integer' },
+      { header: 'Name', value: row => row.name },
+      { header: 'Email', value: row => row.email },
+      { header: 'Phone', value: row => row.phone },
+      { header: 'Role', value: row => row.role },
+      { header: 'Created', value: row => row.created_at, type: 'datetime' }
+    ]
+  };
+}));
+
+module.exports = router;
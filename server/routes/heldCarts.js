@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { round2 } = require('../utils/payments');
+const { CURRENCIES } = require('../utils/currency');
+const { DISCOUNT_TYPES, DISCOUNT_REASONS } = require('../utils/discounts');
+
+// Mounted under /api/orders/held.
+// A held cart is a parked sale that any terminal can pick up again. It reserves no stock:
+// the order created from it goes through the normal stock, price and discount checks.
+const router = express.Router();
+
+const DEFAULT_HOLD_MINUTES = 240;
+
+const purgeExpired = () => query('DELETE FROM held_carts WHERE expires_at <= CURRENT_TIMESTAMP');
+
+// Attach current product details to a held cart's lines so it can be shown and resumed
+const withProducts = async (cart) => {
+  const items = Array.isArray(cart.items) ? cart.items : [];
+  const productIds = items.map(item => parseInt(item.productId));
+  const productsResult = await query(`
+    SELECT id, name, category, price, currency, stock_status,
+           stock_quantity - reserved_quantity as available_quantity
+    FROM products
+    WHERE id = ANY($1::int[])
+  `, [productIds]);
+  const products = new Map(productsResult.rows.map(row => [row.id, row]));
+
+  const totals = {};
+  CURRENCIES.forEach(currency => { totals[currency] = 0; });
+  const lines = items.map(item => {
+    const product = products.get(parseInt(item.productId));
+    if (!product) {
+      return { ...item, unavailable: true };
+    }
+    totals[product.currency] = round2(totals[product.currency] + item.quantity * parseFloat(product.price));
+    return {
+      ...item,
+      name: product.name,
+      category: product.category,
+      price: product.price,
+      currency: product.currency,
+      availableQuantity: product.available_quantity,
+      unavailable: product.stock_status === 'disabled' || product.available_quantity < item.quantity
+    };
+  });
+
+  return { ...cart, items: lines, totals };
+};
+
+const selectHeldCarts = `
+  SELECT hc.*, u.name as client_name, u.email as client_email, cb.name as created_by_name
+  FROM held_carts hc
+  LEFT JOIN users u ON hc.client_id = u.id
+  LEFT JOIN users cb ON hc.created_by = cb.id
+`;
+
+// List held carts that have not expired (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await purgeExpired();
+    const result = await query(`${selectHeldCarts} ORDER BY hc.created_at`);
+    const heldCarts = await Promise.all(result.rows.map(withProducts));
+    res.json({ heldCarts });
+  } catch (error) {
+    console.error('Get held carts error:', error);
+    res.status(500).json({ message: 'Failed to get held carts' });
+  }
+});
+
+// Park the cart being built (admin only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('items').isArray({ min: 1 }).withMessage('Cannot hold an empty cart'),
+  body('items.*.productId').isInt({ min: 1 }),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.discountType').optional({ nullable: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('items.*.discountValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount').optional({ nullable: true }).isObject(),
+  body('discount.type').optional().isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('discount.value').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount.currency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Discount currency must be EUR or MKD'),
+  body('discountReason').optional({ nullable: true }).isIn(DISCOUNT_REASONS).withMessage(`Discount reason must be one of ${DISCOUNT_REASONS.join(', ')}`),
+  body('invoiceCurrency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Invoice currency must be EUR or MKD'),
+  body('fulfillment').optional().isIn(['pickup', 'delivery']).withMessage('Fulfillment must be pickup or delivery'),
+  body('clientId').optional({ nullable: true }).isInt({ min: 1 }),
+  body('guestName').optional({ nullable: true }).isString().trim(),
+  body('guestEmail').optional({ nullable: true }).isString().trim(),
+  body('guestPhone').optional({ nullable: true }).isString().trim(),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { clientId, guestName, guestEmail, guestPhone, discountReason, invoiceCurrency, notes } = req.body;
+    const items = req.body.items.map(item => ({
+      productId: parseInt(item.productId),
+      quantity: parseInt(item.quantity),
+      ...(item.discountType ? { discountType: item.discountType, discountValue: parseFloat(item.discountValue) || 0 } : {})
+    }));
+    const discount = req.body.discount && parseFloat(req.body.discount.value) > 0 ? req.body.discount : null;
+
+    await purgeExpired();
+    const result = await query(`
+      INSERT INTO held_carts (client_id, guest_name, guest_email, guest_phone, items, discount, discount_reason,
+                              invoice_currency, fulfillment, notes, created_by, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+              CURRENT_TIMESTAMP + make_interval(mins => COALESCE((SELECT held_cart_minutes FROM settings ORDER BY id LIMIT 1), $12)))
+      RETURNING id, expires_at
+    `, [
+      clientId || null,
+      clientId ? null : guestName || null,
+      clientId ? null : guestEmail || null,
+      clientId ? null : guestPhone || null,
+      JSON.stringify(items),
+      discount ? JSON.stringify(discount) : null,
+      discountReason || null,
+      invoiceCurrency || null,
+      req.body.fulfillment || 'pickup',
+      notes || null,
+      req.user.id,
+      DEFAULT_HOLD_MINUTES
+    ]);
+
+    res.status(201).json({
+      message: 'Sale held',
+      heldCartId: result.rows[0].id,
+      expiresAt: result.rows[0].expires_at
+    });
+  } catch (error) {
+    console.error('Hold cart error:', error);
+    res.status(500).json({ message: 'Failed to hold sale' });
+  }
+});
+
+// Get a held cart without taking it off the list (admin only)
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await purgeExpired();
+    const result = await query(`${selectHeldCarts} WHERE hc.id = $1`, [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Held sale not found or expired' });
+    }
+    res.json(await withProducts(result.rows[0]));
+  } catch (error) {
+    console.error('Get held cart error:', error);
+    res.status(500).json({ message: 'Failed to get held sale' });
+  }
+});
+
+// Take a held cart back to a terminal. It is removed in the same statement,
+// so two terminals cannot both resume the same sale.
+router.post('/:id/resume', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await purgeExpired();
+    const deleted = await query(`
+      WITH hc AS (DELETE FROM held_carts WHERE id = $1 RETURNING *)
+      SELECT hc.*, u.name as client_name, u.email as client_email, cb.name as created_by_name
+      FROM hc
+      LEFT JOIN users u ON hc.client_id = u.id
+      LEFT JOIN users cb ON hc.created_by = cb.id
+    `, [parseInt(req.params.id)]);
+    if (deleted.rows.length === 0) {
+      return res.status(404).json({ message: 'Held sale not found, expired or already resumed' });
+    }
+    res.json(await withProducts(deleted.rows[0]));
+  } catch (error) {
+    console.error('Resume held cart error:', error);
+    res.status(500).json({ message: 'Failed to resume held sale' });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query('DELETE FROM held_carts WHERE id = $1 RETURNING id', [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Held sale not found' });
+    }
+    res.json({ message: 'Held sale discarded' });
+  } catch (error) {
+    console.error('Delete held cart error:', error);
+    res.status(500).json({ message: 'Failed to discard held sale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const locationValidators = (required) => [
+  (required ? body('name') : body('name').optional()).isString().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('address').optional({ nullable: true }).isString().trim(),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be true or false'),
+  body('active').optional().isBoolean().withMessage('active must be true or false')
+];
+
+// Request field -> column
+const LOCATION_FIELDS = {
+  name: 'name',
+  address: 'address',
+  isDefault: 'is_default',
+  active: 'active'
+};
+
+const isDuplicateName = (error) => error && error.code === '23505' && error.constraint === 'locations_name_key';
+
+// List locations with the stock each one holds. Inactive locations are left out unless all=true.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const includeInactive = req.query.all === 'true';
+    const result = await query(`
+      SELECT l.*,
+             COALESCE(SUM(ls.quantity), 0)::int as stock_units,
+             COUNT(ls.product_id) FILTER (WHERE ls.quantity > 0)::int as products_in_stock
+      FROM locations l
+      LEFT JOIN location_stock ls ON ls.location_id = l.id
+      ${includeInactive ? '' : 'WHERE l.active = true'}
+      GROUP BY l.id
+      ORDER BY l.is_default DESC, l.name
+    `);
+    res.json({ locations: result.rows });
+  } catch (error) {
+    console.error('Get locations error:', error);
+    res.status(500).json({ message: 'Failed to get locations' });
+  }
+});
+
+// Create or update a location. Making one the default takes it away from the others,
+// and the default location cannot be deactivated.
+const saveLocation = async (req, res, locationId) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const fields = Object.entries(LOCATION_FIELDS).filter(([field]) => req.body[field] !== undefined);
+  if (locationId && fields.length === 0) {
+    return res.status(400).json({ message: 'No valid updates provided' });
+  }
+  const values = fields.map(([field]) => (req.body[field] === '' ? null : req.body[field]));
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (locationId) {
+      const existing = await client.query('SELECT * FROM locations WHERE id = $1 FOR UPDATE', [locationId]);
+      if (existing.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Location not found' });
+      }
+      const current = existing.rows[0];
+      if (current.is_default && (req.body.isDefault === false || req.body.active === false)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Make another location the default first' });
+      }
+      if (req.body.active === false) {
+        const stock = await client.query('SELECT 1 FROM location_stock WHERE location_id = $1 AND quantity > 0 LIMIT 1', [locationId]);
+        if (stock.rows.length > 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Transfer the stock held here to another location first' });
+        }
+      }
+    }
+    if (req.body.isDefault === true && req.body.active === false) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ message: 'The default location must be active' });
+    }
+    if (req.body.isDefault === true) {
+      await client.query('UPDATE locations SET is_default = false WHERE is_default = true');
+    }
+
+    const result = locationId
+      ? await client.query(
+        `UPDATE locations SET ${fields.map(([, column], index) => `${column} = $${index + 1}`).join(', ')} WHERE id = $${fields.length + 1} RETURNING *`,
+        [...values, locationId]
+      )
+      : await client.query(
+        `INSERT INTO locations (${fields.map(([, column]) => column).join(', ')}) VALUES (${fields.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+        values
+      );
+    await client.query('COMMIT');
+
+    res.status(locationId ? 200 : 201).json({
+      message: locationId ? 'Location updated successfully' : 'Location created successfully',
+      location: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+router.post('/', authenticateToken, requireAdmin, locationValidators(true), async (req, res) => {
+  try {
+    await saveLocation(req, res, null);
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A location with this name already exists' });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({ message: 'Failed to create location' });
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, locationValidators(false), async (req, res) => {
+  try {
+    await saveLocation(req, res, parseInt(req.params.id));
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A location with this name already exists' });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({ message: 'Failed to update location' });
+  }
+});
+
+// Only locations that never held stock or sold anything can be deleted; deactivate the others
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      DELETE FROM locations
+      WHERE id = $1 AND is_default = false
+        AND NOT EXISTS (SELECT 1 FROM location_stock WHERE location_id = $1)
+        AND NOT EXISTS (SELECT 1 FROM orders WHERE location_id = $1)
+        AND NOT EXISTS (SELECT 1 FROM stock_movements WHERE location_id = $1)
+        AND NOT EXISTS (SELECT 1 FROM stock_transfers WHERE from_location_id = $1 OR to_location_id = $1)
+      RETURNING id
+    `, [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Location not found, the default one, or already in use. Deactivate it instead' });
+    }
+    res.json({ message: 'Location deleted successfully' });
+  } catch (error) {
+    console.error('Delete location error:', error);
+    res.status(500).json({ message: 'Failed to delete location' });
+  }
+});
+
+module.exports = router;
@@ -3,18 +3,56 @@ const { body, validationResult } = require('express-validator');
 const { query, run, get, pool } = require('../database/connection');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const PDFDocument = require('pdfkit');
+const {
+  PAYMENT_METHODS,
+  PAYMENT_CURRENCIES,
+  round2,
+  getOrderDue,
+  getOrderPaid,
+  buildPaymentSummary,
+  allocateTenders,
+  checkStoreCredit,
+  getOpenCashSessionId,
+  recordPayments
+} = require('../utils/payments');
+const { lockProducts, isStockConflict, adjustStock, findLocation, getLocationQuantities } = require('../utils/stock');
+const { recordOrderEvent, diffOrderItems } = require('../utils/orderEvents');
+const { stampOrderItemTax, summarizeTax } = require('../utils/tax');
+const { stampOrderItemCost, lineMargin, summarizeMargin } = require('../utils/margin');
+const { CURRENCIES, getBaseCurrency, loadExchangeRates, findExchangeRate, convertAmount } = require('../utils/currency');
+const { RECEIPT_COLUMNS, RECEIPT_FORMATS, loadReceipt, buildReceiptLines, renderEscPos, renderReceiptPdf } = require('../utils/receipt');
+const { assignDocumentNumber, issueDocumentNumber, issuesOrderNumbers } = require('../utils/documentNumbers');
+const { loadInvoice, getCompanySettings } = require('../utils/invoice');
+const { buildUblInvoice } = require('../utils/ubl');
+const { createZip } = require('../utils/zip');
+const { orderFilters, whereClause } = require('../utils/listFilters');
+const {
+  DISCOUNT_TYPES,
+  DISCOUNT_REASONS,
+  applyDiscounts,
+  checkDiscountApproval
+} = require('../utils/discounts');
+const {
+  ORDER_STATUSES,
+  getOrderTransitions,
+  getOrderStockLines,
+  moveStock,
+  stampStatus,
+  transitionOrder
+} = require('../utils/orderLifecycle');
 
 const router = express.Router();
 
 // Get orders (admin: all orders, client: own orders)
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 10, status = '', search = '', sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+    const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
     const offset = (page - 1) * limit;
     const isAdmin = req.user.role === 'admin';
 
     let queryText = `
-      SELECT o.id, o.status, o.total_amount, o.created_at,
+      SELECT o.id, o.status, o.total_amount, o.created_at, o.stock_state, o.invoice_number,
+             o.approved_at, o.shipped_at, o.completed_at, o.cancelled_at,
              u.name as client_name, u.email as client_email,
              o.guest_name, o.guest_email, o.guest_phone,
              COALESCE(eur_totals.eur_total, 0) as eur_total,
@@ -25,16 +63,14 @@ router.get('/', authenticateToken, async (req, res) => {
         SELECT oi.order_id, 
                SUM(oi.quantity * oi.price) as eur_total
         FROM order_items oi
-        JOIN products p ON oi.product_id = p.id
-        WHERE p.category = 'smartphones'
+        WHERE oi.currency = 'EUR'
         GROUP BY oi.order_id
       ) eur_totals ON o.id = eur_totals.order_id
       LEFT JOIN (
         SELECT oi.order_id, 
                SUM(oi.quantity * oi.price) as mkd_total
         FROM order_items oi
-        JOIN products p ON oi.product_id = p.id
-        WHERE p.category != 'smartphones'
+        WHERE oi.currency = 'MKD'
         GROUP BY oi.order_id
       ) mkd_totals ON o.id = mkd_totals.order_id
     `;
@@ -43,37 +79,11 @@ router.get('/', authenticateToken, async (req, res) => {
       FROM orders o
       LEFT JOIN users u ON o.client_id = u.id
     `;
-    let queryParams = [];
-    let paramCount = 1;
-    let whereConditions = [];
-
     // Client can only see their own orders
-    if (!isAdmin) {
-      whereConditions.push(`o.client_id = $${paramCount}`);
-      queryParams.push(req.user.id);
-      paramCount++;
-    }
-
-    // Status filter
-    if (status && ['pending', 'completed'].includes(status)) {
-      whereConditions.push(`o.status = $${paramCount}`);
-      queryParams.push(status);
-      paramCount++;
-    }
-
-    // Search filter
-    if (search && search.trim()) {
-      whereConditions.push(`(o.id::text ILIKE $${paramCount} OR u.name ILIKE $${paramCount} OR u.email ILIKE $${paramCount})`);
-      queryParams.push(`%${search.trim()}%`);
-      paramCount++;
-    }
-
-    // Add WHERE clause if conditions exist
-    if (whereConditions.length > 0) {
-      const whereClause = whereConditions.join(' AND ');
-      queryText += ` WHERE ${whereClause}`;
-      countQuery += ` WHERE ${whereClause}`;
-    }
+    const { conditions: whereConditions, params: queryParams } = orderFilters(req.query, { clientId: isAdmin ? null : req.user.id });
+    const paramCount = queryParams.length + 1;
+    queryText += whereClause(whereConditions);
+    countQuery += whereClause(whereConditions);
 
     // Validate sort parameters
     const validSortFields = ['created_at', 'total_amount', 'status'];
@@ -92,9 +102,13 @@ router.get('/', authenticateToken, async (req, res) => {
 
     const totalOrders = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalOrders / limit);
+    const transitions = await getOrderTransitions(pool);
 
     res.json({
-      orders: ordersResult.rows,
+      orders: ordersResult.rows.map(order => ({
+        ...order,
+        allowed_transitions: transitions[order.status] || []
+      })),
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -109,23 +123,49 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
-// Get total revenue from all completed orders (separated by currency)
+// Get total revenue from all completed orders (separated by currency, net of returns).
+// baseRevenue converts every sale at the exchange rate of the day it was made.
 router.get('/revenue', authenticateToken, async (req, res) => {
   try {
     const result = await query(`
-      SELECT 
-        COALESCE(SUM(CASE WHEN p.category = 'smartphones' THEN oi.quantity * oi.price ELSE 0 END), 0) as eur_revenue,
-        COALESCE(SUM(CASE WHEN p.category != 'smartphones' THEN oi.quantity * oi.price ELSE 0 END), 0) as mkd_revenue
+      SELECT o.created_at::date as sale_date,
+             oi.currency,
+             COALESCE(SUM((oi.quantity - COALESCE(r.returned, 0)) * oi.price), 0) as revenue
       FROM orders o
       JOIN order_items oi ON o.id = oi.order_id
-      JOIN products p ON oi.product_id = p.id
+      LEFT JOIN (
+        SELECT order_item_id, SUM(quantity) as returned
+        FROM order_return_items
+        GROUP BY order_item_id
+      ) r ON r.order_item_id = oi.id
       WHERE o.status = 'completed'
+      GROUP BY 1, 2
     `);
-    
+
+    const baseCurrency = await getBaseCurrency(pool);
+    const rates = await loadExchangeRates(pool);
+    const revenue = { EUR: 0, MKD: 0 };
+    const unconverted = { EUR: 0, MKD: 0 };
+    let baseRevenue = 0;
+    result.rows.forEach(row => {
+      const amount = parseFloat(row.revenue);
+      revenue[row.currency] = round2(revenue[row.currency] + amount);
+      const converted = convertAmount(rates, amount, row.currency, baseCurrency, row.sale_date);
+      if (converted === null) {
+        unconverted[row.currency] = round2(unconverted[row.currency] + amount);
+      } else {
+        baseRevenue = round2(baseRevenue + converted);
+      }
+    });
+
     res.json({
-      eurRevenue: parseFloat(result.rows[0].eur_revenue),
-      mkdRevenue: parseFloat(result.rows[0].mkd_revenue),
-      totalRevenue: parseFloat(result.rows[0].eur_revenue) + parseFloat(result.rows[0].mkd_revenue)
+      eurRevenue: revenue.EUR,
+      mkdRevenue: revenue.MKD,
+      totalRevenue: revenue.EUR + revenue.MKD,
+      baseCurrency,
+      baseRevenue,
+      // Sales on days without an exchange rate to the base currency
+      unconvertedRevenue: unconverted
     });
   } catch (error) {
     console.error('Get revenue error:', error);
@@ -133,6 +173,177 @@ router.get('/revenue', authenticateToken, async (req, res) => {
   }
 });
 
+// VAT report for the accountant: tax contained in sales, grouped by period, currency and rate.
+// Returned units are netted out and cancelled orders are left out. baseTotals converts each
+// day's sales to the base currency (or ?baseCurrency=) at that day's exchange rate.
+const TAX_REPORT_PERIODS = ['day', 'week', 'month', 'quarter', 'year'];
+
+router.get('/tax-report', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const period = req.query.period || 'month';
+    if (!TAX_REPORT_PERIODS.includes(period)) {
+      return res.status(400).json({ message: `Period must be one of ${TAX_REPORT_PERIODS.join(', ')}` });
+    }
+
+    const { from, to } = req.query;
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    if ((from && !isDate(from)) || (to && !isDate(to))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (req.query.baseCurrency && !CURRENCIES.includes(req.query.baseCurrency)) {
+      return res.status(400).json({ message: `Base currency must be one of ${CURRENCIES.join(', ')}` });
+    }
+
+    const params = [period];
+    let dateFilter = '';
+    if (from) {
+      params.push(from);
+      dateFilter += ` AND o.created_at >= $${params.length}::date`;
+    }
+    if (to) {
+      params.push(to);
+      dateFilter += ` AND o.created_at < $${params.length}::date + INTERVAL '1 day'`;
+    }
+
+    const result = await query(`
+      SELECT date_trunc($1, o.created_at) as period,
+             o.created_at::date as sale_date,
+             oi.currency,
+             oi.tax_rate,
+             SUM((oi.quantity - COALESCE(r.returned, 0)) * oi.price) as gross,
+             SUM(COALESCE(oi.tax_amount, 0) * (oi.quantity - COALESCE(r.returned, 0)) / oi.quantity) as tax
+      FROM orders o
+      JOIN order_items oi ON o.id = oi.order_id
+      LEFT JOIN (
+        SELECT order_item_id, SUM(quantity) as returned
+        FROM order_return_items
+        GROUP BY order_item_id
+      ) r ON r.order_item_id = oi.id
+      WHERE o.status != 'cancelled'${dateFilter}
+      GROUP BY 1, 2, 3, 4
+      ORDER BY 1, 3, 4 DESC NULLS LAST, 2
+    `, params);
+
+    const baseCurrency = req.query.baseCurrency || await getBaseCurrency(pool);
+    const rates = await loadExchangeRates(pool);
+
+    // Add one day's amounts into a running { net, tax, gross } group
+    const addTo = (group, gross, tax) => {
+      group.gross = round2(group.gross + gross);
+      group.tax = round2(group.tax + tax);
+      group.net = round2(group.gross - group.tax);
+    };
+
+    const periodRows = new Map();
+    const totals = {};
+    const baseTotals = {};
+    let unconverted = 0;
+    result.rows.forEach(row => {
+      const gross = round2(row.gross);
+      const tax = round2(row.tax);
+      // Lines sold before VAT was tracked have no rate
+      const rate = row.tax_rate === null ? null : parseFloat(row.tax_rate);
+      const key = `${row.currency}:${rate}`;
+
+      const rowKey = `${new Date(row.period).toISOString()}:${key}`;
+      const periodRow = periodRows.get(rowKey) || { period: row.period, currency: row.currency, rate, net: 0, tax: 0, gross: 0 };
+      addTo(periodRow, gross, tax);
+      periodRows.set(rowKey, periodRow);
+
+      totals[key] = totals[key] || { currency: row.currency, rate, net: 0, tax: 0, gross: 0 };
+      addTo(totals[key], gross, tax);
+
+      const exchangeRate = findExchangeRate(rates, row.currency, baseCurrency, row.sale_date);
+      if (exchangeRate === null) {
+        unconverted += 1;
+        return;
+      }
+      baseTotals[rate] = baseTotals[rate] || { currency: baseCurrency, rate, net: 0, tax: 0, gross: 0 };
+      addTo(baseTotals[rate], round2(gross * exchangeRate), round2(tax * exchangeRate));
+    });
+
+    res.json({
+      period,
+      from: from || null,
+      to: to || null,
+      rows: [...periodRows.values()],
+      totals: Object.values(totals),
+      baseCurrency,
+      baseTotals: Object.values(baseTotals).sort((a, b) => (b.rate ?? -1) - (a.rate ?? -1)),
+      // Number of day/currency groups left out of baseTotals for lack of an exchange rate
+      unconvertedGroups: unconverted
+    });
+  } catch (error) {
+    console.error('Get tax report error:', error);
+    res.status(500).json({ message: 'Failed to get tax report' });
+  }
+});
+
+// Zip of UBL 2.1 invoices between from and to (admin only): every order already invoiced, and completed
+// orders not invoiced yet, which are issued their number here in order date order. Cancelled orders are left out.
+router.get('/invoices/export', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+    if (!isDate(from) || !isDate(to)) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+
+    const ordersResult = await query(`
+      SELECT id FROM orders
+      WHERE status != 'cancelled' AND (invoice_number IS NOT NULL OR status = 'completed')
+        AND created_at >= $1::date AND created_at < $2::date + INTERVAL '1 day'
+      ORDER BY created_at, id
+    `, [from, to]);
+    if (ordersResult.rows.length === 0) {
+      return res.status(404).json({ message: 'No invoices in this date range' });
+    }
+
+    // Check every order converts before any number is issued
+    const rates = await loadExchangeRates(pool);
+    const invoices = [];
+    for (const { id } of ordersResult.rows) {
+      invoices.push(await loadInvoice(pool, id, { singleCurrency: true, rates }));
+    }
+    const unconvertible = invoices.filter(invoice => invoice.missingRate);
+    if (unconvertible.length > 0) {
+      return res.status(400).json({
+        message: `No exchange rate for the order date of orders ${unconvertible.map(invoice => `#${invoice.order.id}`).join(', ')}`
+      });
+    }
+
+    // All numbers are issued in one transaction, and the zip is built before it commits,
+    // so an export that fails part way issues nothing
+    const settings = await getCompanySettings(pool);
+    const files = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const invoice of invoices) {
+        const invoiceNumber = await assignDocumentNumber(client, 'invoice', invoice.order.id);
+        files.push({
+          name: `${invoiceNumber.replace(/[^A-Za-z0-9._-]/g, '_')}.xml`,
+          data: buildUblInvoice({ ...invoice, invoiceNumber }, settings),
+          date: invoice.order.created_at
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename=invoices-${from}-to-${to}.zip`);
+    res.send(createZip(files));
+  } catch (error) {
+    console.error('Export invoices error:', error);
+    res.status(500).json({ message: 'Failed to export invoices' });
+  }
+});
+
 // Get single order with items
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
@@ -141,11 +352,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     // Get order details
     let orderQuery = `
-      SELECT o.id, o.status, o.total_amount, o.created_at,
+      SELECT o.id, o.status, o.total_amount, o.created_at, o.stock_state, o.invoice_number,
+             o.approved_at, o.shipped_at, o.completed_at, o.cancelled_at, o.cancel_reason,
+             o.discount_type, o.discount_value, o.discount_currency, o.discount_reason,
+             o.eur_discount, o.mkd_discount, o.discount_approved, o.invoice_currency,
              u.name as client_name, u.email as client_email,
-             o.guest_name, o.guest_email, o.guest_phone
+             o.guest_name, o.guest_email, o.guest_phone,
+             o.location_id, l.name as location_name
       FROM orders o
       LEFT JOIN users u ON o.client_id = u.id
+      LEFT JOIN locations l ON o.location_id = l.id
       WHERE o.id = $1
     `;
     let orderParams = [orderId];
@@ -164,15 +380,44 @@ router.get('/:id', authenticateToken, async (req, res) => {
 
     // Get order items
     const itemsResult = await query(`
-      SELECT oi.quantity, oi.price,
-             p.id as product_id, p.name as product_name, p.description, p.category
+      SELECT oi.id as order_item_id, oi.quantity, oi.price, oi.currency,
+             oi.list_price, oi.discount_type, oi.discount_value, oi.discount_amount,
+             oi.tax_rate, oi.tax_amount,${isAdmin ? ' oi.cost_price,' : ''}
+             COALESCE(r.returned, 0)::int as returned_quantity,
+             p.id as product_id, p.name as product_name, p.description, p.category, p.imei, p.imei2
       FROM order_items oi
       JOIN products p ON oi.product_id = p.id
+      LEFT JOIN (
+        SELECT order_item_id, SUM(quantity) as returned
+        FROM order_return_items
+        GROUP BY order_item_id
+      ) r ON r.order_item_id = oi.id
       WHERE oi.order_id = $1
+      ORDER BY oi.id
     `, [orderId]);
 
     const order = orderResult.rows[0];
     order.items = itemsResult.rows;
+    order.taxSummary = summarizeTax(itemsResult.rows);
+
+    // Cost and margin are for staff only, like product costs
+    if (isAdmin) {
+      order.items.forEach(item => {
+        item.margin = lineMargin(item);
+      });
+      order.marginSummary = summarizeMargin(order.items);
+    }
+
+    // Get recorded payments
+    const paymentsResult = await query(`
+      SELECT id, method, currency, amount, tendered_amount, change_due, reference, created_at
+      FROM order_payments
+      WHERE order_id = $1
+      ORDER BY created_at ASC, id ASC
+    `, [orderId]);
+    order.payments = paymentsResult.rows;
+    order.paymentSummary = buildPaymentSummary(await getOrderDue(pool, orderId), await getOrderPaid(pool, orderId));
+    order.allowedTransitions = (await getOrderTransitions(pool))[order.status] || [];
 
     res.json(order);
   } catch (error) {
@@ -187,11 +432,27 @@ router.post('/', [
   body('items').isArray({ min: 1 }),
   body('items.*.productId').isInt({ min: 1 }),
   body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.discountType').optional({ nullable: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('items.*.discountValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount').optional({ nullable: true }).isObject(),
+  body('discount.type').optional().isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('discount.value').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount.currency').optional({ nullable: true }).isIn(PAYMENT_CURRENCIES).withMessage('Discount currency must be EUR or MKD'),
+  body('discountReason').optional({ nullable: true }).isIn(DISCOUNT_REASONS).withMessage(`Discount reason must be one of ${DISCOUNT_REASONS.join(', ')}`),
+  body('managerPin').optional({ nullable: true }).isString(),
+  body('invoiceCurrency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Invoice currency must be EUR or MKD'),
   body('guestName').optional().isString().trim().isLength({ min: 1 }),
   body('guestEmail').optional().isEmail(),
   body('guestPhone').optional().isString().trim(),
   body('clientId').optional().isInt({ min: 1 }),
-  body('status').optional().isIn(['pending', 'completed']).withMessage('Status must be pending or completed')
+  body('status').optional().isIn(['pending', 'completed']).withMessage('Status must be pending or completed'),
+  body('fulfillment').optional().isIn(['pickup', 'delivery']).withMessage('Fulfillment must be pickup or delivery'),
+  body('locationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID'),
+  body('payments').optional().isArray().withMessage('Payments must be an array'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`),
+  body('payments.*.currency').isIn(PAYMENT_CURRENCIES).withMessage('Payment currency must be EUR or MKD'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be a positive number'),
+  body('payments.*.reference').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -202,8 +463,25 @@ router.post('/', [
       });
     }
 
-    const { items, guestName, guestEmail, guestPhone, clientId: requestedClientId, status = 'pending' } = req.body;
+    const { items, guestName, guestEmail, guestPhone, clientId: requestedClientId, payments, discountReason, managerPin } = req.body;
+    let { status = 'pending' } = req.body;
     const isAdmin = req.user.role === 'admin';
+
+    // Discounts are negotiated at the counter, so only staff can give them and every one needs a reason
+    const discount = req.body.discount && parseFloat(req.body.discount.value) > 0 ? req.body.discount : null;
+    const hasDiscount = !!discount || items.some(item => item.discountType && parseFloat(item.discountValue) > 0);
+    if (hasDiscount && !isAdmin) {
+      return res.status(403).json({ message: 'Only admins can apply discounts' });
+    }
+    if (hasDiscount && !discountReason) {
+      return res.status(400).json({ message: 'A discount reason is required' });
+    }
+    if (discount && (!discount.type || (discount.type === 'fixed' && !discount.currency))) {
+      return res.status(400).json({ message: 'An order discount needs a type, and a currency when it is a fixed amount' });
+    }
+    // Pickup sales hand the goods over now; delivery orders take stock when approved and shipped.
+    // Orders placed by clients themselves always go through the delivery flow.
+    const fulfillment = isAdmin ? (req.body.fulfillment || 'pickup') : 'delivery';
     let clientId = req.user.id;
     let guestInfo = null;
 
@@ -224,118 +502,253 @@ router.post('/', [
       guestInfo = { guestName, guestEmail: guestEmail || '', guestPhone: guestPhone || null };
     }
 
-    // Validate products and calculate totals
-    let totalAmount = 0;
-    let eurPendingTotal = 0; // Sum of smartphone items (EUR)
-    let mkdPendingTotal = 0; // Sum of non-smartphone items (MKD)
-    const validatedItems = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    for (const item of items) {
-      const productResult = await query(
-        'SELECT id, name, price, stock_status, stock_quantity, category FROM products WHERE id = $1',
-        [item.productId]
-      );
+      const rollbackWith = async (statusCode, message) => {
+        await client.query('ROLLBACK');
+        return res.status(statusCode).json({ message });
+      };
 
-      if (productResult.rows.length === 0) {
-        return res.status(400).json({ message: `Product ${item.productId} not found` });
+      // Staff sell from the location they are at; online orders are fulfilled from the default location
+      const location = await findLocation(client, isAdmin ? req.body.locationId : null);
+      if (!location) {
+        return rollbackWith(400, 'Location not found');
       }
 
-      const product = productResult.rows[0];
+      // Lock every product on the order so concurrent sales cannot both take the last unit
+      const lockedProducts = await lockProducts(client, items.map(item => item.productId));
+      const locationQuantities = await getLocationQuantities(client, items.map(item => item.productId), location.id);
+
+      // Validate products
+      const validatedItems = [];
+      const requested = new Map();
 
-      if (product.stock_status === 'disabled') {
-        return res.status(400).json({ message: `Product ${product.name} is not available` });
+      for (const item of items) {
+        const product = lockedProducts.get(parseInt(item.productId));
+
+        if (!product) {
+          return rollbackWith(400, `Product ${item.productId} not found`);
+        }
+
+        if (product.stock_status === 'disabled') {
+          return rollbackWith(400, `Product ${product.name} is not available`);
+        }
+
+        // The same product may appear on more than one line; reserved units belong to other orders
+        const quantity = (requested.get(product.id) || 0) + item.quantity;
+        if (product.stock_quantity - product.reserved_quantity < quantity) {
+          return rollbackWith(409, `Insufficient stock for ${product.name}`);
+        }
+        // Pickup sales hand over what is on the shelf here
+        if (fulfillment === 'pickup' && (locationQuantities.get(product.id) || 0) < quantity) {
+          return rollbackWith(409, `Insufficient stock for ${product.name} at ${location.name}`);
+        }
+        requested.set(product.id, quantity);
+
+        validatedItems.push({
+          productId: product.id,
+          quantity: item.quantity,
+          listPrice: product.price,
+          discountType: item.discountType || null,
+          discountValue: item.discountType ? parseFloat(item.discountValue) || 0 : null,
+          name: product.name,
+          category: product.category,
+          currency: product.currency
+        });
       }
 
-      if (product.stock_quantity < item.quantity) {
-        return res.status(400).json({ message: `Insufficient stock for ${product.name}` });
+      // Net prices after line and order discounts; the totals by currency follow from them
+      const pricing = applyDiscounts(validatedItems, discount);
+      const pricedItems = pricing.lines;
+      const eurPendingTotal = pricing.totals.EUR.net; // Sum of items sold in EUR
+      const mkdPendingTotal = pricing.totals.MKD.net; // Sum of items sold in MKD
+      const totalAmount = round2(eurPendingTotal + mkdPendingTotal);
+
+      const approval = await checkDiscountApproval(client, pricing.maxPercent, managerPin);
+      if (approval.error) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ message: approval.error, approvalRequired: approval.approvalRequired });
       }
 
-      const lineTotal = product.price * item.quantity;
-      totalAmount += lineTotal;
+      // When tenders are captured at checkout the status follows from them:
+      // fully paid sales are completed, anything left owing stays pending on the client's account
+      let allocations = [];
+      let changeDue = { EUR: 0, MKD: 0 };
+      const due = { EUR: round2(eurPendingTotal), MKD: round2(mkdPendingTotal) };
+      if (Array.isArray(payments)) {
+        const allocation = allocateTenders(due, { EUR: 0, MKD: 0 }, payments);
+        if (allocation.error) {
+          return rollbackWith(400, allocation.error);
+        }
+        allocations = allocation.allocations;
+        changeDue = allocation.changeDue;
 
-      // Track totals by currency based on category
-      if (product.category === 'smartphones') {
-        eurPendingTotal += lineTotal;
-      } else {
-        mkdPendingTotal += lineTotal;
-      }
-      validatedItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        price: product.price,
-        name: product.name,
-        category: product.category
-      });
-    }
+        const paid = { EUR: 0, MKD: 0 };
+        allocations.forEach(a => { paid[a.currency] = round2(paid[a.currency] + a.amount); });
+        const { fullyPaid } = buildPaymentSummary(due, paid);
 
-    // Create order
-    let orderResult;
-    if (guestInfo) {
-      // Guest order
-      orderResult = await query(
-        'INSERT INTO orders (client_id, guest_name, guest_email, guest_phone, total_amount, status, original_status) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
-        [clientId, guestInfo.guestName, guestInfo.guestEmail, guestInfo.guestPhone, totalAmount, status, status]
-      );
-    } else {
-      // Client order
-      orderResult = await query(
-        'INSERT INTO orders (client_id, total_amount, status, original_status) VALUES ($1, $2, $3, $4) RETURNING id',
-        [clientId, totalAmount, status, status]
-      );
-    }
-    
+        if (!fullyPaid && guestInfo) {
+          return rollbackWith(400, 'Guest orders must be paid in full');
+        }
+        status = fullyPaid ? 'completed' : 'pending';
+      }
 
+      // A delivery order is not complete until it has been shipped
+      if (fulfillment === 'delivery') {
+        status = 'pending';
+      }
 
-    const orderId = orderResult.rows[0].id;
+      if (allocations.length > 0) {
+        const creditError = await checkStoreCredit(client, guestInfo ? null : clientId, allocations);
+        if (creditError) {
+          return rollbackWith(400, creditError);
+        }
+      }
 
-    // Create order items and update stock
-    for (const item of validatedItems) {
-      await query(
-        'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ($1, $2, $3, $4)',
-        [orderId, item.productId, item.quantity, item.price]
-      );
+      // Create order
+      const stockState = fulfillment === 'delivery' ? 'none' : 'deducted';
+      const completedAt = status === 'completed' ? new Date() : null;
+      let orderResult;
+      if (guestInfo) {
+        // Guest order
+        orderResult = await client.query(
+          'INSERT INTO orders (client_id, guest_name, guest_email, guest_phone, total_amount, status, original_status, stock_state, completed_at, location_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id',
+          [clientId, guestInfo.guestName, guestInfo.guestEmail, guestInfo.guestPhone, totalAmount, status, status, stockState, completedAt, location.id]
+        );
+      } else {
+        // Client order
+        orderResult = await client.query(
+          'INSERT INTO orders (client_id, total_amount, status, original_status, stock_state, completed_at, location_id) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+          [clientId, totalAmount, status, status, stockState, completedAt, location.id]
+        );
+      }
 
-      // Update stock quantity
-      await query(
-        'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-        [item.quantity, item.productId]
-      );
-    }
+      const orderId = orderResult.rows[0].id;
+
+      if (req.body.invoiceCurrency) {
+        await client.query('UPDATE orders SET invoice_currency = $1 WHERE id = $2', [req.body.invoiceCurrency, orderId]);
+      }
+
+      // Sales rung up while the cashier has a till session open count towards its Z-report
+      const cashSessionId = await getOpenCashSessionId(client, req.user.id);
+      if (cashSessionId) {
+        await client.query('UPDATE orders SET cash_session_id = $1 WHERE id = $2', [cashSessionId, orderId]);
+      }
 
-    // Record debt increase ONLY when a pending order is created for a client
-    if (!guestInfo && clientId && status === 'pending') {
-      const notes = `Debt increase from pending order #${orderId}`;
-      // Use negative amount to represent increase; positive amounts are manual reductions
-      if (eurPendingTotal > 0) {
-        await query(
-          'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-          [clientId, -eurPendingTotal, 'manual_reduction', 'EUR', notes, req.user.id]
+      if (hasDiscount) {
+        await client.query(
+          `UPDATE orders
+           SET discount_type = $1, discount_value = $2, discount_currency = $3, discount_reason = $4,
+               eur_discount = $5, mkd_discount = $6, discount_approved = $7
+           WHERE id = $8`,
+          [
+            discount ? discount.type : null,
+            discount ? parseFloat(discount.value) : null,
+            discount && discount.type === 'fixed' ? discount.currency : null,
+            discountReason,
+            pricing.totals.EUR.discount,
+            pricing.totals.MKD.discount,
+            approval.approved,
+            orderId
+          ]
         );
       }
-      if (mkdPendingTotal > 0) {
-        await query(
-          'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-          [clientId, -mkdPendingTotal, 'manual_reduction', 'MKD', notes, req.user.id]
+
+      // Create order items and update stock
+      for (const item of pricedItems) {
+        await client.query(
+          `INSERT INTO order_items (order_id, product_id, quantity, price, list_price, discount_type, discount_value, discount_amount, currency)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [orderId, item.productId, item.quantity, item.price, item.listPrice, item.discountType, item.discountValue, item.discountAmount, item.currency]
         );
+
+        // Pickup sales take the stock straight away
+        if (stockState === 'deducted') {
+          await adjustStock(client, item.productId, -item.quantity, 'sale', { orderId, locationId: location.id, userId: req.user.id });
+        }
+      }
+      await stampOrderItemTax(client, orderId);
+      await stampOrderItemCost(client, orderId);
+
+      // Record debt increase ONLY when a pending order is created for a client
+      if (!guestInfo && clientId && status === 'pending') {
+        const notes = `Debt increase from pending order #${orderId}`;
+        // Use negative amount to represent increase; positive amounts are manual reductions
+        if (eurPendingTotal > 0) {
+          await client.query(
+            'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+            [clientId, -eurPendingTotal, 'manual_reduction', 'EUR', notes, req.user.id]
+          );
+        }
+        if (mkdPendingTotal > 0) {
+          await client.query(
+            'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+            [clientId, -mkdPendingTotal, 'manual_reduction', 'MKD', notes, req.user.id]
+          );
+        }
       }
-    }
 
-    res.status(201).json({
-      message: 'Order created successfully',
-      orderId,
-      totalAmount
-    });
+      await recordOrderEvent(client, orderId, 'created', req.user.id, {
+        status,
+        fulfillment,
+        totalAmount,
+        discounts: hasDiscount ? { EUR: pricing.totals.EUR.discount, MKD: pricing.totals.MKD.discount, reason: discountReason } : undefined,
+        items: pricedItems.map(item => ({
+          productId: item.productId,
+          name: item.name,
+          quantity: item.quantity,
+          price: item.price,
+          listPrice: item.listPrice
+        }))
+      });
+
+      // Record checkout tenders
+      let recordedPayments = [];
+      if (allocations.length > 0) {
+        const order = { id: orderId, client_id: guestInfo ? null : clientId, original_status: status };
+        const recorded = await recordPayments(client, order, allocations, req.user.id, due);
+        if (recorded.error) {
+          return rollbackWith(400, recorded.error);
+        }
+        recordedPayments = recorded.payments;
+      }
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Order created successfully',
+        orderId,
+        totalAmount,
+        status,
+        fulfillment,
+        payments: recordedPayments,
+        discounts: { EUR: pricing.totals.EUR.discount, MKD: pricing.totals.MKD.discount },
+        changeDue
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the order was being placed. Please try again.' });
+    }
     console.error('Create order error:', error);
     res.status(500).json({ message: 'Failed to create order' });
   }
 });
 
-// Update order status (admin only)
+// Update order status (admin only) - moves the order through the configured state machine
 router.put('/:id/status', [
   authenticateToken,
   requireAdmin,
-  body('status').isIn(['pending', 'completed'])
+  body('status').isIn(ORDER_STATUSES).withMessage(`Status must be one of ${ORDER_STATUSES.join(', ')}`),
+  body('paymentMethod').optional().isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -347,76 +760,262 @@ router.put('/:id/status', [
     }
 
     const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+    const { status, paymentMethod, reason } = req.body;
 
-    const result = await query(
-      'UPDATE orders SET status = $1 WHERE id = $2 RETURNING id, status',
-      [status, orderId]
-    );
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Order not found' });
+      }
 
-    res.json({
-      message: 'Order status updated successfully',
-      order: result.rows[0]
-    });
+      const result = await transitionOrder(client, orderResult.rows[0], status, req.user.id, { paymentMethod, reason });
+      if (result.error) {
+        await client.query('ROLLBACK');
+        return res.status(result.conflict ? 409 : 400).json({ message: result.error });
+      }
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Order status updated successfully',
+        order: { id: orderId, status: result.status },
+        payments: result.payments || [],
+        ledgerAdjustments: result.credits || []
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the order was being updated. Please try again.' });
+    }
     console.error('Update order status error:', error);
     res.status(500).json({ message: 'Failed to update order status' });
   }
 });
 
-// Generate PDF invoice
-router.get('/:id/invoice', authenticateToken, async (req, res) => {
+// Get payments recorded for an order
+router.get('/:id/payments', authenticateToken, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     const isAdmin = req.user.role === 'admin';
 
-    // Get order details
-    let orderQuery = `
-      SELECT o.id, o.status, o.total_amount, o.created_at,
-             u.name as client_name, u.email as client_email,
-             o.guest_name, o.guest_email, o.guest_phone
-      FROM orders o
-      LEFT JOIN users u ON o.client_id = u.id
-      WHERE o.id = $1
-    `;
+    let orderQuery = 'SELECT id FROM orders WHERE id = $1';
     let orderParams = [orderId];
 
-    // Client can only download their own invoices
+    // Client can only see payments on their own orders
     if (!isAdmin) {
-      orderQuery += ' AND o.client_id = $2';
+      orderQuery += ' AND client_id = $2';
       orderParams.push(req.user.id);
     }
 
     const orderResult = await query(orderQuery, orderParams);
-
     if (orderResult.rows.length === 0) {
       return res.status(404).json({ message: 'Order not found' });
     }
 
-    const order = orderResult.rows[0];
+    const paymentsResult = await query(`
+      SELECT op.id, op.method, op.currency, op.amount, op.tendered_amount, op.change_due, op.reference, op.created_at,
+             u.name as created_by_name
+      FROM order_payments op
+      LEFT JOIN users u ON op.created_by = u.id
+      WHERE op.order_id = $1
+      ORDER BY op.created_at ASC, op.id ASC
+    `, [orderId]);
 
-    // Get order items
-    const itemsResult = await query(`
-      SELECT oi.quantity, oi.price,
-             p.name as product_name, p.description, p.category, p.subcategory, p.model, p.storage_gb, p.color
-      FROM order_items oi
-      JOIN products p ON oi.product_id = p.id
-      WHERE oi.order_id = $1
+    const [due, paid] = await Promise.all([getOrderDue(pool, orderId), getOrderPaid(pool, orderId)]);
+
+    res.json({
+      payments: paymentsResult.rows,
+      summary: buildPaymentSummary(due, paid)
+    });
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    res.status(500).json({ message: 'Failed to get order payments' });
+  }
+});
+
+// Record one or more tenders against an order (admin only)
+router.post('/:id/payments', authenticateToken, requireAdmin, [
+  body('payments').isArray({ min: 1 }).withMessage('At least one payment is required'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`),
+  body('payments.*.currency').isIn(PAYMENT_CURRENCIES).withMessage('Payment currency must be EUR or MKD'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be a positive number'),
+  body('payments.*.reference').optional({ nullable: true }).isString().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        message: 'Validation error', 
+        errors: errors.array() 
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+    const { payments } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the order so concurrent tenders cannot both settle the same balance
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      const order = orderResult.rows[0];
+
+      if (order.status === 'cancelled') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Cannot record payments on a cancelled order' });
+      }
+
+      const due = await getOrderDue(client, orderId);
+      const paidBefore = await getOrderPaid(client, orderId);
+      const { remaining } = buildPaymentSummary(due, paidBefore);
+
+      const allocation = allocateTenders(due, paidBefore, payments);
+      if (allocation.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: allocation.error });
+      }
+
+      const recorded = await recordPayments(client, order, allocation.allocations, req.user.id, remaining);
+      if (recorded.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: recorded.error });
+      }
+
+      const summary = buildPaymentSummary(due, await getOrderPaid(client, orderId));
+
+      // Settled orders move to completed automatically once the goods have left the shop
+      let status = order.status;
+      if (summary.fullyPaid && status !== 'completed' && order.stock_state === 'deducted') {
+        await stampStatus(client, orderId, 'completed', {
+          from: order.status,
+          userId: req.user.id,
+          details: { trigger: 'payment' }
+        });
+        status = 'completed';
+      }
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Payment recorded successfully',
+        orderId,
+        status,
+        payments: recorded.payments,
+        changeDue: allocation.changeDue,
+        summary
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Record order payment error:', error);
+    res.status(500).json({ message: 'Failed to record payment' });
+  }
+});
+
+// Get the audit trail of an order, oldest event first
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const isAdmin = req.user.role === 'admin';
+
+    // Client can only see the history of their own orders
+    let orderQuery = 'SELECT id FROM orders WHERE id = $1';
+    const orderParams = [orderId];
+    if (!isAdmin) {
+      orderQuery += ' AND client_id = $2';
+      orderParams.push(req.user.id);
+    }
+
+    const orderResult = await query(orderQuery, orderParams);
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const eventsResult = await query(`
+      SELECT e.id, e.event_type, e.details, e.reason, e.created_at,
+             e.user_id, u.name as user_name, u.role as user_role
+      FROM order_events e
+      LEFT JOIN users u ON e.user_id = u.id
+      WHERE e.order_id = $1
+      ORDER BY e.created_at, e.id
     `, [orderId]);
 
-    // Get company settings
-    const settingsResult = await query('SELECT * FROM settings ORDER BY id LIMIT 1');
-    const settings = settingsResult.rows[0] || {
-      company_name: 'POS CRM System',
-      company_address: '123 Business Street',
-      company_city_state: 'City, State 12345',
-      company_phone: '(555) 123-4567',
-      company_email: 'info@poscrm.com'
-    };
+    res.json({ orderId, events: eventsResult.rows });
+  } catch (error) {
+    console.error('Get order history error:', error);
+    res.status(500).json({ message: 'Failed to fetch order history' });
+  }
+});
+
+const INVOICE_FORMATS = ['pdf', 'ubl'];
+
+// Generate invoice: PDF, or UBL 2.1 XML with ?format=ubl
+router.get('/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const isAdmin = req.user.role === 'admin';
+    const format = req.query.format || 'pdf';
+    if (!INVOICE_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of ${INVOICE_FORMATS.join(', ')}` });
+    }
+    if (req.query.currency && !CURRENCIES.includes(req.query.currency)) {
+      return res.status(400).json({ message: `Currency must be one of ${CURRENCIES.join(', ')}` });
+    }
+
+    const invoice = await loadInvoice(pool, orderId, {
+      clientId: isAdmin ? null : req.user.id,
+      currency: req.query.currency || null,
+      singleCurrency: format === 'ubl'
+    });
+    if (!invoice) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+    if (invoice.missingRate) {
+      return res.status(400).json({ message: `No ${invoice.missingRate} to ${invoice.invoiceCurrency} exchange rate for the order date` });
+    }
+    const { order, items, discountTotals, conversions, invoiceCurrency } = invoice;
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled orders cannot be invoiced' });
+    }
+    // The first download by an admin of a completed order issues the invoice number; later copies reprint it.
+    // Anything else is a pro forma until then.
+    const invoiceNumber = order.invoice_number
+      || (issuesOrderNumbers(req.user, order) ? await issueDocumentNumber(pool, 'invoice', orderId) : null);
+    if (!invoiceNumber && format === 'ubl') {
+      return res.status(400).json({ message: 'This order has no invoice number yet; it is issued once the order is completed' });
+    }
+    const settings = await getCompanySettings(pool);
+    await recordOrderEvent(pool, orderId, 'invoice_downloaded', req.user.id);
+
+    if (format === 'ubl') {
+      res.setHeader('Content-Type', 'application/xml');
+      res.setHeader('Content-Disposition', `attachment; filename=invoice-${orderId}.xml`);
+      return res.send(buildUblInvoice({ ...invoice, invoiceNumber }, settings));
+    }
 
     // Generate PDF
     const doc = new PDFDocument({ 
@@ -445,7 +1044,7 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     const black = '#000000';
 
     // Header Section
-    doc.fontSize(28).font('Helvetica-Bold').fillColor(black).text('INVOICE', { align: 'center' });
+    doc.fontSize(28).font('Helvetica-Bold').fillColor(black).text(invoiceNumber ? 'INVOICE' : 'PRO FORMA INVOICE', { align: 'center' });
     
     // Company Logo/Name
     doc.fontSize(18).font('Helvetica-Bold').fillColor(black).text(settings.company_name, 50, 120);
@@ -471,9 +1070,10 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     });
     
     doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('INVOICE DETAILS', 350, 120);
-    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Invoice #: ${orderId}`, 350, 140);
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Invoice #: ${invoiceNumber || 'Not issued'}`, 350, 140);
     doc.text(`Date: ${invoiceDate}`, 350, 155);
     doc.text(`Status: ${order.status.toUpperCase()}`, 350, 170);
+    doc.text(`Order #: ${orderId}`, 350, 185);
     
     // Draw line after header
     drawLine(200);
@@ -515,93 +1115,73 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     let currentY = tableY + 25;
     doc.fontSize(10).font('Helvetica').fillColor(black);
     
-    // Separate items by category
-    const eurItems = itemsResult.rows.filter(item => item.category === 'smartphones');
-    const mkdItems = itemsResult.rows.filter(item => item.category !== 'smartphones');
-    
-    // EUR Products (Smartphones) Section
-    if (eurItems.length > 0) {
+    // Lines are grouped by the currency they were sold in (a single group for a converted invoice)
+    const CURRENCY_STYLES = {
+      EUR: { color: '#059669', stripe: '#ecfdf5' }, // Green for EUR
+      MKD: { color: '#1d4ed8', stripe: '#eff6ff' } // Blue for MKD
+    };
+    const sections = CURRENCIES
+      .map(currency => ({ currency, items: items.filter(item => item.currency === currency) }))
+      .filter(section => section.items.length > 0);
+
+    sections.forEach(({ currency, items: sectionItems }) => {
+      const style = CURRENCY_STYLES[currency];
+
       // Section header
-      doc.fontSize(10).font('Helvetica-Bold').fillColor('#059669'); // Green color for EUR
-      doc.text('EUR Products (Smartphones)', 60, currentY);
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(style.color);
+      doc.text(`${currency} Products`, 60, currentY);
       currentY += 20;
-      
-      eurItems.forEach((item, index) => {
+
+      sectionItems.forEach((item, index) => {
         const price = parseFloat(item.price);
         const itemTotal = item.quantity * price;
-        
-        // Alternate row colors (light green for even rows)
+
+        // Alternate row colors
         if (index % 2 === 1) {
-          doc.rect(50, currentY - 5, 480, 20).fill('#ecfdf5');
+          doc.rect(50, currentY - 5, 480, 20).fill(style.stripe);
         }
-        
+
         // Explicitly set text color to black for each row
         doc.fillColor(black);
-        
-        // Set font size to 8 for product details
         doc.fontSize(10).font('Helvetica');
-        
+
         // For smartphones, show subcategory • model, otherwise just product name
-        const displayName = item.subcategory && item.model 
+        const displayName = item.category === 'smartphones' && item.subcategory && item.model
           ? `${item.subcategory} • ${item.model}`
           : item.product_name;
         doc.text(displayName, 60, currentY);
-        
+
         // Details column - show storage and color if available
         const details = [];
         if (item.storage_gb) details.push(item.storage_gb);
         if (item.color) details.push(item.color);
         const detailsText = details.length > 0 ? details.join(' • ') : '-';
         doc.text(detailsText, 220, currentY);
-        
+
         doc.text(item.quantity.toString(), 320, currentY);
-        doc.text(`${price.toFixed(0)} EUR`, 380, currentY);
-        doc.text(`${itemTotal.toFixed(0)} EUR`, 480, currentY);
-        
+        doc.text(`${price.toFixed(0)} ${currency}`, 380, currentY);
+        doc.text(`${itemTotal.toFixed(0)} ${currency}`, 480, currentY);
+
         currentY += 20;
-      });
-      
-      currentY += 10; // Add space between sections
-    }
-    
-    // MKD Products (Accessories) Section
-    if (mkdItems.length > 0) {
-      // Section header
-      doc.fontSize(10).font('Helvetica-Bold').fillColor('#1d4ed8'); // Blue color for MKD
-      doc.text('MKD Products (Accessories)', 60, currentY);
-      currentY += 20;
-      
-      mkdItems.forEach((item, index) => {
-        const price = parseFloat(item.price);
-        const itemTotal = item.quantity * price;
-        
-        // Alternate row colors (light blue for even rows)
-        if (index % 2 === 1) {
-          doc.rect(50, currentY - 5, 480, 20).fill('#eff6ff');
+
+        // Discounted lines show the list price they were taken off
+        if (parseFloat(item.discount_amount) > 0) {
+          doc.fontSize(8).fillColor('#6b7280')
+            .text(`List ${parseFloat(item.list_price).toFixed(0)} ${currency}, discount -${parseFloat(item.discount_amount).toFixed(0)} ${currency} each`, 220, currentY - 6);
+          doc.fontSize(10).fillColor(black);
+          currentY += 10;
         }
-        
-        // Explicitly set text color to black for each row
-        doc.fillColor(black);
-        
-        // Set font size to 8 for product details
-        doc.fontSize(10).font('Helvetica');
-        
-        doc.text(item.product_name, 60, currentY);
-        
-        // Details column - show storage and color if available
-        const details = [];
-        if (item.storage_gb) details.push(item.storage_gb);
-        if (item.color) details.push(item.color);
-        const detailsText = details.length > 0 ? details.join(' • ') : '-';
-        doc.text(detailsText, 220, currentY);
-        
-        doc.text(item.quantity.toString(), 320, currentY);
-        doc.text(`${price.toFixed(0)} MKD`, 380, currentY);
-        doc.text(`${itemTotal.toFixed(0)} MKD`, 480, currentY);
-        
-        currentY += 20;
       });
-    }
+
+      currentY += 10; // Add space between sections
+    });
+
+    // Converted invoices state the rate used
+    conversions.forEach(conversion => {
+      doc.fontSize(8).font('Helvetica').fillColor('#6b7280')
+        .text(`Converted at 1 ${conversion.from} = ${parseFloat(conversion.rate.toFixed(6))} ${invoiceCurrency} (rate on ${invoiceDate})`, 60, currentY);
+      currentY += 12;
+    });
 
     // Draw line after items
     drawLine(currentY + 5);
@@ -610,54 +1190,76 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     const totalY = currentY + 20;
     const totalBoxX = 280;
     const totalBoxWidth = 200;
-    
-    // Calculate totals by currency
-    const eurTotal = eurItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
-    const mkdTotal = mkdItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
-    
+
     let totalSectionY = totalY;
-    
-    // EUR Total (if any)
-    if (eurTotal > 0) {
-      // Draw box around EUR total
-      drawBox(totalBoxX, totalSectionY - 10, totalBoxWidth, 25);
-      
-      // Label on the left
-      doc.fontSize(12)
-        .font('Helvetica-Bold')
-        .fillColor('#059669') // Green color for EUR
-        .text('Total EUR:', totalBoxX + 10, totalSectionY);
-      
-      // Amount right-aligned within the box
-      doc.fontSize(14)
-        .font('Helvetica-Bold')
-        .fillColor('#059669')
-        .text(`${eurTotal.toFixed(0)} EUR`, totalBoxX + 10, totalSectionY, { width: totalBoxWidth - 20, align: 'right' });
-      
-      totalSectionY += 35; // Space for next total
+
+    // Discount summary above the totals
+    const discounts = CURRENCIES
+      .map(currency => ({ currency, amount: discountTotals[currency] || 0 }))
+      .filter(d => d.amount > 0);
+    if (discounts.length > 0) {
+      doc.fontSize(10).font('Helvetica').fillColor(black);
+      discounts.forEach(d => {
+        doc.text(`Discount ${d.currency}:`, totalBoxX + 10, totalSectionY);
+        doc.text(`-${d.amount.toFixed(0)} ${d.currency}`, totalBoxX + 10, totalSectionY, { width: totalBoxWidth - 20, align: 'right' });
+        totalSectionY += 15;
+      });
+      if (order.discount_reason) {
+        doc.fontSize(8).fillColor('#6b7280')
+          .text(`Reason: ${order.discount_reason.replace(/_/g, ' ')}`, totalBoxX + 10, totalSectionY);
+        totalSectionY += 12;
+      }
+      totalSectionY += 15;
     }
-    
-    // MKD Total (if any)
-    if (mkdTotal > 0) {
-      // Draw box around MKD total
+
+    // One boxed total per currency
+    sections.forEach(({ currency, items: sectionItems }) => {
+      const total = sectionItems.reduce((sum, item) => sum + (parseFloat(item.price) * item.quantity), 0);
+      if (total <= 0) return;
+      const { color } = CURRENCY_STYLES[currency];
+
       drawBox(totalBoxX, totalSectionY - 10, totalBoxWidth, 25);
-      
+
       // Label on the left
       doc.fontSize(12)
         .font('Helvetica-Bold')
-        .fillColor('#1d4ed8') // Blue color for MKD
-        .text('Total MKD:', totalBoxX + 10, totalSectionY);
-      
+        .fillColor(color)
+        .text(`Total ${currency}:`, totalBoxX + 10, totalSectionY);
+
       // Amount right-aligned within the box
       doc.fontSize(14)
         .font('Helvetica-Bold')
-        .fillColor('#1d4ed8')
-        .text(`${mkdTotal.toFixed(0)} MKD`, totalBoxX + 10, totalSectionY, { width: totalBoxWidth - 20, align: 'right' });
-      
+        .fillColor(color)
+        .text(`${total.toFixed(0)} ${currency}`, totalBoxX + 10, totalSectionY, { width: totalBoxWidth - 20, align: 'right' });
+
       totalSectionY += 35; // Space for next total
-    }
-    
+    });
 
+    // VAT summary - prices include VAT, so this shows what part of each total is tax
+    const taxSummary = summarizeTax(items);
+    if (taxSummary.length > 0) {
+      totalSectionY += 10;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(black)
+        .text('VAT SUMMARY (prices include VAT)', 50, totalSectionY);
+      totalSectionY += 18;
+
+      doc.fontSize(9).font('Helvetica-Bold');
+      doc.text('Rate', 60, totalSectionY);
+      doc.text('Net', 200, totalSectionY);
+      doc.text('VAT', 320, totalSectionY);
+      doc.text('Gross', 440, totalSectionY);
+      drawLine(totalSectionY + 13);
+      totalSectionY += 18;
+
+      doc.font('Helvetica');
+      taxSummary.forEach(group => {
+        doc.text(`${group.rate}% (${group.currency})`, 60, totalSectionY);
+        doc.text(`${group.net.toFixed(2)} ${group.currency}`, 200, totalSectionY);
+        doc.text(`${group.tax.toFixed(2)} ${group.currency}`, 320, totalSectionY);
+        doc.text(`${group.gross.toFixed(2)} ${group.currency}`, 440, totalSectionY);
+        totalSectionY += 15;
+      });
+    }
 
     // Footer
     doc.fontSize(10).font('Helvetica').fillColor(black).text('Thank you for your business!', { align: 'center' }, totalSectionY + 50);
@@ -666,30 +1268,68 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     doc.end();
   } catch (error) {
     console.error('Generate invoice error:', error);
-    console.error('Error details:', {
-      orderId,
-      order: orderResult?.rows?.[0],
-      items: itemsResult?.rows,
-      errorMessage: error.message,
-      errorStack: error.stack
-    });
     res.status(500).json({ message: 'Failed to generate invoice', error: error.message });
   }
 });
 
+// Till receipt: ESC/POS bytes to send straight to a thermal printer, or an 80mm-wide PDF.
+// `width` is the paper roll in mm (58 or 80).
+router.get('/:id/receipt', authenticateToken, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const format = req.query.format || 'escpos';
+    const paperWidth = parseInt(req.query.width) || 80;
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of ${RECEIPT_FORMATS.join(', ')}` });
+    }
+    if (!RECEIPT_COLUMNS[paperWidth]) {
+      return res.status(400).json({ message: `Width must be one of ${Object.keys(RECEIPT_COLUMNS).join(', ')}` });
+    }
+
+    // Clients can only print their own receipts
+    const receipt = await loadReceipt(pool, orderId, req.user.role === 'admin' ? null : req.user.id);
+    if (!receipt) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const columns = RECEIPT_COLUMNS[paperWidth];
+    const lines = buildReceiptLines(receipt, columns);
+    await recordOrderEvent(pool, orderId, 'receipt_printed', req.user.id, { format, width: paperWidth });
+
+    if (format === 'escpos') {
+      const bytes = renderEscPos(lines);
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=receipt-${orderId}.bin`);
+      return res.send(bytes);
+    }
+
+    const doc = renderReceiptPdf(lines, { paperWidth, columns, createdAt: receipt.order.created_at });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=receipt-${orderId}.pdf`);
+    doc.pipe(res);
+    doc.end();
+  } catch (error) {
+    console.error('Generate receipt error:', error);
+    res.status(500).json({ message: 'Failed to generate receipt' });
+  }
+});
+
 // Update order (admin only) - can update status and items
 router.put('/:id', authenticateToken, requireAdmin, [
-  body('status').optional().isIn(['pending', 'completed']).withMessage('Status must be pending or completed'),
+  body('status').optional().isIn(ORDER_STATUSES).withMessage(`Status must be one of ${ORDER_STATUSES.join(', ')}`),
   body('items').optional().isArray({ min: 1 }).withMessage('Items must be an array with at least one item'),
   body('items.*.productId').isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
-  body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  body('items.*.price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('items.*.discountType').optional({ nullable: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('items.*.discountValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('managerPin').optional({ nullable: true }).isString(),
+  body('invoiceCurrency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Invoice currency must be EUR or MKD'),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 })
 ], async (req, res) => {
-  console.log('Update order request:', { orderId: req.params.id, body: req.body });
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      console.log('Validation errors:', errors.array());
       return res.status(400).json({ 
         message: 'Validation error', 
         errors: errors.array() 
@@ -697,224 +1337,208 @@ router.put('/:id', authenticateToken, requireAdmin, [
     }
 
     const orderId = parseInt(req.params.id);
-    const { status, items } = req.body;
-
-    // Check if order exists
-    const orderResult = await query('SELECT id FROM orders WHERE id = $1', [orderId]);
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+    const { status, items, reason, managerPin } = req.body;
 
     // Start a transaction
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
 
-      // Update order status if provided
-      if (status) {
-        await client.query('UPDATE orders SET status = $1 WHERE id = $2', [status, orderId]);
+      const rollbackWith = async (statusCode, message) => {
+        await client.query('ROLLBACK');
+        return res.status(statusCode).json({ message });
+      };
+
+      // Lock the order so concurrent edits are applied one after another
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id, invoice_number FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        return rollbackWith(404, 'Order not found');
+      }
+      const order = orderResult.rows[0];
+      if (order.status === 'cancelled') {
+        return rollbackWith(400, 'Cancelled orders cannot be edited');
+      }
+
+      // An issued invoice is final; its lines are corrected with a return and its credit note
+      if (items && order.invoice_number) {
+        return rollbackWith(400, `Items cannot be edited after invoice ${order.invoice_number} has been issued; record a return to issue a credit note instead`);
+      }
+
+      // Returned lines reference the original order items, so those can no longer be rewritten
+      if (items) {
+        const returnsResult = await client.query('SELECT COUNT(*) as count FROM order_returns WHERE order_id = $1', [orderId]);
+        if (parseInt(returnsResult.rows[0].count) > 0) {
+          return rollbackWith(400, 'Items cannot be edited after a return has been recorded on this order');
+        }
+      }
+
+      // null switches the invoice back to one section per currency
+      if (req.body.invoiceCurrency !== undefined) {
+        await client.query('UPDATE orders SET invoice_currency = $1 WHERE id = $2', [req.body.invoiceCurrency, orderId]);
       }
 
       // Update order items if provided
       if (items && Array.isArray(items)) {
-        console.log('Updating order items:', { orderId, itemsCount: items.length });
-        console.log('Items to insert:', JSON.stringify(items, null, 2));
-        
         // Get current order items before deletion to restore stock
         const currentItemsResult = await client.query(`
-          SELECT oi.product_id, oi.quantity, oi.price, p.category
+          SELECT oi.product_id, oi.quantity, oi.price, oi.list_price, oi.currency, p.name
           FROM order_items oi
           JOIN products p ON oi.product_id = p.id
           WHERE oi.order_id = $1
         `, [orderId]);
         const currentItems = currentItemsResult.rows;
-        console.log('Current items to restore stock:', currentItems);
-        
-        // Also get current stock levels for debugging
-        for (const item of currentItems) {
-          const stockResult = await client.query(
-            'SELECT stock_quantity FROM products WHERE id = $1',
-            [item.product_id]
-          );
-          const currentStock = stockResult.rows[0]?.stock_quantity || 0;
-          console.log(`Product ${item.product_id} current stock: ${currentStock}, will restore: ${item.quantity}`);
-        }
-        
-        // Restore stock for all current items
-        for (const item of currentItems) {
-          await client.query(
-            'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2',
-            [item.quantity, item.product_id]
-          );
-          console.log(`Restored ${item.quantity} units to product ${item.product_id}`);
-        }
-        
-        // Verify stock restoration worked
-        for (const item of currentItems) {
-          const stockResult = await client.query(
-            'SELECT stock_quantity FROM products WHERE id = $1',
-            [item.product_id]
-          );
-          const newStock = stockResult.rows[0]?.stock_quantity || 0;
-          console.log(`Product ${item.product_id} stock after restoration: ${newStock}`);
-        }
-        
-        // Calculate debt impact of removed items (add to debt since items are being removed)
-        let eurDebtIncrease = 0;
-        let mkdDebtIncrease = 0;
-        
-        for (const item of currentItems) {
-          const itemTotal = item.quantity * item.price;
-          if (item.category === 'smartphones') {
-            eurDebtIncrease += itemTotal;
-          } else {
-            mkdDebtIncrease += itemTotal;
+        // Kept lines stay discounted off the list price they were sold at
+        const keptListPrices = new Map();
+        currentItems.forEach(item => {
+          if (item.list_price !== null && !keptListPrices.has(item.product_id)) {
+            keptListPrices.set(item.product_id, parseFloat(item.list_price));
           }
-        }
-        
-        console.log('Debt increase from removed items:', { eurDebtIncrease, mkdDebtIncrease });
+        });
+
+        // Lock old and new products before touching stock so concurrent sales wait for this edit
+        const lockedProducts = await lockProducts(client, [
+          ...currentItems.map(item => item.product_id),
+          ...items.map(item => item.productId)
+        ]);
         
-        // Get the order's client ID for debt adjustment
-        const orderClientResult = await client.query(
-          'SELECT client_id FROM orders WHERE id = $1',
-          [orderId]
-        );
-        const clientId = orderClientResult.rows[0]?.client_id;
+        // Release whatever the current items hold (stock taken or reserved, depending on the order's stock state)
+        await moveStock(client, currentItems, order.stock_state, 'none', {
+          orderId,
+          locationId: order.location_id,
+          userId: req.user.id,
+          notes: `Order #${orderId} edited`
+        });
         
-        // Add debt adjustments for removed items
-        if (eurDebtIncrease > 0 && clientId) {
-          try {
-            await client.query(
-              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-              [clientId, eurDebtIncrease, 'manual_reduction', 'EUR', `Items removed from order #${orderId} - debt increased`, req.user.id]
-            );
-            console.log(`Added EUR debt adjustment: ${eurDebtIncrease}`);
-          } catch (debtError) {
-            console.error('Error adding EUR debt adjustment:', debtError);
-            // Continue with order update even if debt adjustment fails
-          }
+        // Edited prices count as discounts off the list price, under the same approval limit as new sales.
+        // The list price never comes from the request, or any price cut could skip the approval.
+        const pricedItems = items.map(item => {
+          const productId = parseInt(item.productId);
+          const product = lockedProducts.get(productId);
+          const listPrice = round2(keptListPrices.has(productId)
+            ? keptListPrices.get(productId)
+            : product ? product.price : item.price);
+          const price = round2(item.price);
+          return {
+            ...item,
+            currency: product ? product.currency : null,
+            listPrice: Math.max(listPrice, price),
+            price,
+            discountAmount: Math.max(0, round2(listPrice - price))
+          };
+        });
+        const maxPercent = pricedItems.reduce((max, item) => (
+          item.listPrice > 0 ? Math.max(max, round2(item.discountAmount / item.listPrice * 100)) : max
+        ), 0);
+        const approval = await checkDiscountApproval(client, maxPercent, managerPin);
+        if (approval.error) {
+          await client.query('ROLLBACK');
+          return res.status(403).json({ message: approval.error, approvalRequired: approval.approvalRequired });
         }
-        
-        if (mkdDebtIncrease > 0 && clientId) {
-          try {
-            await client.query(
-              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-              [clientId, mkdDebtIncrease, 'manual_reduction', 'MKD', `Items removed from order #${orderId} - debt increased`, req.user.id]
-            );
-            console.log(`Added MKD debt adjustment: ${mkdDebtIncrease}`);
-          } catch (debtError) {
-            console.error('Error adding MKD debt adjustment:', debtError);
-            // Continue with order update even if debt adjustment fails
-          }
-        }
-        
+
         // Delete existing order items
-        const deleteResult = await client.query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
-        console.log('Deleted existing items:', deleteResult.rowCount);
+        await client.query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
 
         // Insert new order items and reduce stock
-        for (const item of items) {
-          console.log('Inserting item:', item);
-          console.log('Item fields:', { 
-            orderId, 
-            productId: item.productId, 
-            quantity: item.quantity, 
-            price: item.price 
-          });
-          
-          // Check if we have enough stock
-          const stockCheckResult = await client.query(
-            'SELECT stock_quantity FROM products WHERE id = $1',
+        for (const item of pricedItems) {
+          const productCheckResult = await client.query(
+            'SELECT id FROM products WHERE id = $1',
             [item.productId]
           );
           
-          if (stockCheckResult.rows.length === 0) {
-            throw new Error(`Product ${item.productId} not found`);
+          if (productCheckResult.rows.length === 0) {
+            return rollbackWith(400, `Product ${item.productId} not found`);
           }
           
-          const currentStock = stockCheckResult.rows[0].stock_quantity;
-          if (currentStock < item.quantity) {
-            throw new Error(`Insufficient stock for product ${item.productId}. Available: ${currentStock}, Requested: ${item.quantity}`);
-          }
-          
-          // Reduce stock for the new item
           await client.query(
-            'UPDATE products SET stock_quantity = stock_quantity - $1 WHERE id = $2',
-            [item.quantity, item.productId]
-          );
-          console.log(`Reduced ${item.quantity} units from product ${item.productId}`);
-          
-          const insertResult = await client.query(
-            'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES ($1, $2, $3, $4)',
-            [orderId, item.productId, item.quantity, item.price]
+            `INSERT INTO order_items (order_id, product_id, quantity, price, list_price, discount_type, discount_value, discount_amount, currency)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+              orderId,
+              item.productId,
+              item.quantity,
+              item.price,
+              item.listPrice,
+              item.discountAmount > 0 ? item.discountType || null : null,
+              item.discountAmount > 0 && item.discountType ? parseFloat(item.discountValue) || 0 : null,
+              item.discountAmount,
+              item.currency
+            ]
           );
-          console.log('Inserted item result:', insertResult.rowCount);
         }
-        
-        // Calculate debt impact of newly added items (subtract from debt since items are being added)
-        let eurDebtDecrease = 0;
-        let mkdDebtDecrease = 0;
-        
-        for (const item of items) {
-          // Get product category for debt calculation
-          const productResult = await client.query(
-            'SELECT category FROM products WHERE id = $1',
-            [item.productId]
-          );
-          const category = productResult.rows[0]?.category;
-          
-          const itemTotal = item.quantity * item.price;
-          if (category === 'smartphones') {
-            eurDebtDecrease += itemTotal;
-          } else {
-            mkdDebtDecrease += itemTotal;
-          }
+        await stampOrderItemTax(client, orderId);
+        await stampOrderItemCost(client, orderId);
+
+        // Take the new items in the same stock state the old ones were in
+        const holdError = await moveStock(
+          client,
+          items.map(item => ({ product_id: item.productId, quantity: item.quantity })),
+          'none',
+          order.stock_state,
+          { orderId, locationId: order.location_id, userId: req.user.id, notes: `Order #${orderId} edited` }
+        );
+        if (holdError) {
+          return rollbackWith(409, holdError);
         }
         
-        console.log('Debt decrease from added items:', { eurDebtDecrease, mkdDebtDecrease });
-        
-        // Add debt adjustments for newly added items (negative amounts reduce debt)
-        if (eurDebtDecrease > 0 && clientId) {
-          try {
-            await client.query(
-              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-              [clientId, -eurDebtDecrease, 'manual_reduction', 'EUR', `Items added to order #${orderId} - debt reduced`, req.user.id]
-            );
-            console.log(`Added EUR debt reduction: ${-eurDebtDecrease}`);
-          } catch (debtError) {
-            console.error('Error adding EUR debt reduction:', debtError);
-            // Continue with order update even if debt adjustment fails
+        // Only orders whose amount due was booked as debt (client orders placed as pending) have debt to adjust;
+        // cancelling reverses no more than that
+        const debtBooked = !!order.client_id && order.original_status === 'pending';
+        if (debtBooked) {
+          const removed = { EUR: 0, MKD: 0 };
+          for (const item of currentItems) {
+            const currency = item.currency === 'EUR' ? 'EUR' : 'MKD';
+            removed[currency] = round2(removed[currency] + item.quantity * parseFloat(item.price));
           }
-        }
-        
-        if (mkdDebtDecrease > 0 && clientId) {
-          try {
-            await client.query(
-              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
-              [clientId, -mkdDebtDecrease, 'manual_reduction', 'MKD', `Items added to order #${orderId} - debt reduced`, req.user.id]
-            );
-            console.log(`Added MKD debt reduction: ${-mkdDebtDecrease}`);
-          } catch (debtError) {
-            console.error('Error adding MKD debt reduction:', debtError);
-            // Continue with order update even if debt adjustment fails
+          const added = { EUR: 0, MKD: 0 };
+          for (const item of pricedItems) {
+            const currency = item.currency === 'EUR' ? 'EUR' : 'MKD';
+            added[currency] = round2(added[currency] + item.quantity * item.price);
+          }
+          for (const currency of PAYMENT_CURRENCIES) {
+            const dueChange = round2(added[currency] - removed[currency]);
+            if (dueChange !== 0) {
+              await client.query(
+                'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+                [order.client_id, -dueChange, 'manual_reduction', currency, `Order #${orderId} edited`, req.user.id]
+              );
+            }
           }
         }
 
         // Recalculate order total
         const totalsResult = await client.query(`
-          SELECT SUM(oi.quantity * oi.price) as total_amount
+          SELECT SUM(oi.quantity * oi.price) as total_amount,
+                 COALESCE(SUM(CASE WHEN oi.currency = 'EUR' THEN oi.quantity * oi.discount_amount ELSE 0 END), 0) as eur_discount,
+                 COALESCE(SUM(CASE WHEN oi.currency = 'MKD' THEN oi.quantity * oi.discount_amount ELSE 0 END), 0) as mkd_discount
           FROM order_items oi
           WHERE oi.order_id = $1
         `, [orderId]);
 
         const totals = totalsResult.rows[0];
-        console.log('Calculated total:', totals);
         
         await client.query(
-          'UPDATE orders SET total_amount = $1 WHERE id = $2',
-          [totals.total_amount || 0, orderId]
+          `UPDATE orders
+           SET total_amount = $1, eur_discount = $2, mkd_discount = $3,
+               discount_approved = discount_approved OR $4
+           WHERE id = $5`,
+          [totals.total_amount || 0, totals.eur_discount, totals.mkd_discount, approval.approved, orderId]
         );
-        console.log('Updated order total in database');
+
+        await recordOrderEvent(client, orderId, 'items_changed', req.user.id, diffOrderItems(
+          currentItems.map(item => ({ productId: item.product_id, name: item.name, quantity: item.quantity, price: item.price })),
+          items.map(item => ({ ...item, name: lockedProducts.get(parseInt(item.productId))?.name }))
+        ), reason);
+      }
+
+      // Status changes go through the state machine after the items are in place
+      if (status && status !== order.status) {
+        const transition = await transitionOrder(client, order, status, req.user.id, { reason });
+        if (transition.error) {
+          return rollbackWith(transition.conflict ? 409 : 400, transition.error);
+        }
       }
 
       await client.query('COMMIT');
@@ -932,71 +1556,146 @@ router.put('/:id', authenticateToken, requireAdmin, [
       client.release();
     }
   } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the order was being updated. Please try again.' });
+    }
     console.error('Update order error:', error);
     res.status(500).json({ message: 'Failed to update order' });
   }
 });
 
-// Delete order (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Cancel order (admin only) - restocks items and reverses the order's effect on the client's debt
+router.post('/:id/cancel', authenticateToken, requireAdmin, [
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
 
-    // Check if order exists
-    const orderResult = await query('SELECT id FROM orders WHERE id = $1', [orderId]);
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
 
-    // Delete order items first (due to foreign key constraint)
-    await query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
+      const rollbackWith = async (statusCode, message) => {
+        await client.query('ROLLBACK');
+        return res.status(statusCode).json({ message });
+      };
 
-    // Delete the order
-    await query('DELETE FROM orders WHERE id = $1', [orderId]);
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        return rollbackWith(404, 'Order not found');
+      }
+      if (orderResult.rows[0].status === 'cancelled') {
+        return rollbackWith(400, 'Order is already cancelled');
+      }
 
-    res.json({ 
-      message: 'Order deleted successfully',
-      orderId
-    });
+      const result = await transitionOrder(client, orderResult.rows[0], 'cancelled', req.user.id, { reason });
+      if (result.error) {
+        return rollbackWith(400, result.error);
+      }
+      const credits = result.credits;
+
+      await client.query('COMMIT');
+
+      res.json({
+        message: 'Order cancelled successfully',
+        orderId,
+        status: 'cancelled',
+        ledgerAdjustments: credits
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
-    console.error('Delete order error:', error);
-    res.status(500).json({ message: 'Failed to delete order' });
+    console.error('Cancel order error:', error);
+    res.status(500).json({ message: 'Failed to cancel order' });
   }
 });
 
-// Update order status only (admin only) - for backward compatibility
-router.put('/:id/status', authenticateToken, requireAdmin, [
-  body('status').isIn(['pending', 'completed']).withMessage('Status must be pending or completed')
-], async (req, res) => {
+// Delete order (admin only) - only for orders that never touched money or the debt ledger
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ 
-        message: 'Validation error', 
-        errors: errors.array() 
+    const orderId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // Lock the order so it cannot be edited or paid while it is being removed
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id, invoice_number FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Order not found' });
+      }
+      const order = orderResult.rows[0];
+
+      const activityResult = await client.query(`
+        SELECT
+          (SELECT COUNT(*) FROM order_payments WHERE order_id = $1) as payments,
+          (SELECT COUNT(*) FROM order_returns WHERE order_id = $1) as returns
+      `, [orderId]);
+      const { payments, returns } = activityResult.rows[0];
+
+      // Completed sales and booked client debt are part of the financial record; cancel those instead.
+      // A cancelled order has already been reversed, so it is safe to remove.
+      const debtBooked = !!order.client_id && order.original_status === 'pending';
+      // An issued invoice number must stay in the sequence, so invoiced orders are kept too.
+      const hasFinancialImpact = parseInt(payments) > 0
+        || parseInt(returns) > 0
+        || !!order.invoice_number
+        || (order.status !== 'cancelled' && (order.status === 'completed' || debtBooked));
+      if (hasFinancialImpact) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: 'This order has payments, returns, booked debt or an issued invoice and cannot be deleted. Cancel it instead.'
+        });
+      }
+
+      // Release whatever the order still holds (cancelled orders were already released)
+      await moveStock(client, await getOrderStockLines(client, orderId), order.stock_state, 'none', {
+        locationId: order.location_id,
+        userId: req.user.id,
+        notes: `Order #${orderId} deleted`
       });
-    }
 
-    const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+      // Delete order items first (due to foreign key constraint)
+      await client.query('DELETE FROM order_items WHERE order_id = $1', [orderId]);
 
-    // Check if order exists
-    const orderResult = await query('SELECT id FROM orders WHERE id = $1', [orderId]);
-    if (orderResult.rows.length === 0) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
+      // Delete the order
+      await client.query('DELETE FROM orders WHERE id = $1', [orderId]);
 
-    // Update order status
-    await query('UPDATE orders SET status = $1 WHERE id = $2', [status, orderId]);
+      await client.query('COMMIT');
 
-    res.json({ 
-      message: 'Order status updated successfully',
-      orderId,
-      status 
-    });
+      res.json({ 
+        message: 'Order deleted successfully',
+        orderId
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
   } catch (error) {
-    console.error('Update order status error:', error);
-    res.status(500).json({ message: 'Failed to update order status' });
+    console.error('Delete order error:', error);
+    res.status(500).json({ message: 'Failed to delete order' });
   }
 });
 
@@ -1,10 +1,150 @@
 const express = require('express');
+const multer = require('multer');
 const { body, validationResult } = require('express-validator');
-const { query, run, get } = require('../database/connection');
+const { query, run, get, pool } = require('../database/connection');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { CURRENCIES } = require('../utils/currency');
+const { productFilters, whereClause } = require('../utils/listFilters');
+const {
+  STOCK_MOVEMENT_TYPES,
+  isStockConflict,
+  findLocation,
+  changeLocationStock,
+  recordStockMovement,
+  findStockDrift,
+  getLastStockCheck
+} = require('../utils/stock');
+const { DEFAULT_SALES_DAYS, DEFAULT_LEAD_DAYS, validateStockLevel, getStockLevels } = require('../utils/reorder');
+const { generateBarcode, normalize, loadCatalog, checkCatalogFields, modelPrice, smartphoneName } = require('../utils/catalog');
+const { readSpreadsheet } = require('../utils/imports');
+const { cleanImei, validateImei, isImeiConflict, findImeisInStock, imeiInStockMessage, getImeiWarnings } = require('../utils/imei');
 
 const router = express.Router();
 
+// Purchase cost per unit in the product's currency; empty clears it
+const validateCostPrice = (value) => {
+  if (value === '') {
+    return true;
+  }
+  if (isFinite(value) && parseFloat(value) >= 0) {
+    return true;
+  }
+  throw new Error('Cost price must be a positive number if provided');
+};
+
+// Reorder levels are whole numbers; empty clears them
+const stockLevelValue = (value) => (value === '' || value === null ? null : parseInt(value));
+
+const isStockLevelConflict = (error) => error && error.code === '23514' && error.constraint === 'products_stock_levels_check';
+
+// The second IMEI of a dual-SIM phone follows the same rules and cannot repeat the first
+const validateSecondImei = (value, { req }) => {
+  if (value && value === req.body.imei) {
+    throw new Error('The second IMEI must differ from the first');
+  }
+  return validateImei(value);
+};
+
+// Spreadsheets for imports are read from memory and never written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, files: 1 }
+});
+
+const uploadSpreadsheet = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is too large' : error.message });
+    }
+    next();
+  });
+};
+
+// Product fields an import can fill, with the column headers each is found under when no mapping is given
+const IMPORT_COLUMNS = {
+  name: ['name', 'product', 'product name'],
+  category: ['category'],
+  subcategory: ['subcategory', 'brand'],
+  model: ['model'],
+  storage_gb: ['storage', 'storage gb', 'capacity'],
+  color: ['color', 'colour'],
+  imei: ['imei', 'imei 1', 'imei1', 'serial', 'serial number'],
+  imei2: ['imei 2', 'imei2', 'second imei'],
+  barcode: ['barcode', 'ean', 'upc'],
+  price: ['price', 'sale price'],
+  cost_price: ['cost', 'cost price', 'purchase price'],
+  stock_quantity: ['quantity', 'qty', 'stock', 'stock quantity'],
+  currency: ['currency'],
+  description: ['description']
+};
+
+// Rows shown back in an import report
+const IMPORT_PREVIEW_ROWS = 50;
+
+const headerKey = (value) => String(value ?? '').trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+
+// The column each field is read from: the header named in `mapping`, else one of its usual headers.
+// A field mapped to an empty header is left out. `missing` is a mapped header the file does not have.
+const mapImportColumns = (headers, mapping) => {
+  const keys = headers.map(headerKey);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMNS)) {
+    const mapped = mapping[field];
+    if (mapped === undefined) {
+      const index = keys.findIndex(key => aliases.includes(key));
+      if (index !== -1) {
+        columns[field] = { header: headers[index], index };
+      }
+    } else if (mapped !== null && mapped !== '') {
+      const index = keys.indexOf(headerKey(mapped));
+      if (index === -1) {
+        return { columns, missing: mapped };
+      }
+      columns[field] = { header: headers[index], index };
+    }
+  }
+  return { columns, missing: null };
+};
+
+// Product fields from one spreadsheet row, filled in the way the Inventory form fills them for a phone:
+// subcategory and price from the model in settings, and a name made from the model, storage and color
+const importRowFields = (cells, columns, catalog) => {
+  const fields = {};
+  for (const [field, column] of Object.entries(columns)) {
+    const value = cells[column.index] ?? '';
+    if (value !== '') {
+      fields[field] = value;
+    }
+  }
+  fields.category = fields.category ? fields.category.toLowerCase() : (fields.model ? 'smartphones' : 'accessories');
+  if (fields.currency) {
+    fields.currency = fields.currency.toUpperCase();
+  }
+
+  if (fields.category === 'smartphones') {
+    const model = catalog.smartphoneModels.find(m => m.name === fields.model);
+    if (model) {
+      const storages = Array.isArray(model.storages) ? model.storages : [];
+      const storage = fields.storage_gb !== undefined ? storages.find(s => normalize(s) === normalize(fields.storage_gb)) : undefined;
+      // Storage is saved the way the model lists it
+      if (storage !== undefined) {
+        fields.storage_gb = String(storage);
+      }
+      if (!fields.subcategory && model.subcategory) {
+        fields.subcategory = model.subcategory;
+      }
+      const price = modelPrice(model, storage);
+      if (fields.price === undefined && price !== undefined && price !== null) {
+        fields.price = String(price);
+      }
+    }
+    if (!fields.name) {
+      fields.name = smartphoneName(fields);
+    }
+  }
+  return fields;
+};
+
 // Model stock stats (admin only)
 router.get('/stats/models', [authenticateToken, requireAdmin], async (req, res) => {
   try {
@@ -40,58 +180,14 @@ router.get('/stats/model-details', [authenticateToken, requireAdmin], async (req
   }
 });
 
-// Get low stock models for dashboard (admin only)
+// Smartphone models, model variants and accessories at or below their min stock level, for the dashboard (admin only)
 router.get('/stats/low-stock-models', [authenticateToken, requireAdmin], async (req, res) => {
   try {
-    // Get all smartphone models from settings
-    const settingsResult = await query('SELECT smartphone_models FROM settings WHERE id = 1');
-    const smartphoneModels = settingsResult.rows[0]?.smartphone_models || [];
-    
-    // Get product counts for existing models
-    const productStatsResult = await query(`
-      SELECT 
-        model,
-        COUNT(*)::int AS totalStock,
-        COUNT(CASE WHEN stock_quantity = 0 THEN 1 END)::int AS outOfStockCount,
-        COUNT(CASE WHEN stock_quantity > 0 AND stock_quantity <= 9 THEN 1 END)::int AS lowStockCount
-      FROM products 
-      WHERE model IS NOT NULL 
-      GROUP BY model
-    `);
-    
-    // Create a map of existing model stats
-    const existingModelStats = {};
-    productStatsResult.rows.forEach(row => {
-      existingModelStats[row.model] = {
-        totalStock: row.totalstock,
-        outOfStockCount: row.outofstockcount,
-        lowStockCount: row.lowstockcount
-      };
-    });
-    
-    // Build models array with only necessary data
-    const lowStockModels = smartphoneModels
-      .map(modelData => {
-        const existingStats = existingModelStats[modelData.name];
-        const totalStock = existingStats ? existingStats.totalStock : 0;
-        
-        // Only include models with fewer than 10 products
-        if (totalStock >= 10) return null;
-        
-        return {
-          model: modelData.name,
-          category: 'smartphones',
-          subcategory: modelData.subcategory || 'N/A',
-          totalStock,
-          outOfStockCount: existingStats ? existingStats.outOfStockCount : 0,
-          lowStockCount: existingStats ? existingStats.lowStockCount : 0,
-          hasOutOfStock: existingStats ? existingStats.outOfStockCount > 0 : false,
-          hasLowStock: existingStats ? existingStats.lowStockCount > 0 : false
-        };
-      })
-      .filter(Boolean) // Remove null entries
-      .sort((a, b) => a.totalStock - b.totalStock); // Sort by totalStock ASC
-    
+    const { levels } = await getStockLevels(pool);
+    const lowStockModels = levels
+      .filter(level => level.status !== 'ok')
+      .sort((a, b) => (a.onHand - a.minStock) - (b.onHand - b.minStock));
+
     res.json({ lowStockModels });
   } catch (error) {
     console.error('Get low stock models error:', error);
@@ -99,118 +195,66 @@ router.get('/stats/low-stock-models', [authenticateToken, requireAdmin], async (
   }
 });
 
-// Get all products (admin: with prices, client: without prices)
-router.get('/', authenticateToken, async (req, res) => {
+// What to order to get back to max levels, from sales over the last `days` and a delivery time of `leadDays` (admin only)
+router.get('/stats/reorder-suggestions', [authenticateToken, requireAdmin], async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', description = '', imei = '', status = '', stock = '', category = '', subcategory = '', color = '', storage = '', price = '', stockQuantity = '', sortBy = 'created_at', sortOrder = 'desc' } = req.query;
-    const offset = (page - 1) * limit;
-    const isAdmin = req.user.role === 'admin';
-
-    let selectFields = 'id, name, imei, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb';
-    if (isAdmin) {
-      selectFields += ', price';
-    }
-
-    let queryText = `SELECT ${selectFields} FROM products`;
-    let countQuery = 'SELECT COUNT(*) FROM products';
-    let queryParams = [];
-    let paramCount = 1;
-    let whereConditions = [];
-
-    // Search filter
-    if (search) {
-      whereConditions.push(`(name ILIKE $${paramCount} OR description ILIKE $${paramCount} OR barcode ILIKE $${paramCount} OR model ILIKE $${paramCount})`);
-      queryParams.push(`%${search}%`);
-      paramCount++;
-    }
-
-    // Description filter
-    if (description) {
-      whereConditions.push(`description ILIKE $${paramCount}`);
-      queryParams.push(`%${description}%`);
-      paramCount++;
-    }
-
-    // IMEI filter
-    if (imei) {
-      whereConditions.push(`imei ILIKE $${paramCount}`);
-      queryParams.push(`%${imei}%`);
-      paramCount++;
-    }
-
-    // Status filter
-    if (status && ['enabled', 'disabled'].includes(status)) {
-      whereConditions.push(`stock_status = $${paramCount}`);
-      queryParams.push(status);
-      paramCount++;
+    const days = req.query.days === undefined ? DEFAULT_SALES_DAYS : parseInt(req.query.days);
+    const leadDays = req.query.leadDays === undefined ? DEFAULT_LEAD_DAYS : parseInt(req.query.leadDays);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ message: 'days must be between 1 and 365' });
     }
-
-    // Stock level filter
-    if (stock) {
-      switch (stock) {
-        case 'out_of_stock':
-          whereConditions.push(`stock_quantity = 0`);
-          break;
-        case 'low_stock':
-          whereConditions.push(`stock_quantity > 0 AND stock_quantity <= 10`);
-          break;
-        case 'in_stock':
-          whereConditions.push(`stock_quantity > 0`);
-          break;
-        case 'available':
-          whereConditions.push(`stock_quantity > 0`);
-          break;
-      }
+    if (!Number.isInteger(leadDays) || leadDays < 0 || leadDays > 180) {
+      return res.status(400).json({ message: 'leadDays must be between 0 and 180' });
     }
 
-    // Category filter
-    if (category && ['accessories', 'smartphones'].includes(category)) {
-      whereConditions.push(`category = $${paramCount}`);
-      queryParams.push(category);
-      paramCount++;
-    }
+    const stockLevels = await getStockLevels(pool, { days, leadDays });
+    const suggestions = stockLevels.levels
+      .filter(level => level.suggestedQuantity > 0)
+      .sort((a, b) => b.suggestedQuantity - a.suggestedQuantity);
 
-    // Subcategory filter
-    if (subcategory) {
-      whereConditions.push(`subcategory ILIKE $${paramCount}`);
-      queryParams.push(`%${subcategory}%`);
-      paramCount++;
-    }
-
-    // Color filter
-    if (color) {
-      whereConditions.push(`color ILIKE $${paramCount}`);
-      queryParams.push(`%${color}%`);
-      paramCount++;
-    }
+    res.json({ days, leadDays, suggestions });
+  } catch (error) {
+    console.error('Get reorder suggestions error:', error);
+    res.status(500).json({ message: 'Failed to get reorder suggestions' });
+  }
+});
 
-    // Storage filter
-    if (storage) {
-      whereConditions.push(`storage_gb::text ILIKE $${paramCount}`);
-      queryParams.push(`%${storage}%`);
-      paramCount++;
-    }
+// Products whose stock does not match their stock ledger, checked now, plus the last nightly check (admin only)
+router.get('/stats/stock-drift', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const products = await findStockDrift(pool);
+    res.json({ products, lastCheck: getLastStockCheck() });
+  } catch (error) {
+    console.error('Get stock drift error:', error);
+    res.status(500).json({ message: 'Failed to check stock' });
+  }
+});
 
-    // Price filter
-    if (price) {
-      whereConditions.push(`price::text ILIKE $${paramCount}`);
-      queryParams.push(`%${price}%`);
-      paramCount++;
-    }
+// Get all products (admin: with prices and costs, client: without)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'created_at', sortOrder = 'desc' } = req.query;
+    const offset = (page - 1) * limit;
+    const isAdmin = req.user.role === 'admin';
 
-    // Stock quantity filter
-    if (stockQuantity) {
-      whereConditions.push(`stock_quantity::text ILIKE $${paramCount}`);
-      queryParams.push(`%${stockQuantity}%`);
-      paramCount++;
+    let selectFields = 'id, name, imei, imei2, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb, currency';
+    if (isAdmin) {
+      selectFields += ', price, cost_price';
     }
+    // Where the stock is: one entry per location holding some (a phone's current location)
+    selectFields += `, (
+      SELECT COALESCE(json_agg(json_build_object('location_id', l.id, 'name', l.name, 'quantity', ls.quantity) ORDER BY l.id), '[]')
+      FROM location_stock ls
+      JOIN locations l ON ls.location_id = l.id
+      WHERE ls.product_id = products.id AND ls.quantity > 0
+    ) as locations`;
 
-    // Add WHERE clause if conditions exist
-    if (whereConditions.length > 0) {
-      const whereClause = whereConditions.join(' AND ');
-      queryText += ` WHERE ${whereClause}`;
-      countQuery += ` WHERE ${whereClause}`;
-    }
+    let queryText = `SELECT ${selectFields} FROM products`;
+    let countQuery = 'SELECT COUNT(*) FROM products';
+    const { conditions: whereConditions, params: queryParams } = productFilters(req.query);
+    const paramCount = queryParams.length + 1;
+    queryText += whereClause(whereConditions);
+    countQuery += whereClause(whereConditions);
 
     // Validate sort parameters
     const validSortFields = ['name', 'created_at', 'stock_quantity'];
@@ -252,9 +296,9 @@ router.get('/barcode/:code', authenticateToken, async (req, res) => {
     const code = req.params.code;
     const isAdmin = req.user.role === 'admin';
 
-    let selectFields = 'id, name, imei, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb';
+    let selectFields = 'id, name, imei, imei2, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb, currency';
     if (isAdmin) {
-      selectFields += ', price';
+      selectFields += ', price, cost_price';
     }
 
     const result = await query(
@@ -279,9 +323,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const productId = parseInt(req.params.id);
     const isAdmin = req.user.role === 'admin';
 
-    let selectFields = 'id, name, imei, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb';
+    let selectFields = 'id, name, imei, imei2, description, stock_status, stock_quantity, created_at, barcode, category, subcategory, model, color, storage_gb, currency';
     if (isAdmin) {
-      selectFields += ', price';
+      selectFields += ', price, cost_price';
     }
 
     const result = await query(
@@ -300,24 +344,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Create product (admin only)
-router.post('/', [
-  authenticateToken,
-  requireAdmin,
-  body('name').trim().isLength({ min: 2, max: 255 }),
-  body('imei').optional().trim().custom((value) => {
-    if (value === '' || value === null || value === undefined) {
-      return true; // Allow empty values
-    }
-    if (value.length >= 1 && value.length <= 255) {
-      return true; // Allow valid length values
-    }
-    throw new Error('IMEI must be between 1 and 255 characters if provided');
-  }),
+// Field rules for a new product, shared by the product form and spreadsheet imports
+const productValidators = [
+  body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  body('imei').optional().customSanitizer(cleanImei).custom(validateImei),
+  body('imei2').optional().customSanitizer(cleanImei).custom(validateSecondImei),
   body('description').optional().trim(),
-  body('price').isInt({ min: 0 }),
+  body('price').isInt({ min: 0 }).withMessage('Price must be a whole number of 0 or more'),
+  body('cost_price').optional({ nullable: true }).custom(validateCostPrice),
   body('stock_status').optional().isIn(['enabled', 'disabled']),
-  body('stock_quantity').optional().isInt({ min: 0 }),
+  body('stock_quantity').optional().isInt({ min: 0 }).withMessage('Quantity must be a whole number of 0 or more'),
   body('barcode').optional().trim().custom((value) => {
     if (value === '' || value === null || value === undefined) {
       return true; // Allow empty values
@@ -328,6 +364,7 @@ router.post('/', [
     throw new Error('Barcode must be between 1 and 255 characters if provided');
   }),
   body('category').isIn(['accessories', 'smartphones']).withMessage('Category must be either accessories or smartphones'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Currency must be EUR or MKD'),
   body('subcategory').optional().trim().isLength({ max: 50 }).withMessage('Subcategory must be less than 50 characters'),
   body('color').optional().trim().custom((value) => {
     if (value === '' || value === null || value === undefined) {
@@ -346,8 +383,65 @@ router.post('/', [
       return true;
     }
     throw new Error('Storage must be a string up to 50 characters if provided');
-  })
-], async (req, res) => {
+  }),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID'),
+  body('min_stock').optional({ nullable: true }).custom(validateStockLevel),
+  body('max_stock').optional({ nullable: true }).custom(validateStockLevel)
+];
+
+// Column values for a new product from validated fields, with empty strings cleaned to null
+const productValues = (fields) => {
+  const { name, imei, imei2, description, price, cost_price, stock_status = 'enabled', stock_quantity = 0, barcode, category = 'accessories', subcategory, color, storage_gb, model } = fields;
+  const clean = (value) => (value === '' || value === undefined ? null : value);
+  // Enforce smartphone stock to be 1
+  const enforcedStockQuantity = category === 'smartphones' ? 1 : stock_quantity;
+  return {
+    name,
+    imei: clean(imei),
+    imei2: clean(imei2),
+    description: clean(description),
+    price: clean(price),
+    stock_status,
+    stock_quantity: clean(enforcedStockQuantity),
+    barcode: clean(barcode),
+    category,
+    subcategory: clean(subcategory),
+    model: clean(model),
+    color: clean(color),
+    storage_gb: clean(storage_gb),
+    // Without an explicit currency, smartphones are priced in EUR and everything else in MKD
+    currency: fields.currency || (category === 'smartphones' ? 'EUR' : 'MKD'),
+    cost_price: clean(cost_price),
+    // Phones are reordered by model in settings, so only accessories keep their own levels
+    min_stock: category === 'accessories' && fields.min_stock !== undefined ? stockLevelValue(fields.min_stock) : null,
+    max_stock: category === 'accessories' && fields.max_stock !== undefined ? stockLevelValue(fields.max_stock) : null
+  };
+};
+
+// Insert a product and put its opening stock at a location, recorded in the stock ledger
+const insertProduct = async (client, values, { locationId, userId, notes }) => {
+  const result = await client.query(
+    'INSERT INTO products (name, imei, imei2, description, price, stock_status, stock_quantity, barcode, category, subcategory, model, color, storage_gb, currency, cost_price, min_stock, max_stock) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING *',
+    [values.name, values.imei, values.imei2, values.description, values.price, values.stock_status, values.stock_quantity, values.barcode, values.category, values.subcategory, values.model, values.color, values.storage_gb, values.currency, values.cost_price, values.min_stock, values.max_stock]
+  );
+  const product = result.rows[0];
+  if (product.stock_quantity > 0) {
+    await changeLocationStock(client, product.id, locationId, product.stock_quantity);
+  }
+  await recordStockMovement(client, {
+    productId: product.id,
+    type: 'adjustment',
+    quantity: product.stock_quantity,
+    balanceAfter: product.stock_quantity,
+    locationId,
+    userId,
+    notes
+  });
+  return product;
+};
+
+// Create product (admin only)
+router.post('/', [authenticateToken, requireAdmin, ...productValidators], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -357,65 +451,214 @@ router.post('/', [
       });
     }
 
-    const { name, imei, description, price, stock_status = 'enabled', stock_quantity = 0, barcode, category = 'accessories', subcategory, color, storage_gb, model } = req.body;
+    // Subcategory, model, storage and color must be ones set up in settings
+    const catalogError = checkCatalogFields(await loadCatalog(pool), req.body);
+    if (catalogError) {
+      return res.status(400).json({ message: catalogError.message });
+    }
 
-    // Fetch allowed subcategories and smartphone models from settings
-    const settingsResult = await query('SELECT smartphone_subcategories, accessory_subcategories, smartphone_models FROM settings ORDER BY id LIMIT 1');
-    const settingsRow = settingsResult.rows[0] || {};
-    const smartphoneSubcats = Array.isArray(settingsRow.smartphone_subcategories) ? settingsRow.smartphone_subcategories : [];
-    const smartphoneModels = Array.isArray(settingsRow.smartphone_models) ? settingsRow.smartphone_models : [];
-    const accessorySubcats = Array.isArray(settingsRow.accessory_subcategories) ? settingsRow.accessory_subcategories : [];
+    // A handset can only be in stock once; an earlier sale or an open repair is only a warning
+    const values = productValues(req.body);
+    const imeis = [values.imei, values.imei2].filter(Boolean);
+    if (values.stock_quantity > 0) {
+      const inStockMessage = imeiInStockMessage(imeis, await findImeisInStock(pool, imeis));
+      if (inStockMessage) {
+        return res.status(409).json({ message: inStockMessage });
+      }
+    }
+    const warnings = await getImeiWarnings(pool, imeis);
 
-    // Validate subcategory dynamically if provided
-    if (subcategory && subcategory !== '') {
-      const allowed = category === 'smartphones' ? smartphoneSubcats : accessorySubcats;
-      if (!allowed.includes(subcategory)) {
-        return res.status(400).json({ message: 'Invalid subcategory for selected category' });
+    // Opening stock is put at the given location, or the default one
+    const location = await findLocation(pool, req.body.location_id);
+    if (!location) {
+      return res.status(400).json({ message: 'Location not found' });
+    }
+
+    const client = await pool.connect();
+    let product;
+    try {
+      await client.query('BEGIN');
+      product = await insertProduct(client, values, { locationId: location.id, userId: req.user.id, notes: 'Opening stock' });
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    res.status(201).json({
+      message: 'Product created successfully',
+      product,
+      warnings
+    });
+  } catch (error) {
+    if (isImeiConflict(error)) {
+      return res.status(409).json({ message: 'That IMEI is already in stock' });
+    }
+    if (isStockLevelConflict(error)) {
+      return res.status(400).json({ message: 'Max stock cannot be below min stock' });
+    }
+    console.error('Create product error:', error);
+    res.status(500).json({ message: 'Failed to create product' });
+  }
+});
+
+// Import products from a CSV or XLSX file (admin only). Every row is checked like a product created in
+// Inventory and reported with duplicates of IMEIs and barcodes, in the file or already in stock; nothing
+// is saved unless `dryRun` is "false" and the whole file is clean, and then all rows are saved together.
+router.post('/import', [authenticateToken, requireAdmin, uploadSpreadsheet], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Choose a CSV or XLSX file to import' });
+    }
+    const dryRun = req.body.dryRun !== 'false';
+
+    let mapping = {};
+    if (req.body.mapping) {
+      try {
+        mapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        return res.status(400).json({ message: 'Column mapping must be valid JSON' });
+      }
+      const unknown = Object.keys(mapping).find(field => !IMPORT_COLUMNS[field]);
+      if (unknown) {
+        return res.status(400).json({ message: `Unknown import field ${unknown}` });
       }
     }
 
-    // Validate model against settings for smartphones
-    if (category === 'smartphones' && model) {
-      const foundModel = smartphoneModels.find(m => m.name === model);
-      if (!foundModel) {
-        return res.status(400).json({ message: 'Invalid smartphone model' });
+    let rows;
+    try {
+      rows = readSpreadsheet(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (rows.length < 2) {
+      return res.status(400).json({ message: 'The file has no rows to import' });
+    }
+
+    const [header, ...dataRows] = rows;
+    const { columns, missing } = mapImportColumns(header.cells, mapping);
+    if (missing) {
+      return res.status(400).json({ message: `Column ${missing} not found in the file` });
+    }
+    const mappedIndexes = Object.values(columns).map(column => column.index);
+    const unmappedHeaders = header.cells.filter((cell, index) => cell !== '' && !mappedIndexes.includes(index));
+
+    const catalog = await loadCatalog(pool);
+    const errors = [];
+    const checked = [];
+    for (const { rowNumber, cells } of dataRows) {
+      const fields = importRowFields(cells, columns, catalog);
+      const rowReq = { body: fields };
+      for (const validator of productValidators) {
+        await validator.run(rowReq);
       }
-      // If storage/color provided, validate they exist in model config (treat storages as text)
-      const normalize = (v) => String(v ?? '').trim().toLowerCase();
-      const modelStorages = Array.isArray(foundModel.storages) ? foundModel.storages.map(normalize) : [];
-      if (storage_gb && !modelStorages.includes(normalize(storage_gb))) {
-        return res.status(400).json({ message: 'Invalid storage for selected model' });
+      const rowErrors = validationResult(rowReq).array().map(error => ({ row: rowNumber, field: error.path, message: error.msg }));
+      const catalogError = checkCatalogFields(catalog, fields);
+      if (catalogError) {
+        rowErrors.push({ row: rowNumber, ...catalogError });
       }
-      if (color && !foundModel.colors.includes(color)) {
-        return res.status(400).json({ message: 'Invalid color for selected model' });
+      errors.push(...rowErrors);
+      checked.push({ row: rowNumber, valid: rowErrors.length === 0, values: productValues(fields) });
+    }
+
+    // IMEIs (first or second) and barcodes already used by another row of the file, IMEIs of products
+    // in stock and barcodes of any product
+    const duplicates = [];
+    const seen = { imei: new Map(), barcode: new Map() };
+    for (const { row, values } of checked) {
+      for (const field of ['imei', 'imei2', 'barcode']) {
+        const kind = field === 'barcode' ? 'barcode' : 'imei';
+        if (!values[field]) continue;
+        if (seen[kind].has(values[field])) {
+          duplicates.push({ row, field, value: values[field], firstRow: seen[kind].get(values[field]) });
+        } else {
+          seen[kind].set(values[field], row);
+        }
+      }
+    }
+    const [imeisInStock, barcodesResult] = await Promise.all([
+      findImeisInStock(pool, [...seen.imei.keys()]),
+      query('SELECT id, barcode FROM products WHERE barcode = ANY($1::text[])', [[...seen.barcode.keys()]])
+    ]);
+    for (const { row, values } of checked) {
+      for (const field of ['imei', 'imei2', 'barcode']) {
+        const existing = values[field] && (field === 'barcode'
+          ? barcodesResult.rows.find(product => product.barcode === values[field])
+          : imeisInStock.find(product => product.imei === values[field] || product.imei2 === values[field]));
+        if (existing) {
+          duplicates.push({ row, field, value: values[field], existingProductId: existing.id });
+        }
       }
     }
+    duplicates.sort((a, b) => a.row - b.row);
+
+    // IMEIs sold before or in an open repair ticket; these do not stop the import
+    const warnings = (await getImeiWarnings(pool, [...seen.imei.keys()]))
+      .map(warning => ({ row: seen.imei.get(warning.imei), ...warning }))
+      .sort((a, b) => a.row - b.row);
+
+    const duplicateRows = new Set(duplicates.map(duplicate => duplicate.row));
+    const report = {
+      dryRun,
+      totalRows: checked.length,
+      validRows: checked.filter(entry => entry.valid && !duplicateRows.has(entry.row)).length,
+      columns: Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, column.header])),
+      unmappedHeaders,
+      errors,
+      duplicates,
+      warnings,
+      preview: checked.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, values }) => ({ row, ...values }))
+    };
+
+    if (dryRun) {
+      return res.json(report);
+    }
+    if (errors.length > 0 || duplicates.length > 0) {
+      return res.status(400).json({ message: 'Fix the errors and duplicates in the file before importing', ...report });
+    }
 
-    // Clean empty strings to null for database insertion
-    const cleanImei = imei === '' ? null : imei;
-    const cleanDescription = description === '' ? null : description;
-    const cleanBarcode = barcode === '' ? null : barcode;
-    const cleanSubcategory = subcategory === '' ? null : subcategory;
-    const cleanColor = color === '' ? null : color;
-    const cleanModel = model === '' ? null : model;
-    const cleanStorageGb = storage_gb === '' ? null : storage_gb;
-    const cleanPrice = price === '' ? null : price;
-    // Enforce smartphone stock to be 1
-    const enforcedStockQuantity = category === 'smartphones' ? 1 : stock_quantity;
-    const cleanStockQuantity = enforcedStockQuantity === '' ? null : enforcedStockQuantity;
+    // Imported stock is put at the given location, or the default one
+    const location = await findLocation(pool, req.body.locationId);
+    if (!location) {
+      return res.status(400).json({ message: 'Location not found' });
+    }
 
-    const result = await query(
-      'INSERT INTO products (name, imei, description, price, stock_status, stock_quantity, barcode, category, subcategory, model, color, storage_gb) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *',
-      [name, cleanImei, cleanDescription, cleanPrice, stock_status, cleanStockQuantity, cleanBarcode, category, cleanSubcategory, cleanModel, cleanColor, cleanStorageGb]
-    );
+    const client = await pool.connect();
+    const productIds = [];
+    try {
+      await client.query('BEGIN');
+      for (const { values } of checked) {
+        const product = await insertProduct(client, { ...values, barcode: values.barcode || generateBarcode() }, {
+          locationId: location.id,
+          userId: req.user.id,
+          notes: `Imported from ${req.file.originalname}`
+        });
+        productIds.push(product.id);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     res.status(201).json({
-      message: 'Product created successfully',
-      product: result.rows[0]
+      message: `Imported ${productIds.length} products`,
+      created: productIds.length,
+      productIds
     });
   } catch (error) {
-    console.error('Create product error:', error);
-    res.status(500).json({ message: 'Failed to create product' });
+    if (isImeiConflict(error)) {
+      return res.status(409).json({ message: 'An IMEI in the file was taken into stock meanwhile; check the file again' });
+    }
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'A barcode in the file was added to another product meanwhile; check the file again' });
+    }
+    console.error('Import products error:', error);
+    res.status(500).json({ message: 'Failed to import products' });
   }
 });
 
@@ -424,17 +667,11 @@ router.put('/:id', [
   authenticateToken,
   requireAdmin,
   body('name').optional().trim().isLength({ min: 2, max: 255 }),
-  body('imei').optional().trim().custom((value) => {
-    if (value === '' || value === null || value === undefined) {
-      return true; // Allow empty values
-    }
-    if (value.length >= 1 && value.length <= 255) {
-      return true; // Allow valid length values
-    }
-    throw new Error('IMEI must be between 1 and 255 characters if provided');
-  }),
+  body('imei').optional().customSanitizer(cleanImei).custom(validateImei),
+  body('imei2').optional().customSanitizer(cleanImei).custom(validateSecondImei),
   body('description').optional().trim(),
   body('price').optional().isInt({ min: 0 }),
+  body('cost_price').optional({ nullable: true }).custom(validateCostPrice),
   body('stock_status').optional().isIn(['enabled', 'disabled']),
   body('stock_quantity').optional().isInt({ min: 0 }),
   body('barcode').optional().trim().custom((value) => {
@@ -447,6 +684,7 @@ router.put('/:id', [
     throw new Error('Barcode must be between 1 and 255 characters if provided');
   }),
   body('category').optional().isIn(['accessories', 'smartphones']).withMessage('Category must be either accessories or smartphones'),
+  body('currency').optional().isIn(CURRENCIES).withMessage('Currency must be EUR or MKD'),
   body('subcategory').optional().trim().isLength({ max: 50 }).withMessage('Subcategory must be less than 50 characters'),
   body('subcategory').optional().trim().isLength({ max: 50 }).withMessage('Subcategory must be less than 50 characters'),
   body('color').optional().trim().custom((value) => {
@@ -466,7 +704,10 @@ router.put('/:id', [
       return true;
     }
     throw new Error('Storage must be a string up to 50 characters if provided');
-  })
+  }),
+  body('location_id').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID'),
+  body('min_stock').optional({ nullable: true }).custom(validateStockLevel),
+  body('max_stock').optional({ nullable: true }).custom(validateStockLevel)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -478,10 +719,10 @@ router.put('/:id', [
     }
 
     const productId = parseInt(req.params.id);
-    const { name, imei, description, price, stock_status, stock_quantity, barcode, category, subcategory, color, storage_gb } = req.body;
+    const { name, imei, imei2, description, price, cost_price, stock_status, stock_quantity, barcode, category, subcategory, color, storage_gb } = req.body;
 
     // Fetch current product to determine effective category if not provided
-    const currentResult = await query('SELECT category FROM products WHERE id = $1', [productId]);
+    const currentResult = await query('SELECT category, imei, imei2 FROM products WHERE id = $1', [productId]);
     if (currentResult.rows.length === 0) {
       return res.status(404).json({ message: 'Product not found' });
     }
@@ -502,6 +743,20 @@ router.put('/:id', [
       }
     }
 
+    // IMEIs given here that the product does not have yet must not be on another product in stock
+    const current = currentResult.rows[0];
+    const effectiveImei = imei !== undefined ? imei || null : current.imei;
+    const effectiveImei2 = imei2 !== undefined ? imei2 || null : current.imei2;
+    if (effectiveImei && effectiveImei === effectiveImei2) {
+      return res.status(400).json({ message: 'The second IMEI must differ from the first' });
+    }
+    const newImeis = [imei, imei2].filter(value => value && value !== current.imei && value !== current.imei2);
+    const inStockMessage = imeiInStockMessage(newImeis, await findImeisInStock(pool, newImeis, productId));
+    if (inStockMessage) {
+      return res.status(409).json({ message: inStockMessage });
+    }
+    const warnings = await getImeiWarnings(pool, newImeis);
+
     const updates = [];
     const values = [];
     let paramCount = 1;
@@ -518,6 +773,12 @@ router.put('/:id', [
       paramCount++;
     }
 
+    if (imei2 !== undefined) {
+      updates.push(`imei2 = $${paramCount}`);
+      values.push(imei2 === '' ? null : imei2);
+      paramCount++;
+    }
+
     if (description !== undefined) {
       updates.push(`description = $${paramCount}`);
       values.push(description === '' ? null : description);
@@ -530,20 +791,28 @@ router.put('/:id', [
       paramCount++;
     }
 
+    // Sales already made keep the cost they were sold at
+    if (cost_price !== undefined) {
+      updates.push(`cost_price = $${paramCount}`);
+      values.push(cost_price === '' ? null : cost_price);
+      paramCount++;
+    }
+
     if (stock_status !== undefined) {
       updates.push(`stock_status = $${paramCount}`);
       values.push(stock_status);
       paramCount++;
     }
 
-    // Enforce smartphone stock = 1 on update (based on effective category)
-    if (effectiveCategory === 'smartphones') {
-      updates.push(`stock_quantity = $${paramCount}`);
-      values.push(1);
-      paramCount++;
-    } else if (stock_quantity !== undefined) {
+    // A phone is one unit, so its stock is 0 or 1 (based on effective category). Stock only changes when
+    // it is sent, so editing a sold phone's other fields never puts it back in stock.
+    if (stock_quantity !== undefined) {
       updates.push(`stock_quantity = $${paramCount}`);
-      values.push(stock_quantity === '' ? null : stock_quantity);
+      if (effectiveCategory === 'smartphones') {
+        values.push(Math.min(parseInt(stock_quantity) || 0, 1));
+      } else {
+        values.push(stock_quantity === '' ? null : stock_quantity);
+      }
       paramCount++;
     }
 
@@ -559,6 +828,13 @@ router.put('/:id', [
       paramCount++;
     }
 
+    // Changing the currency only affects future sales; order lines keep the currency they were sold in
+    if (req.body.currency !== undefined) {
+      updates.push(`currency = $${paramCount}`);
+      values.push(req.body.currency);
+      paramCount++;
+    }
+
     if (subcategory !== undefined) {
       updates.push(`subcategory = $${paramCount}`);
       values.push(subcategory === '' ? null : subcategory);
@@ -577,30 +853,136 @@ router.put('/:id', [
       paramCount++;
     }
 
+    for (const level of ['min_stock', 'max_stock']) {
+      if (req.body[level] !== undefined) {
+        updates.push(`${level} = $${paramCount}`);
+        values.push(effectiveCategory === 'accessories' ? stockLevelValue(req.body[level]) : null);
+        paramCount++;
+      }
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ message: 'No valid updates provided' });
     }
 
+    // Stock edits are made at the given location, or the default one
+    const location = await findLocation(pool, req.body.location_id);
+    if (!location) {
+      return res.status(400).json({ message: 'Location not found' });
+    }
+
     values.push(productId);
-    const result = await query(
-      `UPDATE products SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-      values
-    );
+    const client = await pool.connect();
+    let product;
+    try {
+      await client.query('BEGIN');
+      // Lock the row so the stock change recorded below is exactly the one this update made
+      const before = await client.query('SELECT stock_quantity FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      const result = await client.query(
+        `UPDATE products SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+        values
+      );
+      product = result.rows[0];
+      if (product) {
+        const change = product.stock_quantity - before.rows[0].stock_quantity;
+        if (change) {
+          await changeLocationStock(client, productId, location.id, change);
+        }
+        await recordStockMovement(client, {
+          productId,
+          type: 'adjustment',
+          quantity: change,
+          balanceAfter: product.stock_quantity,
+          locationId: location.id,
+          userId: req.user.id,
+          notes: req.body.stock_note || null
+        });
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
-    if (result.rows.length === 0) {
+    if (!product) {
       return res.status(404).json({ message: 'Product not found' });
     }
 
     res.json({
       message: 'Product updated successfully',
-      product: result.rows[0]
+      product,
+      warnings
     });
   } catch (error) {
+    if (isImeiConflict(error)) {
+      return res.status(409).json({ message: 'That IMEI is already on another product in stock' });
+    }
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'That location does not hold enough stock to take it down that far' });
+    }
+    if (isStockLevelConflict(error)) {
+      return res.status(400).json({ message: 'Max stock cannot be below min stock' });
+    }
     console.error('Update product error:', error);
     res.status(500).json({ message: 'Failed to update product' });
   }
 });
 
+// Stock ledger of a product, newest first; filter with `type` (admin only)
+router.get('/:id/movements', [authenticateToken, requireAdmin], async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const { page = 1, limit = 50, type = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const productResult = await query('SELECT id, name, stock_quantity FROM products WHERE id = $1', [productId]);
+    if (productResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const conditions = ['m.product_id = $1'];
+    const params = [productId];
+    if (STOCK_MOVEMENT_TYPES.includes(type)) {
+      params.push(type);
+      conditions.push(`m.movement_type = $${params.length}`);
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM stock_movements m ${whereClause(conditions)}`, params);
+    const totalMovements = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalMovements / parseInt(limit));
+
+    const result = await query(`
+      SELECT m.id, m.movement_type, m.quantity, m.balance_after, m.order_id, m.return_id, m.receipt_id,
+             r.purchase_order_id, m.stocktake_id, m.transfer_id, m.notes, m.created_at, u.name as created_by_name,
+             m.location_id, l.name as location_name
+      FROM stock_movements m
+      LEFT JOIN purchase_order_receipts r ON m.receipt_id = r.id
+      LEFT JOIN users u ON m.created_by = u.id
+      LEFT JOIN locations l ON m.location_id = l.id
+      ${whereClause(conditions)}
+      ORDER BY m.created_at DESC, m.id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, parseInt(limit), offset]);
+
+    res.json({
+      product: productResult.rows[0],
+      movements: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalMovements,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({ message: 'Failed to get stock movements' });
+  }
+});
+
 // Delete product (admin only)
 router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
   try {
@@ -618,6 +1000,12 @@ router.delete('/:id', [authenticateToken, requireAdmin], async (req, res) => {
       });
     }
 
+    // Transfers keep their lines for the record
+    const transferCheck = await query('SELECT 1 FROM stock_transfer_items WHERE product_id = $1 LIMIT 1', [productId]);
+    if (transferCheck.rows.length > 0) {
+      return res.status(400).json({ message: 'Cannot delete product that has been transferred between locations' });
+    }
+
     const result = await query(
       'DELETE FROM products WHERE id = $1 RETURNING id',
       [productId]
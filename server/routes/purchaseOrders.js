@@ -0,0 +1,739 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const PDFDocument = require('pdfkit');
+const { round2 } = require('../utils/payments');
+const { CURRENCIES, loadExchangeRates, convertAmount } = require('../utils/currency');
+const { findLocation, changeLocationStock, recordStockMovement, adjustStock } = require('../utils/stock');
+const { generateBarcode, normalize, modelPrice, smartphoneName } = require('../utils/catalog');
+const { cleanImei, validateImei, isImeiConflict, findImeisInStock, imeiInStockMessage, getImeiWarnings } = require('../utils/imei');
+
+const router = express.Router();
+
+const PURCHASE_ORDER_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled'];
+// Statuses stock can still arrive in
+const RECEIVABLE_STATUSES = ['draft', 'sent', 'partially_received'];
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// What a line is, for lists and the PDF
+const describeLine = (line) => (line.category === 'smartphones'
+  ? [line.subcategory, line.model, line.storage_gb, line.color].filter(Boolean).join(' ')
+  : line.product_name || `Product #${line.product_id}`);
+
+// Load a purchase order with its supplier, lines and deliveries, or null
+const getPurchaseOrderDetails = async (purchaseOrderId) => {
+  const orderResult = await query(`
+    SELECT po.*, s.name as supplier_name, s.contact_name as supplier_contact_name, s.email as supplier_email,
+           s.phone as supplier_phone, s.address as supplier_address,
+           cb.name as created_by_name
+    FROM purchase_orders po
+    JOIN suppliers s ON po.supplier_id = s.id
+    LEFT JOIN users cb ON po.created_by = cb.id
+    WHERE po.id = $1
+  `, [purchaseOrderId]);
+  if (orderResult.rows.length === 0) return null;
+
+  const itemsResult = await query(`
+    SELECT poi.*, p.name as product_name, p.currency as product_currency, p.stock_quantity
+    FROM purchase_order_items poi
+    LEFT JOIN products p ON poi.product_id = p.id
+    WHERE poi.purchase_order_id = $1
+    ORDER BY poi.id
+  `, [purchaseOrderId]);
+
+  const receiptsResult = await query(`
+    SELECT r.id, r.notes, r.created_at, u.name as created_by_name,
+           COALESCE(json_agg(json_build_object(
+             'purchase_order_item_id', ri.purchase_order_item_id,
+             'product_id', ri.product_id,
+             'imei', p.imei,
+             'quantity', ri.quantity,
+             'unit_cost', ri.unit_cost
+           ) ORDER BY ri.id) FILTER (WHERE ri.id IS NOT NULL), '[]') as items
+    FROM purchase_order_receipts r
+    LEFT JOIN purchase_order_receipt_items ri ON ri.receipt_id = r.id
+    LEFT JOIN products p ON ri.product_id = p.id
+    LEFT JOIN users u ON r.created_by = u.id
+    WHERE r.purchase_order_id = $1
+    GROUP BY r.id, u.name
+    ORDER BY r.created_at, r.id
+  `, [purchaseOrderId]);
+
+  const purchaseOrder = orderResult.rows[0];
+  purchaseOrder.items = itemsResult.rows.map(line => ({
+    ...line,
+    description: describeLine(line),
+    outstanding_quantity: line.quantity - line.received_quantity
+  }));
+  purchaseOrder.receipts = receiptsResult.rows;
+  purchaseOrder.total = round2(purchaseOrder.items.reduce((sum, line) => sum + line.quantity * parseFloat(line.unit_cost), 0));
+  return purchaseOrder;
+};
+
+// Check the requested lines against the configured smartphone models and existing accessories.
+// Returns { lines } ready to insert, or { error }.
+const resolveLines = async (db, items) => {
+  const settingsResult = await db.query('SELECT smartphone_models FROM settings ORDER BY id LIMIT 1');
+  const smartphoneModels = Array.isArray(settingsResult.rows[0]?.smartphone_models) ? settingsResult.rows[0].smartphone_models : [];
+
+  const accessoryIds = items.filter(item => item.category === 'accessories').map(item => parseInt(item.productId));
+  const accessoriesResult = await db.query(
+    `SELECT id, name, category FROM products WHERE id = ANY($1::int[])`,
+    [accessoryIds]
+  );
+  const accessories = new Map(accessoriesResult.rows.map(row => [row.id, row]));
+
+  const lines = [];
+  for (const item of items) {
+    const quantity = parseInt(item.quantity);
+    const unitCost = round2(parseFloat(item.unitCost));
+
+    if (item.category === 'accessories') {
+      const product = accessories.get(parseInt(item.productId));
+      if (!product || product.category !== 'accessories') {
+        return { error: `Accessory ${item.productId} not found` };
+      }
+      lines.push({ category: 'accessories', productId: product.id, quantity, unitCost, salePrice: null });
+      continue;
+    }
+
+    const model = smartphoneModels.find(m => m.name === item.model);
+    if (!model) {
+      return { error: `Unknown smartphone model ${item.model}` };
+    }
+    const storages = Array.isArray(model.storages) ? model.storages : [];
+    const storage = storages.find(s => normalize(s) === normalize(item.storage));
+    if (item.storage && storage === undefined) {
+      return { error: `Invalid storage ${item.storage} for ${model.name}` };
+    }
+    const colors = Array.isArray(model.colors) ? model.colors : [];
+    if (item.color && !colors.includes(item.color)) {
+      return { error: `Invalid color ${item.color} for ${model.name}` };
+    }
+    // The sale price defaults to the model's price for that storage, as in Inventory
+    const configuredPrice = modelPrice(model, storage);
+    const salePrice = item.salePrice !== undefined && item.salePrice !== null && item.salePrice !== ''
+      ? parseFloat(item.salePrice)
+      : parseFloat(configuredPrice);
+    if (!Number.isFinite(salePrice) || salePrice < 0) {
+      return { error: `${model.name} has no price; enter a sale price` };
+    }
+
+    lines.push({
+      category: 'smartphones',
+      productId: null,
+      subcategory: model.subcategory || null,
+      model: model.name,
+      storage: storage !== undefined ? String(storage) : null,
+      color: item.color || null,
+      quantity,
+      unitCost,
+      salePrice: round2(salePrice)
+    });
+  }
+  return { lines };
+};
+
+const insertLines = async (db, purchaseOrderId, lines) => {
+  for (const line of lines) {
+    await db.query(
+      `INSERT INTO purchase_order_items (purchase_order_id, category, product_id, subcategory, model, storage_gb, color, quantity, unit_cost, sale_price)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [purchaseOrderId, line.category, line.productId, line.subcategory || null, line.model || null, line.storage || null,
+        line.color || null, line.quantity, line.unitCost, line.salePrice]
+    );
+  }
+};
+
+const purchaseOrderValidators = (required) => [
+  (required ? body('supplierId') : body('supplierId').optional()).isInt({ min: 1 }).withMessage('Supplier is required'),
+  (required ? body('currency') : body('currency').optional()).isIn(CURRENCIES).withMessage(`Currency must be one of ${CURRENCIES.join(', ')}`),
+  body('expectedDate').optional({ nullable: true, checkFalsy: true }).custom(isDate).withMessage('Expected date must be in YYYY-MM-DD format'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  (required ? body('items') : body('items').optional()).isArray({ min: 1 }).withMessage('A purchase order needs at least one line'),
+  body('items.*.category').isIn(['accessories', 'smartphones']).withMessage('Category must be either accessories or smartphones'),
+  body('items.*.productId').if(body('items.*.category').equals('accessories')).isInt({ min: 1 }),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.unitCost').isFloat({ min: 0 }).withMessage('Unit cost must be a positive number'),
+  body('items.*.salePrice').optional({ nullable: true, checkFalsy: true }).isFloat({ min: 0 }).withMessage('Sale price must be a positive number')
+];
+
+// List purchase orders (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '', supplierId = '', search = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereConditions = [];
+    const queryParams = [];
+    if (PURCHASE_ORDER_STATUSES.includes(status)) {
+      queryParams.push(status);
+      whereConditions.push(`po.status = $${queryParams.length}`);
+    }
+    if (supplierId) {
+      queryParams.push(parseInt(supplierId));
+      whereConditions.push(`po.supplier_id = $${queryParams.length}`);
+    }
+    if (search) {
+      queryParams.push(`%${search}%`);
+      whereConditions.push(`(s.name ILIKE $${queryParams.length} OR CAST(po.id AS TEXT) ILIKE $${queryParams.length})`);
+    }
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await query(`
+      SELECT COUNT(*)
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      ${whereClause}
+    `, queryParams);
+    const totalPurchaseOrders = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalPurchaseOrders / parseInt(limit));
+
+    const result = await query(`
+      SELECT po.id, po.status, po.currency, po.expected_date, po.created_at, po.sent_at, po.received_at,
+             s.id as supplier_id, s.name as supplier_name,
+             COALESCE(SUM(poi.quantity * poi.unit_cost), 0) as total,
+             COALESCE(SUM(poi.quantity), 0)::int as quantity,
+             COALESCE(SUM(poi.received_quantity), 0)::int as received_quantity
+      FROM purchase_orders po
+      JOIN suppliers s ON po.supplier_id = s.id
+      LEFT JOIN purchase_order_items poi ON poi.purchase_order_id = po.id
+      ${whereClause}
+      GROUP BY po.id, s.id
+      ORDER BY po.created_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      purchaseOrders: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalPurchaseOrders,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get purchase orders error:', error);
+    res.status(500).json({ message: 'Failed to get purchase orders' });
+  }
+});
+
+// Get a purchase order with its lines and deliveries
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const purchaseOrder = await getPurchaseOrderDetails(parseInt(req.params.id));
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+    res.json(purchaseOrder);
+  } catch (error) {
+    console.error('Get purchase order error:', error);
+    res.status(500).json({ message: 'Failed to get purchase order' });
+  }
+});
+
+// Draft a purchase order (admin only)
+router.post('/', authenticateToken, requireAdmin, purchaseOrderValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { supplierId, currency, expectedDate, notes, items } = req.body;
+    const supplierResult = await query('SELECT id FROM suppliers WHERE id = $1', [parseInt(supplierId)]);
+    if (supplierResult.rows.length === 0) {
+      return res.status(400).json({ message: 'Supplier not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const resolved = await resolveLines(client, items);
+      if (resolved.error) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: resolved.error });
+      }
+
+      const orderResult = await client.query(`
+        INSERT INTO purchase_orders (supplier_id, currency, expected_date, notes, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [parseInt(supplierId), currency, expectedDate || null, notes || null, req.user.id]);
+      const purchaseOrderId = orderResult.rows[0].id;
+      await insertLines(client, purchaseOrderId, resolved.lines);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Purchase order created successfully',
+        purchaseOrderId
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Create purchase order error:', error);
+    res.status(500).json({ message: 'Failed to create purchase order' });
+  }
+});
+
+// Change a draft; sent orders are what the supplier has, so they stay as they are
+router.put('/:id', authenticateToken, requireAdmin, purchaseOrderValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrderId = parseInt(req.params.id);
+    const { supplierId, currency, expectedDate, notes, items } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const orderResult = await client.query('SELECT status FROM purchase_orders WHERE id = $1 FOR UPDATE', [purchaseOrderId]);
+      if (orderResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Purchase order not found' });
+      }
+      if (orderResult.rows[0].status !== 'draft') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: 'Only draft purchase orders can be changed' });
+      }
+
+      if (supplierId !== undefined) {
+        const supplierResult = await client.query('SELECT id FROM suppliers WHERE id = $1', [parseInt(supplierId)]);
+        if (supplierResult.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: 'Supplier not found' });
+        }
+      }
+
+      await client.query(`
+        UPDATE purchase_orders
+        SET supplier_id = COALESCE($1, supplier_id),
+            currency = COALESCE($2, currency),
+            expected_date = CASE WHEN $3::boolean THEN $4::date ELSE expected_date END,
+            notes = CASE WHEN $5::boolean THEN $6 ELSE notes END
+        WHERE id = $7
+      `, [
+        supplierId !== undefined ? parseInt(supplierId) : null,
+        currency || null,
+        expectedDate !== undefined,
+        expectedDate || null,
+        notes !== undefined,
+        notes || null,
+        purchaseOrderId
+      ]);
+
+      if (items) {
+        const resolved = await resolveLines(client, items);
+        if (resolved.error) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: resolved.error });
+        }
+        await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1', [purchaseOrderId]);
+        await insertLines(client, purchaseOrderId, resolved.lines);
+      }
+
+      await client.query('COMMIT');
+      res.json({ message: 'Purchase order updated successfully' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Update purchase order error:', error);
+    res.status(500).json({ message: 'Failed to update purchase order' });
+  }
+});
+
+// Mark a draft as sent to the supplier; from then on its open lines count as incoming stock
+router.post('/:id/send', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE purchase_orders SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'draft' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Only draft purchase orders can be sent' });
+    }
+    res.json({ message: 'Purchase order marked as sent' });
+  } catch (error) {
+    console.error('Send purchase order error:', error);
+    res.status(500).json({ message: 'Failed to send purchase order' });
+  }
+});
+
+// Receive a delivery. Each phone needs its IMEI and becomes its own product; accessories are added
+// to the existing product's stock. Every unit records its cost: phones take the line's unit cost,
+// and an accessory's cost becomes the average of the stock on hand and the units received,
+// converted to the product's currency at today's rate when the order is in another currency.
+router.post('/:id/receive', authenticateToken, requireAdmin, [
+  body('items').isArray({ min: 1 }).withMessage('Nothing to receive'),
+  body('items.*.itemId').isInt({ min: 1 }),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.imeis').optional().isArray(),
+  body('items.*.imeis.*').isString().customSanitizer(cleanImei).isLength({ min: 1, max: 255 }).withMessage('IMEI must be between 1 and 255 characters').custom(validateImei),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  body('locationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const purchaseOrderId = parseInt(req.params.id);
+    const { items, notes } = req.body;
+
+    // Deliveries are stocked where they arrive, the default location unless given
+    const location = await findLocation(pool, req.body.locationId);
+    if (!location) {
+      return res.status(400).json({ message: 'Location not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const rollbackWith = async (status, message) => {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ message });
+      };
+
+      const orderResult = await client.query('SELECT * FROM purchase_orders WHERE id = $1 FOR UPDATE', [purchaseOrderId]);
+      if (orderResult.rows.length === 0) {
+        return rollbackWith(404, 'Purchase order not found');
+      }
+      const purchaseOrder = orderResult.rows[0];
+      if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status)) {
+        return rollbackWith(400, `A ${purchaseOrder.status.replace('_', ' ')} purchase order cannot be received`);
+      }
+
+      const linesResult = await client.query('SELECT * FROM purchase_order_items WHERE purchase_order_id = $1', [purchaseOrderId]);
+      const lines = new Map(linesResult.rows.map(line => [line.id, line]));
+
+      // Check the whole delivery before anything is stocked
+      const deliveries = [];
+      const imeis = [];
+      for (const item of items) {
+        const line = lines.get(parseInt(item.itemId));
+        if (!line) {
+          return rollbackWith(400, `Line ${item.itemId} is not on this purchase order`);
+        }
+        const lineImeis = line.category === 'smartphones' ? (item.imeis || []) : [];
+        const quantity = line.category === 'smartphones' ? lineImeis.length : parseInt(item.quantity);
+        if (!quantity) {
+          return rollbackWith(400, line.category === 'smartphones'
+            ? `Enter the IMEI of each phone received for ${describeLine(line)}`
+            : `Enter the quantity received for line ${line.id}`);
+        }
+        if (deliveries.some(delivery => delivery.line.id === line.id)) {
+          return rollbackWith(400, `Line ${line.id} is listed twice`);
+        }
+        if (quantity > line.quantity - line.received_quantity) {
+          return rollbackWith(400, `Only ${line.quantity - line.received_quantity} more of ${describeLine(line)} are expected`);
+        }
+        if (line.category === 'accessories' && !line.product_id) {
+          return rollbackWith(400, `The product for line ${line.id} no longer exists`);
+        }
+        imeis.push(...lineImeis);
+        deliveries.push({ line, quantity, imeis: lineImeis });
+      }
+
+      const duplicate = imeis.find((imei, index) => imeis.indexOf(imei) !== index);
+      if (duplicate) {
+        return rollbackWith(400, `IMEI ${duplicate} is entered more than once`);
+      }
+      // A phone sold earlier can come back in, but one still in stock cannot be received twice
+      const inStockMessage = imeiInStockMessage(imeis, await findImeisInStock(client, imeis));
+      if (inStockMessage) {
+        return rollbackWith(400, inStockMessage);
+      }
+      const warnings = await getImeiWarnings(client, imeis);
+
+      const receiptResult = await client.query(
+        'INSERT INTO purchase_order_receipts (purchase_order_id, notes, created_by) VALUES ($1, $2, $3) RETURNING id',
+        [purchaseOrderId, notes || null, req.user.id]
+      );
+      const receiptId = receiptResult.rows[0].id;
+      const rates = await loadExchangeRates(client);
+      const createdProductIds = [];
+
+      for (const { line, quantity, imeis: lineImeis } of deliveries) {
+        const unitCost = parseFloat(line.unit_cost);
+
+        if (line.category === 'smartphones') {
+          const name = smartphoneName(line);
+          for (const imei of lineImeis) {
+            const productResult = await client.query(`
+              INSERT INTO products (name, imei, price, stock_status, stock_quantity, barcode, category, subcategory, model, color, storage_gb, currency, cost_price)
+              VALUES ($1, $2, $3, 'enabled', 1, $4, 'smartphones', $5, $6, $7, $8, $9, $10)
+              RETURNING id
+            `, [name, imei, line.sale_price, generateBarcode(), line.subcategory, line.model, line.color, line.storage_gb, purchaseOrder.currency, unitCost]);
+            const productId = productResult.rows[0].id;
+            createdProductIds.push(productId);
+            await changeLocationStock(client, productId, location.id, 1);
+            await recordStockMovement(client, {
+              productId,
+              type: 'receipt',
+              quantity: 1,
+              balanceAfter: 1,
+              locationId: location.id,
+              receiptId,
+              userId: req.user.id,
+              notes: `PO-${purchaseOrderId}`
+            });
+            await client.query(
+              'INSERT INTO purchase_order_receipt_items (receipt_id, purchase_order_item_id, product_id, quantity, unit_cost) VALUES ($1, $2, $3, 1, $4)',
+              [receiptId, line.id, productId, unitCost]
+            );
+          }
+        } else {
+          const productResult = await client.query(
+            'SELECT id, name, currency, stock_quantity, cost_price FROM products WHERE id = $1 FOR UPDATE',
+            [line.product_id]
+          );
+          const product = productResult.rows[0];
+          const cost = product.currency === purchaseOrder.currency
+            ? unitCost
+            : convertAmount(rates, unitCost, purchaseOrder.currency, product.currency, new Date());
+          if (cost === null) {
+            return rollbackWith(400, `No ${purchaseOrder.currency} to ${product.currency} exchange rate for today to cost ${product.name}`);
+          }
+          const onHand = Math.max(product.stock_quantity, 0);
+          const averageCost = product.cost_price === null || onHand === 0
+            ? cost
+            : round2((onHand * parseFloat(product.cost_price) + quantity * cost) / (onHand + quantity));
+          await client.query('UPDATE products SET cost_price = $1 WHERE id = $2', [averageCost, product.id]);
+          await adjustStock(client, product.id, quantity, 'receipt', {
+            receiptId,
+            locationId: location.id,
+            userId: req.user.id,
+            notes: `PO-${purchaseOrderId}`
+          });
+          await client.query(
+            'INSERT INTO purchase_order_receipt_items (receipt_id, purchase_order_item_id, product_id, quantity, unit_cost) VALUES ($1, $2, $3, $4, $5)',
+            [receiptId, line.id, product.id, quantity, unitCost]
+          );
+        }
+
+        await client.query(
+          'UPDATE purchase_order_items SET received_quantity = received_quantity + $1 WHERE id = $2',
+          [quantity, line.id]
+        );
+      }
+
+      const remainingResult = await client.query(
+        'SELECT COALESCE(SUM(quantity - received_quantity), 0)::int as remaining FROM purchase_order_items WHERE purchase_order_id = $1',
+        [purchaseOrderId]
+      );
+      const status = remainingResult.rows[0].remaining === 0 ? 'received' : 'partially_received';
+      await client.query(`
+        UPDATE purchase_orders
+        SET status = $1,
+            sent_at = COALESCE(sent_at, CURRENT_TIMESTAMP),
+            received_at = CASE WHEN $1 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END
+        WHERE id = $2
+      `, [status, purchaseOrderId]);
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: status === 'received' ? 'Purchase order fully received' : 'Delivery received',
+        receiptId,
+        status,
+        createdProductIds,
+        warnings
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (isImeiConflict(error)) {
+      return res.status(409).json({ message: 'An IMEI in this delivery was taken into stock meanwhile; try again' });
+    }
+    console.error('Receive purchase order error:', error);
+    res.status(500).json({ message: 'Failed to receive purchase order' });
+  }
+});
+
+// Cancel what has not arrived yet; stock already received stays
+router.post('/:id/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      UPDATE purchase_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('draft', 'sent', 'partially_received')
+      RETURNING id
+    `, [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Only open purchase orders can be cancelled' });
+    }
+    res.json({ message: 'Purchase order cancelled' });
+  } catch (error) {
+    console.error('Cancel purchase order error:', error);
+    res.status(500).json({ message: 'Failed to cancel purchase order' });
+  }
+});
+
+// Only drafts can be deleted; anything sent is kept for the record
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM purchase_orders WHERE id = $1 AND status = 'draft' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Purchase order not found or already sent' });
+    }
+    res.json({ message: 'Purchase order deleted successfully' });
+  } catch (error) {
+    console.error('Delete purchase order error:', error);
+    res.status(500).json({ message: 'Failed to delete purchase order' });
+  }
+});
+
+// Purchase order PDF to send to the supplier
+router.get('/:id/pdf', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const purchaseOrderId = parseInt(req.params.id);
+    const purchaseOrder = await getPurchaseOrderDetails(purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ message: 'Purchase order not found' });
+    }
+
+    const settingsResult = await query('SELECT * FROM settings ORDER BY id LIMIT 1');
+    const settings = settingsResult.rows[0] || {
+      company_name: 'POS CRM System',
+      company_address: '123 Business Street',
+      company_city_state: 'City, State 12345',
+      company_phone: '(555) 123-4567',
+      company_email: 'info@poscrm.com'
+    };
+
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=purchase-order-${purchaseOrderId}.pdf`);
+    doc.pipe(res);
+
+    const black = '#000000';
+    const drawLine = (y) => {
+      doc.moveTo(50, y).lineTo(530, y).stroke();
+    };
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+    const currency = purchaseOrder.currency;
+
+    // Header Section
+    doc.fontSize(28).font('Helvetica-Bold').fillColor(black).text('PURCHASE ORDER', { align: 'center' });
+
+    doc.fontSize(18).font('Helvetica-Bold').fillColor(black).text(settings.company_name, 50, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    if (settings.company_address) {
+      doc.text(settings.company_address, 50, 140);
+    }
+    if (settings.company_city_state) {
+      doc.text(settings.company_city_state, 50, 155);
+    }
+    if (settings.company_phone) {
+      doc.text(`Phone: ${settings.company_phone}`, 50, 170);
+    }
+    if (settings.company_email) {
+      doc.text(`Email: ${settings.company_email}`, 50, 185);
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('ORDER DETAILS', 350, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(`PO #: PO-${purchaseOrderId}`, 350, 140);
+    doc.text(`Date: ${formatDate(purchaseOrder.sent_at || purchaseOrder.created_at)}`, 350, 155);
+    if (purchaseOrder.expected_date) {
+      doc.text(`Expected: ${formatDate(purchaseOrder.expected_date)}`, 350, 170);
+    }
+
+    drawLine(200);
+
+    // Supplier Section
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('SUPPLIER:', 50, 220);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    let supplierY = 240;
+    [
+      purchaseOrder.supplier_name,
+      purchaseOrder.supplier_contact_name ? `Attn: ${purchaseOrder.supplier_contact_name}` : null,
+      purchaseOrder.supplier_address,
+      purchaseOrder.supplier_phone,
+      purchaseOrder.supplier_email
+    ].filter(Boolean).forEach(text => {
+      doc.text(text, 50, supplierY, { width: 280 });
+      supplierY = doc.y + 2;
+    });
+
+    // Items table
+    let currentY = Math.max(supplierY + 20, 320);
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('Item', 60, currentY);
+    doc.text('Qty', 320, currentY);
+    doc.text('Unit Cost', 380, currentY);
+    doc.text('Total', 470, currentY);
+    drawLine(currentY + 15);
+    currentY += 25;
+
+    doc.font('Helvetica');
+    purchaseOrder.items.forEach(item => {
+      const unitCost = parseFloat(item.unit_cost);
+      doc.fontSize(10).fillColor(black);
+      doc.text(item.description, 60, currentY, { width: 250 });
+      const rowBottom = doc.y;
+      doc.text(item.quantity.toString(), 320, currentY);
+      doc.text(`${unitCost.toFixed(2)} ${currency}`, 380, currentY);
+      doc.text(`${(unitCost * item.quantity).toFixed(2)} ${currency}`, 470, currentY);
+      currentY = Math.max(rowBottom, currentY + 15) + 5;
+    });
+    drawLine(currentY + 5);
+    currentY += 20;
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black);
+    doc.text('Total:', 290, currentY);
+    doc.text(`${purchaseOrder.total.toFixed(2)} ${currency}`, 290, currentY, { width: 240, align: 'right' });
+    currentY += 20;
+
+    if (purchaseOrder.notes) {
+      currentY += 10;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(black).text('Notes', 50, currentY);
+      doc.font('Helvetica').text(purchaseOrder.notes, 50, currentY + 15, { width: 480 });
+    }
+
+    doc.end();
+  } catch (error) {
+    console.error('Generate purchase order PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate purchase order PDF' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,693 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const PDFDocument = require('pdfkit');
+const { round2, getOpenCashSessionId } = require('../utils/payments');
+const { lockProducts, isStockConflict, adjustStock, findLocation, getLocationQuantities } = require('../utils/stock');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { stampOrderItemTax } = require('../utils/tax');
+const { stampOrderItemCost } = require('../utils/margin');
+const { CURRENCIES } = require('../utils/currency');
+const {
+  DISCOUNT_TYPES,
+  DISCOUNT_REASONS,
+  applyDiscounts,
+  checkDiscountApproval
+} = require('../utils/discounts');
+
+const router = express.Router();
+
+const QUOTE_STATUSES = ['open', 'declined', 'converted'];
+const DEFAULT_VALIDITY_DAYS = 14;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// True when the ID belongs to a user with the client role, so quotes and their orders can be made out to them
+const isClient = async (db, clientId) => {
+  const result = await db.query(`SELECT id FROM users WHERE id = $1 AND role = 'client'`, [clientId]);
+  return result.rows.length > 0;
+};
+
+// Load a quote with its lines, or null
+const getQuoteDetails = async (quoteId) => {
+  const quoteResult = await query(`
+    SELECT q.*, (q.status = 'open' AND q.valid_until < CURRENT_DATE) as expired,
+           u.name as client_name, u.email as client_email,
+           cb.name as created_by_name
+    FROM quotes q
+    LEFT JOIN users u ON q.client_id = u.id
+    LEFT JOIN users cb ON q.created_by = cb.id
+    WHERE q.id = $1
+  `, [quoteId]);
+  if (quoteResult.rows.length === 0) return null;
+
+  const itemsResult = await query(`
+    SELECT qi.id, qi.quantity, qi.price, qi.list_price, qi.currency,
+           qi.discount_type, qi.discount_value, qi.discount_amount,
+           p.id as product_id, p.name as product_name, p.category, p.subcategory, p.model,
+           p.storage_gb, p.color, p.price as current_price, p.currency as current_currency,
+           p.stock_quantity - p.reserved_quantity as available_quantity
+    FROM quote_items qi
+    JOIN products p ON qi.product_id = p.id
+    WHERE qi.quote_id = $1
+    ORDER BY qi.id
+  `, [quoteId]);
+
+  const quote = quoteResult.rows[0];
+  quote.items = itemsResult.rows;
+  quote.totals = {};
+  CURRENCIES.forEach(currency => {
+    quote.totals[currency] = round2(quote.items
+      .filter(item => item.currency === currency)
+      .reduce((sum, item) => sum + item.quantity * parseFloat(item.price), 0));
+  });
+  return quote;
+};
+
+// List quotes (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '', search = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereConditions = [];
+    const queryParams = [];
+    if (status === 'expired') {
+      whereConditions.push(`q.status = 'open' AND q.valid_until < CURRENT_DATE`);
+    } else if (QUOTE_STATUSES.includes(status)) {
+      queryParams.push(status);
+      whereConditions.push(`q.status = $${queryParams.length}`);
+    }
+    if (search) {
+      queryParams.push(`%${search}%`);
+      whereConditions.push(`(u.name ILIKE $${queryParams.length} OR q.guest_name ILIKE $${queryParams.length} OR CAST(q.id AS TEXT) ILIKE $${queryParams.length})`);
+    }
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await query(`
+      SELECT COUNT(*)
+      FROM quotes q
+      LEFT JOIN users u ON q.client_id = u.id
+      ${whereClause}
+    `, queryParams);
+    const totalQuotes = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalQuotes / parseInt(limit));
+
+    const result = await query(`
+      SELECT q.id, q.status, q.valid_until, q.created_at, q.order_id, q.converted_at,
+             (q.status = 'open' AND q.valid_until < CURRENT_DATE) as expired,
+             u.name as client_name, u.email as client_email,
+             q.guest_name, q.guest_email, q.guest_phone,
+             COALESCE(SUM(CASE WHEN qi.currency = 'EUR' THEN qi.quantity * qi.price ELSE 0 END), 0) as eur_total,
+             COALESCE(SUM(CASE WHEN qi.currency = 'MKD' THEN qi.quantity * qi.price ELSE 0 END), 0) as mkd_total
+      FROM quotes q
+      LEFT JOIN users u ON q.client_id = u.id
+      LEFT JOIN quote_items qi ON qi.quote_id = q.id
+      ${whereClause}
+      GROUP BY q.id, u.name, u.email
+      ORDER BY q.created_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      quotes: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalQuotes,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get quotes error:', error);
+    res.status(500).json({ message: 'Failed to get quotes' });
+  }
+});
+
+// Get a single quote with its lines and current stock and prices
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const quote = await getQuoteDetails(parseInt(req.params.id));
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+    res.json(quote);
+  } catch (error) {
+    console.error('Get quote error:', error);
+    res.status(500).json({ message: 'Failed to get quote' });
+  }
+});
+
+// Create a quote (admin only). Prices and discounts are worked out exactly as for an order,
+// but no stock is reserved and nothing is booked to the client's debt.
+router.post('/', authenticateToken, requireAdmin, [
+  body('items').isArray({ min: 1 }).withMessage('A quote needs at least one item'),
+  body('items.*.productId').isInt({ min: 1 }),
+  body('items.*.quantity').isInt({ min: 1 }),
+  body('items.*.discountType').optional({ nullable: true }).isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('items.*.discountValue').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount').optional({ nullable: true }).isObject(),
+  body('discount.type').optional().isIn(DISCOUNT_TYPES).withMessage('Discount type must be percent or fixed'),
+  body('discount.value').optional().isFloat({ min: 0 }).withMessage('Discount must be a positive number'),
+  body('discount.currency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Discount currency must be EUR or MKD'),
+  body('discountReason').optional({ nullable: true }).isIn(DISCOUNT_REASONS).withMessage(`Discount reason must be one of ${DISCOUNT_REASONS.join(', ')}`),
+  body('managerPin').optional({ nullable: true }).isString(),
+  body('invoiceCurrency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Invoice currency must be EUR or MKD'),
+  body('clientId').optional({ nullable: true }).isInt({ min: 1 }),
+  body('guestName').optional().isString().trim().isLength({ min: 1 }),
+  body('guestEmail').optional({ checkFalsy: true }).isEmail(),
+  body('guestPhone').optional().isString().trim(),
+  body('validUntil').optional().custom(isDate).withMessage('Valid until must be a date in YYYY-MM-DD format'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { items, clientId, guestName, guestEmail, guestPhone, discountReason, managerPin, notes, invoiceCurrency } = req.body;
+    if (!clientId && !guestName) {
+      return res.status(400).json({ message: 'A quote needs a client or a guest name' });
+    }
+    if (!guestName && !(await isClient(pool, clientId))) {
+      return res.status(400).json({ message: 'Client not found' });
+    }
+
+    const discount = req.body.discount && parseFloat(req.body.discount.value) > 0 ? req.body.discount : null;
+    const hasDiscount = !!discount || items.some(item => item.discountType && parseFloat(item.discountValue) > 0);
+    if (hasDiscount && !discountReason) {
+      return res.status(400).json({ message: 'A discount reason is required' });
+    }
+    if (discount && (!discount.type || (discount.type === 'fixed' && !discount.currency))) {
+      return res.status(400).json({ message: 'An order discount needs a type, and a currency when it is a fixed amount' });
+    }
+
+    const validUntil = req.body.validUntil
+      || new Date(Date.now() + DEFAULT_VALIDITY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if (validUntil < new Date().toISOString().slice(0, 10)) {
+      return res.status(400).json({ message: 'Valid until cannot be in the past' });
+    }
+
+    const productIds = [...new Set(items.map(item => parseInt(item.productId)))];
+    const productsResult = await query(
+      'SELECT id, name, price, stock_status, category, currency FROM products WHERE id = ANY($1::int[])',
+      [productIds]
+    );
+    const products = new Map(productsResult.rows.map(row => [row.id, row]));
+
+    const lines = [];
+    for (const item of items) {
+      const product = products.get(parseInt(item.productId));
+      if (!product) {
+        return res.status(400).json({ message: `Product ${item.productId} not found` });
+      }
+      if (product.stock_status === 'disabled') {
+        return res.status(400).json({ message: `Product ${product.name} is not available` });
+      }
+      lines.push({
+        productId: product.id,
+        quantity: parseInt(item.quantity),
+        listPrice: product.price,
+        currency: product.currency,
+        discountType: item.discountType || null,
+        discountValue: item.discountType ? parseFloat(item.discountValue) || 0 : null
+      });
+    }
+
+    const pricing = applyDiscounts(lines, discount);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const approval = await checkDiscountApproval(client, pricing.maxPercent, managerPin);
+      if (approval.error) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ message: approval.error, approvalRequired: approval.approvalRequired });
+      }
+
+      const quoteResult = await client.query(`
+        INSERT INTO quotes (client_id, guest_name, guest_email, guest_phone, valid_until, notes,
+                            discount_type, discount_value, discount_currency, discount_reason,
+                            eur_discount, mkd_discount, discount_approved, invoice_currency, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING id
+      `, [
+        guestName ? null : clientId,
+        guestName || null,
+        guestName ? guestEmail || null : null,
+        guestName ? guestPhone || null : null,
+        validUntil,
+        notes || null,
+        discount ? discount.type : null,
+        discount ? parseFloat(discount.value) : null,
+        discount && discount.type === 'fixed' ? discount.currency : null,
+        hasDiscount ? discountReason : null,
+        pricing.totals.EUR.discount,
+        pricing.totals.MKD.discount,
+        approval.approved,
+        invoiceCurrency || null,
+        req.user.id
+      ]);
+      const quoteId = quoteResult.rows[0].id;
+
+      for (const line of pricing.lines) {
+        await client.query(
+          `INSERT INTO quote_items (quote_id, product_id, quantity, price, list_price, currency, discount_type, discount_value, discount_amount)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [quoteId, line.productId, line.quantity, line.price, line.listPrice, line.currency, line.discountType, line.discountValue, line.discountAmount]
+        );
+      }
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Quote created successfully',
+        quoteId,
+        validUntil,
+        totals: { EUR: pricing.totals.EUR.net, MKD: pricing.totals.MKD.net }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({ message: 'Failed to create quote' });
+  }
+});
+
+// Mark an open quote as declined by the customer
+router.post('/:id/decline', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE quotes SET status = 'declined' WHERE id = $1 AND status = 'open' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Only open quotes can be declined' });
+    }
+    res.json({ message: 'Quote declined' });
+  } catch (error) {
+    console.error('Decline quote error:', error);
+    res.status(500).json({ message: 'Failed to decline quote' });
+  }
+});
+
+// Converted quotes are kept because their order refers back to them
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM quotes WHERE id = $1 AND status != 'converted' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Quote not found or already converted into an order' });
+    }
+    res.json({ message: 'Quote deleted successfully' });
+  } catch (error) {
+    console.error('Delete quote error:', error);
+    res.status(500).json({ message: 'Failed to delete quote' });
+  }
+});
+
+// Convert an accepted quote into a pending order.
+// Stock is checked again, and if any product's price or currency has changed since the quote the
+// call returns 409 with the differences unless acceptCurrentPrices is set, in which case the quote's
+// discounts are applied to today's prices.
+router.post('/:id/convert', authenticateToken, requireAdmin, [
+  body('fulfillment').optional().isIn(['pickup', 'delivery']).withMessage('Fulfillment must be pickup or delivery'),
+  body('acceptCurrentPrices').optional().isBoolean(),
+  body('managerPin').optional({ nullable: true }).isString(),
+  body('locationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const quoteId = parseInt(req.params.id);
+    const fulfillment = req.body.fulfillment || 'pickup';
+    const acceptCurrentPrices = req.body.acceptCurrentPrices === true;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const rollbackWith = async (statusCode, message, extra = {}) => {
+        await client.query('ROLLBACK');
+        return res.status(statusCode).json({ message, ...extra });
+      };
+
+      const quoteResult = await client.query(
+        `SELECT *, valid_until < CURRENT_DATE as expired FROM quotes WHERE id = $1 FOR UPDATE`,
+        [quoteId]
+      );
+      if (quoteResult.rows.length === 0) {
+        return rollbackWith(404, 'Quote not found');
+      }
+      const quote = quoteResult.rows[0];
+      if (quote.status !== 'open') {
+        return rollbackWith(400, quote.status === 'converted'
+          ? `Quote has already been converted into order #${quote.order_id}`
+          : 'Declined quotes cannot be converted');
+      }
+      if (quote.expired) {
+        return rollbackWith(400, 'Quote has expired. Create a new quote with current prices');
+      }
+      if (quote.client_id && !(await isClient(client, quote.client_id))) {
+        return rollbackWith(400, 'Client not found');
+      }
+
+      const itemsResult = await client.query('SELECT * FROM quote_items WHERE quote_id = $1 ORDER BY id', [quoteId]);
+      const quoteItems = itemsResult.rows;
+      const location = await findLocation(client, req.body.locationId);
+      if (!location) {
+        return rollbackWith(400, 'Location not found');
+      }
+      const lockedProducts = await lockProducts(client, quoteItems.map(item => item.product_id));
+      const locationQuantities = await getLocationQuantities(client, quoteItems.map(item => item.product_id), location.id);
+
+      const requested = new Map();
+      const priceChanges = [];
+      const lines = [];
+      for (const item of quoteItems) {
+        const product = lockedProducts.get(item.product_id);
+        if (!product) {
+          return rollbackWith(400, `Product ${item.product_id} no longer exists`);
+        }
+        if (product.stock_status === 'disabled') {
+          return rollbackWith(400, `Product ${product.name} is not available`);
+        }
+        const quantity = (requested.get(product.id) || 0) + item.quantity;
+        if (product.stock_quantity - product.reserved_quantity < quantity) {
+          return rollbackWith(409, `Insufficient stock for ${product.name}`);
+        }
+        if (fulfillment === 'pickup' && (locationQuantities.get(product.id) || 0) < quantity) {
+          return rollbackWith(409, `Insufficient stock for ${product.name} at ${location.name}`);
+        }
+        requested.set(product.id, quantity);
+
+        if (round2(product.price) !== round2(item.list_price) || product.currency !== item.currency) {
+          priceChanges.push({
+            productId: product.id,
+            name: product.name,
+            quoted: { price: round2(item.list_price), currency: item.currency },
+            current: { price: round2(product.price), currency: product.currency }
+          });
+        }
+        lines.push({
+          productId: product.id,
+          name: product.name,
+          quantity: item.quantity,
+          listPrice: product.price,
+          currency: product.currency,
+          discountType: item.discount_type,
+          discountValue: item.discount_value
+        });
+      }
+
+      if (priceChanges.length > 0 && !acceptCurrentPrices) {
+        return rollbackWith(409, 'Prices have changed since the quote was made', { priceChanges });
+      }
+
+      // Unchanged prices keep the quoted net prices; changed ones re-run the quote's discounts
+      const orderDiscount = quote.discount_type
+        ? { type: quote.discount_type, value: quote.discount_value, currency: quote.discount_currency }
+        : null;
+      let pricedLines;
+      let discountTotals;
+      if (priceChanges.length === 0) {
+        pricedLines = lines.map((line, index) => ({
+          ...line,
+          listPrice: round2(quoteItems[index].list_price),
+          price: round2(quoteItems[index].price),
+          discountAmount: round2(quoteItems[index].discount_amount)
+        }));
+        discountTotals = { EUR: parseFloat(quote.eur_discount), MKD: parseFloat(quote.mkd_discount) };
+      } else {
+        const pricing = applyDiscounts(lines, orderDiscount);
+        if (!quote.discount_approved) {
+          const approval = await checkDiscountApproval(client, pricing.maxPercent, req.body.managerPin);
+          if (approval.error) {
+            return rollbackWith(403, approval.error, { approvalRequired: approval.approvalRequired });
+          }
+        }
+        pricedLines = pricing.lines;
+        discountTotals = { EUR: pricing.totals.EUR.discount, MKD: pricing.totals.MKD.discount };
+      }
+
+      const totals = { EUR: 0, MKD: 0 };
+      pricedLines.forEach(line => { totals[line.currency] = round2(totals[line.currency] + line.quantity * line.price); });
+      const totalAmount = round2(totals.EUR + totals.MKD);
+
+      const stockState = fulfillment === 'delivery' ? 'none' : 'deducted';
+      const orderResult = await client.query(`
+        INSERT INTO orders (client_id, guest_name, guest_email, guest_phone, total_amount, status, original_status, stock_state,
+                            discount_type, discount_value, discount_currency, discount_reason,
+                            eur_discount, mkd_discount, discount_approved, invoice_currency, cash_session_id, location_id)
+        VALUES ($1, $2, $3, $4, $5, 'pending', 'pending', $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING id
+      `, [
+        quote.client_id,
+        quote.guest_name,
+        quote.guest_email,
+        quote.guest_phone,
+        totalAmount,
+        stockState,
+        quote.discount_type,
+        quote.discount_value,
+        quote.discount_currency,
+        quote.discount_reason,
+        discountTotals.EUR,
+        discountTotals.MKD,
+        quote.discount_approved,
+        quote.invoice_currency,
+        await getOpenCashSessionId(client, req.user.id),
+        location.id
+      ]);
+      const orderId = orderResult.rows[0].id;
+
+      for (const line of pricedLines) {
+        await client.query(
+          `INSERT INTO order_items (order_id, product_id, quantity, price, list_price, discount_type, discount_value, discount_amount, currency)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [orderId, line.productId, line.quantity, line.price, line.listPrice,
+            line.discountAmount > 0 ? line.discountType : null,
+            line.discountAmount > 0 ? line.discountValue : null,
+            line.discountAmount, line.currency]
+        );
+        if (stockState === 'deducted') {
+          await adjustStock(client, line.productId, -line.quantity, 'sale', { orderId, locationId: location.id, userId: req.user.id });
+        }
+      }
+      await stampOrderItemTax(client, orderId);
+      await stampOrderItemCost(client, orderId);
+
+      // A pending client order books its total as debt, exactly like one placed at the counter
+      if (quote.client_id) {
+        const notes = `Debt increase from pending order #${orderId}`;
+        for (const currency of CURRENCIES) {
+          if (totals[currency] > 0) {
+            await client.query(
+              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+              [quote.client_id, -totals[currency], 'manual_reduction', currency, notes, req.user.id]
+            );
+          }
+        }
+      }
+
+      await recordOrderEvent(client, orderId, 'created', req.user.id, {
+        status: 'pending',
+        fulfillment,
+        totalAmount,
+        quoteId,
+        priceChanges: priceChanges.length > 0 ? priceChanges : undefined,
+        items: pricedLines.map(line => ({
+          productId: line.productId,
+          name: line.name,
+          quantity: line.quantity,
+          price: line.price,
+          listPrice: line.listPrice
+        }))
+      });
+
+      await client.query(
+        `UPDATE quotes SET status = 'converted', order_id = $1, converted_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [orderId, quoteId]
+      );
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Quote converted into an order',
+        orderId,
+        totalAmount,
+        totals,
+        fulfillment,
+        priceChanges
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the quote was being converted. Please try again.' });
+    }
+    console.error('Convert quote error:', error);
+    res.status(500).json({ message: 'Failed to convert quote' });
+  }
+});
+
+// Generate PDF quote
+router.get('/:id/pdf', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const quoteId = parseInt(req.params.id);
+    const quote = await getQuoteDetails(quoteId);
+    if (!quote) {
+      return res.status(404).json({ message: 'Quote not found' });
+    }
+
+    const settingsResult = await query('SELECT * FROM settings ORDER BY id LIMIT 1');
+    const settings = settingsResult.rows[0] || {
+      company_name: 'POS CRM System',
+      company_address: '123 Business Street',
+      company_city_state: 'City, State 12345',
+      company_phone: '(555) 123-4567',
+      company_email: 'info@poscrm.com'
+    };
+
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=quote-${quoteId}.pdf`);
+    doc.pipe(res);
+
+    const black = '#000000';
+    const drawLine = (y) => {
+      doc.moveTo(50, y).lineTo(530, y).stroke();
+    };
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    // Header Section
+    doc.fontSize(28).font('Helvetica-Bold').fillColor(black).text('QUOTE', { align: 'center' });
+
+    doc.fontSize(18).font('Helvetica-Bold').fillColor(black).text(settings.company_name, 50, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    if (settings.company_address) {
+      doc.text(settings.company_address, 50, 140);
+    }
+    if (settings.company_city_state) {
+      doc.text(settings.company_city_state, 50, 155);
+    }
+    if (settings.company_phone) {
+      doc.text(`Phone: ${settings.company_phone}`, 50, 170);
+    }
+    if (settings.company_email) {
+      doc.text(`Email: ${settings.company_email}`, 50, 185);
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('QUOTE DETAILS', 350, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Quote #: Q-${quoteId}`, 350, 140);
+    doc.text(`Date: ${formatDate(quote.created_at)}`, 350, 155);
+    doc.text(`Valid until: ${formatDate(quote.valid_until)}`, 350, 170);
+
+    drawLine(200);
+
+    // Customer Section
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('PREPARED FOR:', 50, 220);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    if (quote.client_name) {
+      doc.text(quote.client_name, 50, 240);
+      doc.text(quote.client_email, 50, 255);
+    } else {
+      doc.text(quote.guest_name, 50, 240);
+      if (quote.guest_email) {
+        doc.text(quote.guest_email, 50, 255);
+      }
+      if (quote.guest_phone) {
+        doc.text(quote.guest_phone, 50, 270);
+      }
+    }
+
+    // Items table
+    let currentY = 300;
+    doc.fontSize(10).font('Helvetica-Bold');
+    doc.text('Product', 60, currentY);
+    doc.text('Details', 220, currentY);
+    doc.text('Qty', 320, currentY);
+    doc.text('Price', 380, currentY);
+    doc.text('Total', 470, currentY);
+    drawLine(currentY + 15);
+    currentY += 25;
+
+    doc.font('Helvetica');
+    quote.items.forEach(item => {
+      const price = parseFloat(item.price);
+      const displayName = item.category === 'smartphones' && item.subcategory && item.model
+        ? `${item.subcategory} • ${item.model}`
+        : item.product_name;
+      const details = [item.storage_gb, item.color].filter(Boolean).join(' • ') || '-';
+
+      doc.fontSize(10).fillColor(black);
+      doc.text(displayName, 60, currentY, { width: 150 });
+      doc.text(details, 220, currentY, { width: 90 });
+      doc.text(item.quantity.toString(), 320, currentY);
+      doc.text(`${price.toFixed(0)} ${item.currency}`, 380, currentY);
+      doc.text(`${(price * item.quantity).toFixed(0)} ${item.currency}`, 470, currentY);
+      currentY += 20;
+
+      if (parseFloat(item.discount_amount) > 0) {
+        doc.fontSize(8).fillColor('#6b7280')
+          .text(`List ${parseFloat(item.list_price).toFixed(0)} ${item.currency}, discount -${parseFloat(item.discount_amount).toFixed(0)} ${item.currency} each`, 220, currentY - 6);
+        currentY += 10;
+      }
+    });
+    drawLine(currentY + 5);
+    currentY += 20;
+
+    // Totals per currency
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black);
+    CURRENCIES.filter(currency => quote.totals[currency] > 0).forEach(currency => {
+      doc.text(`Total ${currency}:`, 290, currentY);
+      doc.text(`${quote.totals[currency].toFixed(0)} ${currency}`, 290, currentY, { width: 180, align: 'right' });
+      currentY += 20;
+    });
+
+    if (quote.notes) {
+      currentY += 10;
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(black).text('Notes', 50, currentY);
+      doc.font('Helvetica').text(quote.notes, 50, currentY + 15, { width: 480 });
+      currentY = doc.y;
+    }
+
+    doc.fontSize(9).font('Helvetica').fillColor('#6b7280')
+      .text(`Prices include VAT and are valid until ${formatDate(quote.valid_until)}, subject to stock availability.`, 50, currentY + 30, { width: 480, align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    console.error('Generate quote PDF error:', error);
+    res.status(500).json({ message: 'Failed to generate quote PDF' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { round2 } = require('../utils/payments');
+const { CURRENCIES, getBaseCurrency, loadExchangeRates, convertAmount } = require('../utils/currency');
+const { isIsoDate, orderFilters, whereClause } = require('../utils/listFilters');
+
+const router = express.Router();
+
+// What sales can be grouped by: the SQL of the group key and of its label. Periods are keyed by
+// their first day; the staff member is whoever created the order (from its audit trail).
+const SALES_GROUPS = {
+  day: { key: `to_char(date_trunc('day', o.created_at), 'YYYY-MM-DD')` },
+  week: { key: `to_char(date_trunc('week', o.created_at), 'YYYY-MM-DD')` },
+  month: { key: `to_char(date_trunc('month', o.created_at), 'YYYY-MM-DD')` },
+  category: { key: 'p.category' },
+  subcategory: { key: 'p.subcategory' },
+  model: { key: 'p.model' },
+  storage: { key: 'p.storage_gb' },
+  color: { key: 'p.color' },
+  // Guests have no account, so they are told apart by name
+  customer: {
+    key: `COALESCE(o.client_id::text, 'guest:' || LOWER(TRIM(o.guest_name)))`,
+    label: 'COALESCE(u.name, o.guest_name)'
+  },
+  staff: { key: 'ce.user_id::text', label: 'staff.name' }
+};
+const PERIOD_GROUPS = ['day', 'week', 'month'];
+
+const emptyAmounts = () => Object.fromEntries(CURRENCIES.map(currency => [currency, 0]));
+const marginPercent = (profit, revenue) => (revenue > 0 ? round2(profit / revenue * 100) : null);
+
+// Sales per group between from and to: units sold, orders, revenue per currency and revenue in the
+// base currency (each day's sales at that day's exchange rate). Returned units are netted out.
+// Cancelled orders are left out unless asked for with `status` (same values as the orders list).
+// With `withProfit`, each group also gets cost, profit and margin over the lines sold with a known cost,
+// taken on revenue net of VAT.
+const salesReport = (name, { defaultGroup, withProfit = false }) => async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || defaultGroup;
+    const group = SALES_GROUPS[groupBy];
+    if (!group) {
+      return res.status(400).json({ message: `groupBy must be one of ${Object.keys(SALES_GROUPS).join(', ')}` });
+    }
+
+    const { from, to, status = '' } = req.query;
+    if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+      return res.status(400).json({ message: 'from and to must be dates in YYYY-MM-DD format' });
+    }
+    if (req.query.baseCurrency && !CURRENCIES.includes(req.query.baseCurrency)) {
+      return res.status(400).json({ message: `Base currency must be one of ${CURRENCIES.join(', ')}` });
+    }
+
+    const { conditions, params } = orderFilters({ status, from, to });
+    if (!status) {
+      conditions.push(`o.status != 'cancelled'`);
+    }
+    const label = group.label || group.key;
+    const keptQuantity = '(oi.quantity - COALESCE(r.returned, 0))';
+    const fromClause = `
+      FROM orders o
+      JOIN order_items oi ON o.id = oi.order_id
+      LEFT JOIN products p ON oi.product_id = p.id
+      LEFT JOIN users u ON o.client_id = u.id
+      LEFT JOIN (
+        SELECT DISTINCT ON (order_id) order_id, user_id
+        FROM order_events
+        WHERE event_type = 'created'
+        ORDER BY order_id, created_at
+      ) ce ON ce.order_id = o.id
+      LEFT JOIN users staff ON ce.user_id = staff.id
+      LEFT JOIN (
+        SELECT order_item_id, SUM(quantity) as returned
+        FROM order_return_items
+        GROUP BY order_item_id
+      ) r ON r.order_item_id = oi.id
+      ${whereClause(conditions)}
+    `;
+
+    // Amounts per group, currency and day, so each day can be converted at its own rate
+    const amountsResult = await query(`
+      SELECT ${group.key} as group_key,
+             MAX(${label}) as label,
+             o.created_at::date as sale_date,
+             oi.currency,
+             SUM(${keptQuantity}) as quantity,
+             SUM(${keptQuantity} * oi.price) as revenue${withProfit ? `,
+             COALESCE(SUM(${keptQuantity} * oi.price - ${keptQuantity} * COALESCE(oi.tax_amount, 0) / oi.quantity)
+               FILTER (WHERE oi.cost_price IS NOT NULL), 0) as costed_revenue,
+             COALESCE(SUM(${keptQuantity} * oi.cost_price), 0) as cost,
+             COALESCE(SUM(${keptQuantity}) FILTER (WHERE oi.cost_price IS NULL), 0) as uncosted_quantity` : ''}
+      ${fromClause}
+      GROUP BY 1, 3, 4
+    `, params);
+
+    // Distinct orders per group, and overall (an order can fall into several groups)
+    const countsResult = await query(`
+      SELECT ${group.key} as group_key, GROUPING(${group.key}) as is_total, COUNT(DISTINCT o.id) as orders
+      ${fromClause}
+      GROUP BY GROUPING SETS ((${group.key}), ())
+    `, params);
+
+    const baseCurrency = req.query.baseCurrency || await getBaseCurrency(pool);
+    const rates = await loadExchangeRates(pool);
+
+    const newRow = (key, rowLabel) => ({
+      key,
+      label: rowLabel,
+      quantity: 0,
+      orders: 0,
+      revenue: emptyAmounts(),
+      baseRevenue: 0,
+      // Sales on days without an exchange rate to the base currency
+      unconvertedRevenue: emptyAmounts(),
+      ...(withProfit ? {
+        // Revenue, net of VAT, of the lines with a known cost, which is what profit and margin are taken over
+        costedRevenue: emptyAmounts(),
+        cost: emptyAmounts(),
+        profit: emptyAmounts(),
+        marginPercent: emptyAmounts(),
+        baseCostedRevenue: 0,
+        baseCost: 0,
+        baseProfit: 0,
+        baseMarginPercent: null,
+        // Units sold without a cost price
+        uncostedQuantity: 0
+      } : {})
+    });
+    const addTo = (row, amounts) => {
+      const { currency, sale_date: saleDate } = amounts;
+      const revenue = parseFloat(amounts.revenue);
+      row.quantity += parseInt(amounts.quantity);
+      row.revenue[currency] = round2(row.revenue[currency] + revenue);
+      const converted = convertAmount(rates, revenue, currency, baseCurrency, saleDate);
+      if (converted === null) {
+        row.unconvertedRevenue[currency] = round2(row.unconvertedRevenue[currency] + revenue);
+      } else {
+        row.baseRevenue = round2(row.baseRevenue + converted);
+      }
+      if (!withProfit) return;
+
+      const costedRevenue = parseFloat(amounts.costed_revenue);
+      const cost = parseFloat(amounts.cost);
+      row.uncostedQuantity += parseInt(amounts.uncosted_quantity);
+      row.costedRevenue[currency] = round2(row.costedRevenue[currency] + costedRevenue);
+      row.cost[currency] = round2(row.cost[currency] + cost);
+      row.profit[currency] = round2(row.costedRevenue[currency] - row.cost[currency]);
+      if (converted !== null) {
+        row.baseCostedRevenue = round2(row.baseCostedRevenue + convertAmount(rates, costedRevenue, currency, baseCurrency, saleDate));
+        row.baseCost = round2(row.baseCost + convertAmount(rates, cost, currency, baseCurrency, saleDate));
+        row.baseProfit = round2(row.baseCostedRevenue - row.baseCost);
+      }
+    };
+    const finish = (row) => {
+      if (withProfit) {
+        CURRENCIES.forEach(currency => {
+          row.marginPercent[currency] = marginPercent(row.profit[currency], row.costedRevenue[currency]);
+        });
+        row.baseMarginPercent = marginPercent(row.baseProfit, row.baseCostedRevenue);
+      }
+      return row;
+    };
+
+    const groups = new Map();
+    const totals = newRow(null, 'Total');
+    amountsResult.rows.forEach(row => {
+      const key = row.group_key;
+      if (!groups.has(key)) {
+        groups.set(key, newRow(key, row.label === null || row.label === undefined ? null : String(row.label)));
+      }
+      addTo(groups.get(key), row);
+      addTo(totals, row);
+    });
+    countsResult.rows.forEach(row => {
+      if (row.is_total) {
+        totals.orders = parseInt(row.orders);
+      } else if (groups.has(row.group_key)) {
+        groups.get(row.group_key).orders = parseInt(row.orders);
+      }
+    });
+
+    // Periods in date order, everything else by what it brought in (profit for the profit report)
+    const rank = withProfit ? 'baseProfit' : 'baseRevenue';
+    const rows = [...groups.values()].map(finish).sort(PERIOD_GROUPS.includes(groupBy)
+      ? (a, b) => a.key.localeCompare(b.key)
+      : (a, b) => b[rank] - a[rank] || String(a.label).localeCompare(String(b.label)));
+
+    res.json({
+      groupBy,
+      from: from || null,
+      to: to || null,
+      baseCurrency,
+      groups: rows,
+      totals: finish(totals)
+    });
+  } catch (error) {
+    console.error(`Get ${name} report error:`, error);
+    res.status(500).json({ message: `Failed to get ${name} report` });
+  }
+};
+
+router.get('/sales', authenticateToken, requireAdmin, salesReport('sales', { defaultGroup: 'day' }));
+
+// Gross profit from the cost captured on each order line when it was sold
+router.get('/profit', authenticateToken, requireAdmin, salesReport('profit', { defaultGroup: 'model', withProfit: true }));
+
+module.exports = router;
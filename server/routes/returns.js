@@ -0,0 +1,654 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const PDFDocument = require('pdfkit');
+const {
+  PAYMENT_METHODS,
+  PAYMENT_CURRENCIES,
+  round2,
+  getOrderDue,
+  getOrderPaid,
+  allocateTenders,
+  getOpenCashSessionId,
+  recordPayments
+} = require('../utils/payments');
+const { isStockConflict, adjustStock, findLocation, getLocationQuantities } = require('../utils/stock');
+const { stampStatus } = require('../utils/orderLifecycle');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { stampOrderItemTax } = require('../utils/tax');
+const { stampOrderItemCost } = require('../utils/margin');
+const { assignDocumentNumber, issuesOrderNumbers } = require('../utils/documentNumbers');
+const { cleanImei } = require('../utils/imei');
+
+// Mounted under /api/orders/:id/returns
+const router = express.Router({ mergeParams: true });
+
+// Load a return with its lines and refunds
+const getReturnDetails = async (returnId) => {
+  const itemsResult = await query(`
+    SELECT ri.id, ri.order_item_id, ri.quantity, ri.price, oi.currency,
+           p.id as product_id, p.name as product_name, p.category, p.imei
+    FROM order_return_items ri
+    JOIN order_items oi ON ri.order_item_id = oi.id
+    JOIN products p ON ri.product_id = p.id
+    WHERE ri.return_id = $1
+    ORDER BY ri.id
+  `, [returnId]);
+
+  const exchangeResult = await query(`
+    SELECT oi.id as order_item_id, oi.quantity, oi.price, oi.currency,
+           p.id as product_id, p.name as product_name, p.category, p.imei
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.exchange_return_id = $1
+    ORDER BY oi.id
+  `, [returnId]);
+
+  const refundsResult = await query(`
+    SELECT id, method, currency, amount, reference, created_at
+    FROM order_refunds
+    WHERE return_id = $1
+    ORDER BY id
+  `, [returnId]);
+
+  return {
+    items: itemsResult.rows,
+    exchangeItems: exchangeResult.rows,
+    refunds: refundsResult.rows
+  };
+};
+
+// Make sure the order exists and, for clients, belongs to them
+const findAccessibleOrder = async (req) => {
+  const orderId = parseInt(req.params.id);
+  let orderQuery = `
+    SELECT o.id, o.status, o.created_at, o.invoice_number,
+           u.name as client_name, u.email as client_email,
+           o.guest_name, o.guest_email, o.guest_phone
+    FROM orders o
+    LEFT JOIN users u ON o.client_id = u.id
+    WHERE o.id = $1
+  `;
+  const params = [orderId];
+
+  if (req.user.role !== 'admin') {
+    orderQuery += ' AND o.client_id = $2';
+    params.push(req.user.id);
+  }
+
+  const result = await query(orderQuery, params);
+  return result.rows[0] || null;
+};
+
+// List returns recorded against an order
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const returnsResult = await query(`
+      SELECT r.id, r.reason, r.eur_total, r.mkd_total, r.eur_exchange, r.mkd_exchange, r.created_at,
+             u.name as created_by_name
+      FROM order_returns r
+      LEFT JOIN users u ON r.created_by = u.id
+      WHERE r.order_id = $1
+      ORDER BY r.created_at ASC, r.id ASC
+    `, [order.id]);
+
+    const returns = [];
+    for (const row of returnsResult.rows) {
+      returns.push({ ...row, ...(await getReturnDetails(row.id)) });
+    }
+
+    res.json({ returns });
+  } catch (error) {
+    console.error('Get order returns error:', error);
+    res.status(500).json({ message: 'Failed to get returns' });
+  }
+});
+
+// Record a return (optionally with exchange items) against an order (admin only)
+router.post('/', authenticateToken, requireAdmin, [
+  body('items').isArray({ min: 1 }).withMessage('At least one item must be returned'),
+  body('items.*.orderItemId').optional().isInt({ min: 1 }).withMessage('Order item ID must be a positive integer'),
+  body('items.*.imei').optional().isString().trim().notEmpty().withMessage('IMEI must not be empty'),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('exchangeItems').optional().isArray().withMessage('Exchange items must be an array'),
+  body('exchangeItems.*.productId').isInt({ min: 1 }).withMessage('Product ID must be a positive integer'),
+  body('exchangeItems.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('refunds').optional().isArray().withMessage('Refunds must be an array'),
+  body('refunds.*.method').isIn(PAYMENT_METHODS).withMessage(`Refund method must be one of ${PAYMENT_METHODS.join(', ')}`),
+  body('refunds.*.currency').isIn(PAYMENT_CURRENCIES).withMessage('Refund currency must be EUR or MKD'),
+  body('refunds.*.amount').isFloat({ gt: 0 }).withMessage('Refund amount must be a positive number'),
+  body('refunds.*.reference').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+  body('payments').optional().isArray().withMessage('Payments must be an array'),
+  body('payments.*.method').isIn(PAYMENT_METHODS).withMessage(`Payment method must be one of ${PAYMENT_METHODS.join(', ')}`),
+  body('payments.*.currency').isIn(PAYMENT_CURRENCIES).withMessage('Payment currency must be EUR or MKD'),
+  body('payments.*.amount').isFloat({ gt: 0 }).withMessage('Payment amount must be a positive number'),
+  body('payments.*.reference').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+  body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  body('locationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const orderId = parseInt(req.params.id);
+    const { items, exchangeItems = [], refunds = [], payments = [], reason } = req.body;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const rollbackWith = async (status, message) => {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ message });
+      };
+
+      // Lock the order so concurrent returns cannot both pass the quantity checks
+      const orderResult = await client.query(
+        'SELECT id, client_id, status, original_status, stock_state, location_id FROM orders WHERE id = $1 FOR UPDATE',
+        [orderId]
+      );
+      if (orderResult.rows.length === 0) {
+        return rollbackWith(404, 'Order not found');
+      }
+      const order = orderResult.rows[0];
+      if (order.status === 'cancelled') {
+        return rollbackWith(400, 'Cannot return items from a cancelled order');
+      }
+      if (order.stock_state !== 'deducted') {
+        return rollbackWith(400, 'The items on this order have not been handed over yet. Edit or cancel the order instead');
+      }
+
+      // Returns are taken in, and exchanges handed over, where the customer brings them (the selling location by default)
+      const location = await findLocation(client, req.body.locationId || order.location_id);
+      if (!location) {
+        return rollbackWith(400, 'Location not found');
+      }
+
+      const linesResult = await client.query(`
+        SELECT oi.id, oi.product_id, oi.quantity, oi.price, oi.currency,
+               p.name, p.category, p.imei, p.imei2,
+               COALESCE(r.returned, 0)::int as returned
+        FROM order_items oi
+        JOIN products p ON oi.product_id = p.id
+        LEFT JOIN (
+          SELECT order_item_id, SUM(quantity) as returned
+          FROM order_return_items
+          GROUP BY order_item_id
+        ) r ON r.order_item_id = oi.id
+        WHERE oi.order_id = $1
+      `, [orderId]);
+      const lines = linesResult.rows;
+
+      // Resolve each requested item to an order line, either by line ID or by scanned IMEI (first or second)
+      const returnQuantities = new Map();
+      for (const item of items) {
+        if (!item.orderItemId && !item.imei) {
+          return rollbackWith(400, 'Each returned item needs an order item ID or an IMEI');
+        }
+        const imei = cleanImei(item.imei);
+        const line = item.orderItemId
+          ? lines.find(l => l.id === parseInt(item.orderItemId))
+          : lines.find(l => l.imei === imei || l.imei2 === imei);
+        if (!line) {
+          const label = item.orderItemId ? `Item ${item.orderItemId}` : `IMEI ${item.imei}`;
+          return rollbackWith(400, `${label} is not part of order #${orderId}`);
+        }
+        const quantity = parseInt(item.quantity) || 1;
+        returnQuantities.set(line.id, (returnQuantities.get(line.id) || 0) + quantity);
+      }
+
+      const returned = { EUR: 0, MKD: 0 };
+      const returnLines = [];
+      for (const [lineId, quantity] of returnQuantities) {
+        const line = lines.find(l => l.id === lineId);
+        const returnable = line.quantity - line.returned;
+        if (quantity > returnable) {
+          return rollbackWith(400, `Only ${returnable} of ${line.name} can still be returned`);
+        }
+        const currency = line.currency;
+        returned[currency] = round2(returned[currency] + quantity * parseFloat(line.price));
+        returnLines.push({ line, quantity });
+      }
+
+      // Validate replacement products, locking them so stock cannot be oversold
+      const exchanged = { EUR: 0, MKD: 0 };
+      const exchangeLines = [];
+      for (const item of exchangeItems) {
+        const productResult = await client.query(
+          'SELECT id, name, price, stock_status, stock_quantity, reserved_quantity, category, currency FROM products WHERE id = $1 FOR UPDATE',
+          [item.productId]
+        );
+        if (productResult.rows.length === 0) {
+          return rollbackWith(400, `Product ${item.productId} not found`);
+        }
+        const product = productResult.rows[0];
+        if (product.stock_status === 'disabled') {
+          return rollbackWith(400, `Product ${product.name} is not available`);
+        }
+
+        // Returned units go back on the shelf first, so an item can be swapped for another of the same product
+        const restocked = returnLines
+          .filter(r => r.line.product_id === product.id)
+          .reduce((sum, r) => sum + r.quantity, 0);
+        const alreadyTaken = exchangeLines
+          .filter(e => e.product.id === product.id)
+          .reduce((sum, e) => sum + e.quantity, 0);
+        const available = product.stock_quantity - product.reserved_quantity;
+        if (available + restocked - alreadyTaken < parseInt(item.quantity)) {
+          return rollbackWith(409, `Insufficient stock for ${product.name}`);
+        }
+        const atLocation = (await getLocationQuantities(client, [product.id], location.id)).get(product.id) || 0;
+        if (atLocation + restocked - alreadyTaken < parseInt(item.quantity)) {
+          return rollbackWith(409, `Insufficient stock for ${product.name} at ${location.name}`);
+        }
+
+        const currency = product.currency;
+        exchanged[currency] = round2(exchanged[currency] + parseInt(item.quantity) * parseFloat(product.price));
+        exchangeLines.push({ product, quantity: parseInt(item.quantity) });
+      }
+
+      const dueBefore = await getOrderDue(client, orderId);
+      const paid = await getOrderPaid(client, orderId);
+      const settled = order.status === 'completed';
+      // A pending client order booked its total as debt when it was created
+      const debtBooked = !!order.client_id && order.original_status === 'pending';
+
+      // Settled sales refund the returned value outright and collect any exchange top-up now.
+      // Open orders only refund what was paid beyond the new amount due.
+      const refundable = { EUR: 0, MKD: 0 };
+      const owed = { EUR: 0, MKD: 0 };
+      for (const currency of PAYMENT_CURRENCIES) {
+        const newDue = round2(dueBefore[currency] - returned[currency] + exchanged[currency]);
+        if (settled) {
+          refundable[currency] = Math.max(0, round2(returned[currency] - exchanged[currency]));
+          owed[currency] = Math.max(0, round2(exchanged[currency] - returned[currency]));
+        } else {
+          refundable[currency] = Math.max(0, round2(paid[currency] - newDue));
+        }
+      }
+
+      const refunded = { EUR: 0, MKD: 0 };
+      for (const refund of refunds) {
+        if (refund.method === 'store_credit' && !order.client_id) {
+          return rollbackWith(400, 'Store credit can only be issued to registered clients');
+        }
+        refunded[refund.currency] = round2(refunded[refund.currency] + round2(refund.amount));
+      }
+      for (const currency of PAYMENT_CURRENCIES) {
+        if (refunded[currency] !== refundable[currency]) {
+          return rollbackWith(400, `Refunds in ${currency} must total ${refundable[currency]} ${currency}`);
+        }
+      }
+
+      // Exchange top-ups on a settled sale are paid at the counter
+      let allocations = [];
+      let changeDue = { EUR: 0, MKD: 0 };
+      if (owed.EUR > 0 || owed.MKD > 0 || payments.length > 0) {
+        const allocation = allocateTenders(owed, { EUR: 0, MKD: 0 }, payments);
+        if (allocation.error) {
+          return rollbackWith(400, allocation.error);
+        }
+        allocations = allocation.allocations;
+        changeDue = allocation.changeDue;
+
+        for (const currency of PAYMENT_CURRENCIES) {
+          const applied = allocations
+            .filter(a => a.currency === currency)
+            .reduce((sum, a) => round2(sum + a.amount), 0);
+          if (applied < owed[currency]) {
+            return rollbackWith(400, `The exchange leaves ${round2(owed[currency] - applied)} ${currency} to pay`);
+          }
+        }
+      }
+
+      const returnResult = await client.query(
+        `INSERT INTO order_returns (order_id, reason, eur_total, mkd_total, eur_exchange, mkd_exchange, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id, created_at`,
+        [orderId, reason || null, returned.EUR, returned.MKD, exchanged.EUR, exchanged.MKD, req.user.id]
+      );
+      const returnId = returnResult.rows[0].id;
+
+      // Returned units go back into stock
+      for (const { line, quantity } of returnLines) {
+        await client.query(
+          'INSERT INTO order_return_items (return_id, order_item_id, product_id, quantity, price) VALUES ($1, $2, $3, $4, $5)',
+          [returnId, line.id, line.product_id, quantity, line.price]
+        );
+        await adjustStock(client, line.product_id, quantity, 'return', { orderId, returnId, locationId: location.id, userId: req.user.id });
+      }
+
+      // Replacement products become new lines on the same order
+      let exchangeTotal = 0;
+      for (const { product, quantity } of exchangeLines) {
+        await client.query(
+          'INSERT INTO order_items (order_id, product_id, quantity, price, list_price, currency, exchange_return_id) VALUES ($1, $2, $3, $4, $4, $5, $6)',
+          [orderId, product.id, quantity, product.price, product.currency, returnId]
+        );
+        await adjustStock(client, product.id, -quantity, 'sale', {
+          orderId,
+          returnId,
+          locationId: location.id,
+          userId: req.user.id,
+          notes: `Exchange on return #${returnId}`
+        });
+        exchangeTotal += quantity * parseFloat(product.price);
+      }
+      await stampOrderItemTax(client, orderId);
+      await stampOrderItemCost(client, orderId);
+      if (exchangeTotal > 0) {
+        await client.query(
+          'UPDATE orders SET total_amount = total_amount + $1 WHERE id = $2',
+          [round2(exchangeTotal), orderId]
+        );
+      }
+
+      // Keep the ledger in line with the order's new amount due
+      if (debtBooked) {
+        for (const currency of PAYMENT_CURRENCIES) {
+          const dueChange = round2(exchanged[currency] - returned[currency]);
+          if (dueChange !== 0) {
+            await client.query(
+              'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+              [order.client_id, -dueChange, 'manual_reduction', currency, `Return #${returnId} on order #${orderId}`, req.user.id]
+            );
+          }
+        }
+      }
+
+      const cashSessionId = await getOpenCashSessionId(client, req.user.id);
+      const recordedRefunds = [];
+      for (const refund of refunds) {
+        const refundResult = await client.query(
+          `INSERT INTO order_refunds (return_id, method, currency, amount, reference, cash_session_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id, method, currency, amount, reference, created_at`,
+          [returnId, refund.method, refund.currency, round2(refund.amount), refund.reference || null, cashSessionId]
+        );
+        recordedRefunds.push(refundResult.rows[0]);
+
+        // Mirrors recordPayments: money handed back offsets the booked debt, store credit lands on the account
+        if (debtBooked && refund.method !== 'store_credit') {
+          await client.query(
+            'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+            [order.client_id, -round2(refund.amount), 'manual_reduction', refund.currency, `Refund for return #${returnId} on order #${orderId} (${refund.method})`, req.user.id]
+          );
+        } else if (!debtBooked && refund.method === 'store_credit') {
+          await client.query(
+            'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+            [order.client_id, round2(refund.amount), 'manual_reduction', refund.currency, `Store credit issued for return #${returnId} on order #${orderId}`, req.user.id]
+          );
+        }
+      }
+
+      await recordOrderEvent(client, orderId, 'return', req.user.id, {
+        returnId,
+        returned,
+        exchanged,
+        items: returnLines.map(({ line, quantity }) => ({ orderItemId: line.id, productId: line.product_id, quantity })),
+        exchangeItems: exchangeLines.map(({ product, quantity }) => ({ productId: product.id, name: product.name, quantity })),
+        refunds: recordedRefunds.map(r => ({ method: r.method, currency: r.currency, amount: parseFloat(r.amount) }))
+      }, reason);
+
+      let recordedPayments = [];
+      if (allocations.length > 0) {
+        const recorded = await recordPayments(client, order, allocations, req.user.id, owed);
+        if (recorded.error) {
+          return rollbackWith(400, recorded.error);
+        }
+        recordedPayments = recorded.payments;
+      }
+
+      // An open order whose remaining balance is covered by earlier payments is now settled
+      let status = order.status;
+      if (!settled) {
+        const dueAfter = await getOrderDue(client, orderId);
+        const paidAfter = await getOrderPaid(client, orderId);
+        const stillOwed = PAYMENT_CURRENCIES.some(c => round2(dueAfter[c] - paidAfter[c]) > 0);
+        if (!stillOwed && (dueAfter.EUR > 0 || dueAfter.MKD > 0)) {
+          await stampStatus(client, orderId, 'completed', {
+            from: order.status,
+            userId: req.user.id,
+            details: { trigger: 'return', returnId }
+          });
+          status = 'completed';
+        }
+      }
+
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Return recorded successfully',
+        returnId,
+        orderId,
+        status,
+        refunds: recordedRefunds,
+        payments: recordedPayments,
+        changeDue
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the return was being recorded. Please try again.' });
+    }
+    console.error('Create order return error:', error);
+    res.status(500).json({ message: 'Failed to record return' });
+  }
+});
+
+// Generate PDF credit note for a return
+router.get('/:returnId/credit-note', authenticateToken, async (req, res) => {
+  try {
+    const returnId = parseInt(req.params.returnId);
+
+    const order = await findAccessibleOrder(req);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled orders have no credit notes' });
+    }
+
+    const returnResult = await query(
+      'SELECT id, reason, eur_total, mkd_total, eur_exchange, mkd_exchange, created_at, credit_note_number FROM order_returns WHERE id = $1 AND order_id = $2',
+      [returnId, order.id]
+    );
+    if (returnResult.rows.length === 0) {
+      return res.status(404).json({ message: 'Return not found' });
+    }
+    const orderReturn = returnResult.rows[0];
+    const { items, exchangeItems, refunds } = await getReturnDetails(returnId);
+
+    // The first download by an admin of a completed order issues the credit note number, and the number
+    // of the invoice it corrects if that never was, together. Anything else reprints them or is a pro forma.
+    let creditNoteNumber = orderReturn.credit_note_number;
+    let invoiceNumber = order.invoice_number;
+    if ((!creditNoteNumber || !invoiceNumber) && issuesOrderNumbers(req.user, order)) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        invoiceNumber = await assignDocumentNumber(client, 'invoice', order.id);
+        creditNoteNumber = await assignDocumentNumber(client, 'credit_note', returnId);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    // Get company settings
+    const settingsResult = await query('SELECT * FROM settings ORDER BY id LIMIT 1');
+    const settings = settingsResult.rows[0] || {
+      company_name: 'POS CRM System',
+      company_address: '123 Business Street',
+      company_city_state: 'City, State 12345',
+      company_phone: '(555) 123-4567',
+      company_email: 'info@poscrm.com'
+    };
+
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=credit-note-${returnId}.pdf`);
+    doc.pipe(res);
+
+    const black = '#000000';
+    const drawLine = (y) => {
+      doc.moveTo(50, y).lineTo(530, y).stroke();
+    };
+    const formatDate = (value) => new Date(value).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    // Header Section
+    doc.fontSize(28).font('Helvetica-Bold').fillColor(black).text(creditNoteNumber ? 'CREDIT NOTE' : 'PRO FORMA CREDIT NOTE', { align: 'center' });
+
+    doc.fontSize(18).font('Helvetica-Bold').fillColor(black).text(settings.company_name, 50, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    if (settings.company_address) {
+      doc.text(settings.company_address, 50, 140);
+    }
+    if (settings.company_city_state) {
+      doc.text(settings.company_city_state, 50, 155);
+    }
+    if (settings.company_phone) {
+      doc.text(`Phone: ${settings.company_phone}`, 50, 170);
+    }
+    if (settings.company_email) {
+      doc.text(`Email: ${settings.company_email}`, 50, 185);
+    }
+
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('CREDIT NOTE DETAILS', 350, 120);
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Credit Note #: ${creditNoteNumber || 'Not issued'}`, 350, 140);
+    doc.text(`Date: ${formatDate(orderReturn.created_at)}`, 350, 155);
+    doc.text(`Original Invoice #: ${invoiceNumber || 'Not issued'}`, 350, 170);
+    doc.text(`Invoice Date: ${formatDate(order.created_at)}`, 350, 185);
+
+    drawLine(200);
+
+    // Customer Section
+    doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('CREDIT TO:', 50, 220);
+    doc.fontSize(10).font('Helvetica').fillColor(black);
+    if (order.client_name) {
+      doc.text(order.client_name, 50, 240);
+      doc.text(order.client_email, 50, 255);
+    } else {
+      doc.text(order.guest_name || 'Guest', 50, 240);
+      if (order.guest_email) {
+        doc.text(order.guest_email, 50, 255);
+      }
+      if (order.guest_phone) {
+        doc.text(order.guest_phone, 50, 270);
+      }
+    }
+
+    let currentY = 300;
+
+    const drawItemsTable = (title, rows, sign) => {
+      doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text(title, 50, currentY);
+      currentY += 20;
+      doc.fontSize(10).font('Helvetica-Bold');
+      doc.text('Product', 60, currentY);
+      doc.text('IMEI', 240, currentY);
+      doc.text('Qty', 350, currentY);
+      doc.text('Price', 390, currentY);
+      doc.text('Total', 470, currentY);
+      drawLine(currentY + 15);
+      currentY += 25;
+
+      doc.font('Helvetica');
+      rows.forEach(row => {
+        const currency = row.currency;
+        const price = parseFloat(row.price);
+        doc.text(row.product_name, 60, currentY, { width: 170 });
+        doc.text(row.imei || '-', 240, currentY);
+        doc.text(row.quantity.toString(), 350, currentY);
+        doc.text(`${price.toFixed(0)} ${currency}`, 390, currentY);
+        doc.text(`${sign}${(price * row.quantity).toFixed(0)} ${currency}`, 470, currentY);
+        currentY += 20;
+      });
+      drawLine(currentY);
+      currentY += 20;
+    };
+
+    drawItemsTable('RETURNED ITEMS', items, '-');
+    if (exchangeItems.length > 0) {
+      drawItemsTable('EXCHANGE ITEMS', exchangeItems, '');
+    }
+
+    // Totals per currency
+    PAYMENT_CURRENCIES.forEach(currency => {
+      const key = currency.toLowerCase();
+      const credited = parseFloat(orderReturn[`${key}_total`]);
+      const exchange = parseFloat(orderReturn[`${key}_exchange`]);
+      if (credited === 0 && exchange === 0) return;
+
+      const color = currency === 'EUR' ? '#059669' : '#1d4ed8';
+      doc.fontSize(11).font('Helvetica').fillColor(color);
+      doc.text(`Credited ${currency}:`, 300, currentY);
+      doc.text(`${credited.toFixed(0)} ${currency}`, 300, currentY, { width: 230, align: 'right' });
+      currentY += 18;
+      if (exchange > 0) {
+        doc.text(`Exchange ${currency}:`, 300, currentY);
+        doc.text(`${exchange.toFixed(0)} ${currency}`, 300, currentY, { width: 230, align: 'right' });
+        currentY += 18;
+      }
+      currentY += 8;
+    });
+
+    // Refund tenders
+    if (refunds.length > 0) {
+      doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('REFUNDED', 50, currentY);
+      currentY += 20;
+      doc.fontSize(10).font('Helvetica');
+      refunds.forEach(refund => {
+        const label = refund.method.replace('_', ' ');
+        const reference = refund.reference ? ` (${refund.reference})` : '';
+        doc.text(`${label.charAt(0).toUpperCase()}${label.slice(1)}${reference}`, 60, currentY);
+        doc.text(`${parseFloat(refund.amount).toFixed(2)} ${refund.currency}`, 300, currentY, { width: 230, align: 'right' });
+        currentY += 18;
+      });
+      currentY += 10;
+    }
+
+    if (orderReturn.reason) {
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(black).text('Reason:', 50, currentY);
+      doc.font('Helvetica').text(orderReturn.reason, 100, currentY, { width: 430 });
+      currentY += 30;
+    }
+
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(
+      invoiceNumber ? `This credit note refers to invoice ${invoiceNumber}.` : `This credit note refers to order #${order.id}.`,
+      50,
+      currentY + 20,
+      { align: 'center', width: 480 }
+    );
+
+    doc.end();
+  } catch (error) {
+    console.error('Generate credit note error:', error);
+    res.status(500).json({ message: 'Failed to generate credit note' });
+  }
+});
+
+module.exports = router;
@@ -4,38 +4,19 @@ const router = express.Router();
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const db = require('../database/connection');
 const PDFDocument = require('pdfkit');
+const { issueDocumentNumber } = require('../utils/documentNumbers');
+const { serviceFilters } = require('../utils/listFilters');
+const { cleanImei, validateImei } = require('../utils/imei');
 
 // Get all services
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { search, status, page = 1, limit = 20 } = req.query;
+    const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
-    
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 1;
-
-    // Search filter
-    if (search) {
-      whereConditions.push(`(
-        full_name ILIKE $${paramCount} OR 
-        contact ILIKE $${paramCount} OR 
-        phone_model ILIKE $${paramCount} OR 
-        imei ILIKE $${paramCount} OR 
-        description ILIKE $${paramCount}
-      )`);
-      queryParams.push(`%${search}%`);
-      paramCount++;
-    }
-
-    // Status filter
-    if (status && ['in_service', 'completed'].includes(status)) {
-      whereConditions.push(`status = $${paramCount}`);
-      queryParams.push(status);
-      paramCount++;
-    }
 
-    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+    const { conditions, params: queryParams } = serviceFilters(req.query);
+    const paramCount = queryParams.length + 1;
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
 
     // Get total count
     const countQuery = `SELECT COUNT(*) FROM services ${whereClause}`;
@@ -44,7 +25,7 @@ router.get('/', authenticateToken, async (req, res) => {
 
     // Get services with pagination
     const selectQuery = `
-      SELECT id, full_name, contact, phone_model, imei, description, price, status, profit, created_at, updated_at
+      SELECT id, full_name, contact, phone_model, imei, description, price, status, profit, invoice_number, created_at, updated_at
       FROM services 
       ${whereClause}
       ORDER BY created_at DESC
@@ -94,7 +75,7 @@ router.post('/', authenticateToken, requireAdmin, [
   body('full_name').trim().notEmpty().withMessage('Full name is required'),
   body('contact').trim().notEmpty().withMessage('Contact is required'),
   body('phone_model').trim().notEmpty().withMessage('Phone model is required'),
-  body('imei').optional().trim(),
+  body('imei').optional().customSanitizer(cleanImei).custom(validateImei),
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('status').isIn(['in_service', 'completed']).withMessage('Status must be in_service or completed'),
@@ -146,7 +127,7 @@ router.put('/:id', authenticateToken, requireAdmin, [
   body('full_name').trim().notEmpty().withMessage('Full name is required'),
   body('contact').trim().notEmpty().withMessage('Contact is required'),
   body('phone_model').trim().notEmpty().withMessage('Phone model is required'),
-  body('imei').optional().trim(),
+  body('imei').optional().customSanitizer(cleanImei).custom(validateImei),
   body('description').trim().notEmpty().withMessage('Description is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('status').isIn(['in_service', 'completed']).withMessage('Status must be in_service or completed'),
@@ -202,12 +183,17 @@ router.put('/:id', authenticateToken, requireAdmin, [
 router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
+    // An issued invoice number must stay in the sequence
     const result = await db.query(
-      'DELETE FROM services WHERE id = $1 RETURNING *',
+      'DELETE FROM services WHERE id = $1 AND invoice_number IS NULL RETURNING *',
       [id]
     );
 
     if (result.rows.length === 0) {
+      const existing = await db.query('SELECT invoice_number FROM services WHERE id = $1', [id]);
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: `Service has been invoiced as ${existing.rows[0].invoice_number} and cannot be deleted` });
+      }
       return res.status(404).json({ error: 'Service not found' });
     }
 
@@ -246,6 +232,9 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
 
     const service = serviceResult.rows[0];
 
+    // The first download issues the invoice number; later copies reprint it
+    const invoiceNumber = await issueDocumentNumber(db.pool, 'service_invoice', serviceId);
+
     // Get company settings
     const settingsResult = await db.query('SELECT * FROM settings ORDER BY id LIMIT 1');
     const settings = settingsResult.rows[0] || {
@@ -309,7 +298,7 @@ router.get('/:id/invoice', authenticateToken, async (req, res) => {
     });
     
     doc.fontSize(12).font('Helvetica-Bold').fillColor(black).text('INVOICE DETAILS', 350, 120);
-    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Invoice #: ${serviceId}`, 350, 140);
+    doc.fontSize(10).font('Helvetica').fillColor(black).text(`Invoice #: ${invoiceNumber}`, 350, 140);
     doc.text(`Date: ${invoiceDate}`, 350, 155);
     doc.text(`Status: ${service.status.toUpperCase()}`, 350, 170);
     
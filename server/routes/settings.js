@@ -1,10 +1,22 @@
 const express = require('express');
+const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { query, run } = require('../database/connection');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateTransitionConfig } = require('../utils/orderLifecycle');
+const { validateTaxRates } = require('../utils/tax');
+const { CURRENCIES } = require('../utils/currency');
+const { validateNumberPatterns } = require('../utils/documentNumbers');
+const { validateModelStockLevels } = require('../utils/reorder');
 
 const router = express.Router();
 
+// The manager PIN hash never leaves the server; the client only needs to know whether one is set
+const publicSettings = (settings) => {
+  const { discount_approval_pin_hash, ...rest } = settings;
+  return { ...rest, has_discount_approval_pin: !!discount_approval_pin_hash };
+};
+
 // Get settings (admin only)
 router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
@@ -14,7 +26,7 @@ router.get('/', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(404).json({ message: 'Settings not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json(publicSettings(result.rows[0]));
   } catch (error) {
     console.error('Get settings error:', error);
     res.status(500).json({ message: 'Failed to get settings' });
@@ -43,7 +55,8 @@ router.put('/', [
   body('smartphone_models').optional().custom((value) => {
     if (value === null || value === undefined) return true;
     if (!Array.isArray(value)) throw new Error('smartphone_models must be an array');
-    // Each model: { brand?: string, name: string, storages: string[] | number[], colors: string[], price?: number, storage_prices?: Record<string, number>, condition?: string, subcategory?: string }
+    // Each model: { brand?: string, name: string, storages: string[] | number[], colors: string[], price?: number, storage_prices?: Record<string, number>, condition?: string, subcategory?: string,
+    //   min_stock?: number, max_stock?: number, stock_levels?: { storage?: string, color?: string, min_stock: number, max_stock?: number }[] }
     for (const m of value) {
       if (typeof m !== 'object' || !m) throw new Error('Each model must be an object');
       if (typeof m.name !== 'string' || m.name.trim() === '') throw new Error('Model name is required');
@@ -61,9 +74,26 @@ router.put('/', [
       }
       if (m.condition !== undefined && typeof m.condition !== 'string') throw new Error('Model condition must be a string');
       if (m.subcategory !== undefined && typeof m.subcategory !== 'string') throw new Error('Model subcategory must be a string');
+      validateModelStockLevels(m);
     }
     return true;
-  })
+  }),
+  body('order_transitions').optional().custom((value) => {
+    if (value === null || value === undefined) return true;
+    return validateTransitionConfig(value);
+  }),
+  body('max_discount_percent').optional({ nullable: true }).isFloat({ min: 0, max: 100 }).withMessage('Maximum discount must be between 0 and 100 percent'),
+  body('tax_rates').optional().custom((value) => {
+    if (value === null || value === undefined) return true;
+    return validateTaxRates(value);
+  }),
+  body('base_currency').optional({ nullable: true }).isIn(CURRENCIES).withMessage('Base currency must be EUR or MKD'),
+  body('held_cart_minutes').optional({ nullable: true }).isInt({ min: 1, max: 10080 }).withMessage('Held cart expiry must be between 1 minute and 7 days'),
+  body('document_number_patterns').optional().custom((value) => {
+    if (value === null || value === undefined) return true;
+    return validateNumberPatterns(value);
+  }),
+  body('discount_approval_pin').optional({ nullable: true }).matches(/^\d{4,12}$/).withMessage('Manager PIN must be 4 to 12 digits')
 ], async (req, res) => {
   try {
     // Fetch previous settings to compare model price changes
@@ -80,14 +110,15 @@ router.put('/', [
       });
     }
 
-    const { company_name, company_address, company_city_state, company_phone, company_email, smartphone_subcategories, accessory_subcategories, smartphone_models } = req.body;
+    const { company_name, company_address, company_city_state, company_phone, company_email, smartphone_subcategories, accessory_subcategories, smartphone_models, order_transitions, max_discount_percent, discount_approval_pin, tax_rates, base_currency, held_cart_minutes, document_number_patterns } = req.body;
+    const pinHash = discount_approval_pin ? await bcrypt.hash(String(discount_approval_pin), 10) : null;
 
     const result = await query(
       `UPDATE settings 
-       SET company_name = $1, company_address = $2, company_city_state = $3, company_phone = $4, company_email = $5, smartphone_subcategories = COALESCE($6, smartphone_subcategories), accessory_subcategories = COALESCE($7, accessory_subcategories), smartphone_models = COALESCE($8, smartphone_models), updated_at = CURRENT_TIMESTAMP
+       SET company_name = $1, company_address = $2, company_city_state = $3, company_phone = $4, company_email = $5, smartphone_subcategories = COALESCE($6, smartphone_subcategories), accessory_subcategories = COALESCE($7, accessory_subcategories), smartphone_models = COALESCE($8, smartphone_models), order_transitions = COALESCE($9, order_transitions), max_discount_percent = COALESCE($10, max_discount_percent), discount_approval_pin_hash = COALESCE($11, discount_approval_pin_hash), tax_rates = COALESCE($12, tax_rates), base_currency = COALESCE($13, base_currency), held_cart_minutes = COALESCE($14, held_cart_minutes), document_number_patterns = COALESCE($15, document_number_patterns), updated_at = CURRENT_TIMESTAMP
        WHERE id = (SELECT id FROM settings ORDER BY id LIMIT 1)
        RETURNING *`,
-      [company_name, company_address, company_city_state, company_phone, company_email, smartphone_subcategories ? JSON.stringify(smartphone_subcategories) : null, accessory_subcategories ? JSON.stringify(accessory_subcategories) : null, smartphone_models ? JSON.stringify(smartphone_models) : null]
+      [company_name, company_address, company_city_state, company_phone, company_email, smartphone_subcategories ? JSON.stringify(smartphone_subcategories) : null, accessory_subcategories ? JSON.stringify(accessory_subcategories) : null, smartphone_models ? JSON.stringify(smartphone_models) : null, order_transitions ? JSON.stringify(order_transitions) : null, max_discount_percent ?? null, pinHash, tax_rates ? JSON.stringify(tax_rates) : null, base_currency || null, held_cart_minutes ?? null, document_number_patterns ? JSON.stringify(document_number_patterns) : null]
     );
 
     if (result.rows.length === 0) {
@@ -242,7 +273,7 @@ router.put('/', [
 
     res.json({
       message: 'Settings updated successfully',
-      settings: result.rows[0]
+      settings: publicSettings(result.rows[0])
     });
   } catch (error) {
     console.error('Update settings error:', error);
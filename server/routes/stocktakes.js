@@ -0,0 +1,423 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { lockProducts, adjustStock, findLocation, getLocationQuantities } = require('../utils/stock');
+
+const router = express.Router();
+
+const STOCKTAKE_STATUSES = ['open', 'posted', 'cancelled'];
+
+// Lines of a stocktake with their product and how the count compares
+const getStocktakeItems = async (db, stocktakeId) => {
+  const result = await db.query(`
+    SELECT si.id, si.product_id, si.code, si.expected_quantity, si.counted_quantity, si.in_scope, si.counted_at,
+           p.name, p.imei, p.barcode, p.category, p.subcategory, p.model, p.storage_gb, p.color,
+           COALESCE(ls.quantity, 0)::int as current_quantity
+    FROM stocktake_items si
+    JOIN stocktakes s ON si.stocktake_id = s.id
+    LEFT JOIN products p ON si.product_id = p.id
+    LEFT JOIN location_stock ls ON ls.product_id = si.product_id AND ls.location_id = s.location_id
+    WHERE si.stocktake_id = $1
+    ORDER BY p.category NULLS LAST, p.name NULLS LAST, si.id
+  `, [stocktakeId]);
+  return result.rows.map(item => {
+    // Products outside the scope are not counted in full, so finding fewer than the books hold is no shortage
+    const variance = item.in_scope
+      ? item.counted_quantity - item.expected_quantity
+      : Math.max(item.counted_quantity - item.expected_quantity, 0);
+    return {
+      ...item,
+      variance,
+      // missing: expected but not (all) found; unexpected: found but not expected; unknown: matches no product
+      state: item.product_id === null
+        ? 'unknown'
+        : variance < 0 ? 'missing' : variance > 0 ? 'unexpected' : 'matched'
+    };
+  });
+};
+
+const summarize = (items) => ({
+  expectedUnits: items.reduce((sum, item) => sum + item.expected_quantity, 0),
+  countedUnits: items.filter(item => item.product_id !== null).reduce((sum, item) => sum + item.counted_quantity, 0),
+  matched: items.filter(item => item.state === 'matched').length,
+  missing: items.filter(item => item.state === 'missing').length,
+  unexpected: items.filter(item => item.state === 'unexpected').length,
+  unknown: items.filter(item => item.state === 'unknown').length
+});
+
+const inScope = (stocktake, product) =>
+  (!stocktake.category || product.category === stocktake.category) &&
+  (!stocktake.subcategory || product.subcategory === stocktake.subcategory);
+
+// List stocktakes (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const queryParams = [];
+    let whereClause = '';
+    if (STOCKTAKE_STATUSES.includes(status)) {
+      queryParams.push(status);
+      whereClause = 'WHERE s.status = $1';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM stocktakes s ${whereClause}`, queryParams);
+    const totalStocktakes = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalStocktakes / parseInt(limit));
+
+    const result = await query(`
+      SELECT s.*, cb.name as created_by_name, pb.name as posted_by_name, l.name as location_name,
+             COALESCE(SUM(si.expected_quantity) FILTER (WHERE si.product_id IS NOT NULL), 0)::int as expected_units,
+             COALESCE(SUM(si.counted_quantity) FILTER (WHERE si.product_id IS NOT NULL), 0)::int as counted_units,
+             COUNT(si.id) FILTER (WHERE si.counted_quantity <> si.expected_quantity
+                                   AND (si.in_scope OR si.counted_quantity > si.expected_quantity))::int as variances
+      FROM stocktakes s
+      LEFT JOIN stocktake_items si ON si.stocktake_id = s.id
+      LEFT JOIN users cb ON s.created_by = cb.id
+      LEFT JOIN users pb ON s.posted_by = pb.id
+      LEFT JOIN locations l ON s.location_id = l.id
+      ${whereClause}
+      GROUP BY s.id, cb.name, pb.name, l.name
+      ORDER BY s.created_at DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      stocktakes: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalStocktakes,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get stocktakes error:', error);
+    res.status(500).json({ message: 'Failed to get stocktakes' });
+  }
+});
+
+// Get a stocktake with expected vs counted per product
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const stocktakeId = parseInt(req.params.id);
+    const result = await query(`
+      SELECT s.*, cb.name as created_by_name, pb.name as posted_by_name, l.name as location_name
+      FROM stocktakes s
+      LEFT JOIN users cb ON s.created_by = cb.id
+      LEFT JOIN users pb ON s.posted_by = pb.id
+      LEFT JOIN locations l ON s.location_id = l.id
+      WHERE s.id = $1
+    `, [stocktakeId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Stocktake not found' });
+    }
+
+    const items = await getStocktakeItems(pool, stocktakeId);
+    res.json({ ...result.rows[0], items, summary: summarize(items) });
+  } catch (error) {
+    console.error('Get stocktake error:', error);
+    res.status(500).json({ message: 'Failed to get stocktake' });
+  }
+});
+
+// Open a count at one location (the default one unless given) of a category, and optionally a
+// subcategory, or of everything. Every product in scope with stock there is expected at that quantity.
+router.post('/', authenticateToken, requireAdmin, [
+  body('category').optional({ nullable: true, checkFalsy: true }).isIn(['accessories', 'smartphones']).withMessage('Category must be either accessories or smartphones'),
+  body('subcategory').optional({ nullable: true }).isString().trim().isLength({ max: 100 }),
+  body('locationId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Location must be a valid ID'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const category = req.body.category || null;
+    const subcategory = req.body.subcategory || null;
+    const location = await findLocation(pool, req.body.locationId);
+    if (!location) {
+      return res.status(400).json({ message: 'Location not found' });
+    }
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const stocktakeResult = await client.query(
+        'INSERT INTO stocktakes (category, subcategory, location_id, notes, created_by) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+        [category, subcategory, location.id, req.body.notes || null, req.user.id]
+      );
+      const stocktakeId = stocktakeResult.rows[0].id;
+      const snapshot = await client.query(`
+        INSERT INTO stocktake_items (stocktake_id, product_id, expected_quantity)
+        SELECT $1, p.id, ls.quantity
+        FROM products p
+        JOIN location_stock ls ON ls.product_id = p.id AND ls.location_id = $4
+        WHERE ls.quantity > 0
+          AND ($2::text IS NULL OR p.category = $2)
+          AND ($3::text IS NULL OR p.subcategory = $3)
+      `, [stocktakeId, category, subcategory, location.id]);
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Stocktake opened',
+        stocktakeId,
+        expectedProducts: snapshot.rowCount
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Open stocktake error:', error);
+    res.status(500).json({ message: 'Failed to open stocktake' });
+  }
+});
+
+// Count a scanned barcode or IMEI. A phone is one unit and can only be counted once; accessories
+// add `quantity` (default 1) per scan. Products outside the count or codes that match nothing are
+// kept so they show up as unexpected or unknown.
+router.post('/:id/scan', authenticateToken, requireAdmin, [
+  body('code').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Code is required'),
+  body('quantity').optional().isInt({ min: 1, max: 10000 }).withMessage('Quantity must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const stocktakeId = parseInt(req.params.id);
+    const code = req.body.code.trim();
+    const quantity = parseInt(req.body.quantity) || 1;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Scans of one count are taken one at a time so two scanners cannot both add the same phone
+      const stocktakeResult = await client.query('SELECT * FROM stocktakes WHERE id = $1 FOR UPDATE', [stocktakeId]);
+      if (stocktakeResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Stocktake not found' });
+      }
+      const stocktake = stocktakeResult.rows[0];
+      if (stocktake.status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `This stocktake is ${stocktake.status}` });
+      }
+
+      const productResult = await client.query(
+        `SELECT id, name, category, subcategory FROM products WHERE imei = $1 OR imei2 = $1 OR barcode = $1 ORDER BY (imei = $1 OR imei2 = $1) IS TRUE DESC, stock_quantity > 0 DESC LIMIT 1`,
+        [code]
+      );
+      const product = productResult.rows[0];
+
+      let itemId;
+      if (!product) {
+        const existing = await client.query(
+          'SELECT id FROM stocktake_items WHERE stocktake_id = $1 AND product_id IS NULL AND code = $2',
+          [stocktakeId, code]
+        );
+        if (existing.rows.length > 0) {
+          itemId = existing.rows[0].id;
+          await client.query(
+            'UPDATE stocktake_items SET counted_quantity = counted_quantity + $1, counted_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [quantity, itemId]
+          );
+        } else {
+          const inserted = await client.query(
+            `INSERT INTO stocktake_items (stocktake_id, code, counted_quantity, in_scope, counted_at)
+             VALUES ($1, $2, $3, false, CURRENT_TIMESTAMP) RETURNING id`,
+            [stocktakeId, code, quantity]
+          );
+          itemId = inserted.rows[0].id;
+        }
+      } else {
+        const serialized = product.category === 'smartphones';
+        const existing = await client.query(
+          'SELECT id, counted_quantity FROM stocktake_items WHERE stocktake_id = $1 AND product_id = $2',
+          [stocktakeId, product.id]
+        );
+        if (existing.rows.length > 0) {
+          itemId = existing.rows[0].id;
+          if (serialized && existing.rows[0].counted_quantity >= 1) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ message: `${product.name} has already been counted`, itemId });
+          }
+          await client.query(
+            'UPDATE stocktake_items SET counted_quantity = counted_quantity + $1, code = $2, counted_at = CURRENT_TIMESTAMP WHERE id = $3',
+            [serialized ? 1 : quantity, code, itemId]
+          );
+        } else {
+          // Not in the snapshot (outside the scope, or stocked here since it was taken): expect whatever
+          // the books hold here now, so posting only moves the difference
+          const inserted = await client.query(
+            `INSERT INTO stocktake_items (stocktake_id, product_id, code, expected_quantity, counted_quantity, in_scope, counted_at)
+             VALUES ($1, $2, $3, COALESCE((SELECT quantity FROM location_stock WHERE product_id = $2 AND location_id = $6), 0),
+                     $4, $5, CURRENT_TIMESTAMP)
+             RETURNING id`,
+            [stocktakeId, product.id, code, serialized ? 1 : quantity, inScope(stocktake, product), stocktake.location_id]
+          );
+          itemId = inserted.rows[0].id;
+        }
+      }
+
+      await client.query('COMMIT');
+
+      const item = (await getStocktakeItems(pool, stocktakeId)).find(line => line.id === itemId);
+      res.json({
+        message: !product
+          ? `${code} does not match any product`
+          : item.state === 'unexpected' ? `${product.name} was not expected here` : `Counted ${product.name}`,
+        item
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Stocktake scan error:', error);
+    res.status(500).json({ message: 'Failed to record scan' });
+  }
+});
+
+// Set a line's count by hand, e.g. after counting a shelf of accessories
+router.put('/:id/items/:itemId', authenticateToken, requireAdmin, [
+  body('countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be 0 or more')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const countedQuantity = parseInt(req.body.countedQuantity);
+    const result = await query(`
+      UPDATE stocktake_items si
+      SET counted_quantity = $1, counted_at = CURRENT_TIMESTAMP
+      FROM stocktakes s
+      WHERE si.id = $2 AND si.stocktake_id = $3 AND s.id = si.stocktake_id AND s.status = 'open'
+        AND ($1 <= 1 OR NOT EXISTS (SELECT 1 FROM products p WHERE p.id = si.product_id AND p.category = 'smartphones'))
+      RETURNING si.id
+    `, [countedQuantity, parseInt(req.params.itemId), parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Line not found, stocktake closed, or more than one of a single phone' });
+    }
+    res.json({ message: 'Count updated' });
+  } catch (error) {
+    console.error('Update stocktake count error:', error);
+    res.status(500).json({ message: 'Failed to update count' });
+  }
+});
+
+// Post the differences as stock adjustments at the stocktake's location, all or nothing. Each product
+// moves by counted minus expected, so sales and deliveries during the count are kept, but never below zero.
+router.post('/:id/post', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const stocktakeId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const stocktakeResult = await client.query('SELECT * FROM stocktakes WHERE id = $1 FOR UPDATE', [stocktakeId]);
+      if (stocktakeResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ message: 'Stocktake not found' });
+      }
+      if (stocktakeResult.rows[0].status !== 'open') {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ message: `This stocktake is ${stocktakeResult.rows[0].status}` });
+      }
+
+      const items = (await getStocktakeItems(client, stocktakeId))
+        .filter(item => item.product_id !== null && item.variance !== 0);
+      const products = await lockProducts(client, items.map(item => item.product_id));
+      const locationId = stocktakeResult.rows[0].location_id;
+      const onHand = await getLocationQuantities(client, items.map(item => item.product_id), locationId);
+
+      const adjustments = [];
+      for (const item of items) {
+        const product = products.get(item.product_id);
+        const change = Math.max(item.variance, -(onHand.get(product.id) || 0));
+        if (change === 0) continue;
+        // A phone found here that the books hold at another location has been moved here
+        if (product.category === 'smartphones' && change > 0) {
+          const elsewhere = await client.query(
+            'SELECT location_id, quantity FROM location_stock WHERE product_id = $1 AND location_id <> $2 AND quantity > 0',
+            [product.id, locationId]
+          );
+          for (const row of elsewhere.rows) {
+            await adjustStock(client, product.id, -row.quantity, 'stocktake', {
+              stocktakeId,
+              locationId: row.location_id,
+              userId: req.user.id,
+              notes: `Found at another location in stocktake #${stocktakeId}`
+            });
+          }
+        }
+        const balance = await adjustStock(client, product.id, change, 'stocktake', {
+          stocktakeId,
+          locationId,
+          userId: req.user.id,
+          notes: `Expected ${item.expected_quantity}, counted ${item.counted_quantity}`
+        });
+        adjustments.push({ productId: product.id, name: product.name, change, stockQuantity: balance });
+      }
+
+      await client.query(
+        `UPDATE stocktakes SET status = 'posted', posted_by = $1, posted_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [req.user.id, stocktakeId]
+      );
+      await client.query('COMMIT');
+
+      res.json({
+        message: `Stocktake posted with ${adjustments.length} adjustment(s)`,
+        adjustments
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Post stocktake error:', error);
+    res.status(500).json({ message: 'Failed to post stocktake' });
+  }
+});
+
+// Abandon a count without touching stock
+router.post('/:id/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE stocktakes SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'open' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Only open stocktakes can be cancelled' });
+    }
+    res.json({ message: 'Stocktake cancelled' });
+  } catch (error) {
+    console.error('Cancel stocktake error:', error);
+    res.status(500).json({ message: 'Failed to cancel stocktake' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const supplierValidators = (required) => [
+  (required ? body('name') : body('name').optional()).isString().trim().isLength({ min: 2, max: 255 }).withMessage('Name must be between 2 and 255 characters'),
+  body('contactName').optional({ nullable: true }).isString().trim().isLength({ max: 255 }),
+  body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('Email must be valid'),
+  body('phone').optional({ nullable: true }).isString().trim().isLength({ max: 50 }),
+  body('address').optional({ nullable: true }).isString().trim(),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 })
+];
+
+// Request field -> column
+const SUPPLIER_FIELDS = {
+  name: 'name',
+  contactName: 'contact_name',
+  email: 'email',
+  phone: 'phone',
+  address: 'address',
+  notes: 'notes'
+};
+
+const isDuplicateName = (error) => error && error.code === '23505' && error.constraint === 'suppliers_name_key';
+
+// List suppliers with their open purchase orders (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const queryParams = [];
+    let whereClause = '';
+    if (search) {
+      queryParams.push(`%${search}%`);
+      whereClause = `WHERE s.name ILIKE $1 OR s.contact_name ILIKE $1 OR s.email ILIKE $1 OR s.phone ILIKE $1`;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) FROM suppliers s ${whereClause}`, queryParams);
+    const totalSuppliers = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalSuppliers / parseInt(limit));
+
+    const result = await query(`
+      SELECT s.*,
+             (SELECT COUNT(*) FROM purchase_orders po
+              WHERE po.supplier_id = s.id AND po.status IN ('draft', 'sent', 'partially_received'))::int as open_orders
+      FROM suppliers s
+      ${whereClause}
+      ORDER BY s.name
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      suppliers: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalSuppliers,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get suppliers error:', error);
+    res.status(500).json({ message: 'Failed to get suppliers' });
+  }
+});
+
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query('SELECT * FROM suppliers WHERE id = $1', [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get supplier error:', error);
+    res.status(500).json({ message: 'Failed to get supplier' });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, supplierValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const columns = [];
+    const values = [];
+    Object.entries(SUPPLIER_FIELDS).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) {
+        columns.push(column);
+        values.push(req.body[field] === '' ? null : req.body[field]);
+      }
+    });
+
+    const result = await query(
+      `INSERT INTO suppliers (${columns.join(', ')}) VALUES (${columns.map((_, index) => `$${index + 1}`).join(', ')}) RETURNING *`,
+      values
+    );
+
+    res.status(201).json({
+      message: 'Supplier created successfully',
+      supplier: result.rows[0]
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    console.error('Create supplier error:', error);
+    res.status(500).json({ message: 'Failed to create supplier' });
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, supplierValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = [];
+    const values = [];
+    Object.entries(SUPPLIER_FIELDS).forEach(([field, column]) => {
+      if (req.body[field] !== undefined) {
+        values.push(req.body[field] === '' ? null : req.body[field]);
+        updates.push(`${column} = $${values.length}`);
+      }
+    });
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No valid updates provided' });
+    }
+
+    values.push(parseInt(req.params.id));
+    const result = await query(
+      `UPDATE suppliers SET ${updates.join(', ')} WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Supplier not found' });
+    }
+
+    res.json({
+      message: 'Supplier updated successfully',
+      supplier: result.rows[0]
+    });
+  } catch (error) {
+    if (isDuplicateName(error)) {
+      return res.status(400).json({ message: 'A supplier with this name already exists' });
+    }
+    console.error('Update supplier error:', error);
+    res.status(500).json({ message: 'Failed to update supplier' });
+  }
+});
+
+// Suppliers with purchase orders are kept so the orders still say who they were placed with
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      DELETE FROM suppliers
+      WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM purchase_orders WHERE supplier_id = $1)
+      RETURNING id
+    `, [parseInt(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Supplier not found or has purchase orders' });
+    }
+    res.json({ message: 'Supplier deleted successfully' });
+  } catch (error) {
+    console.error('Delete supplier error:', error);
+    res.status(500).json({ message: 'Failed to delete supplier' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,482 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, pool } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { lockProducts, isStockConflict, getLocationQuantities, changeLocationStock, recordStockMovement } = require('../utils/stock');
+
+const router = express.Router();
+
+const TRANSFER_STATUSES = ['draft', 'sent', 'received', 'cancelled'];
+
+const transferValidators = (required) => [
+  (required ? body('fromLocationId') : body('fromLocationId').optional()).isInt({ min: 1 }).withMessage('From location is required'),
+  (required ? body('toLocationId') : body('toLocationId').optional()).isInt({ min: 1 }).withMessage('To location is required'),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  (required ? body('items') : body('items').optional()).isArray({ min: 1 }).withMessage('Add at least one product'),
+  body('items.*.productId').optional().isInt({ min: 1 }),
+  body('items.*.code').optional().isString().trim().isLength({ min: 1, max: 255 }),
+  body('items.*.quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+];
+
+// Load a transfer with its locations and lines, or null
+const getTransferDetails = async (transferId) => {
+  const transferResult = await query(`
+    SELECT t.*, fl.name as from_location_name, tl.name as to_location_name,
+           cb.name as created_by_name, sb.name as sent_by_name, rb.name as received_by_name
+    FROM stock_transfers t
+    JOIN locations fl ON t.from_location_id = fl.id
+    JOIN locations tl ON t.to_location_id = tl.id
+    LEFT JOIN users cb ON t.created_by = cb.id
+    LEFT JOIN users sb ON t.sent_by = sb.id
+    LEFT JOIN users rb ON t.received_by = rb.id
+    WHERE t.id = $1
+  `, [transferId]);
+  if (transferResult.rows.length === 0) return null;
+  const transfer = transferResult.rows[0];
+
+  const itemsResult = await query(`
+    SELECT ti.id, ti.product_id, ti.quantity, p.name, p.imei, p.barcode, p.category,
+           COALESCE(ls.quantity, 0)::int as available_quantity
+    FROM stock_transfer_items ti
+    JOIN products p ON ti.product_id = p.id
+    LEFT JOIN location_stock ls ON ls.product_id = ti.product_id AND ls.location_id = $2
+    WHERE ti.transfer_id = $1
+    ORDER BY p.category, p.name, ti.id
+  `, [transferId, transfer.from_location_id]);
+  transfer.items = itemsResult.rows;
+  return transfer;
+};
+
+// Resolve the requested lines (by product ID, or by scanned barcode/IMEI) to products.
+// A phone moves as a single unit; the same product listed twice is merged.
+// Returns { lines } or { error }.
+const resolveLines = async (db, items) => {
+  const lines = new Map();
+  for (const item of items) {
+    if (!item.productId && !item.code) {
+      return { error: 'Each line needs a product ID or a barcode/IMEI' };
+    }
+    const result = item.productId
+      ? await db.query('SELECT id, name, category FROM products WHERE id = $1', [parseInt(item.productId)])
+      : await db.query(
+        'SELECT id, name, category FROM products WHERE imei = $1 OR imei2 = $1 OR barcode = $1 ORDER BY (imei = $1 OR imei2 = $1) IS TRUE DESC, stock_quantity > 0 DESC LIMIT 1',
+        [String(item.code).trim()]
+      );
+    if (result.rows.length === 0) {
+      return { error: item.productId ? `Product ${item.productId} not found` : `No product matches ${item.code}` };
+    }
+    const product = result.rows[0];
+    const quantity = (lines.has(product.id) ? lines.get(product.id).quantity : 0) + (parseInt(item.quantity) || 1);
+    if (product.category === 'smartphones' && quantity > 1) {
+      return { error: `${product.name} is a single phone and can only be transferred once` };
+    }
+    lines.set(product.id, { productId: product.id, quantity });
+  }
+  return { lines: [...lines.values()] };
+};
+
+// Both locations must exist, be active and differ. Returns an error message or null.
+const checkLocations = async (db, fromLocationId, toLocationId) => {
+  if (fromLocationId === toLocationId) {
+    return 'Stock must be transferred to a different location';
+  }
+  const result = await db.query('SELECT id FROM locations WHERE id = ANY($1::int[]) AND active = true', [[fromLocationId, toLocationId]]);
+  return result.rows.length === 2 ? null : 'Location not found';
+};
+
+const insertLines = async (db, transferId, lines) => {
+  for (const line of lines) {
+    await db.query(
+      'INSERT INTO stock_transfer_items (transfer_id, product_id, quantity) VALUES ($1, $2, $3)',
+      [transferId, line.productId, line.quantity]
+    );
+  }
+};
+
+// List transfers, newest first; filter by status and by a location at either end (admin only)
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status = '', locationId = '' } = req.query;
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const whereConditions = [];
+    const queryParams = [];
+    if (TRANSFER_STATUSES.includes(status)) {
+      queryParams.push(status);
+      whereConditions.push(`t.status = $${queryParams.length}`);
+    }
+    if (locationId) {
+      queryParams.push(parseInt(locationId));
+      whereConditions.push(`(t.from_location_id = $${queryParams.length} OR t.to_location_id = $${queryParams.length})`);
+    }
+    const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+    const countResult = await query(`SELECT COUNT(*) FROM stock_transfers t ${whereClause}`, queryParams);
+    const totalTransfers = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalTransfers / parseInt(limit));
+
+    const result = await query(`
+      SELECT t.id, t.status, t.notes, t.created_at, t.sent_at, t.received_at, t.cancelled_at,
+             t.from_location_id, fl.name as from_location_name,
+             t.to_location_id, tl.name as to_location_name,
+             COUNT(ti.id)::int as lines,
+             COALESCE(SUM(ti.quantity), 0)::int as units
+      FROM stock_transfers t
+      JOIN locations fl ON t.from_location_id = fl.id
+      JOIN locations tl ON t.to_location_id = tl.id
+      LEFT JOIN stock_transfer_items ti ON ti.transfer_id = t.id
+      ${whereClause}
+      GROUP BY t.id, fl.name, tl.name
+      ORDER BY t.created_at DESC, t.id DESC
+      LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+    `, [...queryParams, parseInt(limit), offset]);
+
+    res.json({
+      transfers: result.rows,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages,
+        totalTransfers,
+        hasNext: parseInt(page) < totalPages,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Failed to get transfers' });
+  }
+});
+
+// Get a transfer with its lines and what the sending location holds of each
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const transfer = await getTransferDetails(parseInt(req.params.id));
+    if (!transfer) {
+      return res.status(404).json({ message: 'Transfer not found' });
+    }
+    res.json(transfer);
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({ message: 'Failed to get transfer' });
+  }
+});
+
+// Draft a transfer (admin only). Nothing moves until it is sent.
+router.post('/', authenticateToken, requireAdmin, transferValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const fromLocationId = parseInt(req.body.fromLocationId);
+    const toLocationId = parseInt(req.body.toLocationId);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const rollbackWith = async (status, message) => {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ message });
+      };
+
+      const locationError = await checkLocations(client, fromLocationId, toLocationId);
+      if (locationError) {
+        return rollbackWith(400, locationError);
+      }
+      const resolved = await resolveLines(client, req.body.items);
+      if (resolved.error) {
+        return rollbackWith(400, resolved.error);
+      }
+
+      const transferResult = await client.query(`
+        INSERT INTO stock_transfers (from_location_id, to_location_id, notes, created_by)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id
+      `, [fromLocationId, toLocationId, req.body.notes || null, req.user.id]);
+      const transferId = transferResult.rows[0].id;
+      await insertLines(client, transferId, resolved.lines);
+      await client.query('COMMIT');
+
+      res.status(201).json({
+        message: 'Transfer created successfully',
+        transferId
+      });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(500).json({ message: 'Failed to create transfer' });
+  }
+});
+
+// Change a draft transfer
+router.put('/:id', authenticateToken, requireAdmin, transferValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transferId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const rollbackWith = async (status, message) => {
+        await client.query('ROLLBACK');
+        return res.status(status).json({ message });
+      };
+
+      const transferResult = await client.query('SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE', [transferId]);
+      if (transferResult.rows.length === 0) {
+        return rollbackWith(404, 'Transfer not found');
+      }
+      const transfer = transferResult.rows[0];
+      if (transfer.status !== 'draft') {
+        return rollbackWith(400, 'Only draft transfers can be changed');
+      }
+
+      const fromLocationId = req.body.fromLocationId !== undefined ? parseInt(req.body.fromLocationId) : transfer.from_location_id;
+      const toLocationId = req.body.toLocationId !== undefined ? parseInt(req.body.toLocationId) : transfer.to_location_id;
+      const locationError = await checkLocations(client, fromLocationId, toLocationId);
+      if (locationError) {
+        return rollbackWith(400, locationError);
+      }
+
+      await client.query(
+        `UPDATE stock_transfers
+         SET from_location_id = $1, to_location_id = $2, notes = CASE WHEN $3::boolean THEN $4 ELSE notes END
+         WHERE id = $5`,
+        [fromLocationId, toLocationId, req.body.notes !== undefined, req.body.notes || null, transferId]
+      );
+
+      if (req.body.items) {
+        const resolved = await resolveLines(client, req.body.items);
+        if (resolved.error) {
+          return rollbackWith(400, resolved.error);
+        }
+        await client.query('DELETE FROM stock_transfer_items WHERE transfer_id = $1', [transferId]);
+        await insertLines(client, transferId, resolved.lines);
+      }
+
+      await client.query('COMMIT');
+      res.json({ message: 'Transfer updated successfully' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Update transfer error:', error);
+    res.status(500).json({ message: 'Failed to update transfer' });
+  }
+});
+
+// Lock a transfer for a status change. Returns the transfer, or null after responding.
+const lockTransfer = async (client, res, transferId, allowedStatuses) => {
+  const result = await client.query('SELECT * FROM stock_transfers WHERE id = $1 FOR UPDATE', [transferId]);
+  if (result.rows.length === 0) {
+    await client.query('ROLLBACK');
+    res.status(404).json({ message: 'Transfer not found' });
+    return null;
+  }
+  const transfer = result.rows[0];
+  if (!allowedStatuses.includes(transfer.status)) {
+    await client.query('ROLLBACK');
+    res.status(400).json({ message: `This transfer is ${transfer.status}` });
+    return null;
+  }
+  const items = await client.query('SELECT product_id, quantity FROM stock_transfer_items WHERE transfer_id = $1', [transferId]);
+  transfer.items = items.rows;
+  return transfer;
+};
+
+// Move a transfer line's units from a location into transit (to = null), or out of transit to a
+// location (from = null). Stock in transit stays in the product's total but is reserved, so nothing
+// can sell it; the ledger shows it leaving one place and arriving at the other at an unchanged
+// balance, with no location while in transit.
+const moveTransferStock = async (client, product, quantity, from, to, { transferId, userId, notes }) => {
+  const locationId = from || to;
+  await changeLocationStock(client, product.id, locationId, from ? -quantity : quantity);
+  await client.query(
+    'UPDATE products SET reserved_quantity = reserved_quantity + $1 WHERE id = $2',
+    [from ? quantity : -quantity, product.id]
+  );
+  for (const [movementLocationId, change] of [[from, -quantity], [to, quantity]]) {
+    await recordStockMovement(client, {
+      productId: product.id,
+      type: 'transfer',
+      quantity: change,
+      balanceAfter: product.stock_quantity,
+      locationId: movementLocationId,
+      transferId,
+      userId,
+      notes
+    });
+  }
+};
+
+// Send a draft: its stock leaves the sending location and is in transit until received.
+// Units other orders have reserved are not sent away.
+router.post('/:id/send', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const transferId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await lockTransfer(client, res, transferId, ['draft']);
+      if (!transfer) return;
+
+      const productIds = transfer.items.map(item => item.product_id);
+      const products = await lockProducts(client, productIds);
+      const available = await getLocationQuantities(client, productIds, transfer.from_location_id);
+      for (const item of transfer.items) {
+        const product = products.get(item.product_id);
+        if (product.stock_status === 'disabled') {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ message: `Product ${product.name} is not available` });
+        }
+        if ((available.get(product.id) || 0) < item.quantity || product.stock_quantity - product.reserved_quantity < item.quantity) {
+          await client.query('ROLLBACK');
+          return res.status(409).json({ message: `Insufficient stock for ${product.name} at the sending location` });
+        }
+      }
+
+      for (const item of transfer.items) {
+        await moveTransferStock(client, products.get(item.product_id), item.quantity, transfer.from_location_id, null, {
+          transferId,
+          userId: req.user.id,
+          notes: `Transfer #${transferId} sent`
+        });
+      }
+      await client.query(
+        `UPDATE stock_transfers SET status = 'sent', sent_by = $1, sent_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [req.user.id, transferId]
+      );
+      await client.query('COMMIT');
+
+      res.json({ message: 'Transfer sent' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    if (isStockConflict(error)) {
+      return res.status(409).json({ message: 'Stock changed while the transfer was being sent. Please try again.' });
+    }
+    console.error('Send transfer error:', error);
+    res.status(500).json({ message: 'Failed to send transfer' });
+  }
+});
+
+// Receive a sent transfer: its stock joins the receiving location and can be sold again
+router.post('/:id/receive', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const transferId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await lockTransfer(client, res, transferId, ['sent']);
+      if (!transfer) return;
+
+      const products = await lockProducts(client, transfer.items.map(item => item.product_id));
+      for (const item of transfer.items) {
+        await moveTransferStock(client, products.get(item.product_id), item.quantity, null, transfer.to_location_id, {
+          transferId,
+          userId: req.user.id,
+          notes: `Transfer #${transferId} received`
+        });
+      }
+      await client.query(
+        `UPDATE stock_transfers SET status = 'received', received_by = $1, received_at = CURRENT_TIMESTAMP WHERE id = $2`,
+        [req.user.id, transferId]
+      );
+      await client.query('COMMIT');
+
+      res.json({ message: 'Transfer received' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Receive transfer error:', error);
+    res.status(500).json({ message: 'Failed to receive transfer' });
+  }
+});
+
+// Cancel a draft, or a sent transfer that never arrived, which puts its stock back where it came from
+router.post('/:id/cancel', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const transferId = parseInt(req.params.id);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const transfer = await lockTransfer(client, res, transferId, ['draft', 'sent']);
+      if (!transfer) return;
+
+      if (transfer.status === 'sent') {
+        const products = await lockProducts(client, transfer.items.map(item => item.product_id));
+        for (const item of transfer.items) {
+          await moveTransferStock(client, products.get(item.product_id), item.quantity, null, transfer.from_location_id, {
+            transferId,
+            userId: req.user.id,
+            notes: `Transfer #${transferId} cancelled`
+          });
+        }
+      }
+      await client.query(
+        `UPDATE stock_transfers SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [transferId]
+      );
+      await client.query('COMMIT');
+
+      res.json({ message: 'Transfer cancelled' });
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({ message: 'Failed to cancel transfer' });
+  }
+});
+
+// Only drafts can be deleted; anything sent is kept for the record
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(
+      `DELETE FROM stock_transfers WHERE id = $1 AND status = 'draft' RETURNING id`,
+      [parseInt(req.params.id)]
+    );
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'Transfer not found or already sent' });
+    }
+    res.json({ message: 'Transfer deleted successfully' });
+  } catch (error) {
+    console.error('Delete transfer error:', error);
+    res.status(500).json({ message: 'Failed to delete transfer' });
+  }
+});
+
+module.exports = router;
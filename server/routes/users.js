@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query, run, get } = require('../database/connection');
+const { query, run, get, pool } = require('../database/connection');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { getOrderTransitions } = require('../utils/orderLifecycle');
+const { userFilters, whereClause } = require('../utils/listFilters');
 
 const router = express.Router();
 
@@ -96,14 +98,13 @@ router.get('/:id/profile', authenticateToken, requireAdmin, async (req, res) =>
 
     const allOrders = financialOrdersResult.rows;
 
-    // Calculate revenue separated by currency (EUR for smartphones, MKD for others)
+    // Calculate revenue separated by the currency each line was sold in
     const revenueByCurrencyResult = await query(`
       SELECT 
-        COALESCE(SUM(CASE WHEN p.category = 'smartphones' THEN oi.quantity * oi.price ELSE 0 END), 0) as eur_revenue,
-        COALESCE(SUM(CASE WHEN p.category != 'smartphones' THEN oi.quantity * oi.price ELSE 0 END), 0) as mkd_revenue
+        COALESCE(SUM(CASE WHEN oi.currency = 'EUR' THEN oi.quantity * oi.price ELSE 0 END), 0) as eur_revenue,
+        COALESCE(SUM(CASE WHEN oi.currency = 'MKD' THEN oi.quantity * oi.price ELSE 0 END), 0) as mkd_revenue
       FROM orders o
       JOIN order_items oi ON o.id = oi.order_id
-      JOIN products p ON oi.product_id = p.id
       WHERE o.client_id = $1 AND o.status = 'completed'
     `, [userId]);
 
@@ -113,7 +114,9 @@ router.get('/:id/profile', authenticateToken, requireAdmin, async (req, res) =>
     // Calculate financial summary from ALL orders
     const completedOrders = allOrders.filter(order => order.status === 'completed');
     const pendingOrders = allOrders.filter(order => order.status === 'pending');
+    const approvedOrders = allOrders.filter(order => order.status === 'approved');
     const shippedOrders = allOrders.filter(order => order.status === 'shipped');
+    const cancelledOrders = allOrders.filter(order => order.status === 'cancelled');
 
     const totalPaid = completedOrders.reduce((sum, order) => sum + parseFloat(order.total_amount || 0), 0);
     
@@ -147,12 +150,13 @@ router.get('/:id/profile', authenticateToken, requireAdmin, async (req, res) =>
     const mkdDebt = clampNonNegative(-mkdSum);
     const totalDebt = clampNonNegative(eurDebt + mkdDebt);
     // Get order items for each order (batched to avoid N+1 queries)
-    let ordersWithItems = orders.map(o => ({ ...o, items: [] }));
+    const transitions = await getOrderTransitions(pool);
+    let ordersWithItems = orders.map(o => ({ ...o, items: [], allowed_transitions: transitions[o.status] || [] }));
     try {
       const orderIds = orders.map(o => o.id);
       if (orderIds.length > 0) {
         const itemsRes = await query(`
-          SELECT oi.order_id, oi.quantity, oi.price, p.name AS product_name, p.category
+          SELECT oi.order_id, oi.quantity, oi.price, oi.currency, p.name AS product_name, p.category
           FROM order_items oi
           JOIN products p ON oi.product_id = p.id
           WHERE oi.order_id = ANY($1::int[])
@@ -165,13 +169,15 @@ router.get('/:id/profile', authenticateToken, requireAdmin, async (req, res) =>
             quantity: row.quantity,
             price: row.price,
             product_name: row.product_name,
-            category: row.category
+            category: row.category,
+            currency: row.currency
           });
         });
 
         ordersWithItems = orders.map(order => ({
           ...order,
-          items: itemsByOrderId.get(order.id) || []
+          items: itemsByOrderId.get(order.id) || [],
+          allowed_transitions: transitions[order.status] || []
         }));
       }
     } catch (itemError) {
@@ -192,7 +198,9 @@ router.get('/:id/profile', authenticateToken, requireAdmin, async (req, res) =>
         totalOrders,
         completedOrders: completedOrders.length,
         pendingOrders: pendingOrders.length,
-        shippedOrders: shippedOrders.length
+        approvedOrders: approvedOrders.length,
+        shippedOrders: shippedOrders.length,
+        cancelledOrders: cancelledOrders.length
       }
     });
   } catch (error) {
@@ -277,32 +285,15 @@ router.put('/:id', [
 // Get all users (admin only)
 router.get('/', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { page = 1, limit = 10, search = '', role = '' } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const offset = (page - 1) * limit;
 
     let queryText = 'SELECT id, name, email, phone, role, created_at FROM users';
     let countQuery = 'SELECT COUNT(*) FROM users';
-    let queryParams = [];
-    let paramCount = 1;
-    let whereConditions = [];
-
-    if (search) {
-      whereConditions.push(`name ILIKE $${paramCount}`);
-      queryParams.push(`%${search}%`);
-      paramCount++;
-    }
-
-    if (role) {
-      whereConditions.push(`role = $${paramCount}`);
-      queryParams.push(role);
-      paramCount++;
-    }
-
-    if (whereConditions.length > 0) {
-      const whereClause = ' WHERE ' + whereConditions.join(' AND ');
-      queryText += whereClause;
-      countQuery += whereClause;
-    }
+    const { conditions: whereConditions, params: queryParams } = userFilters(req.query);
+    const paramCount = queryParams.length + 1;
+    queryText += whereClause(whereConditions);
+    countQuery += whereClause(whereConditions);
 
     queryText += ` ORDER BY created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
     queryParams.push(limit, offset);
@@ -399,7 +390,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
     const debtResult = await query(`
       SELECT COUNT(*) as unpaid_count
       FROM orders 
-      WHERE client_id = $1 AND status != 'completed'
+      WHERE client_id = $1 AND status NOT IN ('completed', 'cancelled')
     `, [userId]);
     
     const unpaidOrders = parseInt(debtResult.rows[0].unpaid_count);
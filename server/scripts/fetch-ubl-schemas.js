@@ -0,0 +1,47 @@
+/*
+  Usage: node server/scripts/fetch-ubl-schemas.js
+  Downloads the OASIS UBL 2.1 schemas the tests validate invoices against into
+  server/tests/schemas/ubl-2.1 (common/ and maindoc/UBL-Invoice-2.1.xsd).
+  Does nothing when they are already there; `npm test` skips the schema checks until it has run.
+*/
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('../utils/zip');
+
+const UBL_ZIP_URL = 'https://docs.oasis-open.org/ubl/os-UBL-2.1/UBL-2.1.zip';
+const SCHEMA_DIR = path.join(__dirname, '../tests/schemas/ubl-2.1');
+const INVOICE_SCHEMA = path.join(SCHEMA_DIR, 'maindoc/UBL-Invoice-2.1.xsd');
+
+// The Invoice schema and the common schemas it imports, by their path under xsd/
+const schemaPath = (name) => {
+  const match = name.match(/(?:^|\/)xsd\/(common\/[^/]+\.xsd|maindoc\/UBL-Invoice-2\.1\.xsd)$/);
+  return match ? match[1] : null;
+};
+
+async function main() {
+  if (fs.existsSync(INVOICE_SCHEMA)) {
+    return;
+  }
+
+  console.log(`📥 Downloading UBL 2.1 schemas from ${UBL_ZIP_URL}`);
+  const response = await fetch(UBL_ZIP_URL);
+  if (!response.ok) {
+    throw new Error(`Download failed with HTTP ${response.status}`);
+  }
+  const files = readZip(Buffer.from(await response.arrayBuffer()), name => schemaPath(name) !== null);
+
+  for (const [name, data] of files) {
+    const target = path.join(SCHEMA_DIR, schemaPath(name));
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  }
+  if (!fs.existsSync(INVOICE_SCHEMA)) {
+    throw new Error('UBL-Invoice-2.1.xsd was not in the download');
+  }
+  console.log(`✅ Saved ${files.size} schema files to ${SCHEMA_DIR}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Could not fetch the UBL 2.1 schemas:', error.message);
+  process.exit(1);
+});
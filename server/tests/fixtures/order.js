@@ -0,0 +1,90 @@
+// One fixed order, as loadInvoice and loadReceipt return it, for the document tests.
+// Dates are local time so the output is the same in every time zone.
+
+const settings = {
+  company_name: 'Mobile & Co',
+  company_address: 'Partizanska 12',
+  company_city_state: 'Skopje 1000',
+  company_phone: '+389 2 123 456',
+  company_email: 'shop@example.com'
+};
+
+const order = {
+  id: 1042,
+  status: 'completed',
+  created_at: new Date('2026-03-14T10:30:00'),
+  invoice_number: 'INV-2026-00017',
+  eur_discount: '10.00',
+  mkd_discount: '0.00',
+  discount_reason: 'loyal_customer',
+  invoice_currency: 'EUR',
+  client_name: null,
+  client_email: null,
+  guest_name: 'Марија Петровска',
+  guest_email: 'marija@example.com',
+  guest_phone: '+389 70 111 222'
+};
+
+// A phone at the standard rate and two cases at the reduced rate; prices include VAT
+const items = [
+  {
+    quantity: 1,
+    price: '590.00',
+    currency: 'EUR',
+    list_price: '600.00',
+    discount_amount: '10.00',
+    tax_rate: '18.00',
+    tax_amount: '90.00',
+    product_name: 'iPhone 15 128GB Black',
+    category: 'smartphones',
+    subcategory: 'iPhone',
+    model: '15',
+    storage_gb: '128GB',
+    color: 'Black'
+  },
+  {
+    quantity: 2,
+    price: '21.00',
+    currency: 'EUR',
+    list_price: '21.00',
+    discount_amount: '0.00',
+    tax_rate: '5.00',
+    tax_amount: '2.00',
+    product_name: 'Silicone Case <Clear>',
+    category: 'accessories',
+    subcategory: 'Cases',
+    model: null,
+    storage_gb: null,
+    color: null
+  }
+];
+
+const invoice = {
+  order,
+  items,
+  discountTotals: { EUR: 10, MKD: 0 },
+  conversions: [],
+  invoiceCurrency: 'EUR',
+  invoiceNumber: order.invoice_number
+};
+
+const receipt = {
+  order,
+  items,
+  payments: [
+    { method: 'cash', currency: 'EUR', amount: '600.00', tendered_amount: '620.00', change_due: '20.00' }
+  ],
+  settings,
+  summary: {
+    due: { EUR: 632, MKD: 0 },
+    paid: { EUR: 600, MKD: 0 },
+    remaining: { EUR: 32, MKD: 0 },
+    fullyPaid: false
+  }
+};
+
+module.exports = {
+  settings,
+  invoice,
+  receipt
+};
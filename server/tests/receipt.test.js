@@ -0,0 +1,38 @@
+// ESC/POS receipts are compared byte for byte with stored snapshots.
+// After an intended layout change, rewrite them with UPDATE_SNAPSHOTS=1 npm test and review the diff.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { RECEIPT_COLUMNS, buildReceiptLines, renderEscPos } = require('../utils/receipt');
+const { receipt } = require('./fixtures/order');
+
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+
+// Snapshots are stored as hex, 32 bytes a line, so a change shows up in a readable diff
+const toHex = (buffer) => (buffer.toString('hex').match(/.{1,64}/g) || []).join('\n') + '\n';
+
+const matchSnapshot = (name, buffer) => {
+  const file = path.join(SNAPSHOT_DIR, name);
+  if (process.env.UPDATE_SNAPSHOTS) {
+    fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    fs.writeFileSync(file, toHex(buffer));
+  }
+  assert.ok(fs.existsSync(file), `No snapshot ${name}; run with UPDATE_SNAPSHOTS=1 to create it`);
+  assert.strictEqual(toHex(buffer), fs.readFileSync(file, 'utf8'));
+};
+
+Object.keys(RECEIPT_COLUMNS).forEach(paperWidth => {
+  test(`ESC/POS receipt on ${paperWidth}mm paper matches its snapshot`, () => {
+    const bytes = renderEscPos(buildReceiptLines(receipt, RECEIPT_COLUMNS[paperWidth]));
+    matchSnapshot(`receipt-${paperWidth}mm.escpos.hex`, bytes);
+  });
+});
+
+test('ESC/POS receipt starts with initialise and ends with feed and cut', () => {
+  const bytes = renderEscPos(buildReceiptLines(receipt, RECEIPT_COLUMNS[80]));
+  assert.deepStrictEqual([...bytes.subarray(0, 2)], [0x1b, 0x40]);
+  assert.deepStrictEqual([...bytes.subarray(-7)], [0x1b, 0x64, 4, 0x1d, 0x56, 66, 0]);
+  assert.ok(bytes.every(byte => byte < 0x80), 'receipt has bytes outside ASCII');
+});
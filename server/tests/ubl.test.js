@@ -0,0 +1,60 @@
+// UBL invoices must pass the OASIS UBL 2.1 Invoice schema. It is not kept in the repository:
+// `npm run fetch-ubl-schemas` downloads it, and until then the schema checks are skipped.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateXML, memoryPages } = require('xmllint-wasm');
+const { buildUblInvoice } = require('../utils/ubl');
+const { settings, invoice } = require('./fixtures/order');
+
+const SCHEMA_DIR = path.join(__dirname, 'schemas/ubl-2.1');
+const schemaCheck = {
+  skip: fs.existsSync(path.join(SCHEMA_DIR, 'maindoc/UBL-Invoice-2.1.xsd'))
+    ? false
+    : 'UBL 2.1 schemas not found; run npm run fetch-ubl-schemas to download them'
+};
+
+const readSchema = (name) => ({
+  fileName: name,
+  contents: fs.readFileSync(path.join(SCHEMA_DIR, name), 'utf8')
+});
+
+const validateInvoice = (xml) => validateXML({
+  xml: { fileName: 'invoice.xml', contents: xml },
+  schema: readSchema('maindoc/UBL-Invoice-2.1.xsd'),
+  // The Invoice schema imports these as ../common/...
+  preload: fs.readdirSync(path.join(SCHEMA_DIR, 'common')).map(name => readSchema(`common/${name}`)),
+  maxMemoryPages: 256 * memoryPages.MiB
+});
+
+test('UBL invoice is valid against the UBL 2.1 Invoice schema', schemaCheck, async () => {
+  const result = await validateInvoice(buildUblInvoice(invoice, settings));
+  assert.deepStrictEqual(result.errors.map(error => error.rawMessage), []);
+  assert.strictEqual(result.valid, true);
+});
+
+test('UBL invoice without a discount, VAT or customer contact is still valid', schemaCheck, async () => {
+  const items = invoice.items.map(item => ({ ...item, tax_rate: null, tax_amount: null }));
+  const order = { ...invoice.order, guest_name: null, guest_email: null, guest_phone: null };
+  const xml = buildUblInvoice({ ...invoice, order, items, discountTotals: { EUR: 0, MKD: 0 } }, {
+    company_name: settings.company_name
+  });
+  const result = await validateInvoice(xml);
+  assert.deepStrictEqual(result.errors.map(error => error.rawMessage), []);
+});
+
+test('UBL invoice that breaks the schema is reported', schemaCheck, async () => {
+  const xml = buildUblInvoice(invoice, settings).replace('<cbc:IssueDate>2026-03-14</cbc:IssueDate>', '<cbc:IssueDate>14.03.2026</cbc:IssueDate>');
+  const result = await validateInvoice(xml);
+  assert.strictEqual(result.valid, false);
+});
+
+test('UBL invoice totals are net of the VAT in the shelf prices', () => {
+  const xml = buildUblInvoice(invoice, settings);
+  assert.match(xml, /<cbc:LineExtensionAmount currencyID="EUR">540\.00<\/cbc:LineExtensionAmount>/);
+  assert.match(xml, /<cbc:TaxAmount currencyID="EUR">92\.00<\/cbc:TaxAmount>/);
+  assert.match(xml, /<cbc:PayableAmount currencyID="EUR">632\.00<\/cbc:PayableAmount>/);
+  assert.match(xml, /<cbc:Name>Mobile &amp; Co<\/cbc:Name>/);
+});
@@ -0,0 +1,209 @@
+// Till sessions: expected drawer cash and the Z-report for a shift
+
+const { PAYMENT_CURRENCIES, round2 } = require('./payments');
+const { METHOD_LABELS, formatDateTime, wrap, pair } = require('./receipt');
+
+const MOVEMENT_TYPES = ['payout', 'pay_in'];
+
+const perCurrency = (fn) => Object.fromEntries(PAYMENT_CURRENCIES.map(currency => [currency, fn(currency)]));
+
+// Everything taken during a session. Cash expected in the drawer is the float, plus cash kept from
+// sales (tendered less change), plus pay-ins, less cash refunds and payouts. Returns null if not found.
+const buildZReport = async (db, sessionId) => {
+  const sessionResult = await db.query(`
+    SELECT cs.*, ob.name as opened_by_name, cb.name as closed_by_name
+    FROM cash_sessions cs
+    LEFT JOIN users ob ON cs.opened_by = ob.id
+    LEFT JOIN users cb ON cs.closed_by = cb.id
+    WHERE cs.id = $1
+  `, [sessionId]);
+  if (sessionResult.rows.length === 0) return null;
+  const session = sessionResult.rows[0];
+
+  const [salesResult, discountsResult, tendersResult, refundsResult, movementsResult] = await Promise.all([
+    db.query(`
+      SELECT p.category, oi.currency, SUM(oi.quantity) as quantity, SUM(oi.quantity * oi.price) as total
+      FROM order_items oi
+      JOIN orders o ON oi.order_id = o.id
+      JOIN products p ON oi.product_id = p.id
+      WHERE o.cash_session_id = $1 AND o.status != 'cancelled'
+      GROUP BY p.category, oi.currency
+      ORDER BY p.category, oi.currency
+    `, [sessionId]),
+    db.query(`
+      SELECT COALESCE(discount_reason, 'none') as reason, COUNT(*) as orders,
+             COALESCE(SUM(eur_discount), 0) as eur, COALESCE(SUM(mkd_discount), 0) as mkd
+      FROM orders
+      WHERE cash_session_id = $1 AND status != 'cancelled' AND (eur_discount > 0 OR mkd_discount > 0)
+      GROUP BY discount_reason
+      ORDER BY discount_reason
+    `, [sessionId]),
+    db.query(`
+      SELECT method, currency, COUNT(*) as count, SUM(amount) as amount, SUM(change_due) as change_given
+      FROM order_payments
+      WHERE cash_session_id = $1
+      GROUP BY method, currency
+      ORDER BY method, currency
+    `, [sessionId]),
+    db.query(`
+      SELECT method, currency, COUNT(*) as count, SUM(amount) as amount
+      FROM order_refunds
+      WHERE cash_session_id = $1
+      GROUP BY method, currency
+      ORDER BY method, currency
+    `, [sessionId]),
+    db.query(`
+      SELECT m.id, m.type, m.currency, m.amount, m.reason, m.created_at, u.name as created_by_name
+      FROM cash_session_movements m
+      LEFT JOIN users u ON m.created_by = u.id
+      WHERE m.session_id = $1
+      ORDER BY m.created_at, m.id
+    `, [sessionId])
+  ]);
+
+  const sales = salesResult.rows.map(row => ({
+    category: row.category,
+    currency: row.currency,
+    quantity: parseInt(row.quantity),
+    total: round2(row.total)
+  }));
+  const discounts = discountsResult.rows.map(row => ({
+    reason: row.reason,
+    orders: parseInt(row.orders),
+    EUR: round2(row.eur),
+    MKD: round2(row.mkd)
+  }));
+  const tenders = tendersResult.rows.map(row => ({
+    method: row.method,
+    currency: row.currency,
+    count: parseInt(row.count),
+    amount: round2(row.amount),
+    change: round2(row.change_given)
+  }));
+  const refunds = refundsResult.rows.map(row => ({
+    method: row.method,
+    currency: row.currency,
+    count: parseInt(row.count),
+    amount: round2(row.amount)
+  }));
+  const movements = movementsResult.rows.map(row => ({ ...row, amount: round2(row.amount) }));
+
+  const sum = (rows, currency, filter = () => true) => round2(rows
+    .filter(row => row.currency === currency && filter(row))
+    .reduce((total, row) => total + row.amount, 0));
+
+  const openingFloat = perCurrency(currency => round2(session[`opening_float_${currency.toLowerCase()}`]));
+  const cash = perCurrency(currency => ({
+    float: openingFloat[currency],
+    sales: sum(tenders, currency, row => row.method === 'cash'),
+    refunds: sum(refunds, currency, row => row.method === 'cash'),
+    payIns: sum(movements, currency, row => row.type === 'pay_in'),
+    payouts: sum(movements, currency, row => row.type === 'payout')
+  }));
+  const expected = perCurrency(currency => round2(
+    cash[currency].float + cash[currency].sales + cash[currency].payIns - cash[currency].refunds - cash[currency].payouts
+  ));
+
+  // A closed session keeps what was expected when it was counted
+  const closed = session.status === 'closed';
+  const counted = closed ? perCurrency(currency => round2(session[`counted_${currency.toLowerCase()}`])) : null;
+  const expectedAtClose = closed ? perCurrency(currency => round2(session[`expected_${currency.toLowerCase()}`])) : expected;
+  const overShort = closed ? perCurrency(currency => round2(counted[currency] - expectedAtClose[currency])) : null;
+
+  return {
+    session,
+    sales,
+    salesTotals: perCurrency(currency => round2(sales
+      .filter(row => row.currency === currency)
+      .reduce((total, row) => total + row.total, 0))),
+    discounts,
+    tenders,
+    refunds,
+    movements,
+    cash,
+    expected: expectedAtClose,
+    counted,
+    overShort
+  };
+};
+
+// Z-report as receipt lines, so it prints on the same thermal printer as receipts
+const buildZReportLines = (report, companyName, columns) => {
+  const { session } = report;
+  const lines = [];
+  const add = (text, options = {}) => lines.push({ text, align: 'left', ...options });
+  const rule = () => add('-'.repeat(columns));
+  const heading = (text) => add(text, { bold: true });
+  const signed = (amount) => `${amount > 0 ? '+' : ''}${amount.toFixed(2)}`;
+
+  wrap(companyName, Math.floor(columns / 2)).forEach(text => add(text, { align: 'center', bold: true, large: true }));
+  add(session.status === 'closed' ? 'Z-REPORT' : 'X-REPORT (session still open)', { align: 'center', bold: true });
+  rule();
+  add(pair(`Session #${session.id}`, session.register_name || '', columns));
+  add(pair('Opened', `${formatDateTime(session.opened_at)} ${session.opened_by_name || ''}`.trim(), columns));
+  if (session.closed_at) {
+    add(pair('Closed', `${formatDateTime(session.closed_at)} ${session.closed_by_name || ''}`.trim(), columns));
+  }
+  rule();
+
+  heading('SALES BY CATEGORY');
+  report.sales.forEach(row => {
+    add(pair(`${row.category} x${row.quantity}`, `${row.total.toFixed(2)} ${row.currency}`, columns));
+  });
+  PAYMENT_CURRENCIES.forEach(currency => {
+    if (report.salesTotals[currency] > 0) {
+      add(pair(`Total ${currency}`, report.salesTotals[currency].toFixed(2), columns), { bold: true });
+    }
+  });
+  rule();
+
+  heading('TENDERS');
+  report.tenders.forEach(row => {
+    add(pair(`${METHOD_LABELS[row.method] || row.method} ${row.currency} (${row.count})`, row.amount.toFixed(2), columns));
+  });
+  if (report.refunds.length > 0) {
+    heading('REFUNDS');
+    report.refunds.forEach(row => {
+      add(pair(`${METHOD_LABELS[row.method] || row.method} ${row.currency} (${row.count})`, `-${row.amount.toFixed(2)}`, columns));
+    });
+  }
+  if (report.discounts.length > 0) {
+    heading('DISCOUNTS');
+    report.discounts.forEach(row => {
+      PAYMENT_CURRENCIES.filter(currency => row[currency] > 0).forEach(currency => {
+        add(pair(`${row.reason.replace(/_/g, ' ')} ${currency} (${row.orders})`, `-${row[currency].toFixed(2)}`, columns));
+      });
+    });
+  }
+  if (report.movements.length > 0) {
+    heading('PAYOUTS / PAY-INS');
+    report.movements.forEach(row => {
+      add(pair(row.reason, `${row.type === 'payout' ? '-' : '+'}${row.amount.toFixed(2)} ${row.currency}`, columns));
+    });
+  }
+  rule();
+
+  PAYMENT_CURRENCIES.forEach(currency => {
+    const cash = report.cash[currency];
+    heading(`CASH ${currency}`);
+    add(pair('Opening float', cash.float.toFixed(2), columns));
+    add(pair('Cash sales', `+${cash.sales.toFixed(2)}`, columns));
+    add(pair('Cash refunds', `-${cash.refunds.toFixed(2)}`, columns));
+    add(pair('Pay-ins', `+${cash.payIns.toFixed(2)}`, columns));
+    add(pair('Payouts', `-${cash.payouts.toFixed(2)}`, columns));
+    add(pair('Expected', report.expected[currency].toFixed(2), columns), { bold: true });
+    if (report.counted) {
+      add(pair('Counted', report.counted[currency].toFixed(2), columns));
+      const difference = report.overShort[currency];
+      add(pair(difference < 0 ? 'Short' : 'Over', signed(difference), columns), { bold: true });
+    }
+  });
+  rule();
+  return lines;
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  buildZReport,
+  buildZReportLines
+};
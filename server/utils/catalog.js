@@ -0,0 +1,64 @@
+// Product catalog rules from settings: the subcategories and smartphone models a product can have,
+// shared by the product form, spreadsheet imports and purchase order receiving.
+
+const crypto = require('crypto');
+
+// Same 15-character barcode the Inventory screen generates for new products
+const BARCODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const generateBarcode = () => Array.from(crypto.randomBytes(15), byte => BARCODE_CHARS[byte % BARCODE_CHARS.length]).join('');
+
+// Storages are matched as text, so "128" and "128GB " are told apart but case and spacing are not
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const loadCatalog = async (db) => {
+  const result = await db.query('SELECT smartphone_subcategories, accessory_subcategories, smartphone_models FROM settings ORDER BY id LIMIT 1');
+  const row = result.rows[0] || {};
+  return {
+    smartphoneSubcategories: Array.isArray(row.smartphone_subcategories) ? row.smartphone_subcategories : [],
+    accessorySubcategories: Array.isArray(row.accessory_subcategories) ? row.accessory_subcategories : [],
+    smartphoneModels: Array.isArray(row.smartphone_models) ? row.smartphone_models : []
+  };
+};
+
+// The first field that does not fit the catalog, as { field, message }, or null when the product fits
+const checkCatalogFields = (catalog, { category, subcategory, model, storage_gb, color }) => {
+  if (subcategory && subcategory !== '') {
+    const allowed = category === 'smartphones' ? catalog.smartphoneSubcategories : catalog.accessorySubcategories;
+    if (!allowed.includes(subcategory)) {
+      return { field: 'subcategory', message: 'Invalid subcategory for selected category' };
+    }
+  }
+
+  if (category === 'smartphones' && model) {
+    const foundModel = catalog.smartphoneModels.find(m => m.name === model);
+    if (!foundModel) {
+      return { field: 'model', message: 'Invalid smartphone model' };
+    }
+    const modelStorages = Array.isArray(foundModel.storages) ? foundModel.storages.map(normalize) : [];
+    if (storage_gb && !modelStorages.includes(normalize(storage_gb))) {
+      return { field: 'storage_gb', message: 'Invalid storage for selected model' };
+    }
+    const modelColors = Array.isArray(foundModel.colors) ? foundModel.colors : [];
+    if (color && !modelColors.includes(color)) {
+      return { field: 'color', message: 'Invalid color for selected model' };
+    }
+  }
+  return null;
+};
+
+// A model's sale price for a storage: its storage price when it has one, else the model price
+const modelPrice = (model, storage) => {
+  const storagePrices = model.storage_prices && typeof model.storage_prices === 'object' ? model.storage_prices : {};
+  return storage !== undefined && storage !== null && storagePrices[storage] !== undefined ? storagePrices[storage] : model.price;
+};
+
+const smartphoneName = ({ subcategory, model, storage_gb, color }) => [subcategory, model, storage_gb, color].filter(Boolean).join(' ') || 'Smartphone';
+
+module.exports = {
+  generateBarcode,
+  normalize,
+  loadCatalog,
+  checkCatalogFields,
+  modelPrice,
+  smartphoneName
+};
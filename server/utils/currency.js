@@ -0,0 +1,53 @@
+// Currencies and exchange rates: products carry their own currency and reports convert
+// to the base currency at the rate in effect on the day of the sale
+
+const { PAYMENT_CURRENCIES, round2 } = require('./payments');
+
+const CURRENCIES = PAYMENT_CURRENCIES;
+const DEFAULT_BASE_CURRENCY = 'MKD';
+
+const getBaseCurrency = async (db) => {
+  const result = await db.query('SELECT base_currency FROM settings ORDER BY id LIMIT 1');
+  return result.rows[0]?.base_currency || DEFAULT_BASE_CURRENCY;
+};
+
+// All rates, newest effective date first, for repeated lookups within one request
+const loadExchangeRates = async (db) => {
+  const result = await db.query(
+    'SELECT from_currency, to_currency, rate, effective_date FROM exchange_rates ORDER BY effective_date DESC, id DESC'
+  );
+  return result.rows.map(row => ({
+    from: row.from_currency,
+    to: row.to_currency,
+    rate: parseFloat(row.rate),
+    effectiveDate: new Date(row.effective_date)
+  }));
+};
+
+// Rate to multiply an amount in `from` by to get `to`, using the latest rate effective on `date`.
+// A rate entered the other way round is inverted. Returns null when no rate applies.
+const findExchangeRate = (rates, from, to, date = new Date()) => {
+  if (from === to) return 1;
+  const at = new Date(date);
+  for (const rate of rates) {
+    if (rate.effectiveDate > at) continue;
+    if (rate.from === from && rate.to === to) return rate.rate;
+    if (rate.from === to && rate.to === from) return 1 / rate.rate;
+  }
+  return null;
+};
+
+// Convert an amount, or return null when there is no rate for that day
+const convertAmount = (rates, amount, from, to, date) => {
+  const rate = findExchangeRate(rates, from, to, date);
+  return rate === null ? null : round2(parseFloat(amount) * rate);
+};
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_BASE_CURRENCY,
+  getBaseCurrency,
+  loadExchangeRates,
+  findExchangeRate,
+  convertAmount
+};
@@ -0,0 +1,108 @@
+// Line and order discounts: net prices, EUR/MKD totals and the manager approval limit
+
+const bcrypt = require('bcryptjs');
+const { PAYMENT_CURRENCIES, round2 } = require('./payments');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const DISCOUNT_REASONS = ['negotiated', 'loyalty', 'promotion', 'price_match', 'damaged_packaging', 'staff', 'other'];
+
+// Per-unit discount for a line-level discount, never more than the price itself
+const unitDiscount = (price, type, value) => {
+  const amount = parseFloat(value) || 0;
+  if (!type || amount <= 0) return 0;
+  const discount = type === 'percent' ? price * Math.min(amount, 100) / 100 : amount;
+  return round2(Math.min(discount, price));
+};
+
+// Work out the net unit price of each line.
+// lines: [{ quantity, listPrice, currency, discountType, discountValue }]
+// orderDiscount: { type, value, currency } (currency only for fixed discounts) or null
+// Line discounts apply first; the order discount is then spread over the lines in proportion
+// to their discounted value (a fixed discount only over lines sold in its currency).
+// Returns { lines, totals, maxPercent } where each line gains discountAmount (per unit) and price.
+const applyDiscounts = (lines, orderDiscount) => {
+  const priced = lines.map(line => {
+    const listPrice = round2(line.listPrice);
+    const lineDiscount = unitDiscount(listPrice, line.discountType, line.discountValue);
+    return {
+      ...line,
+      listPrice,
+      netPrice: round2(listPrice - lineDiscount),
+      lineDiscount
+    };
+  });
+
+  const orderType = orderDiscount && orderDiscount.type;
+  const orderValue = orderDiscount ? parseFloat(orderDiscount.value) || 0 : 0;
+
+  const subtotals = {};
+  PAYMENT_CURRENCIES.forEach(c => {
+    subtotals[c] = priced
+      .filter(line => line.currency === c)
+      .reduce((sum, line) => sum + line.netPrice * line.quantity, 0);
+  });
+
+  const result = priced.map(line => {
+    let orderShare = 0;
+    if (orderType === 'percent' && orderValue > 0) {
+      orderShare = line.netPrice * Math.min(orderValue, 100) / 100;
+    } else if (orderType === 'fixed' && orderValue > 0 && orderDiscount.currency === line.currency && subtotals[line.currency] > 0) {
+      const applied = Math.min(orderValue, subtotals[line.currency]);
+      orderShare = applied * line.netPrice / subtotals[line.currency];
+    }
+    const price = Math.max(0, round2(line.netPrice - orderShare));
+
+    return {
+      ...line,
+      discountAmount: round2(line.listPrice - price),
+      price
+    };
+  });
+
+  const totals = {};
+  PAYMENT_CURRENCIES.forEach(c => {
+    const currencyLines = result.filter(line => line.currency === c);
+    const list = round2(currencyLines.reduce((sum, line) => sum + line.listPrice * line.quantity, 0));
+    const net = round2(currencyLines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+    totals[c] = { list, discount: round2(list - net), net };
+  });
+
+  // The deepest discount on any single line is what the approval limit is checked against
+  const maxPercent = result.reduce((max, line) => (
+    line.listPrice > 0 ? Math.max(max, round2(line.discountAmount / line.listPrice * 100)) : max
+  ), 0);
+
+  return { lines: result, totals, maxPercent };
+};
+
+// Discounts deeper than settings.max_discount_percent need the manager PIN.
+// Returns { error, approvalRequired } when refused, otherwise { approved } (true when the PIN was used).
+const checkDiscountApproval = async (db, maxPercent, managerPin) => {
+  const result = await db.query('SELECT max_discount_percent, discount_approval_pin_hash FROM settings ORDER BY id LIMIT 1');
+  const settings = result.rows[0] || {};
+  const limit = settings.max_discount_percent === null || settings.max_discount_percent === undefined
+    ? null
+    : parseFloat(settings.max_discount_percent);
+
+  if (limit === null || maxPercent <= limit) {
+    return { approved: false };
+  }
+
+  if (!settings.discount_approval_pin_hash) {
+    return { error: `Discounts above ${limit}% are not allowed`, approvalRequired: false };
+  }
+  if (!managerPin) {
+    return { error: `Discounts above ${limit}% need manager approval`, approvalRequired: true };
+  }
+  if (!(await bcrypt.compare(String(managerPin), settings.discount_approval_pin_hash))) {
+    return { error: 'Manager PIN is incorrect', approvalRequired: true };
+  }
+  return { approved: true };
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  DISCOUNT_REASONS,
+  applyDiscounts,
+  checkDiscountApproval
+};
@@ -0,0 +1,113 @@
+// Fiscal document numbers: invoices, credit notes and service invoices each get their own
+// sequence, formatted with a configurable pattern such as INV-{YYYY}-{seq:5}.
+
+// The table and column that hold the number for each document type
+const DOCUMENT_TYPES = {
+  invoice: { table: 'orders', column: 'invoice_number' },
+  credit_note: { table: 'order_returns', column: 'credit_note_number' },
+  service_invoice: { table: 'services', column: 'invoice_number' }
+};
+
+// Used for any type missing from settings.document_number_patterns
+const DEFAULT_PATTERNS = {
+  invoice: 'INV-{YYYY}-{seq:5}',
+  credit_note: 'CN-{YYYY}-{seq:5}',
+  service_invoice: 'SRV-{YYYY}-{seq:5}'
+};
+
+const TOKEN_PATTERN = /\{(YYYY|YY|MM|seq(?::(\d{1,2}))?)\}/g;
+
+// A pattern with the year in it restarts its sequence every year; without it the sequence runs on
+const isYearly = (pattern) => /\{YYYY\}|\{YY\}/.test(pattern);
+
+// Throws when the configured patterns are malformed (used by the settings validator)
+const validateNumberPatterns = (value) => {
+  if (typeof value !== 'object' || !value || Array.isArray(value)) {
+    throw new Error('document_number_patterns must be an object');
+  }
+  for (const [type, pattern] of Object.entries(value)) {
+    if (!DOCUMENT_TYPES[type]) {
+      throw new Error(`Unknown document type: ${type}`);
+    }
+    if (typeof pattern !== 'string' || pattern.length === 0 || pattern.length > 40) {
+      throw new Error(`Pattern for ${type} must be 1 to 40 characters`);
+    }
+    const unknown = pattern.replace(TOKEN_PATTERN, '').match(/[{}]/);
+    if (unknown) {
+      throw new Error(`Pattern for ${type} has an unknown placeholder; use {YYYY}, {YY}, {MM} and {seq} or {seq:N}`);
+    }
+    const sequences = pattern.match(/\{seq(?::\d{1,2})?\}/g) || [];
+    if (sequences.length !== 1) {
+      throw new Error(`Pattern for ${type} must contain {seq} exactly once`);
+    }
+  }
+  return true;
+};
+
+const formatDocumentNumber = (pattern, seq, date) => pattern.replace(TOKEN_PATTERN, (token, name, width) => {
+  if (name === 'YYYY') return String(date.getFullYear());
+  if (name === 'YY') return String(date.getFullYear()).slice(-2);
+  if (name === 'MM') return String(date.getMonth() + 1).padStart(2, '0');
+  return String(seq).padStart(parseInt(width) || 0, '0');
+});
+
+const getNumberPattern = async (db, type) => {
+  const result = await db.query('SELECT document_number_patterns FROM settings ORDER BY id LIMIT 1');
+  const configured = result.rows[0]?.document_number_patterns;
+  return (configured && configured[type]) || DEFAULT_PATTERNS[type];
+};
+
+// Number a document inside the caller's transaction. The document row is locked and the sequence
+// row is incremented in place, so a rolled-back transaction gives its number back and the next
+// document takes it: numbers have no gaps. A document that already has a number keeps it.
+// Returns null when the document does not exist.
+const assignDocumentNumber = async (client, type, id) => {
+  const { table, column } = DOCUMENT_TYPES[type];
+  const existing = await client.query(`SELECT ${column} FROM ${table} WHERE id = $1 FOR UPDATE`, [id]);
+  if (existing.rows.length === 0) return null;
+  if (existing.rows[0][column]) return existing.rows[0][column];
+
+  const pattern = await getNumberPattern(client, type);
+  const issuedAt = new Date();
+  const year = isYearly(pattern) ? issuedAt.getFullYear() : 0;
+  const sequenceResult = await client.query(`
+    INSERT INTO document_sequences (doc_type, year, last_value)
+    VALUES ($1, $2, 1)
+    ON CONFLICT (doc_type, year) DO UPDATE SET last_value = document_sequences.last_value + 1
+    RETURNING last_value
+  `, [type, year]);
+
+  const number = formatDocumentNumber(pattern, sequenceResult.rows[0].last_value, issuedAt);
+  await client.query(`UPDATE ${table} SET ${column} = $1 WHERE id = $2`, [number, id]);
+  return number;
+};
+
+// Number a document in a transaction of its own, e.g. when its PDF is first generated
+const issueDocumentNumber = async (pool, type, id) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const number = await assignDocumentNumber(client, type, id);
+    await client.query('COMMIT');
+    return number;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// An order's invoice and credit notes are numbered when an admin prints them for a completed order.
+// Open orders and clients only reprint numbers already issued, or get an unnumbered pro forma.
+const issuesOrderNumbers = (user, order) => user.role === 'admin' && order.status === 'completed';
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DEFAULT_PATTERNS,
+  validateNumberPatterns,
+  formatDocumentNumber,
+  assignDocumentNumber,
+  issueDocumentNumber,
+  issuesOrderNumbers
+};
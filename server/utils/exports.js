@@ -0,0 +1,187 @@
+// Spreadsheet exports streamed to the response as CSV or XLSX. Rows are read through a database
+// cursor in batches and written as they arrive, so an export of any size never sits in memory.
+
+const { pool } = require('../database/connection');
+const { CURRENCIES } = require('./currency');
+const { escapeXml } = require('./ubl');
+const { createZipStream, waitForDrain } = require('./zip');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const BATCH_SIZE = 500;
+
+// Column types: text, integer, money (two decimals, in `currency` - a code or row => code) and datetime.
+// Columns are { header, value: row => value, type, currency }.
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+// Spreadsheet apps run cells starting with = + - @ as formulas; phone numbers like +389... are left alone
+const FORMULA_START = /^[=@\t\r]|^[+-](?![\d\s]+$)/;
+
+const csvCell = (column, value) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (column.type === 'money') return parseFloat(value).toFixed(2);
+  if (column.type === 'integer') return String(parseInt(value));
+  let text = column.type === 'datetime' ? formatDateTime(value) : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const write = async (output, text) => {
+  if (!output.write(text)) {
+    await waitForDrain(output);
+  }
+};
+
+const csvWriter = (output, columns) => ({
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+  // The byte order mark makes Excel read the file as UTF-8 (Cyrillic names)
+  start: async () => {
+    await write(output, `\ufeff${columns.map(column => csvCell({ type: 'text' }, column.header)).join(',')}\r\n`);
+  },
+  writeRows: async (rows) => {
+    await write(output, rows.map(row => `${columns.map(column => csvCell(column, column.value(row))).join(',')}\r\n`).join(''));
+  },
+  end: async () => {}
+});
+
+// XLSX styles: 0 default, 1 bold header, 2 integer, 3 date and time, 4 plain amount, then one amount format per currency
+const MONEY_STYLE = 4;
+const currencyStyle = (currency) => {
+  const index = CURRENCIES.indexOf(currency);
+  return index === -1 ? MONEY_STYLE : MONEY_STYLE + 1 + index;
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="${2 + CURRENCIES.length}"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/><numFmt numFmtId="165" formatCode="#,##0.00"/>${CURRENCIES.map((currency, index) => `<numFmt numFmtId="${166 + index}" formatCode="#,##0.00 &quot;${currency}&quot;"/>`).join('')}</numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="${5 + CURRENCIES.length}"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/><xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>${CURRENCIES.map((currency, index) => `<xf numFmtId="${166 + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('')}</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const workbookFiles = (sheetName) => ({
+  '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+  '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+  'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+  'xl/styles.xml': STYLES_XML
+});
+
+const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Excel stores dates as days since 1899-12-30, without a time zone
+const excelDate = (value) => {
+  const date = new Date(value);
+  return (date.getTime() - date.getTimezoneOffset() * 60000) / 86400000 + 25569;
+};
+
+// Characters XML 1.0 does not allow at all
+const stripControl = (text) => text.replace(/[\x00-\x08\x0b\x0c\x0e-\x1f]/g, '');
+
+const xlsxCell = (column, value, ref, row) => {
+  if (value === null || value === undefined || value === '') return '';
+  switch (column.type) {
+    case 'integer':
+      return `<c r="${ref}" s="2"><v>${parseInt(value)}</v></c>`;
+    case 'money': {
+      const currency = typeof column.currency === 'function' ? column.currency(row) : column.currency;
+      return `<c r="${ref}" s="${currencyStyle(currency)}"><v>${parseFloat(value).toFixed(2)}</v></c>`;
+    }
+    case 'datetime':
+      return `<c r="${ref}" s="3"><v>${excelDate(value)}</v></c>`;
+    default:
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(stripControl(String(value)))}</t></is></c>`;
+  }
+};
+
+const xlsxWriter = (output, columns, sheetName) => {
+  const zip = createZipStream(output);
+  let sheet = null;
+  let rowNumber = 0;
+  const xmlRow = (cells) => {
+    rowNumber += 1;
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+  };
+
+  return {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    start: async () => {
+      for (const [name, content] of Object.entries(workbookFiles(sheetName))) {
+        await zip.addFile(name, content);
+      }
+      sheet = await zip.openEntry('xl/worksheets/sheet1.xml');
+      await sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+        + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+        + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        + '<sheetData>');
+      await sheet.write(xmlRow(columns.map((column, index) => (
+        `<c r="${columnLetter(index)}1" t="inlineStr" s="1"><is><t>${escapeXml(column.header)}</t></is></c>`
+      ))));
+    },
+    writeRows: async (rows) => {
+      await sheet.write(rows.map(row => {
+        const ref = rowNumber + 1;
+        return xmlRow(columns.map((column, index) => xlsxCell(column, column.value(row), `${columnLetter(index)}${ref}`, row)));
+      }).join(''));
+    },
+    end: async () => {
+      await sheet.write('</sheetData></worksheet>');
+      await sheet.close();
+      await zip.finish();
+    }
+  };
+};
+
+// Stream the rows of `sql` to res as a spreadsheet download. Nothing is written until the first batch
+// has been read, so query errors can still be answered with a JSON error; after that the response
+// is cut short instead.
+const streamExport = async (res, { format, filename, sheetName, columns, sql, params = [] }) => {
+  const writer = format === 'xlsx' ? xlsxWriter(res, columns, sheetName) : csvWriter(res, columns);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, params);
+
+    let batch = await client.query(`FETCH ${BATCH_SIZE} FROM export_cursor`);
+    res.setHeader('Content-Type', writer.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.${writer.extension}`);
+    await writer.start();
+    while (batch.rows.length > 0) {
+      await writer.writeRows(batch.rows);
+      batch = await client.query(`FETCH ${BATCH_SIZE} FROM export_cursor`);
+    }
+    await writer.end();
+    res.end();
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  streamExport
+};
@@ -0,0 +1,121 @@
+// IMEIs: check-digit validation, the rule that a handset is in stock only once, and what the shop
+// already knows about one (an earlier sale, an open repair ticket). Products carry a second IMEI in
+// `imei2` for dual-SIM phones; both are matched everywhere.
+
+// Spaces and dashes are dropped from IMEIs typed as printed on the box (35-209900-176148-1);
+// serial numbers of devices without an IMEI are kept as entered
+const cleanImei = (value) => {
+  if (value === undefined || value === null) return value;
+  const text = String(value).trim();
+  const digits = text.replace(/[\s-]/g, '');
+  return /^\d+$/.test(digits) ? digits : text;
+};
+
+// Luhn check: the 15th digit makes the sum of the digits, every second one doubled, a multiple of 10
+const hasValidCheckDigit = (imei) => {
+  let sum = 0;
+  for (let i = 0; i < 15; i++) {
+    let digit = Number(imei[i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+// null for values that are not a 15-digit IMEI, which have no check digit to test
+const checkDigitValid = (imei) => (/^\d{15}$/.test(imei) ? hasValidCheckDigit(imei) : null);
+
+// Validator for IMEI fields; empty values are allowed
+const validateImei = (value) => {
+  if (value === '' || value === null || value === undefined) {
+    return true;
+  }
+  if (String(value).length > 255) {
+    throw new Error('IMEI must be between 1 and 255 characters if provided');
+  }
+  if (checkDigitValid(String(value)) === false) {
+    throw new Error(`IMEI ${value} has a wrong check digit; check it for a typo`);
+  }
+  return true;
+};
+
+// True when Postgres rejected a write because the IMEI is already on a product in stock
+const isImeiConflict = (error) =>
+  error && error.code === '23505' &&
+  ['idx_products_imei_in_stock', 'idx_products_imei2_in_stock'].includes(error.constraint);
+
+// Products in stock carrying any of the IMEIs, as first or second IMEI, other than `excludeProductId`
+const findImeisInStock = async (db, imeis, excludeProductId = null) => {
+  if (imeis.length === 0) return [];
+  const result = await db.query(`
+    SELECT id, name, imei, imei2 FROM products
+    WHERE stock_quantity > 0 AND (imei = ANY($1::text[]) OR imei2 = ANY($1::text[]))
+      AND id IS DISTINCT FROM $2::int
+    ORDER BY id
+  `, [imeis, excludeProductId]);
+  return result.rows;
+};
+
+// Message for the first IMEI already in stock, or null
+const imeiInStockMessage = (imeis, productsInStock) => {
+  for (const imei of imeis) {
+    const product = productsInStock.find(row => row.imei === imei || row.imei2 === imei);
+    if (product) {
+      return `IMEI ${imei} is already in stock as ${product.name} (#${product.id})`;
+    }
+  }
+  return null;
+};
+
+// Things to know before taking a handset into stock, which do not stop it: the last time each IMEI was
+// sold (on an order that was not cancelled) and repair tickets for it that are still in service
+const getImeiWarnings = async (db, imeis) => {
+  if (imeis.length === 0) return [];
+  const [salesResult, repairsResult] = await Promise.all([
+    db.query(`
+      SELECT DISTINCT ON (imei) imei, order_id, sold_at FROM (
+        SELECT unnest(ARRAY[p.imei, p.imei2]) AS imei, o.id AS order_id, o.created_at AS sold_at
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        JOIN products p ON oi.product_id = p.id
+        WHERE o.status <> 'cancelled' AND (p.imei = ANY($1::text[]) OR p.imei2 = ANY($1::text[]))
+      ) sales
+      WHERE imei = ANY($1::text[])
+      ORDER BY imei, sold_at DESC
+    `, [imeis]),
+    db.query(`
+      SELECT id, regexp_replace(imei, '[[:space:]-]', '', 'g') AS imei
+      FROM services
+      WHERE status = 'in_service' AND regexp_replace(imei, '[[:space:]-]', '', 'g') = ANY($1::text[])
+      ORDER BY id
+    `, [imeis])
+  ]);
+
+  return [
+    ...salesResult.rows.map(row => ({
+      imei: row.imei,
+      type: 'sold',
+      orderId: row.order_id,
+      message: `IMEI ${row.imei} was sold on order #${row.order_id} (${new Date(row.sold_at).toLocaleDateString('en-GB')})`
+    })),
+    ...repairsResult.rows.map(row => ({
+      imei: row.imei,
+      type: 'in_repair',
+      serviceId: row.id,
+      message: `IMEI ${row.imei} is in repair ticket #${row.id}, still in service`
+    }))
+  ];
+};
+
+module.exports = {
+  cleanImei,
+  checkDigitValid,
+  validateImei,
+  isImeiConflict,
+  findImeisInStock,
+  imeiInStockMessage,
+  getImeiWarnings
+};
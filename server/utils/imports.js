@@ -0,0 +1,180 @@
+// Spreadsheet imports: an uploaded CSV or XLSX file read into rows of text cells.
+// Only the first sheet of a workbook is read; formulas come through as their last calculated value.
+
+const { readZip } = require('./zip');
+
+const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+// Largest number of rows read from one file
+const MAX_IMPORT_ROWS = 5000;
+
+// Comma, semicolon (Excel in many European locales) or tab, whichever the header line has most of
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+const unescapeXml = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// All the text runs of a string item, leaving out phonetic hints
+const textOf = (xml) => {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>|<t\b[^>]*\/>/g) || [];
+  return runs.map(run => unescapeXml(run.replace(/^<t\b[^>]*>|<\/t>$|^<t\b[^>]*\/>$/g, ''))).join('');
+};
+
+const attribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? unescapeXml(match[1]) : null;
+};
+
+const columnIndex = (ref) => {
+  const letters = ref.replace(/\d+$/, '');
+  return letters.split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Numbers keep all their digits, so 15-digit IMEIs stored as numbers are not shown as 3.56938E+14
+const numberText = (value) => {
+  if (!/e/i.test(value)) return value;
+  const number = Number(value);
+  return Number.isFinite(number) ? number.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 }) : value;
+};
+
+// The workbook's first sheet, following its relationship to the sheet's part
+const firstSheetPath = (files) => {
+  const workbook = files.get('xl/workbook.xml');
+  const relationships = files.get('xl/_rels/workbook.xml.rels');
+  if (workbook && relationships) {
+    const sheet = workbook.toString('utf8').match(/<sheet\b([^>]*)\/?>/);
+    const id = sheet && attribute(sheet[1], 'r:id');
+    const relationship = id && (relationships.toString('utf8').match(/<Relationship\b[^>]*>/g) || [])
+      .find(tag => attribute(tag, 'Id') === id);
+    const target = relationship && attribute(relationship, 'Target');
+    if (target) {
+      return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+  }
+  return 'xl/worksheets/sheet1.xml';
+};
+
+const parseXlsx = (buffer) => {
+  const files = readZip(buffer);
+  const sheet = files.get(firstSheetPath(files));
+  if (!sheet) {
+    throw new Error('The workbook has no sheets');
+  }
+  const sharedStringsXml = files.get('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml
+    ? (sharedStringsXml.toString('utf8').match(/<si\b[\s\S]*?<\/si>/g) || []).map(textOf)
+    : [];
+
+  const rows = [];
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(sheet.toString('utf8'))) !== null) {
+    // Rows left empty in the sheet are not stored, so the row number says where each one goes
+    const rowNumber = parseInt(attribute(rowMatch[1], 'r')) || rows.length + 1;
+    const cells = [];
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || '')) !== null) {
+      const ref = attribute(cellMatch[1], 'r');
+      const type = attribute(cellMatch[1], 't');
+      const content = cellMatch[2] || '';
+      const valueMatch = content.match(/<v>([\s\S]*?)<\/v>/);
+      const value = valueMatch ? unescapeXml(valueMatch[1]) : '';
+      let text;
+      if (type === 's') text = sharedStrings[parseInt(value)] ?? '';
+      else if (type === 'inlineStr') text = textOf(content);
+      else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'e') text = '';
+      else if (type === 'str') text = value;
+      else text = numberText(value);
+      cells[ref ? columnIndex(ref) : cells.length] = text;
+    }
+    rows[rowNumber - 1] = Array.from(cells, cell => cell ?? '');
+  }
+  return Array.from(rows, row => row || []);
+};
+
+// Rows of trimmed text cells, with the spreadsheet row number of each (the header is row 1).
+// Throws an error with a message for the user when the file cannot be read.
+const readSpreadsheet = (buffer, filename = '') => {
+  const extension = (filename.match(/\.([a-z0-9]+)$/i) || [])[1]?.toLowerCase();
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+  if (extension && !IMPORT_FORMATS.includes(extension)) {
+    throw new Error(`Upload a ${IMPORT_FORMATS.map(format => format.toUpperCase()).join(' or ')} file`);
+  }
+
+  let rows;
+  try {
+    rows = isZip ? parseXlsx(buffer) : parseCsv(buffer.toString('utf8'));
+  } catch (error) {
+    throw new Error(`The file could not be read: ${error.message}`);
+  }
+
+  const numbered = rows
+    .map((cells, index) => ({ rowNumber: index + 1, cells: cells.map(cell => String(cell ?? '').trim()) }))
+    .filter(row => row.cells.some(cell => cell !== ''));
+  if (numbered.length - 1 > MAX_IMPORT_ROWS) {
+    throw new Error(`A file can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+  return numbered;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  parseCsv,
+  parseXlsx,
+  readSpreadsheet
+};
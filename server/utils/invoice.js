@@ -0,0 +1,86 @@
+// Invoice data shared by the PDF and UBL renderings of an order
+
+const { round2 } = require('./payments');
+const { CURRENCIES, getBaseCurrency, loadExchangeRates, findExchangeRate } = require('./currency');
+
+const DEFAULT_COMPANY = {
+  company_name: 'POS CRM System',
+  company_address: '123 Business Street',
+  company_city_state: 'City, State 12345',
+  company_phone: '(555) 123-4567',
+  company_email: 'info@poscrm.com'
+};
+
+// Order, lines and discounts for an invoice, or null when the order is not found (or not the client's).
+// With a `currency` every line is converted at the rate on the order date; `singleCurrency` picks one
+// for orders that have none (their only line currency, otherwise the base currency), as UBL requires.
+// `missingRate` names a currency that has no rate for the order date, in which case nothing is converted.
+const loadInvoice = async (db, orderId, { clientId = null, currency = null, singleCurrency = false, rates = null } = {}) => {
+  const orderResult = await db.query(`
+    SELECT o.id, o.status, o.total_amount, o.created_at, o.invoice_number,
+           o.eur_discount, o.mkd_discount, o.discount_reason, o.invoice_currency,
+           u.name as client_name, u.email as client_email,
+           o.guest_name, o.guest_email, o.guest_phone
+    FROM orders o
+    LEFT JOIN users u ON o.client_id = u.id
+    WHERE o.id = $1 ${clientId ? 'AND o.client_id = $2' : ''}
+  `, clientId ? [orderId, clientId] : [orderId]);
+  if (orderResult.rows.length === 0) return null;
+  const order = orderResult.rows[0];
+
+  const itemsResult = await db.query(`
+    SELECT oi.quantity, oi.price, oi.currency, oi.list_price, oi.discount_amount, oi.tax_rate, oi.tax_amount,
+           p.name as product_name, p.description, p.category, p.subcategory, p.model, p.storage_gb, p.color
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = $1
+    ORDER BY oi.id
+  `, [orderId]);
+
+  let items = itemsResult.rows;
+  let discountTotals = { EUR: parseFloat(order.eur_discount) || 0, MKD: parseFloat(order.mkd_discount) || 0 };
+  let invoiceCurrency = currency || order.invoice_currency;
+  if (!invoiceCurrency && singleCurrency) {
+    const lineCurrencies = [...new Set(items.map(item => item.currency))];
+    invoiceCurrency = lineCurrencies.length === 1 ? lineCurrencies[0] : await getBaseCurrency(db);
+  }
+
+  const conversions = [];
+  if (invoiceCurrency) {
+    const exchangeRates = rates || await loadExchangeRates(db);
+    const rateFor = {};
+    for (const from of CURRENCIES) {
+      rateFor[from] = findExchangeRate(exchangeRates, from, invoiceCurrency, order.created_at);
+      const used = items.some(item => item.currency === from) || discountTotals[from] > 0;
+      if (used && rateFor[from] === null) {
+        return { order, items, discountTotals, conversions, invoiceCurrency, missingRate: from };
+      }
+      if (used && from !== invoiceCurrency) {
+        conversions.push({ from, rate: rateFor[from] });
+      }
+    }
+    const convert = (value, from) => (value === null ? null : round2(parseFloat(value) * rateFor[from]));
+    items = items.map(item => ({
+      ...item,
+      currency: invoiceCurrency,
+      price: convert(item.price, item.currency),
+      list_price: convert(item.list_price, item.currency),
+      discount_amount: convert(item.discount_amount, item.currency),
+      tax_amount: convert(item.tax_amount, item.currency)
+    }));
+    const discount = round2(CURRENCIES.reduce((sum, from) => sum + (discountTotals[from] ? convert(discountTotals[from], from) : 0), 0));
+    discountTotals = { EUR: 0, MKD: 0, [invoiceCurrency]: discount };
+  }
+
+  return { order, items, discountTotals, conversions, invoiceCurrency, missingRate: null };
+};
+
+const getCompanySettings = async (db) => {
+  const result = await db.query('SELECT * FROM settings ORDER BY id LIMIT 1');
+  return result.rows[0] || DEFAULT_COMPANY;
+};
+
+module.exports = {
+  loadInvoice,
+  getCompanySettings
+};
@@ -0,0 +1,131 @@
+// WHERE conditions for the list routes, shared with the exports so both accept the same query parameters.
+// Each builder returns { conditions, params }, with placeholders numbered from $1.
+
+const { ORDER_STATUSES } = require('./orderLifecycle');
+
+const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+const createFilter = () => {
+  const conditions = [];
+  const params = [];
+  // Adds a condition; every `?` in it becomes the placeholder of value
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+  // from/to (YYYY-MM-DD, both inclusive) on a timestamp column; invalid dates are ignored
+  const dateRange = (column, from, to) => {
+    if (isIsoDate(from)) add(`${column} >= ?::date`, from);
+    if (isIsoDate(to)) add(`${column} < ?::date + INTERVAL '1 day'`, to);
+  };
+  return { conditions, params, add, dateRange };
+};
+
+// Orders joined as `o` with their client as `u`; clientId limits a client to their own orders
+const orderFilters = ({ status = '', search = '', from, to } = {}, { clientId = null } = {}) => {
+  const filter = createFilter();
+  if (clientId) {
+    filter.add('o.client_id = ?', clientId);
+  }
+  // Single status or comma-separated list
+  const statuses = String(status).split(',').map(s => s.trim()).filter(s => ORDER_STATUSES.includes(s));
+  if (statuses.length > 0) {
+    filter.add('o.status = ANY(?::text[])', statuses);
+  }
+  if (search && search.trim()) {
+    filter.add('(o.id::text ILIKE ? OR u.name ILIKE ? OR u.email ILIKE ?)', `%${search.trim()}%`);
+  }
+  filter.dateRange('o.created_at', from, to);
+  return { conditions: filter.conditions, params: filter.params };
+};
+
+const productFilters = ({ search = '', description = '', imei = '', status = '', stock = '', category = '', subcategory = '', color = '', storage = '', price = '', stockQuantity = '', location = '', from, to } = {}) => {
+  const filter = createFilter();
+  if (search) {
+    filter.add('(name ILIKE ? OR description ILIKE ? OR barcode ILIKE ? OR model ILIKE ?)', `%${search}%`);
+  }
+  if (description) {
+    filter.add('description ILIKE ?', `%${description}%`);
+  }
+  if (imei) {
+    filter.add('(imei ILIKE ? OR imei2 ILIKE ?)', `%${imei}%`);
+  }
+  if (status && ['enabled', 'disabled'].includes(status)) {
+    filter.add('stock_status = ?', status);
+  }
+  // Stock level
+  switch (stock) {
+    case 'out_of_stock':
+      filter.conditions.push('stock_quantity = 0');
+      break;
+    case 'low_stock':
+      filter.conditions.push('stock_quantity > 0 AND stock_quantity <= 10');
+      break;
+    case 'in_stock':
+    case 'available':
+      filter.conditions.push('stock_quantity > 0');
+      break;
+    default:
+      break;
+  }
+  if (category && ['accessories', 'smartphones'].includes(category)) {
+    filter.add('category = ?', category);
+  }
+  if (subcategory) {
+    filter.add('subcategory ILIKE ?', `%${subcategory}%`);
+  }
+  if (color) {
+    filter.add('color ILIKE ?', `%${color}%`);
+  }
+  if (storage) {
+    filter.add('storage_gb::text ILIKE ?', `%${storage}%`);
+  }
+  if (price) {
+    filter.add('price::text ILIKE ?', `%${price}%`);
+  }
+  if (stockQuantity) {
+    filter.add('stock_quantity::text ILIKE ?', `%${stockQuantity}%`);
+  }
+  // Products with stock at a location (where a phone is, for smartphones)
+  if (location) {
+    filter.add('id IN (SELECT product_id FROM location_stock WHERE location_id = ? AND quantity > 0)', parseInt(location) || 0);
+  }
+  filter.dateRange('created_at', from, to);
+  return { conditions: filter.conditions, params: filter.params };
+};
+
+const serviceFilters = ({ search, status, from, to } = {}) => {
+  const filter = createFilter();
+  if (search) {
+    filter.add('(full_name ILIKE ? OR contact ILIKE ? OR phone_model ILIKE ? OR imei ILIKE ? OR description ILIKE ?)', `%${search}%`);
+  }
+  if (status && ['in_service', 'completed'].includes(status)) {
+    filter.add('status = ?', status);
+  }
+  filter.dateRange('created_at', from, to);
+  return { conditions: filter.conditions, params: filter.params };
+};
+
+const userFilters = ({ search = '', role = '', from, to } = {}) => {
+  const filter = createFilter();
+  if (search) {
+    filter.add('name ILIKE ?', `%${search}%`);
+  }
+  if (role) {
+    filter.add('role = ?', role);
+  }
+  filter.dateRange('created_at', from, to);
+  return { conditions: filter.conditions, params: filter.params };
+};
+
+// ' WHERE a AND b', or '' when there are no conditions
+const whereClause = (conditions) => (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '');
+
+module.exports = {
+  isIsoDate,
+  orderFilters,
+  productFilters,
+  serviceFilters,
+  userFilters,
+  whereClause
+};
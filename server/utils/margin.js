@@ -0,0 +1,52 @@
+// Gross margin: what was charged for a line, net of VAT, less what the units cost to buy
+
+const { round2 } = require('./payments');
+
+// Copy the product's purchase cost onto an order's lines that do not have it yet, so later changes
+// to the cost never rewrite old sales. Lines sold in a currency other than the product's own get no cost.
+const stampOrderItemCost = async (db, orderId) => {
+  await db.query(`
+    UPDATE order_items oi
+    SET cost_price = p.cost_price
+    FROM products p
+    WHERE oi.product_id = p.id AND oi.order_id = $1
+      AND oi.cost_price IS NULL AND p.cost_price IS NOT NULL AND p.currency = oi.currency
+  `, [orderId]);
+};
+
+// Revenue of the units kept, less the VAT they contain (prices include VAT, costs do not)
+const keptNetRevenue = (line, kept) => (
+  kept * parseFloat(line.price) - kept * (parseFloat(line.tax_amount) || 0) / line.quantity
+);
+
+// Margin of one line ({ quantity, price, tax_amount, cost_price, returned_quantity }) on the units kept, or null without a cost
+const lineMargin = (line) => {
+  if (line.cost_price === null || line.cost_price === undefined) return null;
+  const kept = line.quantity - (parseInt(line.returned_quantity) || 0);
+  return round2(keptNetRevenue(line, kept) - kept * parseFloat(line.cost_price));
+};
+
+// Net revenue, cost and profit per currency over lines with a known cost; uncostedQuantity counts units without one
+const summarizeMargin = (lines) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const group = groups.get(line.currency) || { currency: line.currency, revenue: 0, cost: 0, profit: 0, marginPercent: null, uncostedQuantity: 0 };
+    const kept = line.quantity - (parseInt(line.returned_quantity) || 0);
+    if (line.cost_price === null || line.cost_price === undefined) {
+      group.uncostedQuantity += kept;
+    } else {
+      group.revenue = round2(group.revenue + keptNetRevenue(line, kept));
+      group.cost = round2(group.cost + kept * parseFloat(line.cost_price));
+      group.profit = round2(group.revenue - group.cost);
+      group.marginPercent = group.revenue > 0 ? round2(group.profit / group.revenue * 100) : null;
+    }
+    groups.set(line.currency, group);
+  }
+  return [...groups.values()].sort((a, b) => a.currency.localeCompare(b.currency));
+};
+
+module.exports = {
+  stampOrderItemCost,
+  lineMargin,
+  summarizeMargin
+};
@@ -0,0 +1,80 @@
+// Order audit trail: what happened to an order, who did it and why
+
+const ORDER_EVENT_TYPES = [
+  'created',
+  'items_changed',
+  'status_changed',
+  'payment',
+  'return',
+  'invoice_downloaded',
+  'receipt_printed'
+];
+
+// Append an event to an order's history. `details` is stored as JSON.
+const recordOrderEvent = async (db, orderId, eventType, userId, details = null, reason = null) => {
+  await db.query(
+    'INSERT INTO order_events (order_id, event_type, details, reason, user_id) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, eventType, details ? JSON.stringify(details) : null, reason || null, userId || null]
+  );
+};
+
+// Collapse order lines ({ productId, name, quantity, price }) to one entry per product
+const summarizeLines = (lines) => {
+  const byProduct = new Map();
+  for (const line of lines) {
+    const productId = parseInt(line.productId);
+    const existing = byProduct.get(productId);
+    if (existing) {
+      existing.quantity += parseInt(line.quantity);
+      existing.price = parseFloat(line.price);
+    } else {
+      byProduct.set(productId, {
+        productId,
+        name: line.name || null,
+        quantity: parseInt(line.quantity),
+        price: parseFloat(line.price)
+      });
+    }
+  }
+  return byProduct;
+};
+
+// Before/after diff of an order's lines: products added, removed, or with a changed quantity or price
+const diffOrderItems = (before, after) => {
+  const oldLines = summarizeLines(before);
+  const newLines = summarizeLines(after);
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [productId, line] of newLines) {
+    const old = oldLines.get(productId);
+    if (!old) {
+      added.push(line);
+    } else if (old.quantity !== line.quantity || old.price !== line.price) {
+      changed.push({
+        productId,
+        name: line.name || old.name,
+        before: { quantity: old.quantity, price: old.price },
+        after: { quantity: line.quantity, price: line.price }
+      });
+    }
+  }
+  for (const [productId, line] of oldLines) {
+    if (!newLines.has(productId)) removed.push(line);
+  }
+
+  return {
+    before: [...oldLines.values()],
+    after: [...newLines.values()],
+    added,
+    removed,
+    changed
+  };
+};
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  recordOrderEvent,
+  diffOrderItems
+};
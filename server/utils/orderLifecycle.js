@@ -0,0 +1,278 @@
+// Order state machine: allowed status transitions and the stock and debt side effects of each
+
+const {
+  PAYMENT_CURRENCIES,
+  PAYMENT_METHODS,
+  round2,
+  getOrderDue,
+  getOrderPaid,
+  recordPayments
+} = require('./payments');
+const { lockProducts, adjustStock } = require('./stock');
+const { recordOrderEvent } = require('./orderEvents');
+
+const ORDER_STATUSES = ['pending', 'approved', 'shipped', 'completed', 'cancelled'];
+
+// Used when settings.order_transitions is not set
+const DEFAULT_ORDER_TRANSITIONS = {
+  pending: ['approved', 'shipped', 'completed', 'cancelled'],
+  approved: ['pending', 'shipped', 'completed', 'cancelled'],
+  shipped: ['completed', 'cancelled'],
+  completed: ['cancelled'],
+  cancelled: []
+};
+
+// Column stamped when an order enters each status
+const TRANSITION_TIMESTAMPS = {
+  approved: 'approved_at',
+  shipped: 'shipped_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at'
+};
+
+// Where an order's items currently sit:
+// none - nothing taken yet (delivery orders before approval)
+// reserved - held in products.reserved_quantity
+// deducted - taken out of products.stock_quantity
+const STOCK_STATES = ['none', 'reserved', 'deducted'];
+
+// Throws when a configured transition map is malformed (used by the settings validator)
+const validateTransitionConfig = (value) => {
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('order_transitions must be an object keyed by status');
+  }
+  for (const [from, targets] of Object.entries(value)) {
+    if (!ORDER_STATUSES.includes(from)) throw new Error(`Unknown order status: ${from}`);
+    if (!Array.isArray(targets) || !targets.every(t => ORDER_STATUSES.includes(t))) {
+      throw new Error(`Transitions from ${from} must be an array of order statuses`);
+    }
+    if (from === 'cancelled' && targets.length > 0) {
+      throw new Error('Cancelled orders cannot move to another status');
+    }
+  }
+  return true;
+};
+
+// Effective transition map: configured statuses override the defaults, cancelled is always final
+const getOrderTransitions = async (db) => {
+  const result = await db.query('SELECT order_transitions FROM settings ORDER BY id LIMIT 1');
+  const configured = result.rows[0]?.order_transitions;
+
+  const transitions = {};
+  for (const status of ORDER_STATUSES) {
+    const targets = configured && Array.isArray(configured[status])
+      ? configured[status]
+      : DEFAULT_ORDER_TRANSITIONS[status];
+    transitions[status] = status === 'cancelled'
+      ? []
+      : targets.filter(t => ORDER_STATUSES.includes(t) && t !== status);
+  }
+  return transitions;
+};
+
+// Quantities an order still holds per product (net of returns)
+const getOrderStockLines = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT oi.product_id, SUM(oi.quantity - COALESCE(r.returned, 0))::int as quantity
+    FROM order_items oi
+    LEFT JOIN (
+      SELECT order_item_id, SUM(quantity) as returned
+      FROM order_return_items
+      GROUP BY order_item_id
+    ) r ON r.order_item_id = oi.id
+    WHERE oi.order_id = $1
+    GROUP BY oi.product_id
+  `, [orderId]);
+  return result.rows;
+};
+
+// Move lines ({ product_id, quantity }) from one stock state to another. Stock taken or put back
+// goes into the stock ledger as a sale at the order's location, with `movement`
+// ({ orderId, locationId, userId, notes }) saying whose.
+// Returns an error message when there is not enough unreserved stock.
+const moveStock = async (db, lines, from, to, movement = {}) => {
+  if (from === to) return null;
+  const products = await lockProducts(db, lines.map(line => line.product_id));
+
+  for (const line of lines) {
+    const quantity = parseInt(line.quantity);
+    if (!quantity || quantity <= 0) continue;
+
+    const product = products.get(parseInt(line.product_id));
+    if (!product) {
+      return `Product ${line.product_id} not found`;
+    }
+
+    // Taking stock that nothing holds yet must not eat into other orders' reservations
+    if (from === 'none' && product.stock_quantity - product.reserved_quantity < quantity) {
+      return `Insufficient stock for ${product.name}`;
+    }
+
+    let stockChange = 0;
+    let reservedChange = 0;
+    if (from === 'reserved') reservedChange -= quantity;
+    if (from === 'deducted') stockChange += quantity;
+    if (to === 'reserved') reservedChange += quantity;
+    if (to === 'deducted') stockChange -= quantity;
+
+    if (reservedChange) {
+      await db.query('UPDATE products SET reserved_quantity = reserved_quantity + $1 WHERE id = $2', [reservedChange, product.id]);
+    }
+    if (stockChange) {
+      await adjustStock(db, product.id, stockChange, 'sale', movement);
+    }
+    product.stock_quantity += stockChange;
+    product.reserved_quantity += reservedChange;
+  }
+  return null;
+};
+
+// Set the status, stamp the matching transition timestamp and log the change
+const stampStatus = async (db, orderId, status, { from, userId, reason, details } = {}) => {
+  const column = TRANSITION_TIMESTAMPS[status];
+  await db.query(
+    `UPDATE orders SET status = $1${column ? `, ${column} = CURRENT_TIMESTAMP` : ''} WHERE id = $2`,
+    [status, orderId]
+  );
+  await recordOrderEvent(db, orderId, 'status_changed', userId, { from, to: status, ...details }, reason);
+};
+
+// Cancel a locked order: put its stock back and reverse its effect on the client's debt.
+// Returns { status, credits } or { error }.
+const cancelOrder = async (db, order, userId, reason) => {
+  const due = await getOrderDue(db, order.id);
+  const paid = await getOrderPaid(db, order.id);
+
+  // Money taken from a guest has nowhere to go but back over the counter
+  if (!order.client_id && PAYMENT_CURRENCIES.some(c => paid[c] > 0)) {
+    return { error: 'This order has been paid. Record a return with a refund instead of cancelling it' };
+  }
+
+  const stockError = await moveStock(db, await getOrderStockLines(db, order.id), order.stock_state, 'none', {
+    orderId: order.id,
+    locationId: order.location_id,
+    userId,
+    notes: `Order #${order.id} cancelled`
+  });
+  if (stockError) {
+    return { error: stockError };
+  }
+
+  // A debt-booked order still holds its amount due in the ledger (payments against it were
+  // booked as reductions), so crediting the due back leaves anything paid as store credit.
+  // Otherwise only the net amount paid needs to go back to the client as credit.
+  const credits = [];
+  if (order.client_id) {
+    const debtBooked = order.original_status === 'pending';
+    for (const currency of PAYMENT_CURRENCIES) {
+      const amount = debtBooked ? due[currency] : paid[currency];
+      if (amount > 0) {
+        await db.query(
+          'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+          [order.client_id, amount, 'manual_reduction', currency, `Order #${order.id} cancelled`, userId]
+        );
+        credits.push({ currency, amount });
+      }
+    }
+  }
+
+  await db.query(
+    `UPDATE orders
+     SET status = 'cancelled', stock_state = 'none', cancelled_at = CURRENT_TIMESTAMP, cancelled_by = $1, cancel_reason = $2
+     WHERE id = $3`,
+    [userId, reason || null, order.id]
+  );
+  await recordOrderEvent(db, order.id, 'status_changed', userId, { from: order.status, to: 'cancelled', credits }, reason);
+
+  return { status: 'cancelled', credits };
+};
+
+// Move a locked order (id, client_id, status, original_status, stock_state, location_id) to `target`.
+// Approving reserves stock, shipping takes it out of stock, completing settles the balance.
+// Returns { status, payments, credits } or { error, conflict } (conflict means a stock shortage).
+const transitionOrder = async (db, order, target, userId, options = {}) => {
+  if (order.status === target) {
+    return { error: `Order is already ${target}` };
+  }
+
+  const transitions = await getOrderTransitions(db);
+  if (!(transitions[order.status] || []).includes(target)) {
+    return { error: `Order cannot move from ${order.status} to ${target}` };
+  }
+
+  if (target === 'cancelled') {
+    return cancelOrder(db, order, userId, options.reason);
+  }
+
+  let stockState = order.stock_state;
+  if (target === 'approved' && stockState === 'none') stockState = 'reserved';
+  if (target === 'pending' && stockState === 'reserved') stockState = 'none';
+  if (target === 'shipped' || target === 'completed') stockState = 'deducted';
+
+  if (stockState !== order.stock_state) {
+    const stockError = await moveStock(db, await getOrderStockLines(db, order.id), order.stock_state, stockState, {
+      orderId: order.id,
+      locationId: order.location_id,
+      userId,
+      notes: `Order #${order.id} ${target}`
+    });
+    if (stockError) {
+      return { error: stockError, conflict: true };
+    }
+    await db.query('UPDATE orders SET stock_state = $1 WHERE id = $2', [stockState, order.id]);
+  }
+
+  // Completing an order closes whatever is still owed on it
+  let payments = [];
+  if (target === 'completed') {
+    const method = options.paymentMethod || 'cash';
+    if (!PAYMENT_METHODS.includes(method)) {
+      return { error: `Payment method must be one of ${PAYMENT_METHODS.join(', ')}` };
+    }
+
+    const due = await getOrderDue(db, order.id);
+    const paid = await getOrderPaid(db, order.id);
+    const remaining = {};
+    PAYMENT_CURRENCIES.forEach(c => { remaining[c] = Math.max(0, round2(due[c] - paid[c])); });
+
+    const allocations = PAYMENT_CURRENCIES
+      .filter(c => remaining[c] > 0)
+      .map(c => ({
+        method,
+        currency: c,
+        amount: remaining[c],
+        tenderedAmount: remaining[c],
+        changeDue: 0,
+        reference: null
+      }));
+    if (allocations.length > 0) {
+      const recorded = await recordPayments(db, order, allocations, userId, remaining);
+      if (recorded.error) {
+        return { error: recorded.error };
+      }
+      payments = recorded.payments;
+    }
+  }
+
+  await stampStatus(db, order.id, target, {
+    from: order.status,
+    userId,
+    reason: options.reason,
+    details: { stockState }
+  });
+
+  return { status: target, payments, credits: [] };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  DEFAULT_ORDER_TRANSITIONS,
+  STOCK_STATES,
+  validateTransitionConfig,
+  getOrderTransitions,
+  getOrderStockLines,
+  moveStock,
+  stampStatus,
+  cancelOrder,
+  transitionOrder
+};
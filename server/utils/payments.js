@@ -0,0 +1,204 @@
+// Payment tender helpers shared by the order routes
+
+const { recordOrderEvent } = require('./orderEvents');
+
+const PAYMENT_METHODS = ['cash', 'card', 'bank_transfer', 'store_credit'];
+const PAYMENT_CURRENCIES = ['EUR', 'MKD'];
+
+const round2 = (n) => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// Amount due per currency (each line in the currency it was sold in), net of returned lines
+const getOrderDue = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(CASE WHEN oi.currency = 'EUR' THEN (oi.quantity - COALESCE(r.returned, 0)) * oi.price ELSE 0 END), 0) as eur_due,
+      COALESCE(SUM(CASE WHEN oi.currency = 'MKD' THEN (oi.quantity - COALESCE(r.returned, 0)) * oi.price ELSE 0 END), 0) as mkd_due
+    FROM order_items oi
+    LEFT JOIN (
+      SELECT order_item_id, SUM(quantity) as returned
+      FROM order_return_items
+      GROUP BY order_item_id
+    ) r ON r.order_item_id = oi.id
+    WHERE oi.order_id = $1
+  `, [orderId]);
+  return {
+    EUR: round2(result.rows[0].eur_due),
+    MKD: round2(result.rows[0].mkd_due)
+  };
+};
+
+// Amount already paid per currency, less anything refunded on returns
+const getOrderPaid = async (db, orderId) => {
+  const result = await db.query(`
+    SELECT currency, COALESCE(SUM(amount), 0) AS paid
+    FROM (
+      SELECT currency, amount FROM order_payments WHERE order_id = $1
+      UNION ALL
+      SELECT rf.currency, -rf.amount FROM order_refunds rf
+      JOIN order_returns r ON rf.return_id = r.id
+      WHERE r.order_id = $1
+    ) t
+    GROUP BY currency
+  `, [orderId]);
+  const paid = { EUR: 0, MKD: 0 };
+  result.rows.forEach(row => {
+    paid[row.currency] = round2(row.paid);
+  });
+  return paid;
+};
+
+const buildPaymentSummary = (due, paid) => {
+  const remaining = {
+    EUR: Math.max(0, round2(due.EUR - paid.EUR)),
+    MKD: Math.max(0, round2(due.MKD - paid.MKD))
+  };
+  return {
+    due,
+    paid,
+    remaining,
+    fullyPaid: remaining.EUR === 0 && remaining.MKD === 0
+  };
+};
+
+// Split the handed-over tenders against what is still owed.
+// Only cash may exceed the outstanding amount; the excess is returned as change.
+// Returns { error } when the tenders cannot be accepted.
+const allocateTenders = (due, paid, tenders) => {
+  const remaining = {
+    EUR: round2(due.EUR - paid.EUR),
+    MKD: round2(due.MKD - paid.MKD)
+  };
+  const allocations = [];
+  const changeDue = { EUR: 0, MKD: 0 };
+
+  for (const tender of tenders) {
+    const currency = tender.currency;
+    const tendered = round2(tender.amount);
+
+    if (remaining[currency] <= 0) {
+      return { error: `Nothing is owed in ${currency} on this order` };
+    }
+
+    const applied = Math.min(tendered, remaining[currency]);
+    const change = round2(tendered - applied);
+
+    if (change > 0 && tender.method !== 'cash') {
+      return { error: `A ${tender.method.replace('_', ' ')} payment cannot exceed the ${remaining[currency]} ${currency} still owed` };
+    }
+
+    remaining[currency] = round2(remaining[currency] - applied);
+    changeDue[currency] = round2(changeDue[currency] + change);
+    allocations.push({
+      method: tender.method,
+      currency,
+      amount: round2(applied),
+      tenderedAmount: tendered,
+      changeDue: change,
+      reference: tender.reference || null
+    });
+  }
+
+  return { allocations, changeDue };
+};
+
+// Current ledger balance for a client in one currency (positive means credit)
+const getLedgerBalance = async (db, userId, currency) => {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(adjustment_amount), 0) AS sum FROM user_debt_adjustments WHERE user_id = $1 AND currency = $2',
+    [userId, currency]
+  );
+  return round2(result.rows[0].sum);
+};
+
+// Make sure the client has enough credit for every store credit tender.
+// `offset` is added to the ledger balance per currency (used when the order's own debt is already booked).
+// Returns an error message or null.
+const checkStoreCredit = async (db, clientId, allocations, offset = { EUR: 0, MKD: 0 }) => {
+  const requested = { EUR: 0, MKD: 0 };
+  allocations
+    .filter(a => a.method === 'store_credit')
+    .forEach(a => { requested[a.currency] = round2(requested[a.currency] + a.amount); });
+
+  for (const currency of PAYMENT_CURRENCIES) {
+    if (requested[currency] === 0) continue;
+    if (!clientId) {
+      return 'Store credit can only be used on orders for registered clients';
+    }
+    const balance = await getLedgerBalance(db, clientId, currency);
+    if (round2(balance + offset[currency]) < requested[currency]) {
+      return `Insufficient store credit in ${currency}`;
+    }
+  }
+  return null;
+};
+
+// The till session the user currently has open, or null. Tenders and refunds they take are counted in it.
+const getOpenCashSessionId = async (db, userId) => {
+  if (!userId) return null;
+  const result = await db.query(
+    `SELECT id FROM cash_sessions WHERE opened_by = $1 AND status = 'open' ORDER BY id DESC LIMIT 1`,
+    [userId]
+  );
+  return result.rows[0]?.id || null;
+};
+
+// Persist allocated tenders and keep the client's debt ledger in sync.
+// `order` needs id, client_id and original_status; `remaining` is what was owed before these tenders.
+const recordPayments = async (db, order, allocations, userId, remaining) => {
+  // A pending client order booked its total as debt when it was created
+  const debtBooked = !!order.client_id && order.original_status === 'pending';
+
+  // On a debt-booked order the unpaid remainder is already in the ledger, so add it back
+  // to see how much credit the client holds outside this order
+  const creditError = await checkStoreCredit(db, order.client_id, allocations, debtBooked ? remaining : undefined);
+  if (creditError) {
+    return { error: creditError };
+  }
+
+  const cashSessionId = await getOpenCashSessionId(db, userId);
+  const payments = [];
+  for (const allocation of allocations) {
+    if (allocation.method === 'store_credit') {
+      // Consuming credit and paying booked debt cancel out, so only non-booked orders need an entry
+      if (!debtBooked) {
+        await db.query(
+          'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+          [order.client_id, -allocation.amount, 'manual_reduction', allocation.currency, `Store credit applied to order #${order.id}`, userId]
+        );
+      }
+    } else if (debtBooked) {
+      // Positive amounts reduce the debt booked by the pending order
+      await db.query(
+        'INSERT INTO user_debt_adjustments (user_id, adjustment_amount, adjustment_type, currency, notes, created_by) VALUES ($1, $2, $3, $4, $5, $6)',
+        [order.client_id, allocation.amount, 'manual_reduction', allocation.currency, `Payment received for order #${order.id} (${allocation.method})`, userId]
+      );
+    }
+
+    const result = await db.query(
+      `INSERT INTO order_payments (order_id, method, currency, amount, tendered_amount, change_due, reference, created_by, cash_session_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id, method, currency, amount, tendered_amount, change_due, reference, created_at`,
+      [order.id, allocation.method, allocation.currency, allocation.amount, allocation.tenderedAmount, allocation.changeDue, allocation.reference, userId, cashSessionId]
+    );
+    payments.push(result.rows[0]);
+  }
+
+  await recordOrderEvent(db, order.id, 'payment', userId, {
+    payments: payments.map(p => ({ id: p.id, method: p.method, currency: p.currency, amount: parseFloat(p.amount) }))
+  });
+
+  return { payments };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_CURRENCIES,
+  round2,
+  getOrderDue,
+  getOrderPaid,
+  buildPaymentSummary,
+  allocateTenders,
+  checkStoreCredit,
+  getOpenCashSessionId,
+  recordPayments
+};
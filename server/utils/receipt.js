@@ -0,0 +1,303 @@
+// Till receipts for 58mm and 80mm thermal printers. A receipt is laid out once as fixed-width
+// text lines, then written either as ESC/POS bytes or as a narrow PDF, so both print the same.
+// Rendering only depends on the loaded data, so the same order always gives the same bytes.
+
+const PDFDocument = require('pdfkit');
+const { round2, getOrderDue, getOrderPaid, buildPaymentSummary } = require('./payments');
+const { summarizeTax } = require('./tax');
+const { CURRENCIES } = require('./currency');
+
+// Characters per line in the printer's standard font (Font A)
+const RECEIPT_COLUMNS = { 58: 32, 80: 48 };
+const RECEIPT_FORMATS = ['escpos', 'pdf'];
+
+const METHOD_LABELS = {
+  cash: 'Cash',
+  card: 'Card',
+  bank_transfer: 'Bank transfer',
+  store_credit: 'Store credit'
+};
+
+// Thermal printers only have the ASCII range in common, so Cyrillic is transliterated
+// and accents are dropped rather than printing garbage
+const CYRILLIC = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', ѓ: 'gj', е: 'e', ж: 'zh', з: 'z', ѕ: 'dz', и: 'i', ј: 'j',
+  к: 'k', л: 'l', љ: 'lj', м: 'm', н: 'n', њ: 'nj', о: 'o', п: 'p', р: 'r', с: 's', т: 't', ќ: 'kj',
+  у: 'u', ф: 'f', х: 'h', ц: 'c', ч: 'ch', џ: 'dzh', ш: 'sh', й: 'j', щ: 'sht', ъ: 'a', ь: '',
+  ю: 'ju', я: 'ja', ђ: 'dj', ћ: 'c', ы: 'y', э: 'e'
+};
+
+const toReceiptText = (value) => String(value ?? '')
+  .replace(/[\u0400-\u04ff]/g, (char) => {
+    const lower = char.toLowerCase();
+    const latin = CYRILLIC[lower];
+    if (latin === undefined) return '?';
+    return char === lower ? latin : latin.charAt(0).toUpperCase() + latin.slice(1);
+  })
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\x20-\x7e]/g, '?');
+
+const money = (amount) => round2(amount).toFixed(2);
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${pad2(date.getDate())}.${pad2(date.getMonth() + 1)}.${date.getFullYear()} ${pad2(date.getHours())}:${pad2(date.getMinutes())}`;
+};
+
+// Split text into lines of at most `columns` characters, breaking on spaces where possible
+const wrap = (text, columns) => {
+  const lines = [];
+  let current = '';
+  for (const word of toReceiptText(text).split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    while (rest.length > columns) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(rest.slice(0, columns));
+      rest = rest.slice(columns);
+    }
+    if (!current) {
+      current = rest;
+    } else if (current.length + 1 + rest.length <= columns) {
+      current += ` ${rest}`;
+    } else {
+      lines.push(current);
+      current = rest;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+};
+
+// Left text and right-aligned value on one line; the left side is cut short if needed
+const pair = (left, right, columns) => {
+  const value = toReceiptText(right);
+  const label = toReceiptText(left).slice(0, Math.max(0, columns - value.length - 1));
+  return label + ' '.repeat(columns - label.length - value.length) + value;
+};
+
+// Everything a receipt shows, or null when the order does not exist (or is not the client's)
+const loadReceipt = async (db, orderId, clientId = null) => {
+  const orderResult = await db.query(`
+    SELECT o.id, o.status, o.created_at, o.eur_discount, o.mkd_discount,
+           u.name as client_name, o.guest_name
+    FROM orders o
+    LEFT JOIN users u ON o.client_id = u.id
+    WHERE o.id = $1 ${clientId ? 'AND o.client_id = $2' : ''}
+  `, clientId ? [orderId, clientId] : [orderId]);
+  if (orderResult.rows.length === 0) return null;
+
+  const [itemsResult, paymentsResult, settingsResult, due, paid] = await Promise.all([
+    db.query(`
+      SELECT oi.quantity, oi.price, oi.currency, oi.discount_amount, oi.tax_rate, oi.tax_amount,
+             p.name as product_name, p.category, p.subcategory, p.model, p.storage_gb, p.color
+      FROM order_items oi
+      JOIN products p ON oi.product_id = p.id
+      WHERE oi.order_id = $1
+      ORDER BY oi.id
+    `, [orderId]),
+    db.query(`
+      SELECT method, currency, amount, tendered_amount, change_due
+      FROM order_payments
+      WHERE order_id = $1
+      ORDER BY created_at, id
+    `, [orderId]),
+    db.query('SELECT company_name, company_address, company_city_state, company_phone, company_email FROM settings ORDER BY id LIMIT 1'),
+    getOrderDue(db, orderId),
+    getOrderPaid(db, orderId)
+  ]);
+
+  return {
+    order: orderResult.rows[0],
+    items: itemsResult.rows,
+    payments: paymentsResult.rows,
+    settings: settingsResult.rows[0] || { company_name: 'POS CRM System' },
+    summary: buildPaymentSummary(due, paid)
+  };
+};
+
+// Lay the receipt out as { text, align, bold, large } lines plus one { barcode } entry.
+// Large text is double width, so it wraps at half the columns.
+const buildReceiptLines = ({ order, items, payments, settings, summary }, columns) => {
+  const lines = [];
+  const add = (text, options = {}) => lines.push({ text, align: 'left', ...options });
+  const rule = () => add('-'.repeat(columns));
+
+  wrap(settings.company_name, Math.floor(columns / 2)).forEach(text => add(text, { align: 'center', bold: true, large: true }));
+  [settings.company_address, settings.company_city_state, settings.company_phone, settings.company_email]
+    .filter(Boolean)
+    .forEach(value => wrap(value, columns).forEach(text => add(text, { align: 'center' })));
+  rule();
+
+  add(pair(`Receipt #${order.id}`, formatDateTime(order.created_at), columns));
+  const customer = order.client_name || order.guest_name;
+  if (customer) {
+    add(pair('Customer:', customer, columns));
+  }
+  rule();
+
+  items.forEach(item => {
+    const name = item.category === 'smartphones' && item.subcategory && item.model
+      ? [item.subcategory, item.model, item.storage_gb, item.color].filter(Boolean).join(' ')
+      : item.product_name;
+    wrap(name, columns).forEach(text => add(text));
+    const price = parseFloat(item.price);
+    add(pair(`  ${item.quantity} x ${money(price)}`, `${money(item.quantity * price)} ${item.currency}`, columns));
+    const discount = parseFloat(item.discount_amount) || 0;
+    if (discount > 0) {
+      add(pair('  incl. discount', `-${money(item.quantity * discount)} ${item.currency}`, columns));
+    }
+  });
+  rule();
+
+  CURRENCIES.forEach(currency => {
+    const orderDiscount = parseFloat(order[`${currency.toLowerCase()}_discount`]) || 0;
+    if (orderDiscount > 0) {
+      add(pair(`Discount ${currency}`, `-${money(orderDiscount)}`, columns));
+    }
+  });
+  CURRENCIES.forEach(currency => {
+    const currencyItems = items.filter(item => item.currency === currency);
+    if (currencyItems.length > 0) {
+      const total = currencyItems.reduce((sum, item) => sum + item.quantity * parseFloat(item.price), 0);
+      add(pair(`TOTAL ${currency}`, money(total), columns), { bold: true });
+    }
+  });
+  summarizeTax(items).forEach(group => {
+    add(pair(`  incl. VAT ${group.rate}% ${group.currency}`, money(group.tax), columns));
+  });
+
+  if (payments.length > 0) {
+    rule();
+    payments.forEach(payment => {
+      add(pair(`${METHOD_LABELS[payment.method] || payment.method} ${payment.currency}`, money(payment.tendered_amount), columns));
+      if (parseFloat(payment.change_due) > 0) {
+        add(pair(`  Change ${payment.currency}`, money(payment.change_due), columns));
+      }
+    });
+  }
+  CURRENCIES.forEach(currency => {
+    if (summary.remaining[currency] > 0) {
+      add(pair(`Balance due ${currency}`, money(summary.remaining[currency]), columns), { bold: true });
+    }
+  });
+  rule();
+
+  lines.push({ barcode: String(order.id) });
+  add('Thank you for your business!', { align: 'center' });
+  return lines;
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// ESC/POS byte stream: initialise, one command group per line, Code 39 barcode, feed and partial cut
+const renderEscPos = (lines) => {
+  const bytes = [ESC, 0x40];
+  lines.forEach(line => {
+    if (line.barcode) {
+      const data = Buffer.from(line.barcode, 'ascii');
+      bytes.push(
+        ESC, 0x61, ALIGN.center,
+        GS, 0x68, 80, // height in dots
+        GS, 0x77, 2, // module width
+        GS, 0x48, 2, // human-readable digits below
+        GS, 0x6b, 69, data.length, ...data, // CODE39
+        LF
+      );
+      return;
+    }
+    bytes.push(
+      ESC, 0x61, ALIGN[line.align] || 0,
+      ESC, 0x45, line.bold ? 1 : 0,
+      GS, 0x21, line.large ? 0x11 : 0x00,
+      ...Buffer.from(line.text, 'ascii'),
+      LF
+    );
+  });
+  bytes.push(ESC, 0x64, 4, GS, 0x56, 66, 0);
+  return Buffer.from(bytes);
+};
+
+// Code 39 bar widths for the characters an order number uses: bar, space, bar... (1 = wide)
+const CODE39 = {
+  0: '000110100', 1: '100100001', 2: '001100001', 3: '101100000', 4: '000110001',
+  5: '100110000', 6: '001110000', 7: '000100101', 8: '100100100', 9: '001100100',
+  '*': '010010100'
+};
+const CODE39_NARROW = 1;
+const CODE39_WIDE = 2.5;
+const code39Width = (data) => (data.length + 2) * (6 * CODE39_NARROW + 3 * CODE39_WIDE + CODE39_NARROW);
+
+const drawCode39 = (doc, data, x, y, height) => {
+  let cursor = x;
+  `*${data}*`.split('').forEach(char => {
+    CODE39[char].split('').forEach((wide, index) => {
+      const width = wide === '1' ? CODE39_WIDE : CODE39_NARROW;
+      if (index % 2 === 0) {
+        doc.rect(cursor, y, width, height).fill('#000000');
+      }
+      cursor += width;
+    });
+    cursor += CODE39_NARROW;
+  });
+};
+
+// Narrow PDF for shops without a thermal printer: Courier sized so `columns` characters fill the roll
+const renderReceiptPdf = (lines, { paperWidth, columns, createdAt }) => {
+  const margin = 8;
+  const width = paperWidth * 72 / 25.4;
+  const fontSize = (width - 2 * margin) / (columns * 0.6);
+  const lineHeight = fontSize * 1.3;
+  const barcodeHeight = 36;
+
+  const height = lines.reduce((sum, line) => {
+    if (line.barcode) return sum + barcodeHeight + lineHeight * 2;
+    return sum + (line.large ? lineHeight * 2 : lineHeight);
+  }, margin * 2);
+
+  const doc = new PDFDocument({
+    size: [width, height],
+    margin,
+    info: { Title: 'Receipt', CreationDate: new Date(createdAt) }
+  });
+
+  let y = margin;
+  lines.forEach(line => {
+    if (line.barcode) {
+      y += lineHeight / 2;
+      drawCode39(doc, line.barcode, (width - code39Width(line.barcode)) / 2, y, barcodeHeight);
+      y += barcodeHeight;
+      doc.fillColor('#000000').font('Courier').fontSize(fontSize)
+        .text(line.barcode, margin, y + 2, { width: width - 2 * margin, align: 'center', lineBreak: false });
+      y += lineHeight * 1.5;
+      return;
+    }
+    const size = line.large ? fontSize * 2 : fontSize;
+    doc.fillColor('#000000').font(line.bold ? 'Courier-Bold' : 'Courier').fontSize(size)
+      .text(line.text, margin, y, { width: width - 2 * margin, align: line.align, lineBreak: false });
+    y += line.large ? lineHeight * 2 : lineHeight;
+  });
+
+  return doc;
+};
+
+module.exports = {
+  RECEIPT_COLUMNS,
+  RECEIPT_FORMATS,
+  METHOD_LABELS,
+  toReceiptText,
+  formatDateTime,
+  wrap,
+  pair,
+  loadReceipt,
+  buildReceiptLines,
+  renderEscPos,
+  renderReceiptPdf
+};
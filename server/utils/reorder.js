@@ -0,0 +1,195 @@
+// Reorder points: min/max stock levels kept in the catalog and the quantities they suggest ordering.
+// Smartphone models carry their levels in settings (for the whole model and per storage/color variant),
+// accessories on the product itself.
+
+const { normalize } = require('./catalog');
+
+// Sales are averaged over this many days, and a supplier order is assumed to take this long to arrive
+const DEFAULT_SALES_DAYS = 30;
+const DEFAULT_LEAD_DAYS = 7;
+
+const isSet = (value) => value !== undefined && value !== null;
+const isLevel = (value) => Number.isInteger(value) && value >= 0;
+
+const describeVariant = (level) => [level.storage, level.color].filter(isSet).join(' ');
+
+// Throws unless min_stock is a whole number and max_stock, when given, is one too and not below it
+const validateLevelPair = (level, label) => {
+  if (!isLevel(level.min_stock)) {
+    throw new Error(`${label} min_stock must be a whole number of 0 or more`);
+  }
+  if (isSet(level.max_stock)) {
+    if (!isLevel(level.max_stock)) throw new Error(`${label} max_stock must be a whole number of 0 or more`);
+    if (level.max_stock < level.min_stock) throw new Error(`${label} max_stock cannot be below min_stock`);
+  }
+};
+
+// Levels on a smartphone model in settings: `min_stock`/`max_stock` for the model as a whole and
+// `stock_levels` for its variants, e.g. [{ "storage": "128GB", "color": "Black", "min_stock": 2, "max_stock": 5 }]
+const validateModelStockLevels = (model) => {
+  if (isSet(model.min_stock)) {
+    validateLevelPair(model, `Model ${model.name}`);
+  } else if (isSet(model.max_stock)) {
+    throw new Error(`Model ${model.name} needs a min_stock with its max_stock`);
+  }
+  if (model.stock_levels === undefined || model.stock_levels === null) return true;
+  if (!Array.isArray(model.stock_levels)) throw new Error(`Model ${model.name} stock_levels must be an array`);
+  for (const level of model.stock_levels) {
+    if (typeof level !== 'object' || !level) throw new Error(`Model ${model.name} stock levels must be objects`);
+    for (const key of ['storage', 'color']) {
+      if (isSet(level[key]) && typeof level[key] !== 'string' && typeof level[key] !== 'number') {
+        throw new Error(`Model ${model.name} stock level ${key} must be a string`);
+      }
+    }
+    if (!isSet(level.storage) && !isSet(level.color)) {
+      throw new Error(`Model ${model.name} stock levels need a storage or a color; set min_stock on the model for all of it`);
+    }
+    validateLevelPair(level, `Model ${model.name} ${describeVariant(level)}`);
+  }
+  return true;
+};
+
+// A level of '' or null clears it
+const validateStockLevel = (value) => {
+  if (value === '' || value === null) {
+    return true;
+  }
+  if (String(value).trim() !== '' && isLevel(Number(value))) {
+    return true;
+  }
+  throw new Error('Stock levels must be whole numbers of 0 or more');
+};
+
+// Units to order so stock lasts until the delivery arrives. Stock on hand plus stock already on order is
+// compared with the min level plus what is expected to sell before a new order arrives; at or below that,
+// enough is ordered to reach the max level (or that reorder point, when it is higher).
+const suggestQuantity = ({ onHand, incoming, minStock, maxStock, dailySales }, leadDays) => {
+  const reorderPoint = minStock + Math.ceil(dailySales * leadDays);
+  const available = onHand + incoming;
+  if (available > reorderPoint) return 0;
+  return Math.max(isSet(maxStock) ? maxStock : minStock, reorderPoint) - available;
+};
+
+// Every catalog entry with a min level: its stock on hand and on order, net units sold over the last
+// `days` (sales less returns, from the stock ledger), stock status and suggested order quantity
+const getStockLevels = async (db, { days = DEFAULT_SALES_DAYS, leadDays = DEFAULT_LEAD_DAYS } = {}) => {
+  const settingsResult = await db.query('SELECT smartphone_models FROM settings ORDER BY id LIMIT 1');
+  const models = Array.isArray(settingsResult.rows[0]?.smartphone_models) ? settingsResult.rows[0].smartphone_models : [];
+
+  // Each phone is its own product, so phones are counted per model, storage and color
+  const phonesResult = await db.query(`
+    SELECT p.model, p.storage_gb, p.color,
+           SUM(p.stock_quantity)::int AS on_hand,
+           COALESCE(SUM(s.sold), 0)::int AS sold
+    FROM products p
+    LEFT JOIN (
+      SELECT product_id, -SUM(quantity) AS sold
+      FROM stock_movements
+      WHERE movement_type IN ('sale', 'return') AND created_at >= NOW() - $1::int * INTERVAL '1 day'
+      GROUP BY product_id
+    ) s ON s.product_id = p.id
+    WHERE p.category = 'smartphones' AND p.model IS NOT NULL
+    GROUP BY p.model, p.storage_gb, p.color
+  `, [days]);
+
+  // Phones still to arrive on purchase orders sent to suppliers
+  const incomingResult = await db.query(`
+    SELECT poi.model, poi.storage_gb, poi.color, SUM(poi.quantity - poi.received_quantity)::int AS incoming
+    FROM purchase_order_items poi
+    JOIN purchase_orders po ON poi.purchase_order_id = po.id
+    WHERE poi.category = 'smartphones' AND po.status IN ('sent', 'partially_received')
+    GROUP BY poi.model, poi.storage_gb, poi.color
+  `);
+
+  const accessoriesResult = await db.query(`
+    SELECT p.id, p.name, p.subcategory, p.stock_quantity AS on_hand, p.min_stock, p.max_stock,
+           COALESCE((
+             SELECT -SUM(m.quantity) FROM stock_movements m
+             WHERE m.product_id = p.id AND m.movement_type IN ('sale', 'return')
+               AND m.created_at >= NOW() - $1::int * INTERVAL '1 day'
+           ), 0)::int AS sold,
+           COALESCE((
+             SELECT SUM(poi.quantity - poi.received_quantity) FROM purchase_order_items poi
+             JOIN purchase_orders po ON poi.purchase_order_id = po.id
+             WHERE poi.product_id = p.id AND po.status IN ('sent', 'partially_received')
+           ), 0)::int AS incoming
+    FROM products p
+    WHERE p.category = 'accessories' AND p.min_stock IS NOT NULL AND p.stock_status = 'enabled'
+  `, [days]);
+
+  const buildLine = (entry, { onHand, incoming, sold, minStock, maxStock }) => {
+    const soldUnits = Math.max(0, sold);
+    const dailySales = soldUnits / days;
+    return {
+      ...entry,
+      onHand,
+      incoming,
+      minStock,
+      maxStock: isSet(maxStock) ? maxStock : null,
+      soldUnits,
+      dailySales: Math.round(dailySales * 100) / 100,
+      status: onHand > minStock ? 'ok' : (onHand === 0 ? 'out_of_stock' : 'low_stock'),
+      suggestedQuantity: suggestQuantity({ onHand, incoming, minStock, maxStock, dailySales }, leadDays)
+    };
+  };
+
+  const total = (rows, field, matches) => rows.filter(matches).reduce((sum, row) => sum + row[field], 0);
+
+  const levels = [];
+  for (const model of models) {
+    if (!model || typeof model.name !== 'string') continue;
+    const variants = [
+      ...(isSet(model.min_stock) ? [{ min_stock: model.min_stock, max_stock: model.max_stock }] : []),
+      ...(Array.isArray(model.stock_levels) ? model.stock_levels : [])
+    ];
+    for (const level of variants) {
+      const matches = (row) => row.model === model.name &&
+        (!isSet(level.storage) || normalize(row.storage_gb) === normalize(level.storage)) &&
+        (!isSet(level.color) || normalize(row.color) === normalize(level.color));
+      levels.push(buildLine({
+        category: 'smartphones',
+        subcategory: model.subcategory || null,
+        model: model.name,
+        storage: isSet(level.storage) ? String(level.storage) : null,
+        color: isSet(level.color) ? level.color : null,
+        productId: null,
+        name: [model.name, describeVariant(level)].filter(Boolean).join(' ')
+      }, {
+        onHand: total(phonesResult.rows, 'on_hand', matches),
+        incoming: total(incomingResult.rows, 'incoming', matches),
+        sold: total(phonesResult.rows, 'sold', matches),
+        minStock: level.min_stock,
+        maxStock: level.max_stock
+      }));
+    }
+  }
+
+  accessoriesResult.rows.forEach(product => {
+    levels.push(buildLine({
+      category: 'accessories',
+      subcategory: product.subcategory,
+      model: null,
+      storage: null,
+      color: null,
+      productId: product.id,
+      name: product.name
+    }, {
+      onHand: product.on_hand,
+      incoming: product.incoming,
+      sold: product.sold,
+      minStock: product.min_stock,
+      maxStock: product.max_stock
+    }));
+  });
+
+  return { days, leadDays, levels };
+};
+
+module.exports = {
+  DEFAULT_SALES_DAYS,
+  DEFAULT_LEAD_DAYS,
+  validateModelStockLevels,
+  validateStockLevel,
+  suggestQuantity,
+  getStockLevels
+};
@@ -0,0 +1,172 @@
+// Stock helpers for routes that move inventory inside a transaction, and the stock ledger they write
+
+// Why stock changed: sale (orders taking or putting back stock), return (customer returns),
+// receipt (purchase order deliveries), adjustment (manual edits), transfer and stocktake
+const STOCK_MOVEMENT_TYPES = ['sale', 'return', 'receipt', 'adjustment', 'transfer', 'stocktake'];
+
+// Lock product rows for the rest of the transaction and return them keyed by ID.
+// Rows are locked in ID order so two transactions touching the same products cannot deadlock.
+const lockProducts = async (client, productIds) => {
+  const ids = [...new Set(productIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+  const products = new Map();
+  if (ids.length === 0) return products;
+
+  const result = await client.query(
+    `SELECT id, name, price, stock_status, stock_quantity, reserved_quantity, category, currency, imei
+     FROM products
+     WHERE id = ANY($1::int[])
+     ORDER BY id
+     FOR UPDATE`,
+    [ids]
+  );
+  result.rows.forEach(row => products.set(row.id, row));
+  return products;
+};
+
+// True when Postgres rejected a write because it would drive stock below zero, in total or at a location
+const isStockConflict = (error) =>
+  error && error.code === '23514' &&
+  ['products_stock_quantity_check', 'location_stock_quantity_check'].includes(error.constraint);
+
+// The location stock lands at when nothing says otherwise (orders placed online, stock from before locations)
+const getDefaultLocationId = async (db) => {
+  const result = await db.query('SELECT id FROM locations ORDER BY is_default DESC, id LIMIT 1');
+  return result.rows[0] ? result.rows[0].id : null;
+};
+
+// An active location by ID, or the default location when no ID is given; null when there is no such location
+const findLocation = async (db, locationId) => {
+  const result = locationId
+    ? await db.query('SELECT id, name FROM locations WHERE id = $1 AND active = true', [locationId])
+    : await db.query('SELECT id, name FROM locations ORDER BY is_default DESC, id LIMIT 1');
+  return result.rows[0] || null;
+};
+
+// Stock of each product at one location, keyed by product ID (missing products hold none there)
+const getLocationQuantities = async (db, productIds, locationId) => {
+  const quantities = new Map();
+  const result = await db.query(
+    'SELECT product_id, quantity FROM location_stock WHERE location_id = $1 AND product_id = ANY($2::int[])',
+    [locationId, productIds.map(id => parseInt(id))]
+  );
+  result.rows.forEach(row => quantities.set(row.product_id, row.quantity));
+  return quantities;
+};
+
+// Change the stock a location holds, for callers that have already changed products.stock_quantity
+// or move stock without changing it (transfers).
+// Callers hold the product row lock, so the row cannot appear between the update and the insert;
+// a negative change where the location holds nothing is left for the quantity check to reject.
+const changeLocationStock = async (db, productId, locationId, quantity) => {
+  const updated = await db.query(
+    'UPDATE location_stock SET quantity = quantity + $1 WHERE product_id = $2 AND location_id = $3',
+    [quantity, productId, locationId]
+  );
+  if (updated.rowCount === 0) {
+    await db.query(
+      'INSERT INTO location_stock (product_id, location_id, quantity) VALUES ($1, $2, $3)',
+      [productId, locationId, quantity]
+    );
+  }
+};
+
+// Append a change that has already been made to a product's stock to the ledger.
+// `quantity` is signed and `balanceAfter` is the stock once it was made.
+const recordStockMovement = async (db, { productId, type, quantity, balanceAfter, locationId, orderId, returnId, receiptId, stocktakeId, transferId, userId, notes }) => {
+  if (!quantity) return;
+  await db.query(
+    `INSERT INTO stock_movements (product_id, movement_type, quantity, balance_after, location_id, order_id, return_id, receipt_id, stocktake_id, transfer_id, notes, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+    [productId, type, quantity, balanceAfter, locationId || null, orderId || null, returnId || null, receiptId || null, stocktakeId || null, transferId || null, notes || null, userId || null]
+  );
+};
+
+// Change a product's stock by `quantity` (signed) at `details.locationId` (the default location
+// when not given) and record why; returns the new stock level across all locations
+const adjustStock = async (db, productId, quantity, type, details = {}) => {
+  const locationId = details.locationId || await getDefaultLocationId(db);
+  const result = await db.query(
+    'UPDATE products SET stock_quantity = stock_quantity + $1 WHERE id = $2 RETURNING stock_quantity',
+    [quantity, productId]
+  );
+  const balanceAfter = result.rows[0].stock_quantity;
+  if (quantity) {
+    await changeLocationStock(db, productId, locationId, quantity);
+  }
+  await recordStockMovement(db, { ...details, productId, type, quantity, balanceAfter, locationId });
+  return balanceAfter;
+};
+
+// Products whose stock no longer matches the sum of their ledger entries, or of their stock by location
+// plus what is in transit on sent transfers
+const findStockDrift = async (db) => {
+  const result = await db.query(`
+    SELECT p.id, p.name, p.category, p.stock_quantity,
+           COALESCE(m.quantity, 0)::int as ledger_quantity,
+           COALESCE(ls.quantity, 0)::int as location_quantity,
+           COALESCE(tr.quantity, 0)::int as in_transit_quantity,
+           p.stock_quantity - COALESCE(m.quantity, 0)::int as drift
+    FROM products p
+    LEFT JOIN (SELECT product_id, SUM(quantity) as quantity FROM stock_movements GROUP BY product_id) m ON m.product_id = p.id
+    LEFT JOIN (SELECT product_id, SUM(quantity) as quantity FROM location_stock GROUP BY product_id) ls ON ls.product_id = p.id
+    LEFT JOIN (
+      SELECT ti.product_id, SUM(ti.quantity) as quantity
+      FROM stock_transfer_items ti
+      JOIN stock_transfers t ON ti.transfer_id = t.id
+      WHERE t.status = 'sent'
+      GROUP BY ti.product_id
+    ) tr ON tr.product_id = p.id
+    WHERE p.stock_quantity <> COALESCE(m.quantity, 0)
+       OR p.stock_quantity <> COALESCE(ls.quantity, 0) + COALESCE(tr.quantity, 0)
+    ORDER BY p.id
+  `);
+  return result.rows;
+};
+
+// Result of the last nightly check, for the stock drift endpoint
+let lastStockCheck = null;
+
+const runStockCheck = async (db) => {
+  const drift = await findStockDrift(db);
+  lastStockCheck = { checkedAt: new Date().toISOString(), products: drift };
+  if (drift.length > 0) {
+    console.warn(`⚠️  Stock drift on ${drift.length} product(s):`, drift.map(row => `#${row.id} ${row.name} (stock ${row.stock_quantity}, ledger ${row.ledger_quantity}, locations ${row.location_quantity}, in transit ${row.in_transit_quantity})`).join(', '));
+  } else {
+    console.log('✅ Stock matches the stock ledger');
+  }
+  return lastStockCheck;
+};
+
+// Recompute stock from the ledger every night at `hour` (server time)
+const scheduleStockCheck = (db, hour = 3) => {
+  const next = new Date();
+  next.setHours(hour, 0, 0, 0);
+  if (next <= new Date()) next.setDate(next.getDate() + 1);
+
+  setTimeout(async () => {
+    try {
+      await runStockCheck(db);
+    } catch (error) {
+      console.error('Stock check error:', error);
+    }
+    scheduleStockCheck(db, hour);
+  }, next - new Date()).unref();
+};
+
+const getLastStockCheck = () => lastStockCheck;
+
+module.exports = {
+  STOCK_MOVEMENT_TYPES,
+  lockProducts,
+  isStockConflict,
+  getDefaultLocationId,
+  findLocation,
+  getLocationQuantities,
+  changeLocationStock,
+  recordStockMovement,
+  adjustStock,
+  findStockDrift,
+  runStockCheck,
+  scheduleStockCheck,
+  getLastStockCheck
+};
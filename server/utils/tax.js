@@ -0,0 +1,102 @@
+// VAT: configured rates, the rate for each product and the tax contained in order lines.
+// Shelf prices include VAT, so tax is extracted from the gross line total rather than added to it.
+
+const { round2 } = require('./payments');
+
+// Used when settings.tax_rates is not set
+const DEFAULT_TAX_RATES = [
+  { code: 'standard', name: 'Standard', rate: 18, default: true },
+  { code: 'reduced', name: 'Reduced', rate: 5, subcategories: [] }
+];
+
+// Throws when a configured rate list is malformed (used by the settings validator)
+const validateTaxRates = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new Error('tax_rates must be a non-empty array');
+  }
+  const codes = new Set();
+  for (const rate of value) {
+    if (typeof rate !== 'object' || !rate) throw new Error('Each tax rate must be an object');
+    if (typeof rate.code !== 'string' || rate.code.trim() === '') throw new Error('Tax rate code is required');
+    if (codes.has(rate.code)) throw new Error(`Duplicate tax rate code: ${rate.code}`);
+    codes.add(rate.code);
+    if (typeof rate.rate !== 'number' || rate.rate < 0 || rate.rate > 100) {
+      throw new Error(`Tax rate ${rate.code} must be a number between 0 and 100`);
+    }
+    for (const key of ['subcategories', 'categories']) {
+      if (rate[key] !== undefined && (!Array.isArray(rate[key]) || !rate[key].every(v => typeof v === 'string'))) {
+        throw new Error(`Tax rate ${rate.code} ${key} must be an array of strings`);
+      }
+    }
+  }
+  if (value.filter(rate => rate.default).length > 1) {
+    throw new Error('Only one tax rate can be the default');
+  }
+  return true;
+};
+
+const getTaxRates = async (db) => {
+  const result = await db.query('SELECT tax_rates FROM settings ORDER BY id LIMIT 1');
+  const configured = result.rows[0]?.tax_rates;
+  return Array.isArray(configured) && configured.length > 0 ? configured : DEFAULT_TAX_RATES;
+};
+
+// A subcategory match wins over a category match; everything else gets the default rate
+const rateForProduct = (rates, product) => (
+  rates.find(rate => Array.isArray(rate.subcategories) && product.subcategory && rate.subcategories.includes(product.subcategory)) ||
+  rates.find(rate => Array.isArray(rate.categories) && rate.categories.includes(product.category)) ||
+  rates.find(rate => rate.default) ||
+  rates[0]
+);
+
+// VAT contained in a tax-inclusive amount
+const taxIncluded = (gross, rate) => round2(gross * rate / (100 + rate));
+
+// Stamp rate and tax on an order's lines that do not have them yet.
+// The rate is fixed at the time of sale, so later changes to settings never rewrite old lines.
+const stampOrderItemTax = async (db, orderId) => {
+  const rates = await getTaxRates(db);
+  const result = await db.query(`
+    SELECT oi.id, oi.quantity, oi.price, p.category, p.subcategory
+    FROM order_items oi
+    JOIN products p ON oi.product_id = p.id
+    WHERE oi.order_id = $1 AND oi.tax_rate IS NULL
+  `, [orderId]);
+
+  for (const line of result.rows) {
+    const rate = parseFloat(rateForProduct(rates, line).rate);
+    await db.query(
+      'UPDATE order_items SET tax_rate = $1, tax_amount = $2 WHERE id = $3',
+      [rate, taxIncluded(line.quantity * parseFloat(line.price), rate), line.id]
+    );
+  }
+};
+
+// Net, tax and gross per currency and rate for a list of lines ({ currency, quantity, price, tax_rate, tax_amount })
+const summarizeTax = (lines) => {
+  const groups = new Map();
+  for (const line of lines) {
+    if (line.tax_rate === null || line.tax_rate === undefined) continue;
+    const currency = line.currency;
+    const rate = parseFloat(line.tax_rate);
+    const key = `${currency}:${rate}`;
+    const group = groups.get(key) || { currency, rate, net: 0, tax: 0, gross: 0 };
+    const gross = line.quantity * parseFloat(line.price);
+    const tax = parseFloat(line.tax_amount) || 0;
+    group.gross = round2(group.gross + gross);
+    group.tax = round2(group.tax + tax);
+    group.net = round2(group.gross - group.tax);
+    groups.set(key, group);
+  }
+  return [...groups.values()].sort((a, b) => a.currency.localeCompare(b.currency) || b.rate - a.rate);
+};
+
+module.exports = {
+  DEFAULT_TAX_RATES,
+  validateTaxRates,
+  getTaxRates,
+  rateForProduct,
+  taxIncluded,
+  stampOrderItemTax,
+  summarizeTax
+};
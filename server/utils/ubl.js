@@ -0,0 +1,156 @@
+// UBL 2.1 Invoice XML for an order, for accounting software that imports e-invoices.
+// Shelf prices include VAT, so line amounts are the net part of each line and VAT is listed per rate.
+
+const { round2 } = require('./payments');
+
+const NAMESPACES = {
+  xmlns: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
+  'xmlns:cac': 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
+  'xmlns:cbc': 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// An element with text, or with child elements (null children are left out, as is an element with none)
+const element = (name, content, attributes = {}) => {
+  if (content === null || content === undefined || content === '') return null;
+  const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+  if (!Array.isArray(content)) {
+    return `<${name}${attrs}>${escapeXml(content)}</${name}>`;
+  }
+  const children = content.filter(Boolean);
+  if (children.length === 0) return null;
+  const inner = children.join('\n').split('\n').map(line => `  ${line}`).join('\n');
+  return `<${name}${attrs}>\n${inner}\n</${name}>`;
+};
+
+const formatDate = (value) => {
+  const date = new Date(value);
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+// Standard rated, or zero rated for lines sold without VAT
+const taxCategory = (name, rate) => element(name, [
+  element('cbc:ID', rate > 0 ? 'S' : 'Z'),
+  element('cbc:Percent', rate.toFixed(2)),
+  element('cac:TaxScheme', [element('cbc:ID', 'VAT')])
+]);
+
+const party = ({ name, street, city, phone, email, legalName }) => element('cac:Party', [
+  element('cac:PartyName', [element('cbc:Name', name)]),
+  element('cac:PostalAddress', [
+    element('cbc:StreetName', street),
+    element('cbc:CityName', city)
+  ]),
+  legalName ? element('cac:PartyLegalEntity', [element('cbc:RegistrationName', legalName)]) : null,
+  element('cac:Contact', [
+    element('cbc:Telephone', phone),
+    element('cbc:ElectronicMail', email)
+  ])
+]);
+
+// Lines with the net amount and VAT of each, in the invoice currency
+const buildUblLines = (items) => items.map(item => {
+  const rate = item.tax_rate === null || item.tax_rate === undefined ? 0 : parseFloat(item.tax_rate);
+  const gross = round2(item.quantity * parseFloat(item.price));
+  const tax = round2(parseFloat(item.tax_amount) || 0);
+  const net = round2(gross - tax);
+  const details = [item.storage_gb, item.color].filter(Boolean).join(', ');
+  return {
+    name: item.category === 'smartphones' && item.subcategory && item.model
+      ? `${item.subcategory} ${item.model}`
+      : item.product_name,
+    details,
+    quantity: item.quantity,
+    rate,
+    gross,
+    tax,
+    net,
+    unitPrice: parseFloat((net / item.quantity).toFixed(4))
+  };
+});
+
+// `invoice` is what loadInvoice returns for a single-currency invoice, plus its invoiceNumber
+const buildUblInvoice = ({ order, items, discountTotals, invoiceCurrency, invoiceNumber }, settings) => {
+  const currency = { currencyID: invoiceCurrency };
+  const money = (name, value) => element(name, value.toFixed(2), currency);
+  const lines = buildUblLines(items);
+
+  const taxGroups = new Map();
+  lines.forEach(line => {
+    const group = taxGroups.get(line.rate) || { rate: line.rate, taxable: 0, tax: 0 };
+    group.taxable = round2(group.taxable + line.net);
+    group.tax = round2(group.tax + line.tax);
+    taxGroups.set(line.rate, group);
+  });
+  const groups = [...taxGroups.values()].sort((a, b) => b.rate - a.rate);
+  const lineTotal = round2(lines.reduce((sum, line) => sum + line.net, 0));
+  const taxTotal = round2(groups.reduce((sum, group) => sum + group.tax, 0));
+  const grossTotal = round2(lines.reduce((sum, line) => sum + line.gross, 0));
+
+  const discount = discountTotals[invoiceCurrency] || 0;
+  const note = discount > 0
+    ? `Prices are after a discount of ${discount.toFixed(2)} ${invoiceCurrency}${order.discount_reason ? ` (${order.discount_reason.replace(/_/g, ' ')})` : ''}`
+    : null;
+
+  const invoice = element('Invoice', [
+    element('cbc:UBLVersionID', '2.1'),
+    element('cbc:CustomizationID', 'urn:cen.eu:en16931:2017'),
+    element('cbc:ID', invoiceNumber),
+    element('cbc:IssueDate', formatDate(order.created_at)),
+    element('cbc:InvoiceTypeCode', '380'),
+    element('cbc:Note', note),
+    element('cbc:DocumentCurrencyCode', invoiceCurrency),
+    element('cac:OrderReference', [element('cbc:ID', order.id)]),
+    element('cac:AccountingSupplierParty', [party({
+      name: settings.company_name,
+      street: settings.company_address,
+      city: settings.company_city_state,
+      phone: settings.company_phone,
+      email: settings.company_email,
+      legalName: settings.company_name
+    })]),
+    element('cac:AccountingCustomerParty', [party({
+      name: order.client_name || order.guest_name || 'Walk-in customer',
+      phone: order.client_name ? null : order.guest_phone,
+      email: order.client_name ? order.client_email : order.guest_email
+    })]),
+    element('cac:TaxTotal', [
+      money('cbc:TaxAmount', taxTotal),
+      ...groups.map(group => element('cac:TaxSubtotal', [
+        money('cbc:TaxableAmount', group.taxable),
+        money('cbc:TaxAmount', group.tax),
+        taxCategory('cac:TaxCategory', group.rate)
+      ]))
+    ]),
+    element('cac:LegalMonetaryTotal', [
+      money('cbc:LineExtensionAmount', lineTotal),
+      money('cbc:TaxExclusiveAmount', lineTotal),
+      money('cbc:TaxInclusiveAmount', grossTotal),
+      money('cbc:PayableAmount', grossTotal)
+    ]),
+    ...lines.map((line, index) => element('cac:InvoiceLine', [
+      element('cbc:ID', index + 1),
+      element('cbc:InvoicedQuantity', line.quantity, { unitCode: 'C62' }),
+      money('cbc:LineExtensionAmount', line.net),
+      element('cac:Item', [
+        element('cbc:Description', line.details),
+        element('cbc:Name', line.name),
+        taxCategory('cac:ClassifiedTaxCategory', line.rate)
+      ]),
+      element('cac:Price', [element('cbc:PriceAmount', String(line.unitPrice), currency)])
+    ]))
+  ], NAMESPACES);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${invoice}\n`;
+};
+
+module.exports = {
+  escapeXml,
+  buildUblInvoice
+};
@@ -0,0 +1,248 @@
+// Minimal zip reader and writer for imports and exports: stored or deflated entries, no directories, no zip64
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Pass the previous result to continue a checksum over several chunks
+const crc32 = (buffer, previous = 0) => {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date and time fields (local time, two-second resolution, from 1980)
+const dosDateTime = (value) => {
+  const date = new Date(value);
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+// Resolves once the stream takes data again; throws if it closed first (the client went away)
+const waitForDrain = async (output) => {
+  const controller = new AbortController();
+  try {
+    await Promise.race([
+      once(output, 'drain', { signal: controller.signal }),
+      once(output, 'close', { signal: controller.signal })
+    ]);
+  } finally {
+    controller.abort();
+  }
+  if (output.destroyed) {
+    throw new Error('Output closed before it was fully written');
+  }
+};
+
+const UTF8_NAMES = 0x0800;
+const SIZES_AFTER_DATA = 0x0008;
+
+// Local header; a streamed entry has zero sizes here and a data descriptor after its data
+const localHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // version needed to extract
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.date, 12);
+  header.writeUInt32LE(entry.crc, 14);
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.name.length, 26);
+  return Buffer.concat([header, entry.name]);
+};
+
+const centralHeader = (entry) => {
+  const header = Buffer.alloc(46);
+  header.writeUInt32LE(0x02014b50, 0);
+  header.writeUInt16LE(20, 4); // version made by
+  header.writeUInt16LE(20, 6);
+  header.writeUInt16LE(entry.flags, 8);
+  header.writeUInt16LE(8, 10);
+  header.writeUInt16LE(entry.time, 12);
+  header.writeUInt16LE(entry.date, 14);
+  header.writeUInt32LE(entry.crc, 16);
+  header.writeUInt32LE(entry.compressedSize, 20);
+  header.writeUInt32LE(entry.size, 24);
+  header.writeUInt16LE(entry.name.length, 28);
+  header.writeUInt32LE(entry.offset, 42);
+  return Buffer.concat([header, entry.name]);
+};
+
+const endOfCentralDirectory = (count, size, offset) => {
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(count, 8);
+  end.writeUInt16LE(count, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return end;
+};
+
+const newEntry = (name, date, flags, offset) => ({
+  name: Buffer.from(name, 'utf8'),
+  ...dosDateTime(date || new Date()),
+  flags,
+  offset,
+  crc: 0,
+  compressedSize: 0,
+  size: 0
+});
+
+// Zip a list of { name, data, date } entries (data a string or Buffer) into one Buffer
+const createZip = (files) => {
+  const parts = [];
+  const entries = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const entry = newEntry(file.name, file.date, UTF8_NAMES, offset);
+    entry.crc = crc32(data);
+    entry.compressedSize = compressed.length;
+    entry.size = data.length;
+
+    const header = localHeader(entry);
+    parts.push(header, compressed);
+    entries.push(entry);
+    offset += header.length + compressed.length;
+  }
+
+  const directory = Buffer.concat(entries.map(centralHeader));
+  return Buffer.concat([...parts, directory, endOfCentralDirectory(entries.length, directory.length, offset)]);
+};
+
+// Zip written straight to a writable stream (e.g. an HTTP response) without holding it in memory.
+// Entries are written one at a time: addFile for small ones, or openEntry and write its content in chunks.
+const createZipStream = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const push = async (chunk) => {
+    offset += chunk.length;
+    if (!output.write(chunk)) {
+      await waitForDrain(output);
+    }
+  };
+
+  const openEntry = async (name, date) => {
+    const entry = newEntry(name, date, UTF8_NAMES | SIZES_AFTER_DATA, offset);
+    entries.push(entry);
+    await push(localHeader(entry));
+
+    const deflate = zlib.createDeflateRaw();
+    deflate.on('data', (chunk) => {
+      entry.compressedSize += chunk.length;
+      offset += chunk.length;
+      output.write(chunk);
+    });
+    const ended = once(deflate, 'end');
+
+    return {
+      write: async (content) => {
+        const data = Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+        entry.crc = crc32(data, entry.crc);
+        entry.size += data.length;
+        if (!deflate.write(data)) {
+          await once(deflate, 'drain');
+        }
+        if (output.writableNeedDrain) {
+          await waitForDrain(output);
+        }
+      },
+      close: async () => {
+        deflate.end();
+        await ended;
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await push(descriptor);
+      }
+    };
+  };
+
+  const addFile = async (name, data, date) => {
+    const entry = await openEntry(name, date);
+    await entry.write(data);
+    await entry.close();
+  };
+
+  // Writes the central directory; the caller ends the output stream
+  const finish = async () => {
+    const directory = Buffer.concat(entries.map(centralHeader));
+    const start = offset;
+    await push(directory);
+    await push(endOfCentralDirectory(entries.length, directory.length, start));
+  };
+
+  return { openEntry, addFile, finish };
+};
+
+// Largest file read out of a zip, so a small upload cannot inflate into gigabytes
+const MAX_ENTRY_SIZE = 50 * 1024 * 1024;
+
+// Read the files of a zip held in memory into a Map of name -> Buffer; `include` picks files by name
+const readZip = (buffer, include = () => true) => {
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('Not a zip file');
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt zip directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    // Data starts after the local header, whose name and extra field can differ from the directory's
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    if (include(name)) {
+      if (method === 0) {
+        files.set(name, data);
+      } else if (method === 8) {
+        files.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_ENTRY_SIZE }));
+      } else {
+        throw new Error(`Unsupported compression in ${name}`);
+      }
+    }
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+  return files;
+};
+
+module.exports = {
+  readZip,
+  createZip,
+  createZipStream,
+  waitForDrain
+};